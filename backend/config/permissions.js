@@ -0,0 +1,55 @@
+// Named permissions for staff (admin) accounts. Routes require permissions,
+// never role names, so a new staff role is just a new set below.
+const PERMISSIONS = {
+  'users:read': 'View user accounts',
+  'users:suspend': 'Suspend, deactivate or reactivate accounts',
+  'users:delete': 'Delete accounts and schedule data erasure',
+  'users:manage_roles': 'Assign staff roles',
+  'therapists:approve': 'Approve therapist applications',
+  'analytics:read': 'View platform usage analytics',
+  'finance:read': 'View revenue and payment data',
+  'finance:refund': 'Refund payments',
+  'finance:payouts': 'Set commission rates and approve therapist payouts',
+  'promotions:manage': 'Issue and withdraw discount codes',
+  'reviews:moderate': 'Publish or reject patient reviews of therapists',
+  'content:edit': 'Edit therapy modules and content',
+  'clinical:read': "Read patients' clinical records",
+  'care:manage': 'End or transfer care relationships',
+  'guardians:manage': 'Approve and revoke guardian access to minors',
+  'audit:read': 'Query the clinical data audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const BUILT_IN_ROLES = {
+  super_admin: {
+    name: 'Super Admin',
+    permissions: ALL_PERMISSIONS
+  },
+  support: {
+    name: 'Support',
+    permissions: ['users:read', 'users:suspend', 'therapists:approve', 'guardians:manage', 'reviews:moderate']
+  },
+  finance: {
+    name: 'Finance',
+    permissions: ['finance:read', 'finance:refund', 'finance:payouts', 'promotions:manage', 'analytics:read']
+  },
+  content_editor: {
+    name: 'Content Editor',
+    permissions: ['content:edit']
+  },
+  clinical_supervisor: {
+    name: 'Clinical Supervisor',
+    permissions: ['users:read', 'clinical:read', 'care:manage', 'guardians:manage', 'audit:read']
+  }
+};
+
+// Admins created before staff roles existed keep full access
+const LEGACY_ADMIN_ROLES = ['super_admin'];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  LEGACY_ADMIN_ROLES
+};
\ No newline at end of file
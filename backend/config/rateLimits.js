@@ -0,0 +1,52 @@
+// Rate limit and lockout settings. Every value can be tuned per deployment
+// through environment variables; windows are in milliseconds.
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+module.exports = {
+  login: {
+    ip: {
+      windowMs: envInt('RATE_LIMIT_LOGIN_IP_WINDOW_MS', 15 * MINUTE),
+      max: envInt('RATE_LIMIT_LOGIN_IP_MAX', 50)
+    },
+    account: {
+      windowMs: envInt('RATE_LIMIT_LOGIN_ACCOUNT_WINDOW_MS', 15 * MINUTE),
+      max: envInt('RATE_LIMIT_LOGIN_ACCOUNT_MAX', 10)
+    }
+  },
+
+  signup: {
+    ip: {
+      windowMs: envInt('RATE_LIMIT_SIGNUP_IP_WINDOW_MS', HOUR),
+      max: envInt('RATE_LIMIT_SIGNUP_IP_MAX', 10)
+    },
+    account: {
+      windowMs: envInt('RATE_LIMIT_SIGNUP_ACCOUNT_WINDOW_MS', HOUR),
+      max: envInt('RATE_LIMIT_SIGNUP_ACCOUNT_MAX', 3)
+    }
+  },
+
+  chatSend: {
+    ip: {
+      windowMs: envInt('RATE_LIMIT_CHAT_IP_WINDOW_MS', MINUTE),
+      max: envInt('RATE_LIMIT_CHAT_IP_MAX', 60)
+    },
+    account: {
+      windowMs: envInt('RATE_LIMIT_CHAT_ACCOUNT_WINDOW_MS', MINUTE),
+      max: envInt('RATE_LIMIT_CHAT_ACCOUNT_MAX', 20)
+    }
+  },
+
+  // Applied to password checks: after `threshold` consecutive failures the
+  // account is locked for baseLockMs, doubling on each further lockout
+  accountLockout: {
+    threshold: envInt('LOCKOUT_THRESHOLD', 5),
+    baseLockMs: envInt('LOCKOUT_BASE_MS', MINUTE),
+    maxLockMs: envInt('LOCKOUT_MAX_MS', 24 * HOUR)
+  }
+};
\ No newline at end of file
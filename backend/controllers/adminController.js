@@ -3,10 +3,17 @@ const Appointment = require('../models/Appointment');
 const Progress = require('../models/Progress');
 const Chat = require('../models/Chat');
 const VideoSession = require('../models/VideoSession');
+const { revokeAllSessions } = require('../services/sessionService');
+const { scheduleErasure, cancelErasure } = require('../services/accountDataService');
+const { cancelAppointments, SYSTEM_ACTOR } = require('../services/appointmentStatusService');
+const { getStaffRoles, hasPermission, outranks } = require('../services/permissionService');
+const { ledgerTotals } = require('../services/paymentService');
+const { DEFAULT_CURRENCY } = require('../services/money');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
 
 // @desc    Get platform analytics
 // @route   GET /api/admin/analytics
-// @access  Private (Admin only)
+// @access  Private (analytics:read; revenue needs finance:read)
 const getAnalytics = async (req, res) => {
   try {
     const { period = '30' } = req.query; // days
@@ -31,12 +38,18 @@ const getAnalytics = async (req, res) => {
     const completedSessions = await Appointment.countDocuments({ status: 'completed' });
     const pendingAppointments = await Appointment.countDocuments({ status: 'pending_confirmation' });
     
-    // Revenue metrics
-    const revenueData = await Appointment.aggregate([
-      { $match: { status: 'completed', paymentStatus: 'paid' } },
-      { $group: { _id: null, totalRevenue: { $sum: '$amount' } } }
-    ]);
-    const totalRevenue = revenueData[0]?.totalRevenue || 0;
+    // Revenue metrics, from the payments ledger: what was charged less what
+    // was refunded, in minor units of each currency
+    const canSeeRevenue = hasPermission(req.user, 'finance:read');
+    let totalRevenue;
+    let periodRevenue;
+    let revenueByCurrency;
+    if (canSeeRevenue) {
+      revenueByCurrency = await ledgerTotals();
+      const inPeriod = await ledgerTotals({ from: startDate });
+      totalRevenue = revenueByCurrency.find(total => total.currency === DEFAULT_CURRENCY)?.net || 0;
+      periodRevenue = inPeriod.find(total => total.currency === DEFAULT_CURRENCY)?.net || 0;
+    }
 
     // Progress metrics
     const totalProgressEntries = await Progress.countDocuments();
@@ -68,6 +81,9 @@ const getAnalytics = async (req, res) => {
           completedSessions,
           pendingAppointments,
           totalRevenue,
+          periodRevenue,
+          revenueCurrency: canSeeRevenue ? DEFAULT_CURRENCY : undefined,
+          revenueByCurrency,
           totalProgressEntries,
           averageProgressScore: avgProgressScore[0]?.avgScore || 0
         },
@@ -85,7 +101,7 @@ const getAnalytics = async (req, res) => {
 
 // @desc    Get all users with filters
 // @route   GET /api/admin/users
-// @access  Private (Admin only)
+// @access  Private (users:read)
 const getAllUsers = async (req, res) => {
   try {
     const { role, status, page = 1, limit = 20, search } = req.query;
@@ -127,7 +143,7 @@ const getAllUsers = async (req, res) => {
 
 // @desc    Update user status
 // @route   PUT /api/admin/users/:id/status
-// @access  Private (Admin only)
+// @access  Private (users:suspend)
 const updateUserStatus = async (req, res) => {
   try {
     const { id } = req.params;
@@ -137,16 +153,35 @@ const updateUserStatus = async (req, res) => {
       return res.status(400).json({ message: 'Invalid status' });
     }
 
-    const user = await User.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true }
-    ).select('-passwordHash');
+    const user = await User.findById(id);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (outranks(user, req.user)) {
+      return res.status(403).json({ message: 'You cannot change an account with more access than your own' });
+    }
+
+    if (user.erasure?.completedAt) {
+      return res.status(400).json({ message: 'This account has been erased' });
+    }
+
+    user.status = status;
+
+    // Reactivating a deleted account stops its pending erasure, unless the
+    // user asked for the erasure themselves
+    if (status === 'active' && user.erasure?.requestedBy === 'admin') {
+      cancelErasure(user);
+    }
+
+    await user.save();
+
+    // Kick the user off every device when their access is taken away
+    if (['suspended', 'inactive'].includes(status)) {
+      await revokeAllSessions(user._id, 'account_suspended');
+    }
+
     res.json({
       message: 'User status updated successfully',
       user
@@ -159,7 +194,7 @@ const updateUserStatus = async (req, res) => {
 
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
-// @access  Private (Admin only)
+// @access  Private (users:delete)
 const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
@@ -169,25 +204,31 @@ const deleteUser = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Soft delete by updating status
+    if (outranks(user, req.user)) {
+      return res.status(403).json({ message: 'You cannot delete an account with more access than your own' });
+    }
+
+    // Deactivate now; the data is erased once the grace period is over
     user.status = 'inactive';
+    if (!user.erasure?.scheduledFor) {
+      scheduleErasure(user, 'admin');
+    }
     await user.save();
 
+    // Revoke every active session
+    await revokeAllSessions(user._id, 'account_deleted');
+
     // Cancel all future appointments
-    await Appointment.updateMany(
-      { 
-        $or: [{ patientId: id }, { therapistId: id }],
-        date: { $gte: new Date() },
-        status: { $in: ['pending_confirmation', 'confirmed'] }
-      },
-      { 
-        status: 'cancelled',
-        cancelReason: 'Account deactivated',
-        cancelledBy: 'admin'
-      }
+    await cancelAppointments(
+      { $or: [{ patientId: id }, { therapistId: id }] },
+      SYSTEM_ACTOR,
+      { reason: 'Account deactivated' }
     );
 
-    res.json({ message: 'User deactivated successfully' });
+    res.json({
+      message: 'User deactivated and scheduled for erasure',
+      erasureScheduledFor: user.erasure.scheduledFor
+    });
   } catch (error) {
     console.error('Delete user error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -196,7 +237,7 @@ const deleteUser = async (req, res) => {
 
 // @desc    Approve therapist
 // @route   PUT /api/admin/therapists/:id/approve
-// @access  Private (Admin only)
+// @access  Private (therapists:approve)
 const approveTherapist = async (req, res) => {
   try {
     const { id } = req.params;
@@ -220,10 +261,87 @@ const approveTherapist = async (req, res) => {
   }
 };
 
+// @desc    List built-in staff roles and the permissions they grant
+// @route   GET /api/admin/roles
+// @access  Private (users:read)
+const getRoles = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        roles: Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({
+          key,
+          name: role.name,
+          permissions: role.permissions
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Set the staff roles of an admin account
+// @route   PUT /api/admin/users/:id/roles
+// @access  Private (users:manage_roles)
+const updateUserRoles = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles) || roles.some(role => !BUILT_IN_ROLES[role])) {
+      return res.status(400).json({ message: 'Invalid roles' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role !== 'admin') {
+      return res.status(400).json({ message: 'Staff roles can only be given to admin accounts' });
+    }
+
+    if (outranks(user, req.user)) {
+      return res.status(403).json({ message: 'You cannot change an account with more access than your own' });
+    }
+
+    // Never leave the platform without someone who can assign roles
+    const losesSuperAdmin = getStaffRoles(user).includes('super_admin') && !roles.includes('super_admin');
+    if (losesSuperAdmin) {
+      const otherSuperAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: 'admin',
+        status: 'active',
+        $or: [{ adminRoles: 'super_admin' }, { adminRoles: { $exists: false } }]
+      });
+
+      if (otherSuperAdmins === 0) {
+        return res.status(400).json({ message: 'At least one active Super Admin is required' });
+      }
+    }
+
+    user.adminRoles = [...new Set(roles)];
+    await user.save();
+
+    res.json({
+      message: 'Roles updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user roles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   getAnalytics,
   getAllUsers,
   updateUserStatus,
   deleteUser,
-  approveTherapist
+  approveTherapist,
+  getRoles,
+  updateUserRoles
 };
\ No newline at end of file
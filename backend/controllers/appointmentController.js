@@ -1,54 +1,315 @@
+const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
 const User = require('../models/User');
 const VideoSession = require('../models/VideoSession');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const { recordAuditEvent } = require('../services/auditService');
+const { canViewAppointment, canActForPatient } = require('../services/authorizationService');
+const Availability = require('../models/Availability');
+const {
+  DEFAULT_TIMEZONE,
+  findBookableSlot,
+  normalizeTime
+} = require('../services/availabilityService');
+const {
+  ACTIVE_STATUSES,
+  SlotConflictError,
+  bookingIntervals,
+  claimIntervals,
+  findOverlap,
+  createHold,
+  confirmHold,
+  releaseHold,
+  holdReschedule,
+  moveAppointmentClaims,
+  releaseReservation,
+  releaseAppointments
+} = require('../services/bookingService');
+const {
+  AppointmentTransitionError,
+  actorFor,
+  sessionStart,
+  transitionAppointment
+} = require('../services/appointmentStatusService');
+const {
+  SERIES_FREQUENCIES,
+  MAX_OCCURRENCES,
+  occurrenceStarts
+} = require('../services/seriesService');
+const { hasPermission } = require('../services/permissionService');
+const { appointmentCalendar } = require('../services/calendarService');
+const { getPolicy, describeCharge } = require('../services/cancellationPolicyService');
+const { zonedTimeToUtc, addDays } = require('../services/timezone');
+const {
+  PricingError,
+  resolveProduct,
+  checkIntake,
+  quotePrice,
+  redeemQuote
+} = require('../services/pricingService');
 
-// @desc    Book new appointment
-// @route   POST /api/appointments
-// @access  Private (Patient only)
-const bookAppointment = async (req, res) => {
+const MINUTE_MS = 60 * 1000;
+const RESCHEDULE_HOLD_HOURS = parseInt(process.env.RESCHEDULE_HOLD_HOURS || '48');
+
+// Which side of the appointment each party is on. A reschedule proposed by
+// one side is answered by the other.
+const SIDES = {
+  patient: 'patient',
+  guardian: 'patient',
+  therapist: 'therapist',
+  staff: 'therapist'
+};
+
+// Work out who is booking what, and when, for a booking or a hold. Sends the
+// error and returns null when the request can't be booked.
+const resolveBooking = async (req, res, { holdId } = {}) => {
+  const { date, time, startsAt } = req.body;
+
+  // Validation
+  if (!req.body.therapistId || (!startsAt && (!date || !time))) {
+    res.status(400).json({ message: 'Please provide therapist, date, and time' });
+    return null;
+  }
+
+  const parties = await resolveParties(req, res);
+  if (!parties) return null;
+
+  // The session product decides how long the slot is
+  let product;
   try {
-    const { therapistId, date, time, sessionType, notes } = req.body;
+    product = await resolveProduct(parties.therapist, req.body.productId);
+    await checkIntake(product, parties.therapist._id, parties.patientId);
+  } catch (error) {
+    if (!(error instanceof PricingError)) throw error;
+    res.status(error.statusCode).json({ message: error.message });
+    return null;
+  }
 
-    // Validation
-    if (!therapistId || !date || !time) {
-      return res.status(400).json({ message: 'Please provide therapist, date, and time' });
+  const resolved = await scheduleFor(parties.therapist, parties.patientId, req.body, { holdId, duration: product.duration });
+  if (resolved.error) {
+    res.status(400).json({ message: resolved.error });
+    return null;
+  }
+  return { ...parties, product, ...resolved };
+};
+
+// The patient being booked for (guardians name a minor they may book for)
+// and the therapist. Sends the error and returns null when either is invalid.
+const resolveParties = async (req, res) => {
+  const { therapistId } = req.body;
+
+  let patientId = req.user._id;
+  if (req.user.role === 'guardian') {
+    patientId = req.body.patientId;
+    if (!patientId || !(await canActForPatient(req.user, patientId, 'book_appointments'))) {
+      res.status(403).json({ message: 'You do not have consent to book for this patient' });
+      return null;
     }
+  }
+
+  // Check if therapist exists and is active
+  const therapist = await User.findOne({
+    _id: therapistId,
+    role: 'therapist',
+    status: 'active'
+  });
+
+  if (!therapist) {
+    res.status(404).json({ message: 'Therapist not found or not available' });
+    return null;
+  }
+
+  return { therapist, patientId };
+};
+
+// The therapist's timezone, used to read dates and times given without one
+const therapistTimezone = async (therapistId) => {
+  const availability = await Availability.findOne({ therapistId }).select('timezone');
+  return { availability, timezone: availability?.timezone || DEFAULT_TIMEZONE };
+};
+
+// The instant asked for, as an exact `startsAt` or a date and time in `timezone`
+const requestedStartOf = ({ date, time, startsAt }, timezone) => {
+  const requestedStart = startsAt
+    ? new Date(startsAt)
+    : normalizeTime(time) && zonedTimeToUtc(String(date).split('T')[0], normalizeTime(time), timezone);
+  return requestedStart && !isNaN(requestedStart) ? requestedStart : null;
+};
+
+// Work out exactly when a session with `therapist` at the requested time
+// would run, and check both people are free. `appointmentId` is the
+// appointment being moved, if any; `duration` is the session's length when
+// it isn't the therapist's usual one. Returns { schedule, booking }, or
+// { error } when the time can't be booked.
+const scheduleFor = async (therapist, patientId, { date, time, startsAt }, { holdId, appointmentId, duration } = {}) => {
+  const therapistId = therapist._id;
+  const { availability, timezone } = await therapistTimezone(therapistId);
 
-    // Check if therapist exists and is active
-    const therapist = await User.findOne({
-      _id: therapistId,
-      role: 'therapist',
-      status: 'active'
+  const requestedStart = requestedStartOf({ date, time, startsAt }, timezone);
+  if (!requestedStart) {
+    return { error: 'Invalid appointment time' };
+  }
+
+  let schedule;
+  let bufferMinutes = 0;
+
+  if (availability) {
+    // Therapists with structured availability can only be booked into
+    // one of their offered slots
+    const bookable = await findBookableSlot(therapistId, requestedStart, {
+      ignoreHoldId: holdId,
+      ignoreAppointmentId: appointmentId,
+      sessionLength: duration
     });
+    if (!bookable) {
+      return { error: 'This time slot is not available' };
+    }
 
-    if (!therapist) {
-      return res.status(404).json({ message: 'Therapist not found or not available' });
+    bufferMinutes = bookable.availability.bufferMinutes;
+    schedule = {
+      date: new Date(bookable.slot.localDate),
+      time: bookable.slot.localTime,
+      duration: duration || bookable.availability.sessionLength,
+      startsAt: bookable.slot.start,
+      endsAt: bookable.slot.end
+    };
+  } else {
+    if (requestedStart <= new Date()) {
+      return { error: 'Appointments must be in the future' };
     }
 
-    // Check if slot is available
-    const existingAppointment = await Appointment.findOne({
-      therapistId,
-      date: new Date(date),
-      time,
-      status: { $in: ['pending_confirmation', 'confirmed'] }
+    const length = duration || Appointment.schema.path('duration').defaultValue;
+    schedule = {
+      date: new Date(startsAt ? requestedStart.toISOString().split('T')[0] : String(date).split('T')[0]),
+      time: startsAt ? requestedStart.toISOString().slice(11, 16) : normalizeTime(time),
+      duration: length,
+      startsAt: requestedStart,
+      endsAt: new Date(requestedStart.getTime() + length * MINUTE_MS)
+    };
+  }
+
+  const booking = {
+    therapistId: therapist._id,
+    patientId,
+    startsAt: schedule.startsAt,
+    endsAt: schedule.endsAt,
+    bufferMinutes
+  };
+
+  // Friendly errors for the common case; the slot claims below are what
+  // actually rule out double-booking under concurrency
+  const therapistBusy = await findOverlap(
+    'therapistId',
+    therapist._id,
+    new Date(schedule.startsAt.getTime() - bufferMinutes * MINUTE_MS),
+    new Date(schedule.endsAt.getTime() + bufferMinutes * MINUTE_MS),
+    { excludeId: appointmentId }
+  );
+  if (therapistBusy) {
+    return { error: 'This time slot is already booked' };
+  }
+
+  const patientBusy = await findOverlap('patientId', patientId, schedule.startsAt, schedule.endsAt, {
+    excludeId: appointmentId
+  });
+  if (patientBusy) {
+    return { error: 'The patient already has an appointment at this time' };
+  }
+
+  return { schedule, booking };
+};
+
+// @desc    Hold a slot while the patient completes booking
+// @route   POST /api/appointments/holds
+// @access  Private (Patient, or a guardian booking for a minor)
+const holdSlot = async (req, res) => {
+  try {
+    const resolved = await resolveBooking(req, res);
+    if (!resolved) return;
+
+    const { holdId, expiresAt } = await createHold(resolved.booking, req.user._id);
+
+    res.status(201).json({
+      message: 'Slot held',
+      holdId,
+      expiresAt
     });
+  } catch (error) {
+    if (error instanceof SlotConflictError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Hold slot error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    if (existingAppointment) {
-      return res.status(400).json({ message: 'This time slot is already booked' });
+// @desc    Release a held slot
+// @route   DELETE /api/appointments/holds/:id
+// @access  Private
+const releaseSlotHold = async (req, res) => {
+  try {
+    const released = await releaseHold(req.params.id, req.user._id);
+    if (!released) {
+      return res.status(404).json({ message: 'Hold not found or already expired' });
     }
 
+    res.json({ message: 'Hold released' });
+  } catch (error) {
+    console.error('Release hold error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Book new appointment
+// @route   POST /api/appointments
+// @access  Private (Patient, or a guardian booking for a minor)
+const bookAppointment = async (req, res) => {
+  try {
+    const { holdId, sessionType, notes, promoCode, packageId } = req.body;
+
+    const resolved = await resolveBooking(req, res, { holdId });
+    if (!resolved) return;
+
+    const { therapist, patientId, product, schedule, booking } = resolved;
+    const quote = await quotePrice({ therapist, patientId, product, promoCode, packageId });
+
     // Create appointment
     const appointment = new Appointment({
-      patientId: req.user.id,
-      therapistId,
-      date: new Date(date),
-      time,
+      patientId,
+      therapistId: therapist._id,
+      ...schedule,
       sessionType: sessionType || 'video',
-      amount: therapist.profileDetails?.hourlyRate || 100,
-      notes
+      ...quote,
+      notes,
+      cancellationPolicy: await getPolicy(therapist._id),
+      statusHistory: [{
+        to: 'pending_confirmation',
+        changedBy: req.user._id,
+        changedByRole: req.user.role
+      }]
     });
 
-    await appointment.save();
+    // Reserve the time before the appointment exists, so a losing request
+    // never leaves a booking behind
+    if (holdId) {
+      const confirmed = await confirmHold(holdId, req.user._id, booking, appointment._id);
+      if (!confirmed) {
+        return res.status(400).json({ message: 'Your hold on this slot has expired. Please pick a time again.' });
+      }
+    } else {
+      await claimIntervals(bookingIntervals(booking), { appointmentId: appointment._id });
+    }
+
+    // The package credit or code use goes with the booking
+    let releaseCredits;
+    try {
+      releaseCredits = await redeemQuote(quote);
+      await appointment.save();
+    } catch (error) {
+      if (releaseCredits) await releaseCredits();
+      await releaseAppointments([appointment._id]);
+      throw error;
+    }
 
     // Populate patient and therapist details
     await appointment.populate('patientId', 'name email');
@@ -59,6 +320,12 @@ const bookAppointment = async (req, res) => {
       appointment
     });
   } catch (error) {
+    if (error instanceof SlotConflictError) {
+      return res.status(400).json({ message: 'This time slot is already booked' });
+    }
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Book appointment error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -136,7 +403,7 @@ const getTherapistAppointments = async (req, res) => {
 
 // @desc    Update appointment status
 // @route   PUT /api/appointments/:id/status
-// @access  Private (Patient or Therapist)
+// @access  Private (Patient or Therapist; guardians may cancel)
 const updateAppointmentStatus = async (req, res) => {
   try {
     const { status, cancelReason } = req.body;
@@ -147,43 +414,536 @@ const updateAppointmentStatus = async (req, res) => {
       return res.status(404).json({ message: 'Appointment not found' });
     }
 
-    // Check if user has permission to update this appointment
-    const isPatient = appointment.patientId.toString() === req.user.id;
-    const isTherapist = appointment.therapistId.toString() === req.user.id;
-    const isAdmin = req.user.role === 'admin';
+    const updated = await transitionAppointment(appointment, status, req.user, { reason: cancelReason });
 
-    if (!isPatient && !isTherapist && !isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
+    await recordAuditEvent(req, {
+      patientId: updated.patientId,
+      action: 'update',
+      resourceType: 'appointment',
+      resourceId: updated._id
+    });
+
+    const charge = describeCharge(updated.cancellationCharge, updated.currency);
+    res.json({
+      message: charge ? `Appointment status updated. ${charge}` : 'Appointment status updated successfully',
+      appointment: updated
+    });
+  } catch (error) {
+    if (error instanceof AppointmentTransitionError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error('Update appointment status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load an upcoming appointment the current user can reschedule, or send the
+// error. Guardians need consent to book for the patient.
+const loadReschedulable = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+
+  const actor = await actorFor(req.user, appointment, 'book_appointments');
+  if (!actor) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  if (!ACTIVE_STATUSES.includes(appointment.status)) {
+    res.status(400).json({ message: `A ${appointment.status.replace('_', ' ')} appointment cannot be rescheduled` });
+    return null;
+  }
+
+  const currentStart = await sessionStart(appointment);
+  if (currentStart <= new Date()) {
+    res.status(400).json({ message: 'This session has already started' });
+    return null;
+  }
+
+  return { appointment, actor, currentStart };
+};
+
+// @desc    Propose a new time for an appointment
+// @route   PUT /api/appointments/:id/reschedule
+// @access  Private (Either party; guardians with booking consent)
+const proposeReschedule = async (req, res) => {
+  try {
+    const { date, time, startsAt, reason } = req.body;
 
-    // Update appointment
-    appointment.status = status;
-    if (cancelReason) {
-      appointment.cancelReason = cancelReason;
-      appointment.cancelledBy = req.user.role;
+    if (!startsAt && (!date || !time)) {
+      return res.status(400).json({ message: 'Please provide the new date and time' });
     }
 
-    await appointment.save();
+    const loaded = await loadReschedulable(req, res);
+    if (!loaded) return;
 
-    // If appointment is confirmed and it's a video session, create video session
-    if (status === 'confirmed' && appointment.sessionType === 'video') {
-      const existingVideoSession = await VideoSession.findOne({ appointmentId });
-      if (!existingVideoSession) {
-        const videoSession = new VideoSession({
-          patientId: appointment.patientId,
-          therapistId: appointment.therapistId,
-          appointmentId: appointment._id
-        });
-        await videoSession.save();
+    const { appointment, actor, currentStart } = loaded;
+    const previous = appointment.rescheduleRequest?.status === 'pending' ? appointment.rescheduleRequest : null;
+
+    const resolved = await scheduleFor(
+      { _id: appointment.therapistId },
+      appointment.patientId,
+      { date, time, startsAt },
+      {
+        appointmentId: appointment._id,
+        holdId: previous?.holdId,
+        // Sessions of a product keep its length; others take the therapist's usual one
+        duration: appointment.productId ? appointment.duration : undefined
       }
+    );
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+
+    const { schedule, booking } = resolved;
+    if (schedule.startsAt.getTime() === currentStart.getTime()) {
+      return res.status(400).json({ message: 'Please choose a different time' });
+    }
+
+    // A new proposal replaces the pending one
+    if (previous) {
+      await releaseReservation(previous.holdId);
     }
 
+    // Held until the other party responds, but never past either start time
+    const expiresAt = new Date(Math.min(
+      Date.now() + RESCHEDULE_HOLD_HOURS * 60 * MINUTE_MS,
+      currentStart.getTime(),
+      schedule.startsAt.getTime()
+    ));
+    const holdId = await holdReschedule(appointment._id, booking, req.user._id, expiresAt);
+
+    appointment.rescheduleRequest = {
+      status: 'pending',
+      proposedBy: req.user._id,
+      proposedAs: actor,
+      ...schedule,
+      bufferMinutes: booking.bufferMinutes,
+      holdId,
+      expiresAt,
+      reason
+    };
+    await appointment.save();
+
+    await recordAuditEvent(req, {
+      patientId: appointment.patientId,
+      action: 'update',
+      resourceType: 'appointment',
+      resourceId: appointment._id
+    });
+
     res.json({
-      message: 'Appointment status updated successfully',
+      message: 'New time proposed. It is held for you until the other party responds.',
       appointment
     });
   } catch (error) {
-    console.error('Update appointment status error:', error);
+    if (error instanceof SlotConflictError) {
+      return res.status(400).json({ message: 'This time slot is already booked' });
+    }
+    console.error('Propose reschedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load the appointment and its pending reschedule request for a response, or
+// send the error. Marks requests whose hold has run out as expired.
+const loadPendingReschedule = async (req, res) => {
+  const loaded = await loadReschedulable(req, res);
+  if (!loaded) return null;
+
+  const { appointment } = loaded;
+  const request = appointment.rescheduleRequest;
+
+  if (request?.status !== 'pending') {
+    res.status(400).json({ message: 'There is no pending reschedule request' });
+    return null;
+  }
+
+  if (request.expiresAt <= new Date()) {
+    await Appointment.updateOne(
+      { _id: appointment._id, 'rescheduleRequest.holdId': request.holdId },
+      { 'rescheduleRequest.status': 'expired' }
+    );
+    res.status(400).json({ message: 'This reschedule request has expired' });
+    return null;
+  }
+
+  return { ...loaded, request };
+};
+
+// Record the response, unless someone else got there first
+const respondToRequest = (appointment, request, status, user) => {
+  return Appointment.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      'rescheduleRequest.status': 'pending',
+      'rescheduleRequest.holdId': request.holdId
+    },
+    {
+      'rescheduleRequest.status': status,
+      'rescheduleRequest.respondedBy': user._id,
+      'rescheduleRequest.respondedAt': new Date()
+    },
+    { new: true }
+  );
+};
+
+// @desc    Accept a proposed new time
+// @route   PUT /api/appointments/:id/reschedule/accept
+// @access  Private (The party who did not propose it)
+const acceptReschedule = async (req, res) => {
+  try {
+    const loaded = await loadPendingReschedule(req, res);
+    if (!loaded) return;
+
+    const { appointment, actor, request } = loaded;
+    if (SIDES[request.proposedAs] === SIDES[actor]) {
+      return res.status(403).json({ message: 'Only the other party can accept this request' });
+    }
+
+    const responded = await respondToRequest(appointment, request, 'accepted', req.user);
+    if (!responded) {
+      return res.status(409).json({ message: 'This request has already been answered' });
+    }
+
+    const moved = await moveAppointmentClaims(appointment._id, request.holdId, {
+      therapistId: appointment.therapistId,
+      patientId: appointment.patientId,
+      startsAt: request.startsAt,
+      endsAt: request.endsAt,
+      bufferMinutes: request.bufferMinutes
+    });
+    if (!moved) {
+      await Appointment.updateOne({ _id: appointment._id }, { 'rescheduleRequest.status': 'expired' });
+      return res.status(400).json({ message: 'This reschedule request has expired' });
+    }
+
+    responded.rescheduleHistory.push({
+      date: appointment.date,
+      time: appointment.time,
+      duration: appointment.duration,
+      startsAt: appointment.startsAt,
+      endsAt: appointment.endsAt,
+      proposedBy: request.proposedBy,
+      acceptedBy: req.user._id,
+      reason: request.reason
+    });
+    responded.date = request.date;
+    responded.time = request.time;
+    responded.duration = request.duration;
+    responded.startsAt = request.startsAt;
+    responded.endsAt = request.endsAt;
+    // Reminders count down to the new time
+    responded.reminderSent = false;
+    responded.remindersSent = [];
+    await responded.save();
+
+    // The video room moves with the appointment
+    await VideoSession.updateOne(
+      { appointmentId: appointment._id },
+      { scheduledStart: request.startsAt, scheduledEnd: request.endsAt }
+    );
+
+    await recordAuditEvent(req, {
+      patientId: appointment.patientId,
+      action: 'update',
+      resourceType: 'appointment',
+      resourceId: appointment._id
+    });
+
+    res.json({
+      message: 'Appointment rescheduled',
+      appointment: responded
+    });
+  } catch (error) {
+    console.error('Accept reschedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Decline a proposed new time, or withdraw your own proposal
+// @route   PUT /api/appointments/:id/reschedule/decline
+// @access  Private (Either party)
+const declineReschedule = async (req, res) => {
+  try {
+    const loaded = await loadPendingReschedule(req, res);
+    if (!loaded) return;
+
+    const { appointment, actor, request } = loaded;
+    const withdrawing = SIDES[request.proposedAs] === SIDES[actor];
+
+    const responded = await respondToRequest(appointment, request, withdrawing ? 'withdrawn' : 'declined', req.user);
+    if (!responded) {
+      return res.status(409).json({ message: 'This request has already been answered' });
+    }
+
+    await releaseReservation(request.holdId);
+
+    await recordAuditEvent(req, {
+      patientId: appointment.patientId,
+      action: 'update',
+      resourceType: 'appointment',
+      resourceId: appointment._id
+    });
+
+    res.json({
+      message: withdrawing ? 'Reschedule request withdrawn' : 'Reschedule request declined',
+      appointment: responded
+    });
+  } catch (error) {
+    console.error('Decline reschedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Book a recurring series of appointments
+// @route   POST /api/appointments/series
+// @access  Private (Patient, or a guardian booking for a minor)
+const bookSeries = async (req, res) => {
+  try {
+    const { date, time, startsAt, frequency, count, until, sessionType, notes } = req.body;
+
+    if (!req.body.therapistId || (!startsAt && (!date || !time))) {
+      return res.status(400).json({ message: 'Please provide therapist, date, and time' });
+    }
+    if (!SERIES_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ message: 'Please choose weekly, biweekly or monthly' });
+    }
+    if (!count && !until) {
+      return res.status(400).json({ message: 'Please choose how many sessions, or an end date' });
+    }
+    if (count && (parseInt(count) < 2 || parseInt(count) > MAX_OCCURRENCES)) {
+      return res.status(400).json({ message: `A series can have between 2 and ${MAX_OCCURRENCES} sessions` });
+    }
+
+    const parties = await resolveParties(req, res);
+    if (!parties) return;
+
+    const { therapist, patientId } = parties;
+    const { timezone } = await therapistTimezone(therapist._id);
+
+    // Series are priced like single sessions, less codes and package credits
+    const product = await resolveProduct(therapist, req.body.productId);
+    if (product.kind === 'intake') {
+      return res.status(400).json({ message: 'Intake sessions are booked one at a time' });
+    }
+    const quote = await quotePrice({ therapist, patientId, product });
+
+    const firstStart = requestedStartOf(req.body, timezone);
+    if (!firstStart) {
+      return res.status(400).json({ message: 'Invalid appointment time' });
+    }
+
+    // The end date counts in full, in the therapist's timezone
+    const lastStart = until && zonedTimeToUtc(addDays(String(until).split('T')[0], 1), '00:00', timezone);
+    const starts = occurrenceStarts(firstStart, timezone, frequency, {
+      count: count && parseInt(count),
+      until: lastStart
+    });
+    if (starts.length < 2) {
+      return res.status(400).json({ message: 'A series needs at least two sessions' });
+    }
+
+    // Every occurrence has to be free before any of them is booked
+    const resolved = [];
+    const conflicts = [];
+    for (const start of starts) {
+      const result = await scheduleFor(therapist, patientId, { startsAt: start }, { duration: product.duration });
+      if (result.error) {
+        conflicts.push({ startsAt: start, message: result.error });
+      } else {
+        resolved.push(result);
+      }
+    }
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        message: `${conflicts.length} of the ${starts.length} sessions in this series are not available`,
+        conflicts
+      });
+    }
+
+    const series = new AppointmentSeries({
+      patientId,
+      therapistId: therapist._id,
+      bookedBy: req.user._id,
+      frequency,
+      timezone,
+      firstStartsAt: resolved[0].schedule.startsAt,
+      occurrenceCount: resolved.length,
+      until: lastStart,
+      sessionType: sessionType || 'video'
+    });
+
+    const cancellationPolicy = await getPolicy(therapist._id);
+    const appointments = resolved.map(({ schedule }, index) => new Appointment({
+      patientId,
+      therapistId: therapist._id,
+      seriesId: series._id,
+      occurrence: index + 1,
+      ...schedule,
+      sessionType: sessionType || 'video',
+      ...quote,
+      notes,
+      cancellationPolicy,
+      statusHistory: [{
+        to: 'pending_confirmation',
+        changedBy: req.user._id,
+        changedByRole: req.user.role
+      }]
+    }));
+
+    // Claim each occurrence's time; if any has been taken meanwhile, none
+    // of the series is booked
+    const appointmentIds = appointments.map(appointment => appointment._id);
+    try {
+      for (const [index, { booking }] of resolved.entries()) {
+        await claimIntervals(bookingIntervals(booking), { appointmentId: appointments[index]._id });
+      }
+      await series.save();
+      await Appointment.insertMany(appointments);
+    } catch (error) {
+      await releaseAppointments(appointmentIds);
+      await Appointment.deleteMany({ _id: { $in: appointmentIds } });
+      await AppointmentSeries.deleteOne({ _id: series._id });
+      throw error;
+    }
+
+    res.status(201).json({
+      message: `${appointments.length} sessions booked`,
+      series,
+      appointments
+    });
+  } catch (error) {
+    if (error instanceof SlotConflictError) {
+      return res.status(400).json({ message: 'One of the sessions in this series was just booked by someone else' });
+    }
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Book series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Recurring series with their occurrences
+// @route   GET /api/appointments/series
+// @access  Private (Patients and therapists see their own; clinical:read may filter by patient)
+const getSeries = async (req, res) => {
+  try {
+    const { status, patientId } = req.query;
+
+    let query = {};
+
+    if (req.user.role === 'patient') {
+      query.patientId = req.user._id;
+    } else if (req.user.role === 'therapist') {
+      query.therapistId = req.user._id;
+    } else if (hasPermission(req.user, 'clinical:read')) {
+      if (patientId) query.patientId = patientId;
+    } else {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+    }
+
+    if (status) query.status = status;
+
+    const series = await AppointmentSeries.find(query)
+      .populate('patientId', 'name email')
+      .populate('therapistId', 'name email')
+      .sort({ status: 1, firstStartsAt: -1 });
+
+    const occurrences = await Appointment.find({ seriesId: { $in: series.map(s => s._id) } })
+      .select('seriesId occurrence date time duration startsAt endsAt status rescheduleRequest')
+      .sort({ occurrence: 1 });
+
+    res.json({
+      success: true,
+      count: series.length,
+      data: series.map(s => ({
+        ...s.toObject(),
+        appointments: occurrences.filter(appointment => appointment.seriesId.equals(s._id))
+      }))
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Cancel an occurrence and every later one in its series
+// @route   PUT /api/appointments/:id/cancel-following
+// @access  Private (Anyone who may cancel the occurrence)
+const cancelFollowing = async (req, res) => {
+  try {
+    const { cancelReason } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!appointment.seriesId) {
+      return res.status(400).json({ message: 'This appointment is not part of a series' });
+    }
+
+    const following = await Appointment.find({
+      seriesId: appointment.seriesId,
+      occurrence: { $gte: appointment.occurrence },
+      status: { $in: ACTIVE_STATUSES }
+    }).sort({ occurrence: 1 });
+
+    if (following.length === 0) {
+      return res.status(400).json({ message: 'There are no upcoming sessions to cancel' });
+    }
+
+    // The first cancellation settles whether the user may cancel at all;
+    // later ones only fail when someone changed them in the meantime
+    let cancelled = 0;
+    for (const [index, occurrence] of following.entries()) {
+      try {
+        await transitionAppointment(occurrence, 'cancelled', req.user, { reason: cancelReason });
+        cancelled++;
+      } catch (error) {
+        if (index === 0 || !(error instanceof AppointmentTransitionError)) throw error;
+      }
+    }
+
+    await AppointmentSeries.updateOne(
+      { _id: appointment.seriesId },
+      {
+        status: appointment.occurrence === 1 ? 'cancelled' : 'ended',
+        cancelledFrom: appointment.occurrence,
+        cancelledAt: new Date(),
+        cancelledBy: req.user._id
+      }
+    );
+
+    await recordAuditEvent(req, {
+      patientId: appointment.patientId,
+      action: 'update',
+      resourceType: 'appointment',
+      resourceId: appointment._id
+    });
+
+    res.json({
+      message: `${cancelled} session${cancelled === 1 ? '' : 's'} cancelled`,
+      cancelled
+    });
+  } catch (error) {
+    if (error instanceof AppointmentTransitionError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Cancel following error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -202,14 +962,16 @@ const getAppointmentById = async (req, res) => {
     }
 
     // Check if user has permission to view this appointment
-    const isPatient = appointment.patientId._id.toString() === req.user.id;
-    const isTherapist = appointment.therapistId._id.toString() === req.user.id;
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isPatient && !isTherapist && !isAdmin) {
+    if (!canViewAppointment(req.user, appointment)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    await recordAuditEvent(req, {
+      patientId: appointment.patientId._id,
+      resourceType: 'appointment',
+      resourceId: appointment._id
+    });
+
     res.json({
       success: true,
       data: appointment
@@ -220,10 +982,52 @@ const getAppointmentById = async (req, res) => {
   }
 };
 
+// @desc    Download an appointment as an iCalendar invite
+// @route   GET /api/appointments/:id/calendar.ics
+// @access  Private
+const downloadAppointmentCalendar = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (!canViewAppointment(req.user, appointment)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await recordAuditEvent(req, {
+      patientId: appointment.patientId,
+      resourceType: 'appointment',
+      resourceId: appointment._id
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="mindcare-session-${appointment._id}.ics"`);
+    res.send(await appointmentCalendar(appointment, req.user));
+  } catch (error) {
+    console.error('Download appointment calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
+  holdSlot,
+  releaseSlotHold,
   bookAppointment,
   getPatientAppointments,
   getTherapistAppointments,
   updateAppointmentStatus,
-  getAppointmentById
+  proposeReschedule,
+  acceptReschedule,
+  declineReschedule,
+  bookSeries,
+  getSeries,
+  cancelFollowing,
+  getAppointmentById,
+  downloadAppointmentCalendar
 };
\ No newline at end of file
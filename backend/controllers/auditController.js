@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+// @desc    Query the clinical data audit log
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+const getAuditEvents = async (req, res) => {
+  try {
+    const {
+      actorId,
+      patientId,
+      action,
+      resourceType,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    for (const [field, value] of Object.entries({ actorId, patientId })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${field}` });
+      }
+    }
+
+    let query = {};
+
+    if (actorId) query.actorId = actorId;
+    if (patientId) query.patientId = patientId;
+    if (action) query.action = action;
+    if (resourceType) query.resourceType = resourceType;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const events = await AuditEvent.find(query)
+      .populate('actorId', 'name email role')
+      .populate('patientId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const totalEvents = await AuditEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalEvents,
+        pages: Math.ceil(totalEvents / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Who has viewed or changed my records
+// @route   GET /api/audit/me
+// @access  Private (Patient only)
+const getMyRecordAccess = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // The patient's own activity isn't interesting here
+    const query = {
+      patientId: req.user._id,
+      actorId: { $ne: req.user._id }
+    };
+
+    const events = await AuditEvent.find(query)
+      .select('actorId actorRole action resourceType createdAt')
+      .populate('actorId', 'name role')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const totalEvents = await AuditEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalEvents,
+        pages: Math.ceil(totalEvents / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get record access error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getAuditEvents,
+  getMyRecordAccess
+};
\ No newline at end of file
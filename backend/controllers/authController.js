@@ -1,12 +1,113 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcrypt');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions
+} = require('../services/sessionService');
+const { issueToken, consumeToken } = require('../services/authTokenService');
+const { sendMail } = require('../services/mail');
+const { verificationEmail, passwordResetEmail } = require('../services/mail/templates');
+const {
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueChallengeToken,
+  verifyChallengeToken
+} = require('../services/twoFactorService');
+const {
+  getLockoutRemaining,
+  registerFailedAttempt,
+  resetFailedAttempts
+} = require('../services/accountLockout');
+const { sendTooManyRequests, formatWait } = require('../middleware/rateLimit');
+const {
+  ERASURE_GRACE_DAYS,
+  buildAccountExport,
+  scheduleErasure,
+  cancelErasure
+} = require('../services/accountDataService');
+const { getStaffRoles, getPermissions } = require('../services/permissionService');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d'
-  });
+// Public-facing user payload shared by every auth response
+const buildUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  profileDetails: user.profileDetails,
+  verified: user.profileDetails?.verified || false,
+  emailVerified: user.emailVerified !== false,
+  twoFactorEnabled: user.twoFactor?.enabled || false,
+  twoFactorRequired: isTwoFactorRequired(user),
+  adminRoles: getStaffRoles(user),
+  permissions: getPermissions(user),
+  erasureScheduledFor: user.erasure?.completedAt ? undefined : user.erasure?.scheduledFor
+});
+
+// Profile fields a user may never set on their own account: verification
+// is for staff, the rating is worked out from published reviews
+const PROTECTED_PROFILE_FIELDS = ['verified', 'rating'];
+
+// Drops protected fields, including nested paths into them such as
+// 'rating.average'
+const sanitizeProfileDetails = (profileDetails = {}) => {
+  if (!profileDetails || typeof profileDetails !== 'object' || Array.isArray(profileDetails)) return {};
+  return Object.fromEntries(Object.entries(profileDetails).filter(([key]) =>
+    !PROTECTED_PROFILE_FIELDS.includes(key.split('.')[0])
+  ));
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user._id, 'email_verification');
+  await sendMail(verificationEmail(user, token));
+};
+
+// Finish a login once every factor has been checked
+const completeLogin = async (user, req) => {
+  await resetFailedAttempts(user);
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { accessToken, refreshToken } = await createSession(user._id, req);
+  return {
+    token: accessToken,
+    refreshToken,
+    user: buildUserResponse(user)
+  };
+};
+
+const sendAccountLocked = (res, lockedForMs) => sendTooManyRequests(
+  res,
+  lockedForMs,
+  `Too many failed attempts. Your account is temporarily locked - please try again in ${formatWait(lockedForMs)}.`,
+  'ACCOUNT_LOCKED'
+);
+
+// Count a failed password or code check, answering with the lockout if this
+// attempt triggered one
+const rejectFailedAttempt = async (res, user, message) => {
+  const lockedForMs = await registerFailedAttempt(user);
+  if (lockedForMs) {
+    return sendAccountLocked(res, lockedForMs);
+  }
+  return res.status(401).json({ message });
+};
+
+// Resolve the user for 2FA enrollment: either signed in, or part-way through
+// a login that requires enrollment first
+const resolveEnrollmentUser = async (req) => {
+  if (req.user) {
+    return User.findById(req.user._id);
+  }
+
+  const userId = verifyChallengeToken(req.body.challengeToken, 'two_factor_setup');
+  return userId ? User.findById(userId) : null;
 };
 
 // @desc    Register new user
@@ -25,38 +126,42 @@ const signup = async (req, res) => {
       return res.status(400).json({ message: 'Password must be at least 8 characters long' });
     }
 
+    // Admin accounts cannot be self-registered
+    if (role && !['patient', 'therapist', 'guardian'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ message: 'User with this email already exists' });
     }
 
-    // Create new user
+    // Create new user. Patients become active once they verify their email;
+    // therapists additionally wait for admin approval.
     const user = new User({
       name,
       email,
       passwordHash: password, // Will be hashed by pre-save middleware
       role: role || 'patient',
-      profileDetails: profileDetails || {},
-      status: role === 'therapist' ? 'pending' : 'active'
+      profileDetails: sanitizeProfileDetails(profileDetails),
+      status: 'pending',
+      emailVerified: false
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      // The account exists either way; the user can ask for a new link
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        profileDetails: user.profileDetails
-      }
+      message: 'Registration successful. Please check your email to verify your account.',
+      requiresEmailVerification: true,
+      user: buildUserResponse(user)
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -82,10 +187,16 @@ const login = async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Locked accounts don't get their password checked at all
+    const lockedForMs = getLockoutRemaining(user);
+    if (lockedForMs) {
+      return sendAccountLocked(res, lockedForMs);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return rejectFailedAttempt(res, user, 'Invalid credentials');
     }
 
     // Check role if specified
@@ -98,25 +209,40 @@ const login = async (req, res) => {
       return res.status(401).json({ message: 'Account has been suspended' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (user.status === 'inactive') {
+      return res.status(401).json({ message: 'Account has been deactivated' });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.emailVerified === false) {
+      return res.status(403).json({
+        message: 'Please verify your email address before signing in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Password is correct - hand out a challenge instead of a session when a
+    // second factor is needed
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: issueChallengeToken(user._id, 'two_factor')
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.json({
+        message: 'Two-factor authentication must be set up for your account',
+        twoFactorSetupRequired: true,
+        challengeToken: issueChallengeToken(user._id, 'two_factor_setup')
+      });
+    }
+
+    const session = await completeLogin(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        profileDetails: user.profileDetails,
-        verified: user.profileDetails?.verified || false
-      }
+      ...session
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -131,15 +257,7 @@ const getMe = async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     res.json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        profileDetails: user.profileDetails,
-        verified: user.profileDetails?.verified || false
-      }
+      user: buildUserResponse(user)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -161,21 +279,16 @@ const updateProfile = async (req, res) => {
 
     if (name) user.name = name;
     if (profileDetails) {
-      user.profileDetails = { ...user.profileDetails, ...profileDetails };
+      Object.entries(sanitizeProfileDetails(profileDetails)).forEach(([key, value]) => {
+        user.set(`profileDetails.${key}`, value);
+      });
     }
 
     await user.save();
 
     res.json({
       message: 'Profile updated successfully',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        profileDetails: user.profileDetails
-      }
+      user: buildUserResponse(user)
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -183,9 +296,474 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Refresh token is invalid or has expired' });
+    }
+
+    const user = await User.findById(rotated.userId);
+    if (!user || ['suspended', 'inactive'].includes(user.status)) {
+      await revokeSession(rotated.sessionId, user ? 'account_suspended' : 'account_deleted');
+      return res.status(401).json({ message: 'Account is no longer active' });
+    }
+
+    res.json({
+      token: rotated.accessToken,
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Public (access token or refresh token)
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout');
+    } else if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken, 'logout');
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Log out of every session for the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all devices',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public (requires verification token)
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await consumeToken(token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+
+    // Therapists stay pending until an admin approves them
+    if (['patient', 'guardian'].includes(user.role) && user.status === 'pending') {
+      user.status = 'active';
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully. You can now sign in.',
+      user: buildUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide your email address' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user && user.emailVerified === false) {
+      await sendVerificationEmail(user);
+    }
+
+    // Same response whether or not the account exists
+    res.json({ message: 'If that account needs verification, a new link has been sent.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Please provide your email address' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user && !['suspended', 'inactive'].includes(user.status)) {
+      const token = await issueToken(user._id, 'password_reset');
+      await sendMail(passwordResetEmail(user, token));
+    }
+
+    // Same response whether or not the account exists
+    res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires reset token)
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Please provide the reset token and a new password' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+    }
+
+    const userId = await consumeToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.passwordHash = password; // Will be hashed by pre-save middleware
+
+    // Following the emailed link proves ownership of the address
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      if (['patient', 'guardian'].includes(user.role) && user.status === 'pending') {
+        user.status = 'active';
+      }
+    }
+
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllSessions(user._id, 'password_changed');
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires login challenge token)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken, 'two_factor');
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please sign in again.' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || ['suspended', 'inactive'].includes(user.status)) {
+      return res.status(401).json({ message: 'Account is no longer active' });
+    }
+
+    const lockedForMs = getLockoutRemaining(user);
+    if (lockedForMs) {
+      return sendAccountLocked(res, lockedForMs);
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return rejectFailedAttempt(res, user, 'Invalid authentication code');
+    }
+
+    const session = await completeLogin(user, req);
+
+    res.json({
+      message: 'Login successful',
+      ...session,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length
+    });
+  } catch (error) {
+    console.error('Verify 2FA error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private, or public with a setup challenge token
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await resolveEnrollmentUser(req);
+    if (!user) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = beginEnrollment(user);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private, or public with a setup challenge token
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await resolveEnrollmentUser(req);
+    if (!user) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const recoveryCodes = completeEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await user.save();
+
+    // Enrolling during login finishes that login
+    const session = req.user ? {} : await completeLogin(user, req);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      ...session
+    });
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Replace all recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Turn off 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private (roles where 2FA is optional)
+const disableTwoFactorAuth = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: `Two-factor authentication is required for ${user.role} accounts` });
+    }
+
+    const lockedForMs = getLockoutRemaining(user);
+    if (lockedForMs) {
+      return sendAccountLocked(res, lockedForMs);
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return rejectFailedAttempt(res, user, 'Incorrect password');
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return rejectFailedAttempt(res, user, 'Invalid authentication code');
+    }
+
+    await resetFailedAttempts(user);
+
+    disableTwoFactor(user);
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      user: buildUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download everything stored about the current user
+// @route   GET /api/auth/me/export
+// @access  Private
+const exportMyData = async (req, res) => {
+  try {
+    const archive = await buildAccountExport(req.user._id);
+    const filename = `mindcare-export-${new Date().toISOString().split('T')[0]}.json`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Ask for the account and its data to be erased
+// @route   POST /api/auth/me/erasure
+// @access  Private
+const requestErasure = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    const lockedForMs = getLockoutRemaining(user);
+    if (lockedForMs) {
+      return sendAccountLocked(res, lockedForMs);
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return rejectFailedAttempt(res, user, 'Incorrect password');
+    }
+
+    if (user.erasure?.scheduledFor) {
+      return res.status(400).json({ message: 'Account deletion is already scheduled' });
+    }
+
+    scheduleErasure(user, 'user');
+    await user.save();
+
+    res.json({
+      message: `Your account will be permanently deleted in ${ERASURE_GRACE_DAYS} days. You can cancel any time before then.`,
+      user: buildUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Request erasure error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Cancel a pending erasure during the grace period
+// @route   DELETE /api/auth/me/erasure
+// @access  Private
+const cancelMyErasure = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.erasure?.scheduledFor) {
+      return res.status(400).json({ message: 'No account deletion is scheduled' });
+    }
+
+    cancelErasure(user);
+    await user.save();
+
+    res.json({
+      message: 'Account deletion cancelled',
+      user: buildUserResponse(user)
+    });
+  } catch (error) {
+    console.error('Cancel erasure error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   signup,
   login,
   getMe,
-  updateProfile
+  updateProfile,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactorAuth,
+  exportMyData,
+  requestErasure,
+  cancelMyErasure
 };
\ No newline at end of file
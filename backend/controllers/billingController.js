@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const BillingDocument = require('../models/BillingDocument');
+const { canActForPatient } = require('../services/authorizationService');
+const { hasPermission } = require('../services/permissionService');
+const { recordAuditEvent } = require('../services/auditService');
+const {
+  BillingError,
+  issueReceipt,
+  issueSuperbill,
+  issueStatement,
+  renderDocument,
+  fileNameFor
+} = require('../services/billingService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MAX_SUPERBILL_DAYS = 366;
+
+const idOf = (value) => (value?._id || value).toString();
+
+// The patient (or a guardian who books for them), their therapist, and
+// finance staff
+const canSeeBilling = async (user, { patientId, therapistId }) => {
+  if (hasPermission(user, 'finance:read')) return true;
+  if (idOf(therapistId) === idOf(user)) return true;
+  if (!patientId) return false;
+  return idOf(patientId) === idOf(user) || canActForPatient(user, patientId, 'book_appointments');
+};
+
+const sendDocument = async (req, res, document) => {
+  if (document.patientId) {
+    await recordAuditEvent(req, {
+      patientId: document.patientId,
+      resourceType: 'billing_document',
+      resourceId: document._id
+    });
+  }
+
+  const pdf = await renderDocument(document);
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${fileNameFor(document)}"`);
+  res.set('X-Document-Number', document.number);
+  res.send(pdf);
+};
+
+// @desc    Download the receipt for an appointment's payments
+// @route   GET /api/billing/appointments/:id/receipt.pdf
+// @access  Private (Patient, guardian, the therapist, or finance:read)
+const downloadReceipt = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!(await canSeeBilling(req.user, appointment))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await sendDocument(req, res, await issueReceipt(appointment, req.user));
+  } catch (error) {
+    if (error instanceof BillingError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Download receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download a superbill of completed sessions, for insurance claims
+// @route   GET /api/billing/superbill.pdf?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (Patient, guardian, the therapist, or finance:read)
+const downloadSuperbill = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    // Patients and therapists are their own side of the superbill
+    const patientId = req.user.role === 'patient' ? req.user._id : req.query.patientId;
+    const therapistId = req.user.role === 'therapist' ? req.user._id : req.query.therapistId;
+
+    if (!patientId || !therapistId || !mongoose.isValidObjectId(patientId) || !mongoose.isValidObjectId(therapistId)) {
+      return res.status(400).json({ message: 'Please choose the patient and therapist' });
+    }
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+      return res.status(400).json({ message: 'Please provide a start date on or before the end date' });
+    }
+    if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= MAX_SUPERBILL_DAYS) {
+      return res.status(400).json({ message: `A superbill can cover at most ${MAX_SUPERBILL_DAYS} days` });
+    }
+
+    if (!(await canSeeBilling(req.user, { patientId, therapistId }))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await sendDocument(req, res, await issueSuperbill({ patientId, therapistId, from, to }, req.user));
+  } catch (error) {
+    if (error instanceof BillingError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Download superbill error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download a therapist's statement for a month
+// @route   GET /api/billing/statements/:month.pdf
+// @access  Private (Therapist, or finance:read with ?therapistId=)
+const downloadStatement = async (req, res) => {
+  try {
+    const { month } = req.params;
+    const therapistId = req.user.role === 'therapist' ? req.user._id : req.query.therapistId;
+
+    if (!MONTH_PATTERN.test(month)) {
+      return res.status(400).json({ message: 'Please choose a month as YYYY-MM' });
+    }
+    if (!therapistId || !mongoose.isValidObjectId(therapistId)) {
+      return res.status(400).json({ message: 'Please choose a therapist' });
+    }
+    if (!(await canSeeBilling(req.user, { therapistId }))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await sendDocument(req, res, await issueStatement(therapistId, month, req.user));
+  } catch (error) {
+    if (error instanceof BillingError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Download statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Billing documents issued to or by the current user
+// @route   GET /api/billing/documents
+// @access  Private
+const getBillingDocuments = async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    let query = {};
+    if (req.user.role === 'patient') {
+      query.patientId = req.user._id;
+    } else if (req.user.role === 'therapist') {
+      query.therapistId = req.user._id;
+    } else if (hasPermission(req.user, 'finance:read')) {
+      if (req.query.therapistId) query.therapistId = req.query.therapistId;
+      if (req.query.patientId) query.patientId = req.query.patientId;
+    } else {
+      query.issuedBy = req.user._id;
+    }
+    if (type) query.type = type;
+
+    const documents = await BillingDocument.find(query)
+      .select('-key')
+      .populate('patientId', 'name')
+      .populate('therapistId', 'name')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    console.error('Get billing documents error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Download an issued document again
+// @route   GET /api/billing/documents/:id.pdf
+// @access  Private (Anyone who could issue it)
+const downloadBillingDocument = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const document = await BillingDocument.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    if (!(await canSeeBilling(req.user, document))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await sendDocument(req, res, document);
+  } catch (error) {
+    console.error('Download billing document error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  downloadReceipt,
+  downloadSuperbill,
+  downloadStatement,
+  getBillingDocuments,
+  downloadBillingDocument
+};
\ No newline at end of file
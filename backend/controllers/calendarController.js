@@ -0,0 +1,77 @@
+const {
+  feedCalendar,
+  createFeedToken,
+  revokeFeedToken,
+  findFeedUser
+} = require('../services/calendarService');
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+
+// @desc    Whether the current user has a calendar feed
+// @route   GET /api/calendar/feed
+// @access  Private
+const getCalendarFeed = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      active: Boolean(req.user.calendarFeed?.tokenHash),
+      createdAt: req.user.calendarFeed?.createdAt || null
+    }
+  });
+};
+
+// @desc    Create a private calendar feed URL, replacing any earlier one
+// @route   POST /api/calendar/feed
+// @access  Private
+const createCalendarFeed = async (req, res) => {
+  try {
+    const token = await createFeedToken(req.user._id);
+
+    res.status(201).json({
+      message: 'Calendar feed created. Anyone with this link can see your session times, so keep it private.',
+      url: feedUrl(req, token)
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Turn off the calendar feed
+// @route   DELETE /api/calendar/feed
+// @access  Private
+const revokeCalendarFeed = async (req, res) => {
+  try {
+    await revokeFeedToken(req.user._id);
+    res.json({ message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Upcoming sessions as an iCalendar feed for calendar apps
+// @route   GET /api/calendar/:token.ics
+// @access  Public (the token is the credential)
+const serveCalendarFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(await feedCalendar(user));
+  } catch (error) {
+    console.error('Serve calendar feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  serveCalendarFeed
+};
\ No newline at end of file
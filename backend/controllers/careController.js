@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const CareRelationship = require('../models/CareRelationship');
+const { endCare, transferCare } = require('../services/careService');
+const { canManageCare } = require('../services/authorizationService');
+const { hasPermission } = require('../services/permissionService');
+
+// @desc    List care relationships for the current user
+// @route   GET /api/care
+// @access  Private
+const getCareRelationships = async (req, res) => {
+  try {
+    const { status, patientId, therapistId } = req.query;
+
+    let query = {};
+
+    if (req.user.role === 'patient') {
+      query.patientId = req.user._id;
+    } else if (req.user.role === 'therapist') {
+      query.therapistId = req.user._id;
+    } else if (hasPermission(req.user, 'clinical:read') || hasPermission(req.user, 'care:manage')) {
+      // Clinical staff can look up any patient or therapist
+      if (patientId) query.patientId = patientId;
+      if (therapistId) query.therapistId = therapistId;
+    } else {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+    }
+
+    if (status) query.status = status;
+
+    const relationships = await CareRelationship.find(query)
+      .populate('patientId', 'name email')
+      .populate('therapistId', 'name email')
+      .sort({ status: 1, startDate: -1 });
+
+    res.json({
+      success: true,
+      count: relationships.length,
+      data: relationships
+    });
+  } catch (error) {
+    console.error('Get care relationships error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load an active relationship the current user may manage, or send the error
+const loadManageableCare = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Care relationship not found' });
+    return null;
+  }
+
+  const care = await CareRelationship.findById(req.params.id);
+  if (!care) {
+    res.status(404).json({ message: 'Care relationship not found' });
+    return null;
+  }
+
+  if (!canManageCare(req.user, care)) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  if (care.status !== 'active') {
+    res.status(400).json({ message: `This care relationship has already been ${care.status}` });
+    return null;
+  }
+
+  return care;
+};
+
+// @desc    End care for a patient
+// @route   PUT /api/care/:id/end
+// @access  Private (Treating therapist or care:manage)
+const endCareRelationship = async (req, res) => {
+  try {
+    const care = await loadManageableCare(req, res);
+    if (!care) return;
+
+    await endCare(care, req.user, req.body.reason);
+
+    res.json({
+      message: 'Care ended. Upcoming appointments have been cancelled.',
+      data: care
+    });
+  } catch (error) {
+    console.error('End care error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Transfer a patient to another therapist
+// @route   PUT /api/care/:id/transfer
+// @access  Private (Treating therapist or care:manage)
+const transferCareRelationship = async (req, res) => {
+  try {
+    const { therapistId, reason } = req.body;
+
+    if (!therapistId || !mongoose.isValidObjectId(therapistId)) {
+      return res.status(400).json({ message: 'Please choose the therapist to transfer to' });
+    }
+
+    const care = await loadManageableCare(req, res);
+    if (!care) return;
+
+    const newCare = await transferCare(care, therapistId, req.user, reason);
+    if (!newCare) {
+      return res.status(400).json({ message: 'The selected therapist is not available for transfers' });
+    }
+
+    await newCare.populate('therapistId', 'name email');
+
+    res.json({
+      message: 'Care transferred successfully',
+      data: {
+        previous: care,
+        current: newCare
+      }
+    });
+  } catch (error) {
+    console.error('Transfer care error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getCareRelationships,
+  endCareRelationship,
+  transferCareRelationship
+};
\ No newline at end of file
@@ -1,5 +1,7 @@
 const Chat = require('../models/Chat');
 const User = require('../models/User');
+const { canMessage, canViewConversation } = require('../services/authorizationService');
+const { recordAuditEvent } = require('../services/auditService');
 
 // @desc    Send message
 // @route   POST /api/chat/send
@@ -23,9 +25,8 @@ const sendMessage = async (req, res) => {
       return res.status(404).json({ message: 'Receiver not found' });
     }
 
-    // Check if users have a therapeutic relationship (patient-therapist)
-    const isTherapeuticRelationship = await checkTherapeuticRelationship(req.user.id, receiverId);
-    if (!isTherapeuticRelationship && req.user.role !== 'admin') {
+    // Patients and therapists can only message each other while in active care
+    if (!(await canMessage(req.user, receiverId))) {
       return res.status(403).json({ message: 'You can only message your assigned therapist/patients' });
     }
 
@@ -61,12 +62,18 @@ const getConversation = async (req, res) => {
     const { userId } = req.params;
     const { page = 1, limit = 50 } = req.query;
 
-    // Check if users have a therapeutic relationship
-    const isTherapeuticRelationship = await checkTherapeuticRelationship(req.user.id, userId);
-    if (!isTherapeuticRelationship && req.user.role !== 'admin') {
+    if (!(await canViewConversation(req.user, userId))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Staff reading a patient's messages is a record access like any other
+    if (req.user.role === 'admin') {
+      const other = await User.findById(userId).select('role');
+      if (other?.role === 'patient') {
+        await recordAuditEvent(req, { patientId: other._id, resourceType: 'messages' });
+      }
+    }
+
     const conversationId = [req.user.id, userId].sort().join('_');
 
     const messages = await Chat.find({ conversationId })
@@ -207,35 +214,6 @@ const markAsRead = async (req, res) => {
   }
 };
 
-// Helper function to check therapeutic relationship
-const checkTherapeuticRelationship = async (userId1, userId2) => {
-  const user1 = await User.findById(userId1);
-  const user2 = await User.findById(userId2);
-
-  if (!user1 || !user2) return false;
-
-  // Admin can message anyone
-  if (user1.role === 'admin' || user2.role === 'admin') return true;
-
-  // Check if one is patient and other is therapist
-  if ((user1.role === 'patient' && user2.role === 'therapist') ||
-      (user1.role === 'therapist' && user2.role === 'patient')) {
-    
-    // Check if they have appointments together
-    const Appointment = require('../models/Appointment');
-    const appointments = await Appointment.find({
-      $or: [
-        { patientId: userId1, therapistId: userId2 },
-        { patientId: userId2, therapistId: userId1 }
-      ]
-    });
-
-    return appointments.length > 0;
-  }
-
-  return false;
-};
-
 module.exports = {
   sendMessage,
   getConversation,
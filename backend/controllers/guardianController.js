@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const GuardianLink = require('../models/GuardianLink');
+const SharedSummary = require('../models/SharedSummary');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { adulthoodDate, isMinor, findActiveLink } = require('../services/guardianService');
+const {
+  canAccessPatientRecords,
+  canViewSharedSummaries,
+  canManageGuardianLink
+} = require('../services/authorizationService');
+const { recordAuditEvent } = require('../services/auditService');
+
+const { GUARDIAN_CONSENTS } = GuardianLink;
+
+// @desc    Ask to become the guardian of a minor patient
+// @route   POST /api/guardians/links
+// @access  Private (Guardian only)
+const requestGuardianLink = async (req, res) => {
+  try {
+    const { patientEmail, relation } = req.body;
+
+    if (!patientEmail) {
+      return res.status(400).json({ message: "Please provide the patient's email address" });
+    }
+
+    // The same answer whether the account is missing or an adult, so the
+    // endpoint can't be used to probe for patients
+    const patient = await User.findOne({ email: patientEmail, role: 'patient' });
+    if (!patient || !isMinor(patient)) {
+      return res.status(400).json({
+        message: 'No patient under 18 with a recorded date of birth was found for that email'
+      });
+    }
+
+    const existingLink = await GuardianLink.findOne({
+      guardianId: req.user._id,
+      patientId: patient._id,
+      status: { $in: ['pending', 'active'] }
+    });
+    if (existingLink) {
+      return res.status(400).json({ message: `You already have a ${existingLink.status} link to this patient` });
+    }
+
+    const link = await GuardianLink.create({
+      guardianId: req.user._id,
+      patientId: patient._id,
+      relation,
+      expiresAt: adulthoodDate(patient.profileDetails.dateOfBirth)
+    });
+
+    await link.populate('patientId', 'name email');
+
+    res.status(201).json({
+      message: 'Request sent. Access starts once the patient or their therapist approves it.',
+      data: link
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid relation' });
+    }
+    console.error('Request guardian link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    List guardian links for the current user, or for a patient
+// @route   GET /api/guardians/links
+// @access  Private
+const getGuardianLinks = async (req, res) => {
+  try {
+    const { patientId, status } = req.query;
+
+    let query = {};
+
+    if (req.user.role === 'guardian') {
+      query.guardianId = req.user._id;
+    } else if (req.user.role === 'patient') {
+      query.patientId = req.user._id;
+    } else {
+      if (!patientId || !mongoose.isValidObjectId(patientId)) {
+        return res.status(400).json({ message: 'Please provide a valid patientId' });
+      }
+      if (!(await canManageGuardianLink(req.user, { patientId }))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      query.patientId = patientId;
+    }
+
+    if (status) query.status = status;
+
+    const links = await GuardianLink.find(query)
+      .populate('guardianId', 'name email')
+      .populate('patientId', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: links.length,
+      data: links
+    });
+  } catch (error) {
+    console.error('Get guardian links error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const loadLink = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Guardian link not found' });
+    return null;
+  }
+
+  const link = await GuardianLink.findById(req.params.id);
+  if (!link) {
+    res.status(404).json({ message: 'Guardian link not found' });
+    return null;
+  }
+
+  if (!['pending', 'active'].includes(link.status) || link.expiresAt <= new Date()) {
+    res.status(400).json({ message: 'This guardian link is no longer in effect' });
+    return null;
+  }
+
+  return link;
+};
+
+// @desc    Approve a guardian, or change what an approved guardian may do
+// @route   PUT /api/guardians/links/:id/approve
+// @access  Private (Patient, their therapist, or guardians:manage)
+const approveGuardianLink = async (req, res) => {
+  try {
+    const { consents } = req.body;
+
+    if (!Array.isArray(consents) || consents.some(consent => !GUARDIAN_CONSENTS.includes(consent))) {
+      return res.status(400).json({ message: 'Invalid consents' });
+    }
+
+    const link = await loadLink(req, res);
+    if (!link) return;
+
+    if (!(await canManageGuardianLink(req.user, link))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (link.status === 'pending') {
+      link.status = 'active';
+      link.approvedAt = new Date();
+      link.approvedBy = req.user._id;
+    }
+    link.consents = [...new Set(consents)];
+    await link.save();
+
+    res.json({
+      message: 'Guardian access updated',
+      data: link
+    });
+  } catch (error) {
+    console.error('Approve guardian link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Withdraw a guardian link
+// @route   PUT /api/guardians/links/:id/revoke
+// @access  Private (The guardian, patient, their therapist, or guardians:manage)
+const revokeGuardianLink = async (req, res) => {
+  try {
+    const link = await loadLink(req, res);
+    if (!link) return;
+
+    const isGuardian = link.guardianId.equals(req.user._id);
+    if (!isGuardian && !(await canManageGuardianLink(req.user, link))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    link.status = 'revoked';
+    link.revokedAt = new Date();
+    link.revokedBy = req.user._id;
+    await link.save();
+
+    res.json({
+      message: 'Guardian access revoked',
+      data: link
+    });
+  } catch (error) {
+    console.error('Revoke guardian link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Appointments of a minor in the guardian's care
+// @route   GET /api/guardians/patients/:patientId/appointments
+// @access  Private (Guardian only)
+const getMinorAppointments = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+
+    if (!mongoose.isValidObjectId(patientId)) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const link = await findActiveLink(req.user._id, patientId, 'view_appointments');
+    if (!link) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // The patient's own booking notes stay private
+    const appointments = await Appointment.find({ patientId })
+      .select('-notes')
+      .populate('therapistId', 'name profileDetails.specialization')
+      .sort({ date: 1, time: 1 });
+
+    res.json({
+      success: true,
+      count: appointments.length,
+      data: appointments
+    });
+  } catch (error) {
+    console.error('Get minor appointments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Write a summary to share with a minor's guardians
+// @route   POST /api/guardians/patients/:patientId/summaries
+// @access  Private (Therapist only)
+const createSharedSummary = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { title, content, appointmentId } = req.body;
+
+    if (!title || !content) {
+      return res.status(400).json({ message: 'Please provide a title and the summary text' });
+    }
+
+    if (!mongoose.isValidObjectId(patientId) || !(await canAccessPatientRecords(req.user, patientId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const summary = await SharedSummary.create({
+      patientId,
+      therapistId: req.user._id,
+      appointmentId: mongoose.isValidObjectId(appointmentId) ? appointmentId : undefined,
+      title,
+      content
+    });
+
+    res.status(201).json({
+      message: 'Summary shared',
+      data: summary
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Summary is too long' });
+    }
+    console.error('Create shared summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Summaries shared about a patient
+// @route   GET /api/guardians/patients/:patientId/summaries
+// @access  Private
+const getSharedSummaries = async (req, res) => {
+  try {
+    const { patientId } = req.params;
+
+    if (!mongoose.isValidObjectId(patientId) || !(await canViewSharedSummaries(req.user, patientId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const summaries = await SharedSummary.find({ patientId })
+      .populate('therapistId', 'name')
+      .sort({ createdAt: -1 });
+
+    await recordAuditEvent(req, {
+      patientId,
+      resourceType: 'shared_summary'
+    });
+
+    res.json({
+      success: true,
+      count: summaries.length,
+      data: summaries
+    });
+  } catch (error) {
+    console.error('Get shared summaries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  requestGuardianLink,
+  getGuardianLinks,
+  approveGuardianLink,
+  revokeGuardianLink,
+  getMinorAppointments,
+  createSharedSummary,
+  getSharedSummaries
+};
\ No newline at end of file
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const { canActForPatient } = require('../services/authorizationService');
+const { hasPermission } = require('../services/permissionService');
+const { getProvider } = require('../services/payments');
+const {
+  PaymentError,
+  startPayment,
+  confirmPayment,
+  refundPayment,
+  handleWebhookEvent
+} = require('../services/paymentService');
+
+const idOf = (value) => (value?._id || value).toString();
+
+// The patient, or a guardian who may book for them
+const canPayFor = async (user, patientId) =>
+  idOf(patientId) === idOf(user) || canActForPatient(user, patientId, 'book_appointments');
+
+const sendPaymentError = (res, error) => {
+  if (error instanceof PaymentError) {
+    res.status(error.statusCode).json({ message: error.message });
+    return true;
+  }
+  return false;
+};
+
+// @desc    Start paying for an appointment (the session, or a cancellation fee)
+// @route   POST /api/payments/intents
+// @access  Private (Patient, or a guardian paying for a minor)
+const createPaymentIntent = async (req, res) => {
+  try {
+    const { appointmentId } = req.body;
+    if (!appointmentId || !mongoose.isValidObjectId(appointmentId)) {
+      return res.status(400).json({ message: 'Please choose an appointment to pay for' });
+    }
+
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (!(await canPayFor(req.user, appointment.patientId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { payment, clientSecret } = await startPayment(appointment, req.user);
+
+    res.status(201).json({
+      message: 'Payment started',
+      data: {
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        purpose: payment.purpose,
+        provider: payment.provider,
+        clientSecret
+      }
+    });
+  } catch (error) {
+    if (sendPaymentError(res, error)) return;
+    console.error('Create payment intent error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Pay with a card; sessions are charged once the therapist confirms
+// @route   POST /api/payments/:id/confirm
+// @access  Private (Patient, or a guardian paying for a minor)
+const confirmPaymentIntent = async (req, res) => {
+  try {
+    const { paymentMethod } = req.body;
+    if (!paymentMethod) {
+      return res.status(400).json({ message: 'Please provide a payment method' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    if (!(await canPayFor(req.user, payment.patientId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const updated = await confirmPayment(payment, { paymentMethod });
+
+    res.json({
+      message: updated.status === 'captured'
+        ? 'Payment successful'
+        : "Payment authorized. You'll be charged once your therapist confirms the session.",
+      data: updated
+    });
+  } catch (error) {
+    if (sendPaymentError(res, error)) return;
+    console.error('Confirm payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Payments and their ledger entries
+// @route   GET /api/payments
+// @access  Private (Own payments; finance:read for everyone's)
+const getPayments = async (req, res) => {
+  try {
+    const { appointmentId, status, page = 1, limit = 20 } = req.query;
+
+    // Query-string values reach the Mongo query, so only plain ids and known
+    // statuses get through
+    for (const field of ['patientId', 'therapistId', 'appointmentId']) {
+      const value = req.query[field];
+      if (value !== undefined && (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value))) {
+        return res.status(400).json({ message: `Invalid ${field}` });
+      }
+    }
+    if (status !== undefined && !Payment.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    let query = {};
+    if (hasPermission(req.user, 'finance:read')) {
+      if (req.query.patientId) query.patientId = req.query.patientId;
+      if (req.query.therapistId) query.therapistId = req.query.therapistId;
+    } else if (req.user.role === 'therapist') {
+      query.therapistId = req.user._id;
+    } else if (req.user.role === 'guardian') {
+      query.payerId = req.user._id;
+    } else {
+      query.patientId = req.user._id;
+    }
+    if (appointmentId) query.appointmentId = appointmentId;
+    if (status) query.status = status;
+
+    const payments = await Payment.find(query)
+      .populate('patientId', 'name email')
+      .populate('therapistId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .lean();
+
+    const transactions = await Transaction.find({ paymentId: { $in: payments.map(payment => payment._id) } })
+      .select('paymentId type amount currency status reason createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: payments.map(payment => ({
+        ...payment,
+        transactions: transactions.filter(entry => idOf(entry.paymentId) === idOf(payment))
+      })),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Refund some or all of a payment
+// @route   POST /api/payments/:id/refund
+// @access  Private (finance:refund)
+const refundPaymentById = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Everything left, unless an amount in minor units is given
+    const refundAmount = amount === undefined ? payment.amountCaptured - payment.amountRefunded : amount;
+    const updated = await refundPayment(payment, refundAmount, { reason, user: req.user });
+
+    res.json({
+      message: 'Refund issued',
+      data: updated
+    });
+  } catch (error) {
+    if (sendPaymentError(res, error)) return;
+    console.error('Refund payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Payment provider webhook
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (verified by the provider's signature)
+const receiveWebhook = async (req, res) => {
+  const provider = getProvider();
+  if (req.params.provider !== provider.name) {
+    return res.status(404).json({ message: 'Unknown payment provider' });
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid webhook' });
+  }
+
+  try {
+    await handleWebhookEvent(provider.name, event);
+    res.json({ received: true });
+  } catch (error) {
+    // A 500 makes the provider deliver the event again later
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createPaymentIntent,
+  confirmPaymentIntent,
+  getPayments,
+  refundPaymentById,
+  receiveWebhook
+};
\ No newline at end of file
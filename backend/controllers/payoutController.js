@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const PayoutSettings = require('../models/PayoutSettings');
+const User = require('../models/User');
+const {
+  PayoutError,
+  validateTerms,
+  pickTerms,
+  platformTerms,
+  generatePayouts,
+  approvePayout,
+  rejectPayout,
+  markPayoutPaid,
+  getEarnings
+} = require('../services/payoutService');
+
+const sendPayoutError = (res, error) => {
+  if (error instanceof PayoutError) {
+    res.status(error.statusCode).json({ message: error.message });
+    return true;
+  }
+  return false;
+};
+
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// @desc    List therapist payouts
+// @route   GET /api/admin/payouts
+// @access  Private (finance:read)
+const getPayouts = async (req, res) => {
+  try {
+    const { status, therapistId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (therapistId) query.therapistId = therapistId;
+
+    const payouts = await Payout.find(query)
+      .select('-lines')
+      .populate('therapistId', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ periodStart: -1, createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Payout.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: payouts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get a payout with its lines
+// @route   GET /api/admin/payouts/:id
+// @access  Private (finance:read)
+const getPayoutById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    const payout = await Payout.findById(req.params.id)
+      .populate('therapistId', 'name email')
+      .populate('lines.patientId', 'name')
+      .populate('reviewedBy', 'name')
+      .populate('paidBy', 'name');
+    if (!payout) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    res.json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    console.error('Get payout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Draft payouts for periods that have ended, without waiting for the job
+// @route   POST /api/admin/payouts/generate
+// @access  Private (finance:payouts)
+const draftDuePayouts = async (req, res) => {
+  try {
+    const drafted = await generatePayouts();
+
+    res.json({
+      message: drafted.length === 0
+        ? 'No payouts are due'
+        : `${drafted.length} payout${drafted.length === 1 ? '' : 's'} drafted for approval`,
+      count: drafted.length
+    });
+  } catch (error) {
+    console.error('Generate payouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Approve a drafted payout
+// @route   PUT /api/admin/payouts/:id/approve
+// @access  Private (finance:payouts)
+const approvePayoutById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    const payout = await approvePayout(req.params.id, req.user);
+
+    res.json({
+      message: 'Payout approved',
+      data: payout
+    });
+  } catch (error) {
+    if (sendPayoutError(res, error)) return;
+    console.error('Approve payout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reject a drafted payout; its entries move to the next one
+// @route   PUT /api/admin/payouts/:id/reject
+// @access  Private (finance:payouts)
+const rejectPayoutById = async (req, res) => {
+  try {
+    const reason = req.body.reason?.trim();
+    if (!reason) {
+      return res.status(400).json({ message: 'Please give a reason for rejecting the payout' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    const payout = await rejectPayout(req.params.id, req.user, reason);
+
+    res.json({
+      message: 'Payout rejected. Its entries will be included in the next payout.',
+      data: payout
+    });
+  } catch (error) {
+    if (sendPayoutError(res, error)) return;
+    console.error('Reject payout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Record that an approved payout has been sent
+// @route   PUT /api/admin/payouts/:id/paid
+// @access  Private (finance:payouts)
+const markPayoutPaidById = async (req, res) => {
+  try {
+    const reference = req.body.reference?.trim();
+    if (!reference) {
+      return res.status(400).json({ message: 'Please provide the transfer reference' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    const payout = await markPayoutPaid(req.params.id, req.user, reference);
+
+    res.json({
+      message: 'Payout marked as paid',
+      data: payout
+    });
+  } catch (error) {
+    if (sendPayoutError(res, error)) return;
+    console.error('Mark payout paid error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the platform commission and schedule, and therapists' own
+// @route   GET /api/admin/payout-settings
+// @access  Private (finance:read)
+const getPayoutSettings = async (req, res) => {
+  try {
+    const [defaults, overrides] = await Promise.all([
+      platformTerms(),
+      PayoutSettings.find({ therapistId: { $ne: null } }).populate('therapistId', 'name email')
+    ]);
+
+    res.json({
+      success: true,
+      data: { defaults, overrides }
+    });
+  } catch (error) {
+    console.error('Get payout settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const saveTerms = (therapistId, body, user) => PayoutSettings.findOneAndUpdate(
+  { therapistId },
+  { ...pickTerms(body), therapistId, updatedBy: user._id },
+  { upsert: true, new: true, runValidators: true }
+);
+
+// @desc    Set the platform commission and payout schedule
+// @route   PUT /api/admin/payout-settings
+// @access  Private (finance:payouts)
+const updatePlatformPayoutSettings = async (req, res) => {
+  try {
+    const validationError = validateTerms(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await saveTerms(null, req.body, req.user);
+
+    res.json({
+      message: 'Platform payout settings updated. They apply to payouts drafted from now on.',
+      data: await platformTerms()
+    });
+  } catch (error) {
+    console.error('Update payout settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Set a therapist's own commission or payout schedule
+// @route   PUT /api/admin/payout-settings/:therapistId
+// @access  Private (finance:payouts)
+const updateTherapistPayoutSettings = async (req, res) => {
+  try {
+    const validationError = validateTerms(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    if (Object.keys(pickTerms(req.body)).length === 0) {
+      return res.status(400).json({ message: 'Please provide a commission or schedule' });
+    }
+    if (!mongoose.isValidObjectId(req.params.therapistId)) {
+      return res.status(404).json({ message: 'Therapist not found' });
+    }
+
+    const therapist = await User.findOne({ _id: req.params.therapistId, role: 'therapist' });
+    if (!therapist) {
+      return res.status(404).json({ message: 'Therapist not found' });
+    }
+
+    const settings = await saveTerms(therapist._id, req.body, req.user);
+
+    res.json({
+      message: `Payout settings for ${therapist.name} updated`,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update therapist payout settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Put a therapist back on the platform commission and schedule
+// @route   DELETE /api/admin/payout-settings/:therapistId
+// @access  Private (finance:payouts)
+const deleteTherapistPayoutSettings = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.therapistId)) {
+      return res.status(404).json({ message: 'Therapist not found' });
+    }
+
+    await PayoutSettings.deleteOne({ therapistId: req.params.therapistId });
+
+    res.json({ message: 'The therapist is back on the platform payout settings' });
+  } catch (error) {
+    console.error('Delete therapist payout settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the current therapist's earnings and payouts
+// @route   GET /api/therapists/earnings
+// @access  Private (Therapist only)
+const getMyEarnings = async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ message: 'Please provide valid dates' });
+    }
+
+    const earnings = await getEarnings(req.user._id, { from, to });
+
+    res.json({
+      success: true,
+      data: earnings
+    });
+  } catch (error) {
+    console.error('Get earnings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getPayouts,
+  getPayoutById,
+  draftDuePayouts,
+  approvePayoutById,
+  rejectPayoutById,
+  markPayoutPaidById,
+  getPayoutSettings,
+  updatePlatformPayoutSettings,
+  updateTherapistPayoutSettings,
+  deleteTherapistPayoutSettings,
+  getMyEarnings
+};
\ No newline at end of file
@@ -0,0 +1,376 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const SessionPackage = require('../models/SessionPackage');
+const SessionProduct = require('../models/SessionProduct');
+const SlidingScaleRate = require('../models/SlidingScaleRate');
+const User = require('../models/User');
+const { canActForPatient } = require('../services/authorizationService');
+const { DEFAULT_CURRENCY } = require('../services/money');
+const { PaymentError, startPackagePayment } = require('../services/paymentService');
+const {
+  PricingError,
+  listProducts,
+  resolveProduct,
+  validateProduct,
+  checkIntake,
+  quotePrice
+} = require('../services/pricingService');
+
+const PRODUCT_FIELDS = ['name', 'kind', 'description', 'duration', 'price', 'packages'];
+
+const sendPricingError = (res, error) => {
+  if (error instanceof PricingError || error instanceof PaymentError) {
+    res.status(error.statusCode).json({ message: error.message });
+    return true;
+  }
+  return false;
+};
+
+const pickFields = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// The patient a request is for: the caller, or for guardians a minor they
+// may book for. Sends the error and returns null otherwise.
+const patientFor = async (req, res, patientId) => {
+  if (req.user.role !== 'guardian') return req.user._id;
+  if (!patientId || !(await canActForPatient(req.user, patientId, 'book_appointments'))) {
+    res.status(403).json({ message: 'You do not have consent to book for this patient' });
+    return null;
+  }
+  return patientId;
+};
+
+const findTherapist = (therapistId) => mongoose.isValidObjectId(therapistId)
+  ? User.findOne({ _id: therapistId, role: 'therapist', status: 'active' }).select('name profileDetails.hourlyRate')
+  : null;
+
+// @desc    A therapist's session products and packages
+// @route   GET /api/pricing/therapists/:therapistId/products
+// @access  Public
+const getTherapistProducts = async (req, res) => {
+  try {
+    const therapist = await findTherapist(req.params.therapistId);
+    if (!therapist) {
+      return res.status(404).json({ message: 'Therapist not found' });
+    }
+
+    res.json({ success: true, data: await listProducts(therapist) });
+  } catch (error) {
+    console.error('Get therapist products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the current therapist's session products
+// @route   GET /api/pricing/products
+// @access  Private (Therapist)
+const getMyProducts = async (req, res) => {
+  try {
+    const products = await SessionProduct.find({ therapistId: req.user._id, active: true })
+      .sort({ price: 1, createdAt: 1 });
+
+    res.json({ success: true, data: products });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Add a session product
+// @route   POST /api/pricing/products
+// @access  Private (Therapist)
+const createProduct = async (req, res) => {
+  try {
+    const fields = pickFields(req.body, PRODUCT_FIELDS);
+    if (fields.name === undefined || fields.duration === undefined || fields.price === undefined) {
+      return res.status(400).json({ message: 'Please provide a name, duration and price' });
+    }
+
+    const validationError = validateProduct(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const product = await SessionProduct.create({
+      ...fields,
+      therapistId: req.user._id,
+      currency: DEFAULT_CURRENCY
+    });
+
+    res.status(201).json({ message: 'Session type added', data: product });
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Change a session product. Booked appointments keep the price
+//          they were booked at.
+// @route   PUT /api/pricing/products/:id
+// @access  Private (Therapist)
+const updateProduct = async (req, res) => {
+  try {
+    const fields = pickFields(req.body, PRODUCT_FIELDS);
+    const validationError = validateProduct(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const product = mongoose.isValidObjectId(req.params.id) && await SessionProduct.findOneAndUpdate(
+      { _id: req.params.id, therapistId: req.user._id, active: true },
+      fields,
+      { new: true, runValidators: true }
+    );
+    if (!product) {
+      return res.status(404).json({ message: 'Session type not found' });
+    }
+
+    res.json({ message: 'Session type updated', data: product });
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Stop offering a session product. Packages already bought can
+//          still be used.
+// @route   DELETE /api/pricing/products/:id
+// @access  Private (Therapist)
+const archiveProduct = async (req, res) => {
+  try {
+    const product = mongoose.isValidObjectId(req.params.id) && await SessionProduct.findOneAndUpdate(
+      { _id: req.params.id, therapistId: req.user._id, active: true },
+      { active: false },
+      { new: true }
+    );
+    if (!product) {
+      return res.status(404).json({ message: 'Session type not found' });
+    }
+
+    res.json({ message: 'Session type removed' });
+  } catch (error) {
+    console.error('Archive product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Price a session before booking it, with a line per discount
+// @route   POST /api/pricing/quote
+// @access  Private (Patient, or a guardian booking for a minor)
+const getQuote = async (req, res) => {
+  try {
+    const { therapistId, productId, promoCode, packageId } = req.body;
+
+    const patientId = await patientFor(req, res, req.body.patientId);
+    if (!patientId) return;
+
+    const therapist = await findTherapist(therapistId);
+    if (!therapist) {
+      return res.status(404).json({ message: 'Therapist not found or not available' });
+    }
+
+    const product = await resolveProduct(therapist, productId);
+    await checkIntake(product, therapist._id, patientId);
+    const { amount, currency, pricing } = await quotePrice({
+      therapist,
+      patientId,
+      product,
+      promoCode: promoCode || undefined,
+      packageId: packageId || undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        productName: pricing.productName,
+        duration: product.duration,
+        listPrice: pricing.listPrice,
+        adjustments: pricing.adjustments,
+        amount,
+        currency
+      }
+    });
+  } catch (error) {
+    if (sendPricingError(res, error)) return;
+    console.error('Get quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Sliding-scale rates the current therapist has approved
+// @route   GET /api/pricing/sliding-scale
+// @access  Private (Therapist)
+const getSlidingScaleRates = async (req, res) => {
+  try {
+    const rates = await SlidingScaleRate.find({ therapistId: req.user._id })
+      .populate('patientId', 'name email')
+      .sort({ approvedAt: -1 });
+
+    res.json({ success: true, data: rates });
+  } catch (error) {
+    console.error('Get sliding-scale rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Approve or change a patient's sliding-scale rate
+// @route   PUT /api/pricing/sliding-scale/:patientId
+// @access  Private (Therapist)
+const setSlidingScaleRate = async (req, res) => {
+  try {
+    const { discountPercent, validUntil, note } = req.body;
+
+    if (!Number.isInteger(discountPercent) || discountPercent < 1 || discountPercent > 100) {
+      return res.status(400).json({ message: 'discountPercent must be a whole number from 1 to 100' });
+    }
+    const until = validUntil ? new Date(validUntil) : null;
+    if (until && (Number.isNaN(until.getTime()) || until <= new Date())) {
+      return res.status(400).json({ message: 'validUntil must be a date in the future' });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 300)) {
+      return res.status(400).json({ message: 'Notes are limited to 300 characters' });
+    }
+
+    // Only for patients who have booked with the therapist
+    const patientId = req.params.patientId;
+    const known = mongoose.isValidObjectId(patientId) &&
+      await Appointment.exists({ therapistId: req.user._id, patientId });
+    if (!known) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const rate = await SlidingScaleRate.findOneAndUpdate(
+      { therapistId: req.user._id, patientId },
+      { discountPercent, validUntil: until, note: note || undefined, approvedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    ).populate('patientId', 'name email');
+
+    res.json({ message: 'Sliding-scale rate saved', data: rate });
+  } catch (error) {
+    console.error('Set sliding-scale rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Withdraw a patient's sliding-scale rate. Booked sessions keep it.
+// @route   DELETE /api/pricing/sliding-scale/:patientId
+// @access  Private (Therapist)
+const removeSlidingScaleRate = async (req, res) => {
+  try {
+    const rate = mongoose.isValidObjectId(req.params.patientId) &&
+      await SlidingScaleRate.findOneAndDelete({ therapistId: req.user._id, patientId: req.params.patientId });
+    if (!rate) {
+      return res.status(404).json({ message: 'Sliding-scale rate not found' });
+    }
+
+    res.json({ message: 'Sliding-scale rate removed' });
+  } catch (error) {
+    console.error('Remove sliding-scale rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Session packages: a patient's own, those a guardian bought, or
+//          those sold by the current therapist
+// @route   GET /api/pricing/packages?therapistId=&patientId=
+// @access  Private
+const getPackages = async (req, res) => {
+  try {
+    const query = {};
+    if (req.user.role === 'therapist') {
+      query.therapistId = req.user._id;
+      if (mongoose.isValidObjectId(req.query.patientId)) query.patientId = req.query.patientId;
+    } else {
+      if (req.user.role === 'guardian' && req.query.patientId) {
+        const patientId = await patientFor(req, res, req.query.patientId);
+        if (!patientId) return;
+        query.patientId = patientId;
+      } else if (req.user.role === 'guardian') {
+        query.purchasedBy = req.user._id;
+      } else {
+        query.patientId = req.user._id;
+      }
+      if (mongoose.isValidObjectId(req.query.therapistId)) query.therapistId = req.query.therapistId;
+    }
+
+    const packages = await SessionPackage.find({ ...query, status: { $ne: 'pending_payment' } })
+      .populate('patientId', 'name')
+      .populate('therapistId', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: packages });
+  } catch (error) {
+    console.error('Get packages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Buy a session package. Its credits can be used once the payment
+//          is confirmed through /api/payments/:id/confirm.
+// @route   POST /api/pricing/packages
+// @access  Private (Patient, or a guardian buying for a minor)
+const purchasePackage = async (req, res) => {
+  try {
+    const { therapistId, productId, packageIndex } = req.body;
+
+    const patientId = await patientFor(req, res, req.body.patientId);
+    if (!patientId) return;
+
+    const therapist = await findTherapist(therapistId);
+    if (!therapist) {
+      return res.status(404).json({ message: 'Therapist not found or not available' });
+    }
+
+    const product = await resolveProduct(therapist, productId);
+    const option = Number.isInteger(packageIndex) && product.packages[packageIndex];
+    if (!option) {
+      return res.status(400).json({ message: 'This package is not available' });
+    }
+
+    const sessionPackage = await SessionPackage.create({
+      patientId,
+      therapistId: therapist._id,
+      productId: product._id,
+      productName: product.name,
+      purchasedBy: req.user._id,
+      sessionsTotal: option.sessions,
+      price: option.price,
+      currency: product.currency,
+      validityDays: option.validityDays
+    });
+
+    const { payment, clientSecret } = await startPackagePayment(sessionPackage, req.user);
+
+    res.status(201).json({
+      message: 'Package reserved. It can be used once the payment goes through.',
+      data: {
+        package: sessionPackage,
+        paymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        provider: payment.provider,
+        clientSecret
+      }
+    });
+  } catch (error) {
+    if (sendPricingError(res, error)) return;
+    console.error('Purchase package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getTherapistProducts,
+  getMyProducts,
+  createProduct,
+  updateProduct,
+  archiveProduct,
+  getQuote,
+  getSlidingScaleRates,
+  setSlidingScaleRate,
+  removeSlidingScaleRate,
+  getPackages,
+  purchasePackage
+};
\ No newline at end of file
@@ -1,5 +1,7 @@
 const Progress = require('../models/Progress');
 const User = require('../models/User');
+const { recordAuditEvent } = require('../services/auditService');
+const { canAccessPatientRecords } = require('../services/authorizationService');
 
 // @desc    Add patient progress
 // @route   POST /api/progress
@@ -88,24 +90,13 @@ const getProgressByPatient = async (req, res) => {
     const { patientId } = req.params;
     const { therapyModule, startDate, endDate, limit = 50 } = req.query;
 
-    // Check permissions
-    const isOwnProgress = req.user.id === patientId;
-    const isAdmin = req.user.role === 'admin';
-    
-    // Check if requesting user is patient's therapist
-    let isTherapist = false;
-    if (req.user.role === 'therapist') {
-      const appointments = await Appointment.find({
-        patientId,
-        therapistId: req.user.id
-      });
-      isTherapist = appointments.length > 0;
-    }
-
-    if (!isOwnProgress && !isTherapist && !isAdmin) {
+    // The patient, an admin, or a therapist currently caring for them
+    if (!(await canAccessPatientRecords(req.user, patientId, 'progress'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    await recordAuditEvent(req, { patientId, resourceType: 'progress' });
+
     let query = { patientId };
     
     if (therapyModule) {
@@ -166,23 +157,13 @@ const getProgressAnalytics = async (req, res) => {
     const { patientId } = req.params;
     const { period = '30' } = req.query; // days
 
-    // Check permissions (same as getProgressByPatient)
-    const isOwnProgress = req.user.id === patientId;
-    const isAdmin = req.user.role === 'admin';
-    
-    let isTherapist = false;
-    if (req.user.role === 'therapist') {
-      const appointments = await Appointment.find({
-        patientId,
-        therapistId: req.user.id
-      });
-      isTherapist = appointments.length > 0;
-    }
-
-    if (!isOwnProgress && !isTherapist && !isAdmin) {
+    // The patient, an admin, or a therapist currently caring for them
+    if (!(await canAccessPatientRecords(req.user, patientId, 'progress'))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    await recordAuditEvent(req, { patientId, resourceType: 'progress_analytics' });
+
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(period));
 
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const { DEFAULT_CURRENCY } = require('../services/money');
+const { validatePromoCode } = require('../services/pricingService');
+
+// The discount itself can't change once a code is out
+const EDITABLE_FIELDS = ['description', 'maxRedemptions', 'perPatientLimit', 'startsAt', 'expiresAt', 'active'];
+
+const pickFields = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// @desc    List discount codes
+// @route   GET /api/admin/promo-codes?active=true|false
+// @access  Private (promotions:manage)
+const getPromoCodes = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      query.active = req.query.active === 'true';
+    }
+
+    const promoCodes = await PromoCode.find(query)
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: promoCodes });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Issue a discount code
+// @route   POST /api/admin/promo-codes
+// @access  Private (promotions:manage)
+const createPromoCode = async (req, res) => {
+  try {
+    const { code, percentOff, amountOff } = req.body;
+    if (!code || (!percentOff && !amountOff)) {
+      return res.status(400).json({ message: 'Please provide a code and either percentOff or amountOff' });
+    }
+
+    const validationError = validatePromoCode(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const normalized = code.trim().toUpperCase();
+    if (await PromoCode.exists({ code: normalized })) {
+      return res.status(409).json({ message: 'This code already exists' });
+    }
+
+    const promoCode = await PromoCode.create({
+      ...pickFields(req.body, EDITABLE_FIELDS),
+      code: normalized,
+      percentOff: percentOff || undefined,
+      amountOff: amountOff || undefined,
+      currency: amountOff ? DEFAULT_CURRENCY : undefined,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ message: 'Code issued', data: promoCode });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Change a code's limits or dates, or withdraw it (active: false)
+// @route   PUT /api/admin/promo-codes/:id
+// @access  Private (promotions:manage)
+const updatePromoCode = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Code not found' });
+    }
+
+    const fields = pickFields(req.body, EDITABLE_FIELDS);
+    const validationError = validatePromoCode(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+      return res.status(400).json({ message: 'active must be true or false' });
+    }
+
+    const promoCode = await PromoCode.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true })
+      .populate('createdBy', 'name');
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Code not found' });
+    }
+
+    res.json({ message: 'Code updated', data: promoCode });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode
+};
\ No newline at end of file
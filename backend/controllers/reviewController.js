@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const {
+  ReviewError,
+  submitReview,
+  deleteReview,
+  moderateReview,
+  respondToReview,
+  ratingSummary
+} = require('../services/reviewService');
+
+// What anyone can see of a published review. Reviewers stay anonymous, as
+// naming them would say who is in therapy with whom.
+const PUBLIC_FIELDS = 'rating comment response createdAt updatedAt';
+
+const sendReviewError = (res, error) => {
+  if (error instanceof ReviewError) {
+    res.status(error.statusCode).json({ message: error.message });
+    return true;
+  }
+  return false;
+};
+
+const pageOf = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 50);
+  return { page, limit };
+};
+
+// @desc    Published reviews of a therapist, newest first
+// @route   GET /api/reviews/therapists/:therapistId
+// @access  Public
+const getTherapistReviews = async (req, res) => {
+  try {
+    const therapist = mongoose.isValidObjectId(req.params.therapistId) && await User.findOne({
+      _id: req.params.therapistId,
+      role: 'therapist',
+      status: 'active'
+    }).select('profileDetails.rating');
+    if (!therapist) {
+      return res.status(404).json({ message: 'Therapist not found' });
+    }
+
+    const { page, limit } = pageOf(req.query);
+    const query = { therapistId: therapist._id, status: 'published' };
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .select(PUBLIC_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      ...ratingSummary(therapist),
+      data: reviews,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get therapist reviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    The current patient's reviews, and the therapists they can review
+// @route   GET /api/reviews/mine
+// @access  Private (Patient)
+const getMyReviews = async (req, res) => {
+  try {
+    const [reviews, therapistIds] = await Promise.all([
+      Review.find({ patientId: req.user._id })
+        .populate('therapistId', 'name')
+        .sort({ updatedAt: -1 }),
+      Appointment.distinct('therapistId', { patientId: req.user._id, status: 'completed' })
+    ]);
+    const reviewable = await User.find({ _id: { $in: therapistIds }, role: 'therapist' }).select('name');
+
+    res.json({ success: true, data: reviews, reviewable });
+  } catch (error) {
+    console.error('Get my reviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Review a therapist, or revise an earlier review of them
+// @route   POST /api/reviews
+// @access  Private (Patient with a completed session)
+const createReview = async (req, res) => {
+  try {
+    const { therapistId, rating, comment } = req.body;
+    const review = await submitReview(req.user, { therapistId, rating, comment });
+
+    res.status(201).json({
+      message: review.status === 'published'
+        ? 'Thanks for your review'
+        : 'Thanks for your review. It will appear once our team has checked it.',
+      data: review
+    });
+  } catch (error) {
+    if (sendReviewError(res, error)) return;
+    console.error('Create review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Withdraw one of your reviews
+// @route   DELETE /api/reviews/:id
+// @access  Private (Patient)
+const deleteMyReview = async (req, res) => {
+  try {
+    const review = mongoose.isValidObjectId(req.params.id) &&
+      await Review.findOne({ _id: req.params.id, patientId: req.user._id });
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await deleteReview(review);
+
+    res.json({ message: 'Review removed' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Published reviews of the current therapist
+// @route   GET /api/reviews/received
+// @access  Private (Therapist)
+const getReceivedReviews = async (req, res) => {
+  try {
+    const { page, limit } = pageOf(req.query);
+    const query = { therapistId: req.user._id, status: 'published' };
+    const [reviews, total, therapist] = await Promise.all([
+      Review.find(query)
+        .select(PUBLIC_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Review.countDocuments(query),
+      User.findById(req.user._id).select('profileDetails.rating')
+    ]);
+
+    res.json({
+      success: true,
+      ...ratingSummary(therapist),
+      data: reviews,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get received reviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reply publicly to a review (empty text removes the reply)
+// @route   PUT /api/reviews/:id/response
+// @access  Private (The reviewed therapist)
+const respondToReviewById = async (req, res) => {
+  try {
+    const review = mongoose.isValidObjectId(req.params.id) &&
+      await Review.findOne({ _id: req.params.id, therapistId: req.user._id, status: 'published' });
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await respondToReview(review, req.body.text);
+
+    res.json({
+      message: review.response?.text ? 'Response saved' : 'Response removed',
+      data: await Review.findById(review._id).select(PUBLIC_FIELDS)
+    });
+  } catch (error) {
+    if (sendReviewError(res, error)) return;
+    console.error('Respond to review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reviews by moderation status, oldest first so the queue is
+//          worked in order
+// @route   GET /api/admin/reviews?status=pending|published|rejected
+// @access  Private (reviews:moderate)
+const getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    if (!['pending', 'published', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'status must be pending, published or rejected' });
+    }
+    const { page, limit } = pageOf(req.query);
+
+    const query = { status };
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('therapistId', 'name email')
+        .populate('patientId', 'name email')
+        .populate('moderatedBy', 'name')
+        .sort({ updatedAt: status === 'pending' ? 1 : -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Publish or reject a review
+// @route   PUT /api/admin/reviews/:id/moderate
+// @access  Private (reviews:moderate)
+const moderateReviewById = async (req, res) => {
+  try {
+    const review = mongoose.isValidObjectId(req.params.id) && await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const { decision, note } = req.body;
+    await moderateReview(review, { decision, note }, req.user);
+
+    res.json({
+      message: review.status === 'published' ? 'Review published' : 'Review rejected',
+      data: review
+    });
+  } catch (error) {
+    if (sendReviewError(res, error)) return;
+    console.error('Moderate review error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getTherapistReviews,
+  getMyReviews,
+  createReview,
+  deleteMyReview,
+  getReceivedReviews,
+  respondToReviewById,
+  getReviewQueue,
+  moderateReviewById
+};
\ No newline at end of file
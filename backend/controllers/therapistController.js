@@ -1,69 +1,72 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { validateAvailability, getBookableSlots } = require('../services/availabilityService');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc, addDays } = require('../services/timezone');
+const { parseBusyTimes } = require('../services/icsService');
+const { validatePolicy, policyFields, getPolicy } = require('../services/cancellationPolicyService');
+const { PricingError, resolveProduct } = require('../services/pricingService');
+const { ratingSummary } = require('../services/reviewService');
+const { SearchError, parseSearchQuery, searchTherapists } = require('../services/therapistSearchService');
+const { toMinorUnits } = require('../services/money');
 
-// @desc    Get all verified therapists
-// @route   GET /api/therapists
+// @desc    Get all verified therapists, cheapest first. Unpaginated; the
+//          directory uses /search instead.
+// @route   GET /api/therapists?specialization=&minRating=&maxRate=
 // @access  Public
 const getAllTherapists = async (req, res) => {
   try {
-    const { specialization, minRating, maxRate, availability } = req.query;
-    
-    let query = {
-      role: 'therapist',
-      status: 'active',
-      'profileDetails.verified': true
-    };
-
-    // Add filters
-    if (specialization) {
-      query['profileDetails.specialization'] = { $in: [specialization] };
+    const { specialization, minRating, maxRate } = req.query;
+    if (maxRate && !(Number(maxRate) >= 0)) {
+      return res.status(400).json({ message: 'maxRate must be a number' });
     }
 
-    const therapists = await User.find(query)
-      .select('-passwordHash')
-      .sort({ 'profileDetails.hourlyRate': 1 });
-
-    // Calculate additional metrics for each therapist
-    const therapistsWithMetrics = await Promise.all(
-      therapists.map(async (therapist) => {
-        const appointments = await Appointment.find({ 
-          therapistId: therapist._id,
-          status: 'completed'
-        });
+    const options = parseSearchQuery({
+      specialization,
+      minRating,
+      // Rates are in major units here, as on the therapist profile
+      maxPrice: maxRate ? String(toMinorUnits(maxRate)) : undefined,
+      sort: 'price'
+    });
+    const { therapists } = await searchTherapists({ ...options, limit: null });
 
-        const totalSessions = appointments.length;
-        const uniquePatients = new Set(appointments.map(apt => apt.patientId.toString())).size;
-        
-        // Calculate average rating (mock for now)
-        const averageRating = 4.5 + (Math.random() * 0.8); // 4.5-5.3 range
+    res.json({
+      success: true,
+      count: therapists.length,
+      data: therapists
+    });
+  } catch (error) {
+    if (error instanceof SearchError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get therapists error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-        return {
-          id: therapist._id,
-          name: therapist.name,
-          email: therapist.email,
-          specialization: therapist.profileDetails?.specialization || [],
-          experience: therapist.profileDetails?.experience || '0 years',
-          hourlyRate: therapist.profileDetails?.hourlyRate || 100,
-          bio: therapist.profileDetails?.bio || '',
-          languages: therapist.profileDetails?.languages || ['English'],
-          availability: therapist.profileDetails?.availability || [],
-          verified: therapist.profileDetails?.verified || false,
-          profilePicture: therapist.profileDetails?.profilePicture || '',
-          rating: Math.round(averageRating * 10) / 10,
-          totalSessions,
-          totalPatients: uniquePatients,
-          location: therapist.profileDetails?.location || 'Online'
-        };
-      })
-    );
+// @desc    Search the therapist directory
+// @route   GET /api/therapists/search?q=&specialization=&language=&minPrice=&maxPrice=
+//          &minRating=&sessionType=&availableWithin=&sort=&limit=&cursor=
+// @access  Public
+const searchTherapistDirectory = async (req, res) => {
+  try {
+    const { therapists, nextCursor } = await searchTherapists(parseSearchQuery(req.query));
 
     res.json({
       success: true,
-      count: therapistsWithMetrics.length,
-      data: therapistsWithMetrics
+      data: therapists,
+      pagination: {
+        nextCursor,
+        hasMore: nextCursor !== null
+      }
     });
   } catch (error) {
-    console.error('Get therapists error:', error);
+    if (error instanceof SearchError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Search therapists error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -106,6 +109,7 @@ const getTherapistById = async (req, res) => {
         availability: therapist.profileDetails?.availability || [],
         verified: therapist.profileDetails?.verified || false,
         profilePicture: therapist.profileDetails?.profilePicture || '',
+        ...ratingSummary(therapist),
         totalSessions,
         totalPatients: uniquePatients,
         joinedAt: therapist.createdAt
@@ -117,37 +121,280 @@ const getTherapistById = async (req, res) => {
   }
 };
 
+// @desc    Get the current therapist's availability settings
+// @route   GET /api/therapists/availability
+// @access  Private (Therapist only)
+const getMyAvailability = async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ therapistId: req.user._id });
+
+    res.json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 // @desc    Update therapist availability
 // @route   PUT /api/therapists/availability
 // @access  Private (Therapist only)
 const updateAvailability = async (req, res) => {
   try {
-    const { availability } = req.body;
+    const {
+      timezone,
+      sessionLength,
+      bufferMinutes,
+      weeklyRules = [],
+      exceptions = [],
+      vacations = []
+    } = req.body;
 
-    if (!Array.isArray(availability)) {
-      return res.status(400).json({ message: 'Availability must be an array' });
+    const validationError = validateAvailability({ timezone, weeklyRules, exceptions, vacations });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
 
-    const user = await User.findById(req.user.id);
-    if (!user || user.role !== 'therapist') {
-      return res.status(403).json({ message: 'Access denied. Therapists only.' });
+    let availability = await Availability.findOne({ therapistId: req.user._id });
+    if (!availability) {
+      availability = new Availability({ therapistId: req.user._id });
     }
 
-    user.profileDetails.availability = availability;
-    await user.save();
+    availability.set({ timezone, weeklyRules, exceptions, vacations });
+    if (sessionLength !== undefined) availability.sessionLength = sessionLength;
+    if (bufferMinutes !== undefined) availability.bufferMinutes = bufferMinutes;
+
+    await availability.save();
 
     res.json({
       message: 'Availability updated successfully',
-      availability: user.profileDetails.availability
+      availability
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
     console.error('Update availability error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+// How far ahead imported busy times are kept
+const BUSY_TIME_HORIZON_DAYS = 365;
+const MAX_BUSY_TIMES = 2000;
+
+// @desc    Replace the therapist's busy times with those in an .ics file
+// @route   PUT /api/therapists/availability/busy-times
+// @access  Private (Therapist only)
+const importBusyTimes = async (req, res) => {
+  try {
+    const { ics } = req.body;
+
+    if (typeof ics !== 'string' || !ics.includes('BEGIN:VCALENDAR')) {
+      return res.status(400).json({ message: 'Please upload an iCalendar (.ics) file' });
+    }
+
+    const availability = await Availability.findOne({ therapistId: req.user._id });
+    if (!availability) {
+      return res.status(400).json({ message: 'Please set your availability first' });
+    }
+
+    const now = new Date();
+    const busyTimes = parseBusyTimes(ics, {
+      timeZone: availability.timezone,
+      from: now,
+      to: new Date(now.getTime() + BUSY_TIME_HORIZON_DAYS * 24 * 60 * 60 * 1000)
+    });
+    if (busyTimes.length > MAX_BUSY_TIMES) {
+      return res.status(400).json({ message: `That calendar has more than ${MAX_BUSY_TIMES} busy times in the next year` });
+    }
+
+    availability.busyTimes = busyTimes;
+    availability.busyTimesImportedAt = now;
+    await availability.save();
+
+    res.json({
+      message: `Imported ${busyTimes.length} busy ${busyTimes.length === 1 ? 'time' : 'times'}`,
+      availability
+    });
+  } catch (error) {
+    console.error('Import busy times error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Remove imported busy times
+// @route   DELETE /api/therapists/availability/busy-times
+// @access  Private (Therapist only)
+const clearBusyTimes = async (req, res) => {
+  try {
+    const availability = await Availability.findOneAndUpdate(
+      { therapistId: req.user._id },
+      { busyTimes: [], $unset: { busyTimesImportedAt: 1 } },
+      { new: true }
+    );
+
+    res.json({
+      message: 'Busy times removed',
+      availability
+    });
+  } catch (error) {
+    console.error('Clear busy times error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Get the current therapist's cancellation policy
+// @route   GET /api/therapists/cancellation-policy
+// @access  Private (Therapist only)
+const getMyCancellationPolicy = async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findOne({ therapistId: req.user._id });
+
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Get cancellation policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Set the therapist's cancellation policy for new bookings
+// @route   PUT /api/therapists/cancellation-policy
+// @access  Private (Therapist only)
+const updateCancellationPolicy = async (req, res) => {
+  try {
+    const validationError = validatePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(policyFields(req.body)).filter(([, value]) => value !== undefined)
+    );
+
+    const policy = await CancellationPolicy.findOneAndUpdate(
+      { therapistId: req.user._id },
+      { $set: changes },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Cancellation policy updated. It applies to sessions booked from now on.',
+      policy
+    });
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    A therapist's cancellation policy, shown before booking
+// @route   GET /api/therapists/:id/cancellation-policy
+// @access  Public
+const getTherapistCancellationPolicy = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Therapist not found' });
+    }
+
+    res.json({
+      success: true,
+      data: await getPolicy(req.params.id)
+    });
+  } catch (error) {
+    console.error('Get therapist cancellation policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Longest range of slots returned by one request
+const MAX_SLOT_RANGE_DAYS = 62;
+
+// @desc    Bookable slots for a therapist, in the caller's timezone, sized
+//          for one of their session products when `productId` is given
+// @route   GET /api/therapists/:id/slots?from=YYYY-MM-DD&to=YYYY-MM-DD&timezone=Area/City&productId=
+// @access  Public
+const getTherapistSlots = async (req, res) => {
+  try {
+    const { from, to, timezone = 'UTC', productId } = req.query;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Therapist not found' });
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(from || '') || !datePattern.test(to || '') || from > to) {
+      return res.status(400).json({ message: 'Please provide from and to dates as YYYY-MM-DD' });
+    }
+
+    if (addDays(from, MAX_SLOT_RANGE_DAYS - 1) < to) {
+      return res.status(400).json({ message: `Please request at most ${MAX_SLOT_RANGE_DAYS} days at a time` });
+    }
+
+    const therapist = await User.findOne({ _id: req.params.id, role: 'therapist', status: 'active' })
+      .select('profileDetails.hourlyRate');
+    if (!therapist) {
+      return res.status(404).json({ message: 'Therapist not found' });
+    }
+
+    const product = productId ? await resolveProduct(therapist, productId) : null;
+    const availability = await Availability.findOne({ therapistId: req.params.id });
+    const sessionLength = product?.duration || availability?.sessionLength || null;
+
+    // `from` and `to` are whole days in the caller's timezone
+    const slots = availability
+      ? await getBookableSlots(
+        req.params.id,
+        zonedTimeToUtc(from, '00:00', timezone),
+        zonedTimeToUtc(addDays(to, 1), '00:00', timezone),
+        { availability, sessionLength }
+      )
+      : [];
+
+    res.json({
+      success: true,
+      timezone,
+      therapistTimezone: availability?.timezone || null,
+      sessionLength,
+      count: slots.length,
+      data: slots.map(slot => {
+        const local = getZonedParts(slot.start, timezone);
+        return {
+          start: slot.start,
+          end: slot.end,
+          date: local.date,
+          time: local.time
+        };
+      })
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get therapist slots error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   getAllTherapists,
+  searchTherapistDirectory,
   getTherapistById,
-  updateAvailability
+  getMyAvailability,
+  updateAvailability,
+  importBusyTimes,
+  clearBusyTimes,
+  getMyCancellationPolicy,
+  updateCancellationPolicy,
+  getTherapistCancellationPolicy,
+  getTherapistSlots
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 const VideoSession = require('../models/VideoSession');
 const Appointment = require('../models/Appointment');
 const User = require('../models/User');
+const { recordAuditEvent } = require('../services/auditService');
+const { canJoinVideoSession, canViewVideoSession } = require('../services/authorizationService');
+const { AppointmentTransitionError, transitionAppointment } = require('../services/appointmentStatusService');
 
 // @desc    Create video session
 // @route   POST /api/video/create
@@ -22,11 +25,8 @@ const createVideoSession = async (req, res) => {
       return res.status(404).json({ message: 'Appointment not found' });
     }
 
-    // Check if user is part of this appointment
-    const isPatient = appointment.patientId._id.toString() === req.user.id;
-    const isTherapist = appointment.therapistId._id.toString() === req.user.id;
-
-    if (!isPatient && !isTherapist) {
+    // Check if user is part of this appointment and still in care
+    if (!(await canJoinVideoSession(req.user, appointment))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -93,13 +93,16 @@ const getVideoSession = async (req, res) => {
     }
 
     // Check if user is part of this session
-    const isPatient = videoSession.patientId._id.toString() === req.user.id;
-    const isTherapist = videoSession.therapistId._id.toString() === req.user.id;
-
-    if (!isPatient && !isTherapist && req.user.role !== 'admin') {
+    if (!(await canViewVideoSession(req.user, videoSession))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    await recordAuditEvent(req, {
+      patientId: videoSession.patientId._id,
+      resourceType: 'video_session',
+      resourceId: videoSession._id
+    });
+
     res.json({
       success: true,
       data: videoSession
@@ -124,10 +127,7 @@ const updateSessionStatus = async (req, res) => {
     }
 
     // Check permissions
-    const isPatient = videoSession.patientId.toString() === req.user.id;
-    const isTherapist = videoSession.therapistId.toString() === req.user.id;
-
-    if (!isPatient && !isTherapist) {
+    if (!(await canJoinVideoSession(req.user, videoSession))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -144,10 +144,16 @@ const updateSessionStatus = async (req, res) => {
         videoSession.duration = Math.floor((videoSession.endTime - videoSession.startTime) / 1000);
       }
       
-      // Update appointment status to completed
-      await Appointment.findByIdAndUpdate(videoSession.appointmentId, {
-        status: 'completed'
-      });
+      // Completing the appointment is up to the therapist (or staff), once
+      // the session has started; anyone else just leaves the call
+      const appointment = await Appointment.findById(videoSession.appointmentId);
+      if (appointment) {
+        try {
+          await transitionAppointment(appointment, 'completed', req.user);
+        } catch (error) {
+          if (!(error instanceof AppointmentTransitionError)) throw error;
+        }
+      }
     }
 
     if (sessionNotes) {
@@ -160,6 +166,13 @@ const updateSessionStatus = async (req, res) => {
 
     await videoSession.save();
 
+    await recordAuditEvent(req, {
+      patientId: videoSession.patientId,
+      action: 'update',
+      resourceType: 'video_session',
+      resourceId: videoSession._id
+    });
+
     res.json({
       message: 'Session status updated successfully',
       data: videoSession
@@ -183,10 +196,7 @@ const joinVideoSession = async (req, res) => {
     }
 
     // Check permissions
-    const isPatient = videoSession.patientId.toString() === req.user.id;
-    const isTherapist = videoSession.therapistId.toString() === req.user.id;
-
-    if (!isPatient && !isTherapist) {
+    if (!(await canJoinVideoSession(req.user, videoSession))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -220,20 +230,6 @@ const joinVideoSession = async (req, res) => {
   }
 };
 
-// Helper function to check therapeutic relationship
-const checkTherapeuticRelationship = async (userId1, userId2) => {
-  const Appointment = require('../models/Appointment');
-  
-  const appointments = await Appointment.find({
-    $or: [
-      { patientId: userId1, therapistId: userId2 },
-      { patientId: userId2, therapistId: userId1 }
-    ]
-  });
-
-  return appointments.length > 0;
-};
-
 module.exports = {
   createVideoSession,
   getVideoSession,
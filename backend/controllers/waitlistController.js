@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { canActForPatient } = require('../services/authorizationService');
+const { hasPermission } = require('../services/permissionService');
+const { recordAuditEvent } = require('../services/auditService');
+const { normalizeTime } = require('../services/availabilityService');
+const { isValidTimeZone } = require('../services/timezone');
+const {
+  ACTIVE_ENTRY_STATUSES,
+  passOnOffer,
+  acceptOffer,
+  nextPosition
+} = require('../services/waitlistService');
+
+const idOf = (value) => (value?._id || value).toString();
+
+// Preferred windows as stored, or an error message
+const parsePreferences = (preferences = []) => {
+  if (!Array.isArray(preferences)) return { error: 'Preferences must be a list' };
+
+  const parsed = [];
+  for (const window of preferences) {
+    const dayOfWeek = parseInt(window.dayOfWeek);
+    const start = normalizeTime(window.start);
+    const end = normalizeTime(window.end);
+
+    if (!(dayOfWeek >= 0 && dayOfWeek <= 6)) return { error: 'Invalid day of week' };
+    if (!start || !end || start >= end) return { error: 'Each preferred time needs a start before its end' };
+
+    parsed.push({ dayOfWeek, start, end });
+  }
+  return { preferences: parsed };
+};
+
+// Load a waitlist entry for the patient (or a guardian who may book for
+// them), or send the error
+const loadOwnEntry = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Waitlist entry not found' });
+    return null;
+  }
+
+  const entry = await WaitlistEntry.findById(req.params.id);
+  if (!entry) {
+    res.status(404).json({ message: 'Waitlist entry not found' });
+    return null;
+  }
+
+  const isPatient = idOf(entry.patientId) === idOf(req.user);
+  if (!isPatient && !(await canActForPatient(req.user, entry.patientId, 'book_appointments'))) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return entry;
+};
+
+// @desc    Join a therapist's waitlist
+// @route   POST /api/waitlist
+// @access  Private (Patient, or a guardian booking for a minor)
+const joinWaitlist = async (req, res) => {
+  try {
+    const { therapistId, timezone, sessionType, notes } = req.body;
+
+    if (!therapistId || !mongoose.isValidObjectId(therapistId)) {
+      return res.status(400).json({ message: 'Please choose a therapist' });
+    }
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    const { preferences, error } = parsePreferences(req.body.preferences);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    let patientId = req.user._id;
+    if (req.user.role === 'guardian') {
+      patientId = req.body.patientId;
+      if (!patientId || !(await canActForPatient(req.user, patientId, 'book_appointments'))) {
+        return res.status(403).json({ message: 'You do not have consent to book for this patient' });
+      }
+    }
+
+    const therapist = await User.findOne({ _id: therapistId, role: 'therapist', status: 'active' });
+    if (!therapist) {
+      return res.status(404).json({ message: 'Therapist not found or not available' });
+    }
+
+    const existing = await WaitlistEntry.exists({
+      therapistId,
+      patientId,
+      status: { $in: ACTIVE_ENTRY_STATUSES }
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'You are already on this waitlist' });
+    }
+
+    const entry = await WaitlistEntry.create({
+      therapistId,
+      patientId,
+      position: await nextPosition(therapistId),
+      preferences,
+      timezone: timezone || 'UTC',
+      sessionType,
+      notes
+    });
+
+    res.status(201).json({
+      message: `You're on ${therapist.name}'s waitlist. We'll let you know when a matching time opens up.`,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Waitlist entries for the current user
+// @route   GET /api/waitlist
+// @access  Private (Patients see their own, therapists their waitlist in order)
+const getWaitlist = async (req, res) => {
+  try {
+    const { therapistId } = req.query;
+
+    let query = { status: { $in: ACTIVE_ENTRY_STATUSES } };
+
+    if (req.user.role === 'patient') {
+      query.patientId = req.user._id;
+    } else if (req.user.role === 'therapist') {
+      query.therapistId = req.user._id;
+    } else if (hasPermission(req.user, 'clinical:read')) {
+      if (therapistId) query.therapistId = therapistId;
+    } else {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .select('-pastOffers')
+      .populate('patientId', 'name email')
+      .populate('therapistId', 'name email')
+      .sort({ position: 1 });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Reorder the therapist's waitlist
+// @route   PUT /api/waitlist/reorder
+// @access  Private (Therapist only)
+const reorderWaitlist = async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.length === 0 || !order.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Please provide the waitlist entries in their new order' });
+    }
+
+    const entries = await WaitlistEntry.find({
+      therapistId: req.user._id,
+      status: { $in: ACTIVE_ENTRY_STATUSES }
+    }).select('_id');
+
+    const current = new Set(entries.map(entry => entry._id.toString()));
+    if (order.length !== current.size || !order.every(id => current.has(String(id)))) {
+      return res.status(400).json({ message: 'The new order must list every patient on your waitlist once' });
+    }
+
+    await WaitlistEntry.bulkWrite(order.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, therapistId: req.user._id },
+        update: { position: index + 1 }
+      }
+    })));
+
+    res.json({ message: 'Waitlist order saved' });
+  } catch (error) {
+    console.error('Reorder waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Book the session offered from the waitlist
+// @route   PUT /api/waitlist/:id/accept
+// @access  Private (Patient, or a guardian booking for a minor)
+const acceptWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({ message: 'There is no session on offer' });
+    }
+
+    const appointment = await acceptOffer(entry, req.user);
+    if (!appointment) {
+      return res.status(400).json({ message: 'This offer has expired' });
+    }
+
+    await recordAuditEvent(req, {
+      patientId: appointment.patientId,
+      action: 'create',
+      resourceType: 'appointment',
+      resourceId: appointment._id
+    });
+
+    res.status(201).json({
+      message: 'Appointment booked successfully',
+      appointment
+    });
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Turn down the offered session and stay on the waitlist
+// @route   PUT /api/waitlist/:id/decline
+// @access  Private (Patient, or a guardian booking for a minor)
+const declineWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await loadOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered' || !(await passOnOffer(entry, 'declined'))) {
+      return res.status(400).json({ message: 'There is no session on offer' });
+    }
+
+    res.json({ message: "Offer declined. You're still on the waitlist." });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @desc    Leave a waitlist, or remove a patient from yours
+// @route   DELETE /api/waitlist/:id
+// @access  Private (Patient, guardian, or the therapist)
+const leaveWaitlist = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry || !ACTIVE_ENTRY_STATUSES.includes(entry.status)) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    const allowed = idOf(entry.patientId) === idOf(req.user) ||
+      idOf(entry.therapistId) === idOf(req.user) ||
+      await canActForPatient(req.user, entry.patientId, 'book_appointments');
+    if (!allowed) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // A pending offer goes to the next patient
+    if (entry.status === 'offered') {
+      await passOnOffer(entry, 'withdrawn');
+    } else {
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'waiting' }, { status: 'removed' });
+    }
+
+    res.json({ message: 'Removed from the waitlist' });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getWaitlist,
+  reorderWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist
+};
\ No newline at end of file
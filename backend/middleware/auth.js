@@ -1,26 +1,64 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const { hasPermission } = require('../services/permissionService');
+
+// Accounts in these states keep their record but lose API access
+const BLOCKED_STATUSES = ['suspended', 'inactive'];
+
+// Resolve the bearer token on a request to { user, sessionId }, or { error }
+const authenticateRequest = async (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!token) {
+    return { error: 'No token provided, authorization denied' };
+  }
 
-const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided, authorization denied' });
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Reject tokens whose session has been logged out or revoked
+    if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId))) {
+      return { error: 'Session has expired or been revoked' };
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.userId).select('-passwordHash');
-    
+
     if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
+      return { error: 'Token is not valid' };
     }
 
-    req.user = user;
-    next();
+    if (BLOCKED_STATUSES.includes(user.status)) {
+      return { error: 'Account is no longer active' };
+    }
+
+    return { user, sessionId: decoded.sessionId };
   } catch (error) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return { error: 'Token is not valid' };
+  }
+};
+
+const auth = async (req, res, next) => {
+  const { user, sessionId, error } = await authenticateRequest(req);
+
+  if (error) {
+    return res.status(401).json({ message: error });
+  }
+
+  req.user = user;
+  req.sessionId = sessionId;
+  next();
+};
+
+// Attach the user when a valid token is present, but never reject the request
+const optionalAuth = async (req, res, next) => {
+  const { user, sessionId } = await authenticateRequest(req);
+
+  if (user) {
+    req.user = user;
+    req.sessionId = sessionId;
   }
+  next();
 };
 
 const authorize = (...roles) => {
@@ -37,4 +75,29 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
\ No newline at end of file
+// Staff routes declare the permissions they need; the user must hold all of them
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    if (!permissions.every(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+    }
+
+    next();
+  };
+};
+
+// For routes where users act on their own records and the controller checks
+// ownership: the role is let through, and so is staff holding every permission
+const authorizeOrRequirePermission = (role, ...permissions) => {
+  const checkPermission = requirePermission(...permissions);
+  return (req, res, next) => {
+    if (req.user?.role === role) return next();
+    checkPermission(req, res, next);
+  };
+};
+
+module.exports = { auth, optionalAuth, authorize, requirePermission, authorizeOrRequirePermission };
\ No newline at end of file
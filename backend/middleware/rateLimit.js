@@ -0,0 +1,123 @@
+const jwt = require('jsonwebtoken');
+
+// Fixed-window counters kept in process memory. Fine for a single instance;
+// multi-instance deployments should plug in a shared store with the same
+// increment/reset interface via setRateLimitStore().
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Drop expired windows so the map doesn't grow without bound
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+// Every throttled response - route limits and account lockouts - goes through
+// here so clients always get the same 429 shape and a Retry-After header
+const sendTooManyRequests = (res, retryAfterMs, message, code = 'RATE_LIMITED') => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, code, retryAfter });
+};
+
+const formatWait = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  if (ms < 60000) return `${Math.ceil(ms / 1000)} seconds`;
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+// Key generators
+const byIp = (req) => req.ip;
+
+const byEmail = (req) => {
+  const email = req.body?.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+// Authenticated routes are limited per user. The token is verified (not just
+// decoded) so nobody can burn through someone else's allowance; requests with
+// a bad token are skipped here and rejected by the auth middleware.
+const byUser = (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return null;
+
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).userId || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = byIp,
+  message = 'Too many requests',
+  store
+}) => {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    try {
+      const { count, resetAt } = await (store || defaultStore).increment(`${name}:${key}`, windowMs);
+      const retryAfterMs = resetAt - Date.now();
+
+      res.set('X-RateLimit-Limit', String(max));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, max - count)));
+
+      if (count > max) {
+        return sendTooManyRequests(res, retryAfterMs, `${message}. Please try again in ${formatWait(retryAfterMs)}.`);
+      }
+
+      next();
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error('Rate limit store error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  rateLimit,
+  byIp,
+  byEmail,
+  byUser,
+  MemoryStore,
+  setRateLimitStore,
+  sendTooManyRequests,
+  formatWait
+};
\ No newline at end of file
@@ -23,6 +23,16 @@ const appointmentSchema = new mongoose.Schema({
     type: Number,
     default: 50 // minutes
   },
+  // Set on occurrences of a recurring series; `occurrence` counts from 1
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  occurrence: Number,
+  // Exact instants for bookings made from availability slots; `date` and
+  // `time` then hold the same moment in the therapist's timezone
+  startsAt: Date,
+  endsAt: Date,
   sessionType: {
     type: String,
     enum: ['video', 'phone', 'in-person'],
@@ -33,15 +43,97 @@ const appointmentSchema = new mongoose.Schema({
     enum: ['pending_confirmation', 'confirmed', 'completed', 'cancelled', 'no_show'],
     default: 'pending_confirmation'
   },
+  // Every status change, oldest first. `from` is empty for the booking itself.
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: String,
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // In minor units of `currency`, e.g. cents
   amount: {
     type: Number,
-    required: true
+    required: true,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amount must be a whole number of minor units'
+    }
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionProduct'
+  },
+  // How `amount` was arrived at, see services/pricingService.js
+  pricing: {
+    productName: String,
+    listPrice: Number,
+    // Discounts off the list price, each a negative amount
+    adjustments: [{
+      _id: false,
+      kind: {
+        type: String,
+        enum: ['sliding_scale', 'promo_code', 'package']
+      },
+      label: String,
+      amount: Number
+    }],
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SessionPackage'
+    },
+    // Set once a cancellation has given back the package credit and code use
+    creditReturned: Boolean
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded'],
+    // authorized: the card is held and is charged once the therapist
+    // confirms; fee_due: a cancellation fee is owed on an unpaid session;
+    // voided: nothing is owed for a session that won't happen; package:
+    // covered by a prepaid session package
+    enum: ['pending', 'authorized', 'paid', 'refunded', 'partially_refunded', 'fee_due', 'voided', 'package'],
     default: 'pending'
   },
+  // The therapist's cancellation policy when this was booked
+  cancellationPolicy: {
+    freeCancellationHours: Number,
+    lateCancelFeePercent: Number,
+    noShowFeePercent: Number,
+    allowedExceptions: Number
+  },
+  // Worked out when the appointment is cancelled or marked no-show, see
+  // services/cancellationPolicyService.js
+  cancellationCharge: {
+    kind: {
+      type: String,
+      enum: ['unconfirmed', 'provider_cancelled', 'free_cancellation', 'late_cancellation', 'no_show']
+    },
+    feePercent: Number,
+    // Both in minor units, like `amount`
+    feeAmount: Number,
+    refundAmount: Number,
+    exceptionUsed: Boolean,
+    assessedAt: Date
+  },
   notes: {
     type: String,
     maxlength: 500
@@ -49,12 +141,65 @@ const appointmentSchema = new mongoose.Schema({
   cancelReason: String,
   cancelledBy: {
     type: String,
-    enum: ['patient', 'therapist', 'admin']
+    enum: ['patient', 'therapist', 'admin', 'guardian']
+  },
+  // A proposed new time, held until the other party responds
+  rescheduleRequest: {
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn', 'expired']
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // 'patient', 'guardian', 'therapist' or 'staff'
+    proposedAs: String,
+    date: Date,
+    time: String,
+    duration: Number,
+    startsAt: Date,
+    endsAt: Date,
+    bufferMinutes: Number,
+    holdId: mongoose.Schema.Types.ObjectId,
+    expiresAt: Date,
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
   },
+  // Times the appointment was moved away from, oldest first
+  rescheduleHistory: [{
+    date: Date,
+    time: String,
+    duration: Number,
+    startsAt: Date,
+    endsAt: Date,
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    movedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   reminderSent: {
     type: Boolean,
     default: false
-  }
+  },
+  // Reminder offsets already handled for the current time, e.g. ['24h']
+  remindersSent: [String]
 }, {
   timestamps: true
 });
@@ -63,5 +208,7 @@ const appointmentSchema = new mongoose.Schema({
 appointmentSchema.index({ patientId: 1, date: 1 });
 appointmentSchema.index({ therapistId: 1, date: 1 });
 appointmentSchema.index({ date: 1, status: 1 });
+appointmentSchema.index({ therapistId: 1, startsAt: 1 });
+appointmentSchema.index({ seriesId: 1, occurrence: 1 });
 
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A recurring booking. Each occurrence is an ordinary Appointment pointing
+// back here, so it can be moved or cancelled on its own.
+const appointmentSeriesSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The patient, or the guardian who booked for them
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'monthly'],
+    required: true
+  },
+  // Occurrences are generated from the first one's wall-clock time in this zone
+  timezone: {
+    type: String,
+    required: true
+  },
+  firstStartsAt: {
+    type: Date,
+    required: true
+  },
+  occurrenceCount: {
+    type: Number,
+    required: true
+  },
+  until: Date,
+  sessionType: {
+    type: String,
+    enum: ['video', 'phone', 'in-person'],
+    default: 'video'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended', 'cancelled'],
+    default: 'active'
+  },
+  // Set by "cancel this and all following"
+  cancelledFrom: Number,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+appointmentSeriesSchema.index({ therapistId: 1, status: 1 });
+appointmentSeriesSchema.index({ patientId: 1, status: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
\ No newline at end of file
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Append-only record of who read or changed a patient's clinical data.
+// Events can be created but never modified or removed through the model.
+const auditEventSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['read', 'create', 'update', 'delete'],
+    required: true
+  },
+  resourceType: {
+    type: String,
+    enum: ['progress', 'progress_analytics', 'appointment', 'video_session', 'shared_summary', 'billing_document', 'messages'],
+    required: true
+  },
+  resourceId: mongoose.Schema.Types.ObjectId,
+  route: {
+    type: String,
+    required: true
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are append-only'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectMutation);
+
+// Index for efficient queries
+auditEventSchema.index({ patientId: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens emailed to users (password reset, email verification).
+// Only a SHA-256 hash of the token is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+authTokenSchema.index({ userId: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
\ No newline at end of file
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Wall-clock times are 'HH:mm' and dates 'YYYY-MM-DD', both read in the
+// therapist's timezone
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const windowSchema = new mongoose.Schema({
+  start: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  end: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  }
+}, { _id: false });
+
+const availabilitySchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  timezone: {
+    type: String,
+    required: true
+  },
+  sessionLength: {
+    type: Number,
+    default: 50, // minutes
+    min: 15,
+    max: 240
+  },
+  // Kept free after each session
+  bufferMinutes: {
+    type: Number,
+    default: 10,
+    min: 0,
+    max: 120
+  },
+  weeklyRules: [{
+    _id: false,
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0, // Sunday
+      max: 6
+    },
+    start: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN
+    },
+    end: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN
+    }
+  }],
+  // Replace the weekly rules for one date; no windows means the day is off
+  exceptions: [{
+    _id: false,
+    date: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN
+    },
+    windows: [windowSchema],
+    note: String
+  }],
+  // Whole days off, inclusive
+  vacations: [{
+    _id: false,
+    startDate: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN
+    },
+    endDate: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN
+    },
+    note: String
+  }],
+  // Busy times from the therapist's own calendar, imported from an .ics file.
+  // Replaced wholesale on each import.
+  busyTimes: [{
+    _id: false,
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    }
+  }],
+  busyTimesImportedAt: Date
+}, {
+  timestamps: true
+});
+
+const Availability = mongoose.model('Availability', availabilitySchema);
+Availability.TIME_PATTERN = TIME_PATTERN;
+Availability.DATE_PATTERN = DATE_PATTERN;
+
+module.exports = Availability;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A receipt, superbill or monthly statement that has been issued. The PDF is
+// drawn fresh on each download; what stays fixed is the number, so the same
+// document always carries the same one.
+const billingDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['receipt', 'superbill', 'statement'],
+    required: true
+  },
+  // e.g. RCT-2026-000042
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // What the document covers, e.g. 'receipt:<appointmentId>' or
+  // 'statement:<therapistId>:2026-10'; the same key gets the same number
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  periodStart: Date,
+  periodEnd: Date,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+billingDocumentSchema.index({ patientId: 1, createdAt: -1 });
+billingDocumentSchema.index({ therapistId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BillingDocument', billingDocumentSchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// What a therapist charges when a patient cancels late or misses a session.
+// Appointments keep a copy of the policy in force when they were booked.
+const cancellationPolicySchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Cancelling at least this long before the start costs nothing
+  freeCancellationHours: {
+    type: Number,
+    default: 24,
+    min: 0,
+    max: 168
+  },
+  // Share of the session fee kept, as a percentage
+  lateCancelFeePercent: {
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 100
+  },
+  noShowFeePercent: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100
+  },
+  // Late cancellations and no-shows waived per patient each year
+  allowedExceptions: {
+    type: Number,
+    default: 1,
+    min: 0,
+    max: 12
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// What an active relationship lets the therapist do with the patient
+const CARE_SCOPES = ['messaging', 'progress', 'video'];
+
+const careRelationshipSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended', 'transferred'],
+    default: 'active'
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: CARE_SCOPES
+    }],
+    default: () => [...CARE_SCOPES]
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  endDate: Date,
+  endReason: {
+    type: String,
+    maxlength: 500
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Links between the two halves of a transfer
+  transferredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CareRelationship'
+  },
+  transferredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CareRelationship'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+careRelationshipSchema.index(
+  { patientId: 1, therapistId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+careRelationshipSchema.index({ therapistId: 1, status: 1 });
+careRelationshipSchema.index({ patientId: 1, status: 1 });
+
+const CareRelationship = mongoose.model('CareRelationship', careRelationshipSchema);
+CareRelationship.CARE_SCOPES = CARE_SCOPES;
+
+module.exports = CareRelationship;
\ No newline at end of file
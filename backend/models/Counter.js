@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. for document numbers. Incremented atomically.
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// What a guardian may do for the minor once the link is approved. Chat
+// contents and private journal data are never available to guardians.
+const GUARDIAN_CONSENTS = ['view_appointments', 'book_appointments', 'cancel_appointments', 'reminders', 'summaries'];
+
+const guardianLinkSchema = new mongoose.Schema({
+  guardianId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  relation: {
+    type: String,
+    enum: ['parent', 'legal_guardian', 'caregiver', 'other'],
+    default: 'parent'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  consents: {
+    type: [{
+      type: String,
+      enum: GUARDIAN_CONSENTS
+    }],
+    default: []
+  },
+  // The patient's 18th birthday; access ends then whatever the status says
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+guardianLinkSchema.index({ guardianId: 1, status: 1 });
+guardianLinkSchema.index({ patientId: 1, status: 1 });
+guardianLinkSchema.index({ status: 1, expiresAt: 1 });
+
+const GuardianLink = mongoose.model('GuardianLink', guardianLinkSchema);
+GuardianLink.GUARDIAN_CONSENTS = GUARDIAN_CONSENTS;
+
+module.exports = GuardianLink;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A unit of background work. Whichever server instance claims a due job
+// first holds its lease until `lockedUntil`; a job whose lease runs out
+// (its instance died mid-run) is picked up again by another.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Scheduling a job with a key that already exists does nothing, so the
+  // same work is never queued twice
+  key: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Recurring jobs go back to pending this often after each run
+  intervalMs: Number,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastRunAt: Date,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+jobSchema.index({ key: 1 }, { unique: true, sparse: true });
+jobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
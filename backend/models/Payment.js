@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One attempt to pay for an appointment (or a prepaid session package)
+// through a payment provider. The card is authorized when the patient pays
+// and captured once the session is confirmed; money actually moved is
+// recorded as Transactions.
+const paymentSchema = new mongoose.Schema({
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: function () {
+      return !this.packageId;
+    }
+  },
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionPackage'
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who paid: the patient, or a guardian paying for a minor
+  payerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What this payment is for: the session itself, a cancellation fee or a
+  // session package
+  purpose: {
+    type: String,
+    enum: ['session', 'cancellation_fee', 'package'],
+    default: 'session'
+  },
+  // In minor units of `currency`
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerIntentId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['requires_payment_method', 'authorized', 'captured', 'cancelled', 'failed'],
+    default: 'requires_payment_method'
+  },
+  amountCaptured: {
+    type: Number,
+    default: 0
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  failureMessage: String,
+  authorizedAt: Date,
+  capturedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+paymentSchema.index({ provider: 1, providerIntentId: 1 }, { unique: true });
+paymentSchema.index({ appointmentId: 1, status: 1 });
+paymentSchema.index({ patientId: 1, createdAt: -1 });
+paymentSchema.index({ therapistId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// One ledger entry as paid out: a session, cancellation fee or session
+// package the patient paid for, or a refund taken back off the therapist's
+// earnings. Amounts are in minor units and negative for refunds.
+const payoutLineSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionPackage'
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  kind: {
+    type: String,
+    enum: ['session', 'cancellation_fee', 'package', 'refund'],
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  commissionPercent: {
+    type: Number,
+    required: true
+  },
+  commission: {
+    type: Number,
+    required: true
+  },
+  net: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// What the platform owes a therapist for one payout period, in one
+// currency. Drafted automatically once the period ends, then approved (or
+// rejected, which returns its entries to the next payout) and marked paid
+// when the transfer has been made.
+const payoutSchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  schedule: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  // Exclusive
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  lines: [payoutLineSchema],
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  commissionAmount: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending_approval', 'approved', 'rejected', 'paid'],
+    default: 'pending_approval'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  // The bank transfer or other reference the money went out under
+  paymentReference: String
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+payoutSchema.index({ therapistId: 1, periodStart: -1 });
+payoutSchema.index({ status: 1, periodStart: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
\ No newline at end of file
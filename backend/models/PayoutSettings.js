@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// The commission the platform keeps from a therapist's earnings and how
+// often they are paid out. The document without a therapistId holds the
+// platform defaults; a therapist's own document overrides whichever of the
+// two it sets.
+const payoutSettingsSchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Percentage of each payment kept by the platform
+  commissionPercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  schedule: {
+    type: String,
+    enum: ['weekly', 'monthly']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+payoutSettingsSchema.index({ therapistId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PayoutSettings', payoutSettingsSchema);
\ No newline at end of file
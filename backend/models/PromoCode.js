@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A discount code issued by staff. Takes a percentage or a fixed amount off
+// a session's price, a limited number of times and until it expires.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9-]{3,32}$/
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  // Exactly one of percentOff and amountOff is set
+  percentOff: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  // In minor units of `currency`
+  amountOff: {
+    type: Number,
+    min: 1
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  // Unlimited when not set
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  perPatientLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
\ No newline at end of file
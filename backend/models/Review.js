@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A patient's review of a therapist they have had a completed session
+// with; one per patient and therapist, which the patient can revise.
+// Reviews with text wait for staff to publish them; star ratings alone are
+// published straight away. Only published reviews count towards the
+// therapist's rating.
+const reviewSchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The completed session that made the patient eligible
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Ratings are whole stars'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'published', 'rejected'],
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  // Why a review was rejected, shown to its author
+  moderationNote: {
+    type: String,
+    maxlength: 500
+  },
+  // The therapist's public reply
+  response: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    respondedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+reviewSchema.index({ therapistId: 1, patientId: 1 }, { unique: true });
+reviewSchema.index({ therapistId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
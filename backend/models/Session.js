@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens this session has already rotated away from.
+  // Presenting one of these again means the token was stolen and replayed.
+  rotatedTokenHashes: [String],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'account_suspended', 'account_deleted', 'password_changed']
+  },
+  userAgent: String,
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+// Let MongoDB drop sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
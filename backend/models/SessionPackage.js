@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Sessions a patient has paid for up front. Each booking made with the
+// package uses one credit; a cancellation that costs nothing gives it back.
+const sessionPackageSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionProduct',
+    required: true
+  },
+  // Copied from the product when bought
+  productName: String,
+  purchasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionsTotal: {
+    type: Number,
+    required: true
+  },
+  sessionsUsed: {
+    type: Number,
+    default: 0
+  },
+  // In minor units of `currency`
+  price: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: true
+  },
+  validityDays: {
+    type: Number,
+    required: true
+  },
+  // pending_payment until the purchase is charged; refunded once the
+  // payment has been refunded in full
+  status: {
+    type: String,
+    enum: ['pending_payment', 'active', 'refunded'],
+    default: 'pending_payment'
+  },
+  activatedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionPackageSchema.index({ patientId: 1, therapistId: 1, status: 1 });
+sessionPackageSchema.index({ therapistId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SessionPackage', sessionPackageSchema);
\ No newline at end of file
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// A kind of session a therapist sells, e.g. a 50-minute session, an
+// 80-minute intake or a couples session, with optional prepaid packages of
+// it. Products are archived rather than deleted, as appointments refer to
+// them.
+const sessionProductSchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  // Intake sessions can only be booked by patients new to the therapist
+  kind: {
+    type: String,
+    enum: ['standard', 'intake', 'couples'],
+    default: 'standard'
+  },
+  description: {
+    type: String,
+    maxlength: 300
+  },
+  duration: {
+    type: Number,
+    required: true,
+    min: 15,
+    max: 240 // minutes
+  },
+  // In minor units of `currency`
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Price must be a whole number of minor units'
+    }
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  // Bundles of sessions paid for up front, e.g. 5 for the price of 4.5
+  packages: [{
+    sessions: {
+      type: Number,
+      required: true,
+      min: 2,
+      max: 50
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Price must be a whole number of minor units'
+      }
+    },
+    // Credits run out this many days after purchase
+    validityDays: {
+      type: Number,
+      default: 365,
+      min: 7,
+      max: 730
+    }
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionProductSchema.index({ therapistId: 1, active: 1 });
+
+module.exports = mongoose.model('SessionProduct', sessionProductSchema);
\ No newline at end of file
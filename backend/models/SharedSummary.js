@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A note the therapist deliberately writes for a minor's guardians. Nothing
+// else from the clinical record is shown to them.
+const sharedSummarySchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sharedSummarySchema.index({ patientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SharedSummary', sharedSummarySchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A reduced rate a therapist has approved for one patient, taken off the
+// price of every session product of theirs the patient books
+const slidingScaleRateSchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  discountPercent: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100
+  },
+  // Open-ended when not set
+  validUntil: Date,
+  // Visible to the therapist only, e.g. what the rate was based on
+  note: {
+    type: String,
+    maxlength: 300
+  },
+  approvedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+slidingScaleRateSchema.index({ therapistId: 1, patientId: 1 }, { unique: true });
+slidingScaleRateSchema.index({ patientId: 1 });
+
+module.exports = mongoose.model('SlidingScaleRate', slidingScaleRateSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One document per person per time block they are booked or held for. The
+// unique index is what makes double-booking impossible: two overlapping
+// reservations always contend for at least one identical block.
+const slotClaimSchema = new mongoose.Schema({
+  // The therapist or patient whose time is taken
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blockStart: {
+    type: Date,
+    required: true
+  },
+  // Every claim written by one hold or booking shares this id
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // Set while the claim is only a hold; removed once it is booked
+  expiresAt: Date,
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Index for efficient queries
+slotClaimSchema.index({ ownerId: 1, blockStart: 1 }, { unique: true });
+slotClaimSchema.index({ reservationId: 1 });
+slotClaimSchema.index({ appointmentId: 1 });
+slotClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotClaim', slotClaimSchema);
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// The payments ledger: one entry per charge or refund at the provider.
+// Entries are only ever added, have their status settled or are assigned to
+// a therapist payout, never edited otherwise, so revenue can be summed from
+// here.
+const transactionSchema = new mongoose.Schema({
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: function () {
+      return !this.packageId;
+    }
+  },
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionPackage'
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'refund'],
+    required: true
+  },
+  // Always positive, in minor units of `currency`; refunds count against revenue
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's charge or refund id. Webhooks that report the same
+  // movement again find the existing entry instead of adding one.
+  providerReference: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    required: true
+  },
+  reason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The therapist payout this entry was settled in, once there is one
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+transactionSchema.index({ provider: 1, providerReference: 1 }, { unique: true });
+transactionSchema.index({ paymentId: 1, createdAt: 1 });
+transactionSchema.index({ status: 1, createdAt: 1 });
+transactionSchema.index({ therapistId: 1, createdAt: 1 });
+transactionSchema.index({ payoutId: 1, status: 1, therapistId: 1 });
+
+module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { BUILT_IN_ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -20,7 +21,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['patient', 'therapist', 'admin'],
+    enum: ['patient', 'therapist', 'admin', 'guardian'],
     required: true,
     default: 'patient'
   },
@@ -32,6 +33,7 @@ const userSchema = new mongoose.Schema({
     profilePicture: String,
     
     // Patient-specific fields
+    dateOfBirth: Date, // decides when guardian access ends
     emergencyContactEmail: String,
     emergencyContactRelation: String,
     
@@ -45,6 +47,11 @@ const userSchema = new mongoose.Schema({
     verified: {
       type: Boolean,
       default: false
+    },
+    // Published reviews, kept up to date by the review service
+    rating: {
+      average: Number, // 1-5, to one decimal
+      count: Number
     }
   },
   status: {
@@ -52,6 +59,56 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'suspended', 'pending'],
     default: 'active'
   },
+  // Staff roles for admin accounts (see config/permissions.js). Left unset
+  // on admins that predate staff roles, which keeps their full access.
+  adminRoles: {
+    type: [{
+      type: String,
+      enum: Object.keys(BUILT_IN_ROLES)
+    }],
+    default: undefined
+  },
+  // Left unset on accounts created before email verification existed
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String, // encrypted TOTP secret
+    pendingSecret: String, // encrypted, awaiting confirmation during enrollment
+    recoveryCodeHashes: [String],
+    lastUsedStep: Number, // last accepted TOTP time step, to block replays
+    enabledAt: Date
+  },
+  // Brute-force protection, see services/accountLockout.js
+  loginLockout: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  // Private calendar subscription URL, see services/calendarService.js
+  calendarFeed: {
+    tokenHash: String,
+    createdAt: Date
+  },
+  // Right-to-erasure workflow, see services/accountDataService.js
+  erasure: {
+    requestedAt: Date,
+    requestedBy: {
+      type: String,
+      enum: ['user', 'admin']
+    },
+    scheduledFor: Date,
+    completedAt: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -60,6 +117,15 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for efficient queries
+userSchema.index({ 'erasure.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
+// Therapist directory search
+userSchema.index(
+  { name: 'text', 'profileDetails.specialization': 'text', 'profileDetails.bio': 'text' },
+  { name: 'therapist_search', weights: { name: 5, 'profileDetails.specialization': 3, 'profileDetails.bio': 1 } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('passwordHash')) return next();
@@ -78,10 +144,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
-// Remove password from JSON output
+// Remove password, 2FA secrets and the calendar feed token from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.passwordHash;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = { enabled: userObject.twoFactor.enabled };
+  }
+  if (userObject.calendarFeed) {
+    userObject.calendarFeed = { createdAt: userObject.calendarFeed.createdAt };
+  }
   return userObject;
 };
 
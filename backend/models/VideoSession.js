@@ -21,6 +21,9 @@ const videoSessionSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // When the appointment is booked for; follows it when it is rescheduled
+  scheduledStart: Date,
+  scheduledEnd: Date,
   status: {
     type: String,
     enum: ['waiting', 'active', 'ended', 'cancelled'],
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A patient waiting for a time with a fully booked therapist. When a session
+// in one of their preferred windows frees up they are offered it, first come
+// first served in the therapist's chosen order.
+const waitlistEntrySchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Lower goes first; therapists can reorder
+  position: {
+    type: Number,
+    required: true
+  },
+  // Empty means any time. Windows are read in `timezone`.
+  preferences: [{
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true
+    },
+    start: {
+      type: String,
+      required: true
+    },
+    end: {
+      type: String,
+      required: true
+    }
+  }],
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  sessionType: {
+    type: String,
+    enum: ['video', 'phone', 'in-person'],
+    default: 'video'
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'removed'],
+    default: 'waiting'
+  },
+  // The freed session currently offered, held for the patient until expiresAt
+  offer: {
+    startsAt: Date,
+    endsAt: Date,
+    date: Date,
+    time: String,
+    duration: Number,
+    bufferMinutes: Number,
+    holdId: mongoose.Schema.Types.ObjectId,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  // Offers already made, so a declined or lapsed time isn't offered again
+  pastOffers: [{
+    startsAt: Date,
+    outcome: {
+      type: String,
+      enum: ['accepted', 'declined', 'expired', 'withdrawn']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+waitlistEntrySchema.index({ therapistId: 1, status: 1, position: 1 });
+waitlistEntrySchema.index({ patientId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
\ No newline at end of file
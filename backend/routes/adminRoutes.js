@@ -5,23 +5,98 @@ const {
   getAllUsers,
   updateUserStatus,
   deleteUser,
-  approveTherapist
+  approveTherapist,
+  getRoles,
+  updateUserRoles
 } = require('../controllers/adminController');
-const { auth, authorize } = require('../middleware/auth');
+const { getAuditEvents } = require('../controllers/auditController');
+const {
+  getPayouts,
+  getPayoutById,
+  draftDuePayouts,
+  approvePayoutById,
+  rejectPayoutById,
+  markPayoutPaidById,
+  getPayoutSettings,
+  updatePlatformPayoutSettings,
+  updateTherapistPayoutSettings,
+  deleteTherapistPayoutSettings
+} = require('../controllers/payoutController');
+const {
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode
+} = require('../controllers/promoCodeController');
+const { getReviewQueue, moderateReviewById } = require('../controllers/reviewController');
+const { auth, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/admin/analytics
-router.get('/analytics', auth, authorize('admin'), getAnalytics);
+router.get('/analytics', auth, requirePermission('analytics:read'), getAnalytics);
 
 // @route   GET /api/admin/users
-router.get('/users', auth, authorize('admin'), getAllUsers);
+router.get('/users', auth, requirePermission('users:read'), getAllUsers);
 
 // @route   PUT /api/admin/users/:id/status
-router.put('/users/:id/status', auth, authorize('admin'), updateUserStatus);
+router.put('/users/:id/status', auth, requirePermission('users:suspend'), updateUserStatus);
 
 // @route   DELETE /api/admin/users/:id
-router.delete('/users/:id', auth, authorize('admin'), deleteUser);
+router.delete('/users/:id', auth, requirePermission('users:delete'), deleteUser);
+
+// @route   GET /api/admin/roles
+router.get('/roles', auth, requirePermission('users:read'), getRoles);
+
+// @route   PUT /api/admin/users/:id/roles
+router.put('/users/:id/roles', auth, requirePermission('users:manage_roles'), updateUserRoles);
 
 // @route   PUT /api/admin/therapists/:id/approve
-router.put('/therapists/:id/approve', auth, authorize('admin'), approveTherapist);
+router.put('/therapists/:id/approve', auth, requirePermission('therapists:approve'), approveTherapist);
+
+// @route   GET /api/admin/audit
+router.get('/audit', auth, requirePermission('audit:read'), getAuditEvents);
+
+// @route   GET /api/admin/payouts
+router.get('/payouts', auth, requirePermission('finance:read'), getPayouts);
+
+// @route   POST /api/admin/payouts/generate
+router.post('/payouts/generate', auth, requirePermission('finance:payouts'), draftDuePayouts);
+
+// @route   GET /api/admin/payouts/:id
+router.get('/payouts/:id', auth, requirePermission('finance:read'), getPayoutById);
+
+// @route   PUT /api/admin/payouts/:id/approve
+router.put('/payouts/:id/approve', auth, requirePermission('finance:payouts'), approvePayoutById);
+
+// @route   PUT /api/admin/payouts/:id/reject
+router.put('/payouts/:id/reject', auth, requirePermission('finance:payouts'), rejectPayoutById);
+
+// @route   PUT /api/admin/payouts/:id/paid
+router.put('/payouts/:id/paid', auth, requirePermission('finance:payouts'), markPayoutPaidById);
+
+// @route   GET /api/admin/payout-settings
+router.get('/payout-settings', auth, requirePermission('finance:read'), getPayoutSettings);
+
+// @route   PUT /api/admin/payout-settings
+router.put('/payout-settings', auth, requirePermission('finance:payouts'), updatePlatformPayoutSettings);
+
+// @route   PUT /api/admin/payout-settings/:therapistId
+router.put('/payout-settings/:therapistId', auth, requirePermission('finance:payouts'), updateTherapistPayoutSettings);
+
+// @route   DELETE /api/admin/payout-settings/:therapistId
+router.delete('/payout-settings/:therapistId', auth, requirePermission('finance:payouts'), deleteTherapistPayoutSettings);
+
+// @route   GET /api/admin/promo-codes
+router.get('/promo-codes', auth, requirePermission('promotions:manage'), getPromoCodes);
+
+// @route   POST /api/admin/promo-codes
+router.post('/promo-codes', auth, requirePermission('promotions:manage'), createPromoCode);
+
+// @route   PUT /api/admin/promo-codes/:id
+router.put('/promo-codes/:id', auth, requirePermission('promotions:manage'), updatePromoCode);
+
+// @route   GET /api/admin/reviews
+router.get('/reviews', auth, requirePermission('reviews:moderate'), getReviewQueue);
+
+// @route   PUT /api/admin/reviews/:id/moderate
+router.put('/reviews/:id/moderate', auth, requirePermission('reviews:moderate'), moderateReviewById);
 
 module.exports = router;
\ No newline at end of file
@@ -1,16 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const {
+  holdSlot,
+  releaseSlotHold,
   bookAppointment,
   getPatientAppointments,
   getTherapistAppointments,
   updateAppointmentStatus,
-  getAppointmentById
+  proposeReschedule,
+  acceptReschedule,
+  declineReschedule,
+  bookSeries,
+  getSeries,
+  cancelFollowing,
+  getAppointmentById,
+  downloadAppointmentCalendar
 } = require('../controllers/appointmentController');
 const { auth, authorize } = require('../middleware/auth');
 
+// @route   POST /api/appointments/holds
+router.post('/holds', auth, authorize('patient', 'guardian'), holdSlot);
+
+// @route   DELETE /api/appointments/holds/:id
+router.delete('/holds/:id', auth, releaseSlotHold);
+
 // @route   POST /api/appointments
-router.post('/', auth, authorize('patient'), bookAppointment);
+router.post('/', auth, authorize('patient', 'guardian'), bookAppointment);
+
+// @route   POST /api/appointments/series
+router.post('/series', auth, authorize('patient', 'guardian'), bookSeries);
+
+// @route   GET /api/appointments/series
+router.get('/series', auth, getSeries);
 
 // @route   GET /api/appointments/patient
 router.get('/patient', auth, authorize('patient'), getPatientAppointments);
@@ -21,6 +42,21 @@ router.get('/therapist', auth, authorize('therapist'), getTherapistAppointments)
 // @route   PUT /api/appointments/:id/status
 router.put('/:id/status', auth, updateAppointmentStatus);
 
+// @route   PUT /api/appointments/:id/reschedule
+router.put('/:id/reschedule', auth, proposeReschedule);
+
+// @route   PUT /api/appointments/:id/reschedule/accept
+router.put('/:id/reschedule/accept', auth, acceptReschedule);
+
+// @route   PUT /api/appointments/:id/reschedule/decline
+router.put('/:id/reschedule/decline', auth, declineReschedule);
+
+// @route   PUT /api/appointments/:id/cancel-following
+router.put('/:id/cancel-following', auth, cancelFollowing);
+
+// @route   GET /api/appointments/:id/calendar.ics
+router.get('/:id/calendar.ics', auth, downloadAppointmentCalendar);
+
 // @route   GET /api/appointments/:id
 router.get('/:id', auth, getAppointmentById);
 
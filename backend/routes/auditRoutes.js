@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getMyRecordAccess } = require('../controllers/auditController');
+const { auth, authorize } = require('../middleware/auth');
+
+// @route   GET /api/audit/me
+router.get('/me', auth, authorize('patient'), getMyRecordAccess);
+
+module.exports = router;
\ No newline at end of file
@@ -1,7 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { signup, login, getMe, updateProfile } = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const {
+  signup,
+  login,
+  getMe,
+  updateProfile,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactorAuth,
+  exportMyData,
+  requestErasure,
+  cancelMyErasure
+} = require('../controllers/authController');
+const { auth, optionalAuth } = require('../middleware/auth');
 
 // @route   POST /api/auth/signup
 router.post('/signup', signup);
@@ -9,9 +29,54 @@ router.post('/signup', signup);
 // @route   POST /api/auth/login
 router.post('/login', login);
 
+// @route   POST /api/auth/refresh
+router.post('/refresh', refresh);
+
+// @route   POST /api/auth/logout
+router.post('/logout', optionalAuth, logout);
+
+// @route   POST /api/auth/logout-all
+router.post('/logout-all', auth, logoutAll);
+
+// @route   POST /api/auth/verify-email
+router.post('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+router.post('/resend-verification', resendVerification);
+
+// @route   POST /api/auth/forgot-password
+router.post('/forgot-password', forgotPassword);
+
+// @route   POST /api/auth/reset-password
+router.post('/reset-password', resetPassword);
+
+// @route   POST /api/auth/2fa/verify
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+// @route   POST /api/auth/2fa/setup
+router.post('/2fa/setup', optionalAuth, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+router.post('/2fa/enable', optionalAuth, enableTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+router.post('/2fa/recovery-codes', auth, regenerateTwoFactorRecoveryCodes);
+
+// @route   POST /api/auth/2fa/disable
+router.post('/2fa/disable', auth, disableTwoFactorAuth);
+
 // @route   GET /api/auth/me
 router.get('/me', auth, getMe);
 
+// @route   GET /api/auth/me/export
+router.get('/me/export', auth, exportMyData);
+
+// @route   POST /api/auth/me/erasure
+router.post('/me/erasure', auth, requestErasure);
+
+// @route   DELETE /api/auth/me/erasure
+router.delete('/me/erasure', auth, cancelMyErasure);
+
 // @route   PUT /api/auth/profile
 router.put('/profile', auth, updateProfile);
 
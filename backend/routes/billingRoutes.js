@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  downloadReceipt,
+  downloadSuperbill,
+  downloadStatement,
+  getBillingDocuments,
+  downloadBillingDocument
+} = require('../controllers/billingController');
+const { auth } = require('../middleware/auth');
+
+// @route   GET /api/billing/documents
+router.get('/documents', auth, getBillingDocuments);
+
+// @route   GET /api/billing/documents/:id.pdf
+router.get('/documents/:id.pdf', auth, downloadBillingDocument);
+
+// @route   GET /api/billing/appointments/:id/receipt.pdf
+router.get('/appointments/:id/receipt.pdf', auth, downloadReceipt);
+
+// @route   GET /api/billing/superbill.pdf
+router.get('/superbill.pdf', auth, downloadSuperbill);
+
+// @route   GET /api/billing/statements/:month.pdf
+router.get('/statements/:month.pdf', auth, downloadStatement);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  serveCalendarFeed
+} = require('../controllers/calendarController');
+const { auth } = require('../middleware/auth');
+
+// @route   GET /api/calendar/feed
+router.get('/feed', auth, getCalendarFeed);
+
+// @route   POST /api/calendar/feed
+router.post('/feed', auth, createCalendarFeed);
+
+// @route   DELETE /api/calendar/feed
+router.delete('/feed', auth, revokeCalendarFeed);
+
+// @route   GET /api/calendar/:token.ics
+router.get('/:token.ics', serveCalendarFeed);
+
+module.exports = router;
\ No newline at end of file
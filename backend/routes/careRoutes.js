@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCareRelationships,
+  endCareRelationship,
+  transferCareRelationship
+} = require('../controllers/careController');
+const { auth, authorizeOrRequirePermission } = require('../middleware/auth');
+
+// @route   GET /api/care
+router.get('/', auth, getCareRelationships);
+
+// @route   PUT /api/care/:id/end
+router.put('/:id/end', auth, authorizeOrRequirePermission('therapist', 'care:manage'), endCareRelationship);
+
+// @route   PUT /api/care/:id/transfer
+router.put('/:id/transfer', auth, authorizeOrRequirePermission('therapist', 'care:manage'), transferCareRelationship);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  requestGuardianLink,
+  getGuardianLinks,
+  approveGuardianLink,
+  revokeGuardianLink,
+  getMinorAppointments,
+  createSharedSummary,
+  getSharedSummaries
+} = require('../controllers/guardianController');
+const { auth, authorize } = require('../middleware/auth');
+
+// @route   POST /api/guardians/links
+router.post('/links', auth, authorize('guardian'), requestGuardianLink);
+
+// @route   GET /api/guardians/links
+router.get('/links', auth, getGuardianLinks);
+
+// @route   PUT /api/guardians/links/:id/approve
+router.put('/links/:id/approve', auth, approveGuardianLink);
+
+// @route   PUT /api/guardians/links/:id/revoke
+router.put('/links/:id/revoke', auth, revokeGuardianLink);
+
+// @route   GET /api/guardians/patients/:patientId/appointments
+router.get('/patients/:patientId/appointments', auth, authorize('guardian'), getMinorAppointments);
+
+// @route   POST /api/guardians/patients/:patientId/summaries
+router.post('/patients/:patientId/summaries', auth, authorize('therapist'), createSharedSummary);
+
+// @route   GET /api/guardians/patients/:patientId/summaries
+router.get('/patients/:patientId/summaries', auth, getSharedSummaries);
+
+module.exports = router;
\ No newline at end of file
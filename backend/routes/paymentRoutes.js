@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPaymentIntent,
+  confirmPaymentIntent,
+  getPayments,
+  refundPaymentById,
+  receiveWebhook
+} = require('../controllers/paymentController');
+const { auth, authorize, requirePermission } = require('../middleware/auth');
+
+// @route   POST /api/payments/webhooks/:provider
+router.post('/webhooks/:provider', receiveWebhook);
+
+// @route   GET /api/payments
+router.get('/', auth, getPayments);
+
+// @route   POST /api/payments/intents
+router.post('/intents', auth, authorize('patient', 'guardian'), createPaymentIntent);
+
+// @route   POST /api/payments/:id/confirm
+router.post('/:id/confirm', auth, authorize('patient', 'guardian'), confirmPaymentIntent);
+
+// @route   POST /api/payments/:id/refund
+router.post('/:id/refund', auth, requirePermission('finance:refund'), refundPaymentById);
+
+module.exports = router;
\ No newline at end of file
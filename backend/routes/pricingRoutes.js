@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTherapistProducts,
+  getMyProducts,
+  createProduct,
+  updateProduct,
+  archiveProduct,
+  getQuote,
+  getSlidingScaleRates,
+  setSlidingScaleRate,
+  removeSlidingScaleRate,
+  getPackages,
+  purchasePackage
+} = require('../controllers/pricingController');
+const { auth, authorize } = require('../middleware/auth');
+
+// @route   GET /api/pricing/therapists/:therapistId/products
+router.get('/therapists/:therapistId/products', getTherapistProducts);
+
+// @route   GET /api/pricing/products
+router.get('/products', auth, authorize('therapist'), getMyProducts);
+
+// @route   POST /api/pricing/products
+router.post('/products', auth, authorize('therapist'), createProduct);
+
+// @route   PUT /api/pricing/products/:id
+router.put('/products/:id', auth, authorize('therapist'), updateProduct);
+
+// @route   DELETE /api/pricing/products/:id
+router.delete('/products/:id', auth, authorize('therapist'), archiveProduct);
+
+// @route   POST /api/pricing/quote
+router.post('/quote', auth, authorize('patient', 'guardian'), getQuote);
+
+// @route   GET /api/pricing/sliding-scale
+router.get('/sliding-scale', auth, authorize('therapist'), getSlidingScaleRates);
+
+// @route   PUT /api/pricing/sliding-scale/:patientId
+router.put('/sliding-scale/:patientId', auth, authorize('therapist'), setSlidingScaleRate);
+
+// @route   DELETE /api/pricing/sliding-scale/:patientId
+router.delete('/sliding-scale/:patientId', auth, authorize('therapist'), removeSlidingScaleRate);
+
+// @route   GET /api/pricing/packages
+router.get('/packages', auth, getPackages);
+
+// @route   POST /api/pricing/packages
+router.post('/packages', auth, authorize('patient', 'guardian'), purchasePackage);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTherapistReviews,
+  getMyReviews,
+  createReview,
+  deleteMyReview,
+  getReceivedReviews,
+  respondToReviewById
+} = require('../controllers/reviewController');
+const { auth, authorize } = require('../middleware/auth');
+
+// @route   GET /api/reviews/therapists/:therapistId
+router.get('/therapists/:therapistId', getTherapistReviews);
+
+// @route   GET /api/reviews/mine
+router.get('/mine', auth, authorize('patient'), getMyReviews);
+
+// @route   GET /api/reviews/received
+router.get('/received', auth, authorize('therapist'), getReceivedReviews);
+
+// @route   POST /api/reviews
+router.post('/', auth, authorize('patient'), createReview);
+
+// @route   DELETE /api/reviews/:id
+router.delete('/:id', auth, authorize('patient'), deleteMyReview);
+
+// @route   PUT /api/reviews/:id/response
+router.put('/:id/response', auth, authorize('therapist'), respondToReviewById);
+
+module.exports = router;
\ No newline at end of file
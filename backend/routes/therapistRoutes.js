@@ -2,18 +2,54 @@ const express = require('express');
 const router = express.Router();
 const { 
   getAllTherapists, 
+  searchTherapistDirectory,
   getTherapistById, 
-  updateAvailability 
+  getMyAvailability,
+  updateAvailability,
+  importBusyTimes,
+  clearBusyTimes,
+  getMyCancellationPolicy,
+  updateCancellationPolicy,
+  getTherapistCancellationPolicy,
+  getTherapistSlots
 } = require('../controllers/therapistController');
+const { getMyEarnings } = require('../controllers/payoutController');
 const { auth, authorize } = require('../middleware/auth');
 
 // @route   GET /api/therapists
 router.get('/', getAllTherapists);
 
-// @route   GET /api/therapists/:id
-router.get('/:id', getTherapistById);
+// @route   GET /api/therapists/search
+router.get('/search', searchTherapistDirectory);
+
+// @route   GET /api/therapists/availability
+router.get('/availability', auth, authorize('therapist'), getMyAvailability);
 
 // @route   PUT /api/therapists/availability
 router.put('/availability', auth, authorize('therapist'), updateAvailability);
 
+// @route   PUT /api/therapists/availability/busy-times
+router.put('/availability/busy-times', auth, authorize('therapist'), importBusyTimes);
+
+// @route   DELETE /api/therapists/availability/busy-times
+router.delete('/availability/busy-times', auth, authorize('therapist'), clearBusyTimes);
+
+// @route   GET /api/therapists/cancellation-policy
+router.get('/cancellation-policy', auth, authorize('therapist'), getMyCancellationPolicy);
+
+// @route   PUT /api/therapists/cancellation-policy
+router.put('/cancellation-policy', auth, authorize('therapist'), updateCancellationPolicy);
+
+// @route   GET /api/therapists/earnings
+router.get('/earnings', auth, authorize('therapist'), getMyEarnings);
+
+// @route   GET /api/therapists/:id/cancellation-policy
+router.get('/:id/cancellation-policy', getTherapistCancellationPolicy);
+
+// @route   GET /api/therapists/:id/slots
+router.get('/:id/slots', getTherapistSlots);
+
+// @route   GET /api/therapists/:id
+router.get('/:id', getTherapistById);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  joinWaitlist,
+  getWaitlist,
+  reorderWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+const { auth, authorize } = require('../middleware/auth');
+
+// @route   POST /api/waitlist
+router.post('/', auth, authorize('patient', 'guardian'), joinWaitlist);
+
+// @route   GET /api/waitlist
+router.get('/', auth, getWaitlist);
+
+// @route   PUT /api/waitlist/reorder
+router.put('/reorder', auth, authorize('therapist'), reorderWaitlist);
+
+// @route   PUT /api/waitlist/:id/accept
+router.put('/:id/accept', auth, acceptWaitlistOffer);
+
+// @route   PUT /api/waitlist/:id/decline
+router.put('/:id/decline', auth, declineWaitlistOffer);
+
+// @route   DELETE /api/waitlist/:id
+router.delete('/:id', auth, leaveWaitlist);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,113 @@
+// One-off migration: appointment amounts used to be stored in major units
+// (dollars) with no currency. Convert them, and any cancellation fee or
+// refund, to minor units in the default currency. Appointments recorded as
+// paid before the payments ledger existed get a matching 'legacy' payment
+// and ledger entries, so revenue reports still include them.
+// Appointments that already have a currency are skipped, so it can be re-run.
+//
+// Usage: npm run backfill:amounts
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const { DEFAULT_CURRENCY, toMinorUnits } = require('../services/money');
+
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Ledger entries for a session paid outside the payments flow
+const recordLegacyPayment = async (appointment) => {
+  const { amount, currency } = appointment;
+  const refunded = appointment.cancellationCharge?.refundAmount || 0;
+  const reference = `legacy_${appointment._id}`;
+
+  const payment = await Payment.findOneAndUpdate(
+    { provider: 'legacy', providerIntentId: reference },
+    {
+      $setOnInsert: {
+        appointmentId: appointment._id,
+        patientId: appointment.patientId,
+        therapistId: appointment.therapistId,
+        payerId: appointment.patientId,
+        amount,
+        currency,
+        status: 'captured',
+        amountCaptured: amount,
+        amountRefunded: refunded,
+        capturedAt: appointment.createdAt
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  const entry = (type, entryAmount) => ({
+    updateOne: {
+      filter: { provider: 'legacy', providerReference: `${reference}_${type}` },
+      update: {
+        $setOnInsert: {
+          paymentId: payment._id,
+          appointmentId: appointment._id,
+          patientId: appointment.patientId,
+          therapistId: appointment.therapistId,
+          type,
+          amount: entryAmount,
+          currency,
+          status: 'succeeded',
+          reason: 'Recorded before the payments ledger',
+          // Dated when the session was booked, for revenue by period
+          createdAt: appointment.createdAt,
+          updatedAt: appointment.createdAt
+        }
+      },
+      upsert: true,
+      timestamps: false
+    }
+  });
+
+  await Transaction.bulkWrite(refunded > 0 ? [entry('charge', amount), entry('refund', refunded)] : [entry('charge', amount)]);
+};
+
+const run = async () => {
+  await connectDB();
+
+  // Read without the schema, which would default the missing currency
+  const appointments = await Appointment.collection.find({ currency: { $exists: false } }).toArray();
+  let ledgered = 0;
+
+  for (const appointment of appointments) {
+    const update = {
+      amount: toMinorUnits(appointment.amount || 0, DEFAULT_CURRENCY),
+      currency: DEFAULT_CURRENCY
+    };
+    const charge = appointment.cancellationCharge;
+    if (charge) {
+      update['cancellationCharge.feeAmount'] = toMinorUnits(charge.feeAmount || 0, DEFAULT_CURRENCY);
+      update['cancellationCharge.refundAmount'] = toMinorUnits(charge.refundAmount || 0, DEFAULT_CURRENCY);
+    }
+
+    // Only converts if no other run got there first
+    const result = await Appointment.collection.updateOne(
+      { _id: appointment._id, currency: { $exists: false } },
+      { $set: update }
+    );
+    if (result.modifiedCount === 0 || !PAID_STATUSES.includes(appointment.paymentStatus)) continue;
+
+    await recordLegacyPayment({
+      ...appointment,
+      amount: update.amount,
+      currency: update.currency,
+      cancellationCharge: charge && { refundAmount: update['cancellationCharge.refundAmount'] }
+    });
+    ledgered++;
+  }
+
+  console.log(`Converted amounts on ${appointments.length} appointments to ${DEFAULT_CURRENCY} minor units`);
+  console.log(`Recorded ${ledgered} earlier payments in the ledger`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
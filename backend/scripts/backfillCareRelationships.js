@@ -0,0 +1,32 @@
+// One-off migration: before CareRelationship existed, access was inferred
+// from appointments. Open an active relationship for every patient/therapist
+// pair with a confirmed or completed appointment, so current care continues.
+// Pairs that only ever had cancelled bookings get nothing.
+//
+// Usage: npm run backfill:care
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Appointment = require('../models/Appointment');
+const { startCare } = require('../services/careService');
+
+const run = async () => {
+  await connectDB();
+
+  const pairs = await Appointment.aggregate([
+    { $match: { status: { $in: ['confirmed', 'completed'] } } },
+    { $group: { _id: { patientId: '$patientId', therapistId: '$therapistId' } } }
+  ]);
+
+  for (const { _id } of pairs) {
+    await startCare(_id.patientId, _id.therapistId);
+  }
+
+  console.log(`Backfilled care relationships for ${pairs.length} patient/therapist pairs`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
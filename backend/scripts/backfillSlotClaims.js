@@ -0,0 +1,74 @@
+// One-off migration: appointments booked before slot claims only had a
+// `date` and a `time`. Give every appointment exact start/end instants, and
+// claim the time of upcoming active ones so new bookings can't overlap them.
+// Overlapping legacy bookings are reported rather than cancelled.
+//
+// Usage: npm run backfill:slots
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const { appointmentInterval } = require('../services/availabilityService');
+const {
+  ACTIVE_STATUSES,
+  SlotConflictError,
+  bookingIntervals,
+  claimIntervals
+} = require('../services/bookingService');
+
+const run = async () => {
+  await connectDB();
+
+  const availabilities = await Availability.find().select('therapistId timezone bufferMinutes');
+  const byTherapist = new Map(availabilities.map(a => [a.therapistId.toString(), a]));
+
+  const appointments = await Appointment.find({ startsAt: { $exists: false } });
+  let updated = 0;
+  let claimed = 0;
+  const conflicts = [];
+
+  for (const appointment of appointments) {
+    const availability = byTherapist.get(appointment.therapistId.toString());
+    const interval = appointmentInterval(appointment, availability?.timezone);
+    if (!interval) {
+      console.warn(`Skipping appointment ${appointment._id}: unreadable time "${appointment.time}"`);
+      continue;
+    }
+
+    appointment.startsAt = interval.start;
+    appointment.endsAt = interval.end;
+    await appointment.save();
+    updated++;
+
+    if (!ACTIVE_STATUSES.includes(appointment.status) || interval.end <= new Date()) continue;
+
+    try {
+      await claimIntervals(
+        bookingIntervals({
+          therapistId: appointment.therapistId,
+          patientId: appointment.patientId,
+          startsAt: interval.start,
+          endsAt: interval.end,
+          bufferMinutes: availability?.bufferMinutes || 0
+        }),
+        { appointmentId: appointment._id }
+      );
+      claimed++;
+    } catch (error) {
+      if (!(error instanceof SlotConflictError)) throw error;
+      conflicts.push(appointment._id);
+    }
+  }
+
+  console.log(`Set start/end times on ${updated} appointments and claimed ${claimed} upcoming slots`);
+  if (conflicts.length) {
+    console.warn(`These upcoming appointments overlap another booking and need manual review: ${conflicts.join(', ')}`);
+  }
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
@@ -15,9 +15,38 @@ const progressRoutes = require('./routes/progressRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const videoRoutes = require('./routes/videoRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const careRoutes = require('./routes/careRoutes');
+const guardianRoutes = require('./routes/guardianRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const billingRoutes = require('./routes/billingRoutes');
+const pricingRoutes = require('./routes/pricingRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
 
 // Import middleware
 const { auth } = require('./middleware/auth');
+const { rateLimit, byEmail, byUser } = require('./middleware/rateLimit');
+const rateLimits = require('./config/rateLimits');
+
+// Import services
+const { processDueErasures } = require('./services/accountDataService');
+const { expireGuardianLinks } = require('./services/guardianService');
+const { expireWaitlistOffers } = require('./services/waitlistService');
+const { sendDueReminders } = require('./services/reminderService');
+const { markNoShows } = require('./services/appointmentStatusService');
+const { generatePayouts } = require('./services/payoutService');
+const { createJobScheduler } = require('./services/jobScheduler');
+const { getProvider } = require('./services/payments');
+
+// Refuse to start without a properly configured payment provider
+try {
+  getProvider();
+} catch (error) {
+  console.error('Payment configuration error:', error.message);
+  process.exit(1);
+}
 
 // Initialize Express app
 const app = express();
@@ -34,13 +63,48 @@ const io = socketIo(server, {
 // Connect to MongoDB
 connectDB();
 
+// Background jobs. Each runs on one server instance at a time, however many
+// are up.
+const jobs = createJobScheduler();
+
+// Erase accounts whose deletion grace period has ended
+jobs.define('process-due-erasures', () => processDueErasures(), { every: 60 * 60 * 1000 });
+
+// Guardian access ends when the patient turns 18
+jobs.define('expire-guardian-links', () => expireGuardianLinks(), { every: 60 * 60 * 1000 });
+
+// Waitlist offers nobody answered move on to the next patient
+jobs.define('expire-waitlist-offers', () => expireWaitlistOffers(), { every: 5 * 60 * 1000 });
+
+jobs.define('send-appointment-reminders', (payload, { now }) => sendDueReminders({ now }), { every: 5 * 60 * 1000 });
+
+jobs.define('mark-no-shows', (payload, { now }) => markNoShows({ now }), { every: 5 * 60 * 1000 });
+
+// Therapist payouts are drafted for approval once their period ends
+jobs.define('draft-payouts', (payload, { now }) => generatePayouts({ now }), { every: 60 * 60 * 1000 });
+
+jobs.start(parseInt(process.env.JOB_POLL_MS || '60000'))
+  .catch(error => console.error('Job scheduler start error:', error));
+
+// Behind a load balancer, req.ip must come from X-Forwarded-For for per-IP
+// rate limits to mean anything. Set to the number of proxy hops.
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS));
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:5173",
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -58,6 +122,20 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Rate limits - each route is throttled per IP and per account
+app.post('/api/auth/login',
+  rateLimit({ name: 'login:ip', ...rateLimits.login.ip, message: 'Too many login attempts' }),
+  rateLimit({ name: 'login:account', ...rateLimits.login.account, keyGenerator: byEmail, message: 'Too many login attempts' })
+);
+app.post('/api/auth/signup',
+  rateLimit({ name: 'signup:ip', ...rateLimits.signup.ip, message: 'Too many sign-up attempts' }),
+  rateLimit({ name: 'signup:account', ...rateLimits.signup.account, keyGenerator: byEmail, message: 'Too many sign-up attempts' })
+);
+app.post('/api/chat/send',
+  rateLimit({ name: 'chat:ip', ...rateLimits.chatSend.ip, message: 'You are sending messages too quickly' }),
+  rateLimit({ name: 'chat:account', ...rateLimits.chatSend.account, keyGenerator: byUser, message: 'You are sending messages too quickly' })
+);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/therapists', therapistRoutes);
@@ -66,6 +144,15 @@ app.use('/api/progress', progressRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/video', videoRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/care', careRoutes);
+app.use('/api/guardians', guardianRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Socket.IO for real-time features
 const activeUsers = new Map();
@@ -74,10 +161,14 @@ io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
   // Handle user authentication for socket
-  socket.on('authenticate', (token) => {
+  socket.on('authenticate', async (token) => {
     try {
       const jwt = require('jsonwebtoken');
+      const { isSessionActive } = require('./services/sessionService');
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (!decoded.sessionId || !(await isSessionActive(decoded.sessionId))) {
+        throw new Error('Session has been revoked');
+      }
       socket.userId = decoded.userId;
       activeUsers.set(decoded.userId, socket.id);
       console.log(`User ${decoded.userId} authenticated`);
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Progress = require('../models/Progress');
+const Chat = require('../models/Chat');
+const VideoSession = require('../models/VideoSession');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const AuditEvent = require('../models/AuditEvent');
+const GuardianLink = require('../models/GuardianLink');
+const SharedSummary = require('../models/SharedSummary');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Review = require('../models/Review');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const BillingDocument = require('../models/BillingDocument');
+const SessionPackage = require('../models/SessionPackage');
+const SlidingScaleRate = require('../models/SlidingScaleRate');
+const CareRelationship = require('../models/CareRelationship');
+const { revokeAllSessions } = require('./sessionService');
+const { cancelAppointments, SYSTEM_ACTOR } = require('./appointmentStatusService');
+const { deleteReviewsOf } = require('./reviewService');
+
+const EXPORT_FORMAT_VERSION = 1;
+const ERASURE_GRACE_DAYS = parseInt(process.env.ERASURE_GRACE_DAYS || '30');
+
+// Everything stored about a user, as plain JSON. Secrets (password hash, 2FA
+// material, token hashes) are never included.
+const buildAccountExport = async (userId) => {
+  const user = await User.findById(userId).select('-passwordHash -twoFactor -loginLockout -calendarFeed').lean();
+  const participantQuery = { $or: [{ patientId: userId }, { therapistId: userId }] };
+
+  const [
+    appointments,
+    progress,
+    messages,
+    videoSessions,
+    loginSessions,
+    recordAccess,
+    guardianLinks,
+    sharedSummaries,
+    appointmentSeries,
+    waitlistEntries,
+    reviews,
+    payments,
+    transactions,
+    billingDocuments,
+    sessionPackages,
+    slidingScaleRates,
+    careRelationships
+  ] = await Promise.all([
+    Appointment.find(participantQuery).sort({ date: -1 }).lean(),
+    Progress.find({ patientId: userId }).sort({ createdAt: -1 }).lean(),
+    Chat.find({ $or: [{ senderId: userId }, { receiverId: userId }] }).sort({ createdAt: 1 }).lean(),
+    VideoSession.find(participantQuery).sort({ createdAt: -1 }).lean(),
+    Session.find({ userId })
+      .select('createdAt lastUsedAt expiresAt revokedAt revokedReason userAgent ipAddress')
+      .sort({ createdAt: -1 })
+      .lean(),
+    AuditEvent.find({ patientId: userId, actorId: { $ne: userId } })
+      .select('actorId actorRole action resourceType route createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    GuardianLink.find({ $or: [{ guardianId: userId }, { patientId: userId }] }).lean(),
+    SharedSummary.find(participantQuery).sort({ createdAt: -1 }).lean(),
+    AppointmentSeries.find(participantQuery).sort({ createdAt: -1 }).lean(),
+    WaitlistEntry.find(participantQuery).sort({ createdAt: -1 }).lean(),
+    Review.find(participantQuery).sort({ createdAt: -1 }).lean(),
+    // Including payments made by a guardian for the patient, and by the user
+    // for a minor in their care
+    Payment.find({ $or: [{ patientId: userId }, { therapistId: userId }, { payerId: userId }] })
+      .sort({ createdAt: -1 })
+      .lean(),
+    Transaction.find(participantQuery).sort({ createdAt: -1 }).lean(),
+    BillingDocument.find(participantQuery).sort({ createdAt: -1 }).lean(),
+    SessionPackage.find({ $or: [{ patientId: userId }, { therapistId: userId }, { purchasedBy: userId }] })
+      .sort({ createdAt: -1 })
+      .lean(),
+    SlidingScaleRate.find(participantQuery).sort({ createdAt: -1 }).lean(),
+    CareRelationship.find(participantQuery).sort({ startDate: -1 }).lean()
+  ]);
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    account: user,
+    appointments,
+    progress,
+    messages,
+    videoSessions,
+    loginSessions,
+    recordAccess,
+    guardianLinks,
+    sharedSummaries,
+    appointmentSeries,
+    waitlistEntries,
+    reviews,
+    payments,
+    transactions,
+    billingDocuments,
+    sessionPackages,
+    slidingScaleRates,
+    careRelationships
+  };
+};
+
+// Put an account on the erasure schedule. Nothing is removed until the grace
+// period is over, and cancelErasure() can still undo it until then.
+const scheduleErasure = (user, requestedBy) => {
+  const now = new Date();
+  user.erasure = {
+    requestedAt: now,
+    requestedBy,
+    scheduledFor: new Date(now.getTime() + ERASURE_GRACE_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+const cancelErasure = (user) => {
+  user.erasure = undefined;
+};
+
+// Permanently anonymize an account and purge its data. What survives:
+// - the User document as an anonymous tombstone, so references still resolve
+// - appointment dates, durations, amounts and payment status, which we must
+//   retain as financial records
+// - payments and ledger transactions, for the same reason; they are also
+//   what refunds, disputes and therapist payouts are settled against
+// - the record of issued receipts, superbills and statements, as their
+//   numbers must stay unique and in sequence. The PDFs are drawn fresh, so
+//   they show the anonymized name from then on.
+// - session packages, including those bought for someone else, expired so
+//   no credit is left to use
+// - messages the user received, on purpose: they were written by the other
+//   participant and are part of that person's conversation history
+// - the audit log, which is append-only for compliance
+const eraseAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.erasure?.completedAt) return;
+
+  await revokeAllSessions(userId, 'account_deleted');
+
+  await Promise.all([
+    Progress.deleteMany({ patientId: userId }),
+    SharedSummary.deleteMany({ patientId: userId }),
+    Session.deleteMany({ userId }),
+    AuthToken.deleteMany({ userId }),
+    deleteReviewsOf(userId),
+
+    GuardianLink.updateMany(
+      { $or: [{ guardianId: userId }, { patientId: userId }], status: { $in: ['pending', 'active'] } },
+      { status: 'revoked', revokedAt: new Date() }
+    ),
+
+    // Messages are shared with the other participant, so blank out the
+    // erased user's side instead of removing the conversation
+    Chat.updateMany(
+      { senderId: userId },
+      { $set: { message: '[message deleted]', isDeleted: true, messageType: 'text' } }
+    ),
+
+    VideoSession.updateMany(
+      { patientId: userId },
+      { $unset: { sessionNotes: 1, 'recording.url': 1, participants: 1 } }
+    ),
+
+    // Keep the financial fields, drop free text that may identify the patient
+    Appointment.updateMany(
+      { $or: [{ patientId: userId }, { therapistId: userId }] },
+      { $unset: { notes: 1, cancelReason: 1 } }
+    ),
+
+    AppointmentSeries.updateMany(
+      { $or: [{ patientId: userId }, { therapistId: userId }], status: 'active' },
+      { status: 'ended' }
+    ),
+    WaitlistEntry.updateMany(
+      { $or: [{ patientId: userId }, { therapistId: userId }], status: { $in: ['waiting', 'offered'] } },
+      { status: 'removed', $unset: { notes: 1, offer: 1 } }
+    ),
+
+    // Packages stay as the record of what was paid for, but no credit can be
+    // used any more. Reduced rates say something about the patient's means,
+    // so they go entirely.
+    SessionPackage.updateMany(
+      {
+        $or: [{ patientId: userId }, { therapistId: userId }, { purchasedBy: userId }],
+        status: { $in: ['pending_payment', 'active'] }
+      },
+      { expiresAt: new Date() }
+    ),
+    SlidingScaleRate.deleteMany({ $or: [{ patientId: userId }, { therapistId: userId }] }),
+
+    // Care ends, so nobody keeps access to the records through it. Reasons
+    // given for ending earlier relationships may describe the patient.
+    CareRelationship.updateMany(
+      { $or: [{ patientId: userId }, { therapistId: userId }], status: 'active' },
+      { status: 'ended', endDate: new Date(), $unset: { endReason: 1 } }
+    ),
+    CareRelationship.updateMany(
+      { $or: [{ patientId: userId }, { therapistId: userId }], status: { $ne: 'active' } },
+      { $unset: { endReason: 1 } }
+    )
+  ]);
+
+  // Once they're off every waitlist, so none of the freed times is offered
+  // back to them
+  await cancelAppointments(
+    { $or: [{ patientId: userId }, { therapistId: userId }] },
+    SYSTEM_ACTOR,
+    { reason: 'Account erased' }
+  );
+
+  user.name = 'Deleted user';
+  user.email = `deleted-${user._id}@erased.invalid`;
+  user.passwordHash = crypto.randomBytes(32).toString('hex');
+  user.profileDetails = { verified: false };
+  user.status = 'inactive';
+  user.twoFactor = { enabled: false };
+  user.loginLockout = undefined;
+  user.calendarFeed = undefined;
+  user.erasure.completedAt = new Date();
+  await user.save();
+};
+
+// Run every erasure whose grace period has ended
+const processDueErasures = async () => {
+  const due = await User.find({
+    'erasure.scheduledFor': { $lte: new Date() },
+    'erasure.completedAt': { $exists: false }
+  }).select('_id');
+
+  for (const { _id } of due) {
+    try {
+      await eraseAccount(_id);
+      console.log(`Erased account ${_id}`);
+    } catch (error) {
+      console.error(`Account erasure failed for ${_id}:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  ERASURE_GRACE_DAYS,
+  buildAccountExport,
+  scheduleErasure,
+  cancelErasure,
+  eraseAccount,
+  processDueErasures
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+const User = require('../models/User');
+const { accountLockout } = require('../config/rateLimits');
+
+// Milliseconds left on the account's current lockout, or 0 if unlocked
+const getLockoutRemaining = (user) => {
+  const lockedUntil = user.loginLockout?.lockedUntil;
+  return lockedUntil ? Math.max(0, lockedUntil.getTime() - Date.now()) : 0;
+};
+
+// Record a failed credential check. Once `threshold` consecutive failures pile
+// up the account is locked, and each further lockout doubles in length up to
+// maxLockMs. Returns the new lockout duration in ms, or 0 if not locked.
+const registerFailedAttempt = async (user) => {
+  const { threshold, baseLockMs, maxLockMs } = accountLockout;
+
+  // Atomic so parallel guesses can't slip past the threshold
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { 'loginLockout.failedAttempts': 1 } },
+    { new: true, projection: { loginLockout: 1 } }
+  );
+
+  if (!updated || updated.loginLockout.failedAttempts < threshold) return 0;
+
+  const lockoutCount = (updated.loginLockout.lockoutCount || 0) + 1;
+  const lockMs = Math.min(baseLockMs * 2 ** (lockoutCount - 1), maxLockMs);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'loginLockout.failedAttempts': 0,
+        'loginLockout.lockoutCount': lockoutCount,
+        'loginLockout.lockedUntil': new Date(Date.now() + lockMs)
+      }
+    }
+  );
+
+  return lockMs;
+};
+
+// A successful check wipes the slate, including the backoff level
+const resetFailedAttempts = async (user) => {
+  if (!user.loginLockout?.failedAttempts && !user.loginLockout?.lockoutCount) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $unset: { loginLockout: 1 } }
+  );
+};
+
+module.exports = {
+  getLockoutRemaining,
+  registerFailedAttempt,
+  resetFailedAttempts
+};
\ No newline at end of file
@@ -0,0 +1,256 @@
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const VideoSession = require('../models/VideoSession');
+const { hasPermission } = require('./permissionService');
+const { findActiveLink } = require('./guardianService');
+const { DEFAULT_TIMEZONE, appointmentInterval } = require('./availabilityService');
+const { releaseAppointments } = require('./bookingService');
+const { startCare } = require('./careService');
+
+const APPOINTMENT_STATUSES = ['pending_confirmation', 'confirmed', 'completed', 'cancelled', 'no_show'];
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES || '15');
+
+// Who may move an appointment from one status to the next, and when relative
+// to the session start. Anything not listed here is not a valid transition;
+// completed, cancelled and no_show are final.
+const TRANSITIONS = {
+  pending_confirmation: {
+    confirmed: { actors: ['therapist', 'staff'], when: 'before_start' },
+    cancelled: { actors: ['patient', 'guardian', 'therapist', 'staff', 'system'] }
+  },
+  confirmed: {
+    cancelled: { actors: ['patient', 'guardian', 'therapist', 'staff', 'system'], when: 'before_start' },
+    completed: { actors: ['therapist', 'staff'], when: 'after_start' },
+    no_show: { actors: ['therapist', 'staff', 'system'], when: 'after_start' }
+  }
+};
+
+// Stands in for a user when a background job changes an appointment
+const SYSTEM_ACTOR = { role: 'system' };
+
+class AppointmentTransitionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AppointmentTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const idOf = (value) => (value?._id || value).toString();
+
+// The part the user plays on this appointment, or null when they have none.
+// Guardians only count for the consents the transition needs.
+const actorFor = async (user, appointment, consent) => {
+  if (user === SYSTEM_ACTOR) return 'system';
+  if (idOf(appointment.patientId) === idOf(user)) return 'patient';
+  if (idOf(appointment.therapistId) === idOf(user)) return 'therapist';
+  if (hasPermission(user, 'care:manage')) return 'staff';
+  if (user.role === 'guardian' && consent &&
+    await findActiveLink(user._id, appointment.patientId, consent)) {
+    return 'guardian';
+  }
+  return null;
+};
+
+// Start and end instants, reading legacy date and time in the therapist's zone
+const sessionInterval = async (appointment) => {
+  if (appointment.startsAt) return appointmentInterval(appointment);
+
+  const availability = await Availability.findOne({ therapistId: appointment.therapistId }).select('timezone');
+  return appointmentInterval(appointment, availability?.timezone || DEFAULT_TIMEZONE);
+};
+
+const sessionStart = async (appointment) => {
+  return (await sessionInterval(appointment))?.start || appointment.date;
+};
+
+// Side effects, run in order after a transition is saved. Each receives
+// (appointment, { from, to, user }).
+const hooks = {
+  confirmed: [
+    // The therapist (or staff) confirming a booking is what puts the
+    // patient in their care
+    (appointment) => startCare(appointment.patientId, appointment.therapistId),
+    async (appointment) => {
+      if (appointment.sessionType !== 'video') return;
+      const existing = await VideoSession.exists({ appointmentId: appointment._id });
+      if (existing) return;
+      const interval = await sessionInterval(appointment);
+      await VideoSession.create({
+        patientId: appointment.patientId,
+        therapistId: appointment.therapistId,
+        appointmentId: appointment._id,
+        scheduledStart: interval?.start,
+        scheduledEnd: interval?.end
+      });
+    }
+  ],
+  cancelled: [
+    (appointment) => releaseAppointments([appointment._id])
+  ],
+  no_show: [
+    (appointment) => releaseAppointments([appointment._id])
+  ],
+  completed: []
+};
+
+// Register another side effect for a status
+const onStatusChange = (status, hook) => {
+  hooks[status].push(hook);
+};
+
+// Check `user` may move the appointment to `to`, record it, and run the
+// hooks. Returns the updated appointment or throws AppointmentTransitionError.
+// `now` lets jobs run against their own clock.
+const transitionAppointment = async (appointment, to, user, { reason, now = new Date() } = {}) => {
+  if (!APPOINTMENT_STATUSES.includes(to)) {
+    throw new AppointmentTransitionError('Invalid appointment status');
+  }
+
+  const from = appointment.status;
+  const rule = TRANSITIONS[from]?.[to];
+  const consent = to === 'cancelled' ? 'cancel_appointments' : null;
+  const actor = await actorFor(user, appointment, consent);
+
+  if (!actor) {
+    throw new AppointmentTransitionError('Access denied', 403);
+  }
+  if (!rule) {
+    throw new AppointmentTransitionError(`A ${from.replace('_', ' ')} appointment cannot be marked ${to.replace('_', ' ')}`);
+  }
+  if (!rule.actors.includes(actor)) {
+    throw new AppointmentTransitionError(`You cannot mark this appointment ${to.replace('_', ' ')}`, 403);
+  }
+
+  if (rule.when) {
+    const started = (await sessionStart(appointment)) <= now;
+    if (rule.when === 'before_start' && started) {
+      throw new AppointmentTransitionError('This session has already started');
+    }
+    if (rule.when === 'after_start' && !started) {
+      throw new AppointmentTransitionError('This session has not started yet');
+    }
+  }
+
+  const update = { status: to };
+  if (to === 'cancelled') {
+    update.cancelReason = reason;
+    update.cancelledBy = actor === 'staff' || actor === 'system' ? 'admin' : actor;
+  }
+
+  // Only applies if nobody changed the status in the meantime
+  const updated = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: from },
+    {
+      $set: update,
+      $push: {
+        statusHistory: {
+          from,
+          to,
+          changedBy: user._id,
+          changedByRole: user.role,
+          reason,
+          changedAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new AppointmentTransitionError('This appointment was updated by someone else. Please refresh and try again.', 409);
+  }
+
+  for (const hook of hooks[to]) {
+    await hook(updated, { from, to, user });
+  }
+
+  return updated;
+};
+
+// Cancel every active appointment matching `query` that hasn't started yet,
+// e.g. when care ends or an account is closed. Each goes through
+// transitionAppointment so refunds, credits and the waitlist are handled as
+// for any other cancellation. Returns how many were cancelled.
+const cancelAppointments = async (query, user, { reason, now = new Date() } = {}) => {
+  const candidates = await Appointment.find({
+    $and: [
+      query,
+      { status: { $in: ['pending_confirmation', 'confirmed'] } },
+      {
+        $or: [
+          { startsAt: { $gt: now } },
+          // Older bookings without startsAt; the exact start is checked below
+          { startsAt: { $exists: false }, date: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) } }
+        ]
+      }
+    ]
+  });
+
+  let cancelled = 0;
+  for (const appointment of candidates) {
+    if ((await sessionStart(appointment)) <= now) continue;
+
+    try {
+      await transitionAppointment(appointment, 'cancelled', user, { reason, now });
+      cancelled++;
+    } catch (error) {
+      // Changed by someone else since we looked
+      if (!(error instanceof AppointmentTransitionError)) throw error;
+    }
+  }
+  return cancelled;
+};
+
+// Confirmed video appointments whose session nobody joined within the grace
+// period after the start become no-shows. Safe to run repeatedly: an
+// appointment already moved on is skipped. Returns how many were marked.
+const markNoShows = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * 60 * 1000);
+
+  const candidates = await Appointment.find({
+    status: 'confirmed',
+    sessionType: 'video',
+    $or: [
+      { startsAt: { $lte: cutoff } },
+      // Older bookings without startsAt; the exact start is checked below
+      { startsAt: { $exists: false }, date: { $lte: cutoff } }
+    ]
+  });
+
+  let marked = 0;
+  for (const appointment of candidates) {
+    if ((await sessionStart(appointment)) > cutoff) continue;
+
+    // A session that went active gets a startTime; one that was ended or
+    // cancelled without anyone joining still counts as a no-show
+    const session = await VideoSession.findOne({ appointmentId: appointment._id }).select('status startTime');
+    if (session && (session.startTime || session.status === 'active')) continue;
+
+    try {
+      await transitionAppointment(appointment, 'no_show', SYSTEM_ACTOR, {
+        reason: 'Nobody joined the video session',
+        now
+      });
+      marked++;
+    } catch (error) {
+      // Changed by someone else since we looked
+      if (!(error instanceof AppointmentTransitionError)) throw error;
+    }
+  }
+  return marked;
+};
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  NO_SHOW_GRACE_MINUTES,
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  AppointmentTransitionError,
+  actorFor,
+  sessionInterval,
+  sessionStart,
+  onStatusChange,
+  transitionAppointment,
+  cancelAppointments,
+  markNoShows
+};
\ No newline at end of file
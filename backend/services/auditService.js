@@ -0,0 +1,22 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Record an access to a patient's clinical data. This is awaited before the
+// data is sent, so a failed write turns into a 500 rather than an
+// unrecorded read.
+const recordAuditEvent = (req, { patientId, action = 'read', resourceType, resourceId }) => {
+  return AuditEvent.create({
+    actorId: req.user._id,
+    actorRole: req.user.role,
+    patientId,
+    action,
+    resourceType,
+    resourceId,
+    route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+module.exports = {
+  recordAuditEvent
+};
\ No newline at end of file
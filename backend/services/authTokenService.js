@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a new token of the given type, invalidating any unused ones so only
+// the most recent email link works
+const issueToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AuthToken.updateMany(
+    { userId, type, usedAt: { $exists: false } },
+    { usedAt: new Date() }
+  );
+
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[type] * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Mark a token as used and return its user ID, or null if it is unknown,
+// expired or already used. The update is atomic, so a token can only be
+// consumed once even under concurrent requests.
+const consumeToken = async (token, type) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const record = await AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  return record ? record.userId : null;
+};
+
+module.exports = {
+  issueToken,
+  consumeToken
+};
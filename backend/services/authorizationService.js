@@ -0,0 +1,126 @@
+const User = require('../models/User');
+const CareRelationship = require('../models/CareRelationship');
+const { hasPermission } = require('./permissionService');
+const { findActiveLink } = require('./guardianService');
+
+// Every "may this user touch that patient's data" decision lives here, so the
+// rules can't drift apart between controllers.
+
+// Accepts a populated document, an ObjectId or a string
+const idOf = (value) => (value?._id || value).toString();
+
+const isParticipant = (user, record) => {
+  return [record.patientId, record.therapistId].some(id => idOf(id) === idOf(user));
+};
+
+// An active care relationship between the two that grants `scope`
+const hasCareScope = async (therapistId, patientId, scope) => {
+  const care = await CareRelationship.exists({
+    therapistId,
+    patientId,
+    status: 'active',
+    scopes: scope
+  });
+  return Boolean(care);
+};
+
+// Clinical records (progress, analytics): the patient, staff with
+// clinical:read, and therapists currently caring for the patient. Guardians
+// never qualify.
+const canAccessPatientRecords = async (user, patientId, scope = 'progress') => {
+  if (hasPermission(user, 'clinical:read')) return true;
+  if (idOf(user) === idOf(patientId)) return true;
+  if (user.role === 'therapist') return hasCareScope(user._id, patientId, scope);
+  return false;
+};
+
+// Patients and therapists can only message each other while in care. Staff
+// conversations are clinical records too, so only staff with clinical:read
+// take part in them, with anyone.
+const canMessage = async (user, otherUserId) => {
+  if (user.role === 'admin') return hasPermission(user, 'clinical:read');
+
+  const other = await User.findById(otherUserId).select('role adminRoles');
+  if (!other) return false;
+  if (other.role === 'admin') return hasPermission(other, 'clinical:read');
+
+  if (user.role === 'therapist' && other.role === 'patient') {
+    return hasCareScope(user._id, other._id, 'messaging');
+  }
+  if (user.role === 'patient' && other.role === 'therapist') {
+    return hasCareScope(other._id, user._id, 'messaging');
+  }
+  return false;
+};
+
+// Patients keep read access to their own message history after care ends
+const canViewConversation = async (user, otherUserId) => {
+  if (user.role === 'patient') return true;
+  return canMessage(user, otherUserId);
+};
+
+// Appointments stay visible to both parties (and clinical staff) for their records
+const canViewAppointment = (user, appointment) => {
+  return hasPermission(user, 'clinical:read') || isParticipant(user, appointment);
+};
+
+// Joining or changing a session needs a live relationship on the therapist side
+const canJoinVideoSession = async (user, session) => {
+  if (idOf(session.patientId) === idOf(user)) return true;
+  if (idOf(session.therapistId) === idOf(user)) {
+    return hasCareScope(user._id, session.patientId, 'video');
+  }
+  return false;
+};
+
+const canViewVideoSession = async (user, session) => {
+  return hasPermission(user, 'clinical:read') || canJoinVideoSession(user, session);
+};
+
+// Ending or transferring care: the treating therapist or staff with care:manage
+const canManageCare = (user, care) => {
+  return hasPermission(user, 'care:manage') || idOf(care.therapistId) === idOf(user);
+};
+
+// A guardian acting for a minor, within what the link consents to
+const canActForPatient = async (user, patientId, consent) => {
+  if (user.role !== 'guardian') return false;
+  return Boolean(await findActiveLink(user._id, patientId, consent));
+};
+
+// Therapist-written summaries: everyone who can read the record, plus
+// guardians the patient shares summaries with
+const canViewSharedSummaries = async (user, patientId) => {
+  if (user.role === 'guardian') return canActForPatient(user, patientId, 'summaries');
+  return canAccessPatientRecords(user, patientId);
+};
+
+// Approving guardians and setting their consents: the patient, their current
+// therapist, or staff with guardians:manage
+const canManageGuardianLink = async (user, link) => {
+  if (hasPermission(user, 'guardians:manage')) return true;
+  if (idOf(link.patientId) === idOf(user)) return true;
+  if (user.role === 'therapist') {
+    const care = await CareRelationship.exists({
+      therapistId: user._id,
+      patientId: link.patientId,
+      status: 'active'
+    });
+    return Boolean(care);
+  }
+  return false;
+};
+
+module.exports = {
+  hasCareScope,
+  canAccessPatientRecords,
+  canMessage,
+  canViewConversation,
+  canViewAppointment,
+  canJoinVideoSession,
+  canViewVideoSession,
+  canManageCare,
+  canActForPatient,
+  canViewSharedSummaries,
+  canManageGuardianLink
+};
\ No newline at end of file
@@ -0,0 +1,210 @@
+const Availability = require('../models/Availability');
+const Appointment = require('../models/Appointment');
+const SlotClaim = require('../models/SlotClaim');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc, eachDate } = require('./timezone');
+const { BLOCK_MINUTES } = require('./bookingService');
+
+const MINUTE_MS = 60 * 1000;
+const ACTIVE_STATUSES = ['pending_confirmation', 'confirmed'];
+
+// For reading appointment times of therapists who never set a timezone
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Appointments booked before slots existed may carry '2:00 PM' style times
+const normalizeTime = (time) => {
+  const match = /^(\d{1,2}):(\d{2})\s*([AP]M)?$/i.exec(String(time).trim());
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const modifier = match[3]?.toUpperCase();
+  if (modifier === 'AM' && hours === 12) hours = 0;
+  if (modifier === 'PM' && hours !== 12) hours += 12;
+
+  return hours < 24 ? `${String(hours).padStart(2, '0')}:${match[2]}` : null;
+};
+
+const overlapsWithin = (windows) => {
+  const sorted = [...windows].sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+  return sorted.some((window, i) => i > 0 && toMinutes(window.start) < toMinutes(sorted[i - 1].end));
+};
+
+// Returns an error message for an availability payload, or null if it's usable
+const validateAvailability = ({ timezone, weeklyRules = [], exceptions = [], vacations = [] }) => {
+  if (!isValidTimeZone(timezone)) {
+    return 'Please provide a valid IANA timezone, e.g. America/New_York';
+  }
+
+  if (!Array.isArray(weeklyRules) || !Array.isArray(exceptions) || !Array.isArray(vacations)) {
+    return 'weeklyRules, exceptions and vacations must be arrays';
+  }
+
+  const windows = [...weeklyRules, ...exceptions.flatMap(exception => exception.windows || [])];
+  const badWindow = windows.some(({ start, end }) =>
+    !Availability.TIME_PATTERN.test(start) ||
+    !Availability.TIME_PATTERN.test(end) ||
+    toMinutes(start) >= toMinutes(end)
+  );
+  if (badWindow) {
+    return 'Each time window needs a start before its end, as HH:mm';
+  }
+
+  for (let day = 0; day <= 6; day++) {
+    if (overlapsWithin(weeklyRules.filter(rule => rule.dayOfWeek === day))) {
+      return 'Weekly time windows on the same day must not overlap';
+    }
+  }
+
+  const exceptionDates = exceptions.map(exception => exception.date);
+  if (exceptionDates.some(date => !Availability.DATE_PATTERN.test(date))) {
+    return 'Exception dates must be YYYY-MM-DD';
+  }
+  if (new Set(exceptionDates).size !== exceptionDates.length) {
+    return 'Each date can only have one exception';
+  }
+  if (exceptions.some(exception => overlapsWithin(exception.windows || []))) {
+    return 'Time windows on the same date must not overlap';
+  }
+
+  const badVacation = vacations.some(({ startDate, endDate }) =>
+    !Availability.DATE_PATTERN.test(startDate) ||
+    !Availability.DATE_PATTERN.test(endDate) ||
+    startDate > endDate
+  );
+  if (badVacation) {
+    return 'Vacations need a start date on or before the end date, as YYYY-MM-DD';
+  }
+
+  return null;
+};
+
+// Windows the therapist works on a local date, after vacations and exceptions
+const windowsOn = (availability, date) => {
+  if (availability.vacations.some(v => v.startDate <= date && date <= v.endDate)) return [];
+
+  const exception = availability.exceptions.find(e => e.date === date);
+  if (exception) return exception.windows;
+
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return availability.weeklyRules.filter(rule => rule.dayOfWeek === dayOfWeek);
+};
+
+// Start and end instants of an appointment
+const appointmentInterval = (appointment, timezone = DEFAULT_TIMEZONE) => {
+  if (appointment.startsAt) {
+    const end = appointment.endsAt ||
+      new Date(appointment.startsAt.getTime() + (appointment.duration || 50) * MINUTE_MS);
+    return { start: appointment.startsAt, end };
+  }
+
+  const time = normalizeTime(appointment.time);
+  if (!time) return null;
+
+  const start = zonedTimeToUtc(appointment.date.toISOString().split('T')[0], time, timezone);
+  return { start, end: new Date(start.getTime() + (appointment.duration || 50) * MINUTE_MS) };
+};
+
+// Sessions the therapist could take between two instants. Each slot is
+// { start, end, localDate, localTime }, the last two in the therapist's zone.
+// Slots are the therapist's usual session length unless `sessionLength`
+// asks for another, e.g. for a longer intake session.
+const getBookableSlots = async (therapistId, from, to, { availability, ignoreHoldId, ignoreAppointmentId, sessionLength } = {}) => {
+  availability = availability || await Availability.findOne({ therapistId });
+  if (!availability) return [];
+
+  const { timezone, bufferMinutes } = availability;
+  sessionLength = sessionLength || availability.sessionLength;
+  const bufferMs = bufferMinutes * MINUTE_MS;
+
+  // Legacy appointments only have a calendar date, so look a day either side
+  const appointments = await Appointment.find({
+    therapistId,
+    status: { $in: ACTIVE_STATUSES },
+    ...(ignoreAppointmentId && { _id: { $ne: ignoreAppointmentId } }),
+    $or: [
+      { startsAt: { $lt: to, $gte: new Date(from.getTime() - 24 * 60 * MINUTE_MS) } },
+      {
+        startsAt: { $exists: false },
+        date: {
+          $gte: new Date(from.getTime() - 24 * 60 * MINUTE_MS),
+          $lte: new Date(to.getTime() + 24 * 60 * MINUTE_MS)
+        }
+      }
+    ]
+  }).select('date time duration startsAt endsAt');
+
+  const busy = appointments
+    .map(appointment => appointmentInterval(appointment, timezone))
+    .filter(Boolean)
+    .map(({ start, end }) => ({ start: start.getTime() - bufferMs, end: end.getTime() + bufferMs }));
+
+  // Nor are times the therapist is busy in their own calendar
+  (availability.busyTimes || []).forEach(({ start, end }) => {
+    busy.push({ start: start.getTime() - bufferMs, end: end.getTime() + bufferMs });
+  });
+
+  // Slots someone is holding mid-booking aren't offered either
+  const holds = await SlotClaim.find({
+    ownerId: therapistId,
+    blockStart: { $gte: new Date(from.getTime() - 24 * 60 * MINUTE_MS), $lt: to },
+    expiresAt: { $gt: new Date() },
+    ...(ignoreHoldId && { reservationId: { $ne: ignoreHoldId } })
+  }).select('blockStart');
+  holds.forEach(({ blockStart }) => {
+    busy.push({ start: blockStart.getTime() - bufferMs, end: blockStart.getTime() + BLOCK_MINUTES * MINUTE_MS });
+  });
+
+  const now = Date.now();
+  const slots = [];
+
+  for (const date of eachDate(getZonedParts(from, timezone).date, getZonedParts(to, timezone).date)) {
+    for (const window of windowsOn(availability, date)) {
+      const windowEnd = toMinutes(window.end);
+
+      for (let minutes = toMinutes(window.start); minutes + sessionLength <= windowEnd; minutes += sessionLength + bufferMinutes) {
+        const start = zonedTimeToUtc(date, toTime(minutes), timezone);
+        const end = new Date(start.getTime() + sessionLength * MINUTE_MS);
+
+        if (start < from || start >= to || start.getTime() <= now) continue;
+        if (busy.some(b => start.getTime() < b.end && end.getTime() > b.start)) continue;
+
+        slots.push({ start, end, localDate: date, localTime: toTime(minutes) });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+// The offered slot starting exactly at `startsAt`, or null. The caller's own
+// hold, or the appointment being moved, doesn't count against the slot.
+const findBookableSlot = async (therapistId, startsAt, { ignoreHoldId, ignoreAppointmentId, sessionLength } = {}) => {
+  const availability = await Availability.findOne({ therapistId });
+  if (!availability) return null;
+
+  const slots = await getBookableSlots(
+    therapistId,
+    startsAt,
+    new Date(startsAt.getTime() + MINUTE_MS),
+    { availability, ignoreHoldId, ignoreAppointmentId, sessionLength }
+  );
+  const slot = slots.find(s => s.start.getTime() === startsAt.getTime());
+  return slot ? { slot, availability } : null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  normalizeTime,
+  appointmentInterval,
+  validateAvailability,
+  getBookableSlots,
+  findBookableSlot
+};
\ No newline at end of file
@@ -0,0 +1,386 @@
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const BillingDocument = require('../models/BillingDocument');
+const Counter = require('../models/Counter');
+const SessionPackage = require('../models/SessionPackage');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { createPdf } = require('./pdfService');
+const { formatMoney, DEFAULT_CURRENCY } = require('./money');
+const { DEFAULT_TIMEZONE, appointmentInterval } = require('./availabilityService');
+const { getZonedParts, zonedTimeToUtc, addDays, addMonths } = require('./timezone');
+
+const NUMBER_PREFIXES = {
+  receipt: 'RCT',
+  superbill: 'SB',
+  statement: 'STM'
+};
+
+const TITLES = {
+  receipt: 'Payment Receipt',
+  superbill: 'Superbill',
+  statement: 'Monthly Statement'
+};
+
+const PARTY_FIELDS = 'name email profileDetails.phone profileDetails.location profileDetails.dateOfBirth profileDetails.licenseNumber';
+
+class BillingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BillingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Psychotherapy CPT codes by session length, as insurers expect them on a
+// superbill
+const cptCodeFor = (minutes) => {
+  if (minutes >= 53) return '90837';
+  if (minutes >= 38) return '90834';
+  return '90832';
+};
+
+const therapistTimezone = async (therapistId) => {
+  const availability = await Availability.findOne({ therapistId }).select('timezone');
+  return availability?.timezone || DEFAULT_TIMEZONE;
+};
+
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleDateString('en-US', { timeZone, dateStyle: 'medium' });
+
+const formatDateTime = (date, timeZone) =>
+  `${new Date(date).toLocaleString('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' })} (${timeZone})`;
+
+// Refunds count against the total
+const signedAmount = (entry) => (entry.type === 'refund' ? -entry.amount : entry.amount);
+
+const ledgerSummary = (entries) => {
+  const charged = entries.filter(entry => entry.type === 'charge').reduce((sum, entry) => sum + entry.amount, 0);
+  const refunded = entries.filter(entry => entry.type === 'refund').reduce((sum, entry) => sum + entry.amount, 0);
+  return { charged, refunded, net: charged - refunded };
+};
+
+// Appointments whose session starts between `from` and `to`. Older bookings
+// without exact instants are matched on their date.
+const appointmentsBetween = (query, from, to) => Appointment.find({
+  ...query,
+  $or: [
+    { startsAt: { $gte: from, $lt: to } },
+    { startsAt: { $exists: false }, date: { $gte: from, $lt: to } }
+  ]
+});
+
+// The stored record for a document, numbering it the first time. A number
+// taken by a request that lost the race is skipped rather than reused.
+const issueDocument = async (type, key, fields) => {
+  const existing = await BillingDocument.findOne({ key });
+  if (existing) return existing;
+
+  const year = new Date().getUTCFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `billing:${type}:${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await BillingDocument.create({
+      type,
+      key,
+      number: `${NUMBER_PREFIXES[type]}-${year}-${String(counter.seq).padStart(6, '0')}`,
+      ...fields
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return BillingDocument.findOne({ key });
+  }
+};
+
+// --- Issuing ---
+
+const issueReceipt = async (appointment, user) => {
+  const paid = await Transaction.exists({ appointmentId: appointment._id, type: 'charge', status: 'succeeded' });
+  if (!paid) {
+    throw new BillingError('No payment has been received for this appointment yet');
+  }
+
+  return issueDocument('receipt', `receipt:${appointment._id}`, {
+    appointmentId: appointment._id,
+    patientId: appointment.patientId,
+    therapistId: appointment.therapistId,
+    issuedBy: user._id
+  });
+};
+
+// `from` and `to` are 'YYYY-MM-DD' dates, both included, in the therapist's
+// timezone
+const issueSuperbill = async ({ patientId, therapistId, from, to }, user) => {
+  const therapist = await User.findOne({ _id: therapistId, role: 'therapist' }).select('profileDetails.licenseNumber');
+  if (!therapist) {
+    throw new BillingError('Therapist not found', 404);
+  }
+  if (!therapist.profileDetails?.licenseNumber) {
+    throw new BillingError('Superbills need the therapist\'s license number. The therapist can add it to their profile.');
+  }
+
+  const timeZone = await therapistTimezone(therapistId);
+  const periodStart = zonedTimeToUtc(from, '00:00', timeZone);
+  const periodEnd = zonedTimeToUtc(addDays(to, 1), '00:00', timeZone);
+
+  const sessions = await appointmentsBetween({ patientId, therapistId, status: 'completed' }, periodStart, periodEnd)
+    .countDocuments();
+  if (sessions === 0) {
+    throw new BillingError('There are no completed sessions in this period');
+  }
+
+  return issueDocument('superbill', `superbill:${patientId}:${therapistId}:${from}:${to}`, {
+    patientId,
+    therapistId,
+    periodStart,
+    periodEnd,
+    issuedBy: user._id
+  });
+};
+
+// `month` is 'YYYY-MM' in the therapist's timezone; only months that have
+// ended get a statement
+const issueStatement = async (therapistId, month, user) => {
+  const timeZone = await therapistTimezone(therapistId);
+  const periodStart = zonedTimeToUtc(`${month}-01`, '00:00', timeZone);
+  const periodEnd = zonedTimeToUtc(addMonths(`${month}-01`, 1), '00:00', timeZone);
+
+  if (periodEnd > new Date()) {
+    throw new BillingError('Statements are available once the month has ended');
+  }
+
+  return issueDocument('statement', `statement:${therapistId}:${month}`, {
+    therapistId,
+    periodStart,
+    periodEnd,
+    issuedBy: user._id
+  });
+};
+
+// --- Rendering ---
+
+const header = (pdf, document, timeZone) => {
+  pdf.text('MindCare', { size: 20, bold: true })
+    .text(TITLES[document.type], { size: 14, bold: true })
+    .moveDown(6)
+    .fields([
+      ['Number', document.number],
+      ['Issued', formatDate(document.createdAt, timeZone)]
+    ])
+    .rule();
+};
+
+const providerFields = (therapist) => [
+  ['Provider', therapist?.name || 'Former provider'],
+  ['License number', therapist?.profileDetails?.licenseNumber || 'Not provided'],
+  ['Address', therapist?.profileDetails?.location],
+  ['Phone', therapist?.profileDetails?.phone],
+  ['Email', therapist?.email]
+].filter(([, value]) => value);
+
+const renderReceipt = async (document) => {
+  const [appointment, patient, therapist, entries, timeZone] = await Promise.all([
+    Appointment.findById(document.appointmentId),
+    User.findById(document.patientId).select(PARTY_FIELDS),
+    User.findById(document.therapistId).select(PARTY_FIELDS),
+    Transaction.find({ appointmentId: document.appointmentId, status: 'succeeded' }).sort({ createdAt: 1 }),
+    therapistTimezone(document.therapistId)
+  ]);
+  const currency = appointment?.currency || DEFAULT_CURRENCY;
+  const start = appointment && (appointmentInterval(appointment, timeZone)?.start || appointment.date);
+
+  const pdf = createPdf({ title: `Receipt ${document.number}` });
+  header(pdf, document, timeZone);
+  pdf.fields([
+    ['Billed to', patient?.name || 'Former patient'],
+    ['Email', patient?.email]
+  ].filter(([, value]) => value)).moveDown(6).fields(providerFields(therapist)).rule();
+
+  if (appointment) {
+    pdf.fields([
+      ['Session', start ? formatDateTime(start, timeZone) : ''],
+      ['Duration', `${appointment.duration} minutes`],
+      ['Session type', appointment.sessionType],
+      ['Status', appointment.status.replace('_', ' ')]
+    ]).moveDown(10);
+  }
+
+  pdf.table(
+    [
+      { header: 'Date', width: 2 },
+      { header: 'Description', width: 4 },
+      { header: 'Amount', width: 2, align: 'right' }
+    ],
+    entries.map(entry => [
+      formatDate(entry.createdAt, timeZone),
+      entry.type === 'refund' ? `Refund${entry.reason ? ` - ${entry.reason}` : ''}` : entry.reason || 'Therapy session',
+      formatMoney(signedAmount(entry), entry.currency)
+    ])
+  ).rule();
+
+  const { charged, refunded, net } = ledgerSummary(entries);
+  pdf.text(`Paid: ${formatMoney(charged, currency)}`, { align: 'right' });
+  if (refunded > 0) pdf.text(`Refunded: ${formatMoney(refunded, currency)}`, { align: 'right' });
+  pdf.text(`Total: ${formatMoney(net, currency)}`, { align: 'right', bold: true, size: 12 });
+
+  return pdf.toBuffer();
+};
+
+const renderSuperbill = async (document) => {
+  const [patient, therapist, timeZone] = await Promise.all([
+    User.findById(document.patientId).select(PARTY_FIELDS),
+    User.findById(document.therapistId).select(PARTY_FIELDS),
+    therapistTimezone(document.therapistId)
+  ]);
+  const sessions = await appointmentsBetween(
+    { patientId: document.patientId, therapistId: document.therapistId, status: 'completed' },
+    document.periodStart,
+    document.periodEnd
+  ).sort({ startsAt: 1, date: 1 });
+  const [entries, packages] = await Promise.all([
+    Transaction.find({
+      appointmentId: { $in: sessions.map(session => session._id) },
+      status: 'succeeded'
+    }),
+    SessionPackage.find({ _id: { $in: sessions.map(session => session.pricing?.packageId).filter(Boolean) } })
+  ]);
+
+  // Sessions covered by a prepaid package are billed at the package's price
+  // per session, paid unless the package was refunded
+  const packageOf = (session) => session.pricing?.packageId &&
+    packages.find(pkg => pkg._id.equals(session.pricing.packageId));
+  const feeFor = (session) => {
+    const pkg = packageOf(session);
+    return pkg ? Math.round(pkg.price / pkg.sessionsTotal) : session.amount;
+  };
+  const paidFor = (session) => {
+    const pkg = packageOf(session);
+    if (pkg) return pkg.status === 'active' ? feeFor(session) : 0;
+    return entries
+      .filter(entry => entry.appointmentId.equals(session._id))
+      .reduce((sum, entry) => sum + signedAmount(entry), 0);
+  };
+  const currency = sessions[0]?.currency || DEFAULT_CURRENCY;
+  const lastDay = new Date(document.periodEnd.getTime() - 1);
+
+  const pdf = createPdf({ title: `Superbill ${document.number}` });
+  header(pdf, document, timeZone);
+  pdf.fields(providerFields(therapist)).moveDown(6).fields([
+    ['Patient', patient?.name || 'Former patient'],
+    ['Date of birth', patient?.profileDetails?.dateOfBirth && formatDate(patient.profileDetails.dateOfBirth, 'UTC')],
+    ['Email', patient?.email],
+    ['Period', `${formatDate(document.periodStart, timeZone)} - ${formatDate(lastDay, timeZone)}`]
+  ].filter(([, value]) => value)).moveDown(10);
+
+  pdf.table(
+    [
+      { header: 'Date of service', width: 3 },
+      { header: 'CPT', width: 1.5 },
+      { header: 'Description', width: 4 },
+      { header: 'Minutes', width: 1.5, align: 'right' },
+      { header: 'Fee', width: 2, align: 'right' },
+      { header: 'Paid', width: 2, align: 'right' }
+    ],
+    sessions.map(session => [
+      formatDate(appointmentInterval(session, timeZone)?.start || session.date, timeZone),
+      cptCodeFor(session.duration),
+      `Psychotherapy (${session.sessionType})`,
+      String(session.duration),
+      formatMoney(feeFor(session), session.currency),
+      formatMoney(paidFor(session), session.currency)
+    ])
+  ).rule();
+
+  const totalFees = sessions.reduce((sum, session) => sum + feeFor(session), 0);
+  const totalPaid = sessions.reduce((sum, session) => sum + paidFor(session), 0);
+  pdf.text(`Total fees: ${formatMoney(totalFees, currency)}`, { align: 'right' })
+    .text(`Total paid: ${formatMoney(totalPaid, currency)}`, { align: 'right', bold: true, size: 12 })
+    .moveDown(20)
+    .text('Provided so the patient can claim reimbursement from their insurer. Diagnosis codes, where an insurer needs them, are available from the provider on request.', { size: 8 });
+
+  return pdf.toBuffer();
+};
+
+const renderStatement = async (document) => {
+  const [therapist, timeZone] = await Promise.all([
+    User.findById(document.therapistId).select(PARTY_FIELDS),
+    therapistTimezone(document.therapistId)
+  ]);
+  const [entries, sessions] = await Promise.all([
+    Transaction.find({
+      therapistId: document.therapistId,
+      status: 'succeeded',
+      createdAt: { $gte: document.periodStart, $lt: document.periodEnd }
+    }).populate('patientId', 'name').sort({ createdAt: 1 }),
+    appointmentsBetween({ therapistId: document.therapistId }, document.periodStart, document.periodEnd).select('status')
+  ]);
+
+  const count = (status) => sessions.filter(session => session.status === status).length;
+  const month = getZonedParts(document.periodStart, timeZone).date.slice(0, 7);
+  const monthName = new Date(`${month}-15T12:00:00Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  const pdf = createPdf({ title: `Statement ${document.number}` });
+  header(pdf, document, timeZone);
+  pdf.fields([...providerFields(therapist), ['Period', monthName]]).moveDown(10);
+
+  pdf.text('Sessions', { bold: true, size: 12 }).fields([
+    ['Completed', String(count('completed'))],
+    ['Cancelled', String(count('cancelled'))],
+    ['No-shows', String(count('no_show'))]
+  ]).moveDown(10);
+
+  pdf.text('Payments', { bold: true, size: 12 }).table(
+    [
+      { header: 'Date', width: 2 },
+      { header: 'Patient', width: 3 },
+      { header: 'Description', width: 3 },
+      { header: 'Amount', width: 2, align: 'right' }
+    ],
+    entries.map(entry => [
+      formatDate(entry.createdAt, timeZone),
+      entry.patientId?.name || 'Former patient',
+      entry.type === 'refund' ? 'Refund' : entry.reason || 'Session payment',
+      formatMoney(signedAmount(entry), entry.currency)
+    ])
+  ).rule();
+
+  // Totals per currency, should payments have come in more than one
+  const byCurrency = new Map();
+  for (const entry of entries) {
+    byCurrency.set(entry.currency, [...(byCurrency.get(entry.currency) || []), entry]);
+  }
+  if (byCurrency.size === 0) byCurrency.set(DEFAULT_CURRENCY, []);
+  for (const [currency, currencyEntries] of byCurrency) {
+    const { charged, refunded, net } = ledgerSummary(currencyEntries);
+    pdf.text(`Received: ${formatMoney(charged, currency)}`, { align: 'right' })
+      .text(`Refunded: ${formatMoney(refunded, currency)}`, { align: 'right' })
+      .text(`Net: ${formatMoney(net, currency)}`, { align: 'right', bold: true, size: 12 });
+  }
+
+  return pdf.toBuffer();
+};
+
+const RENDERERS = {
+  receipt: renderReceipt,
+  superbill: renderSuperbill,
+  statement: renderStatement
+};
+
+// The PDF for an issued document, from current data
+const renderDocument = (document) => RENDERERS[document.type](document);
+
+const fileNameFor = (document) => `mindcare-${document.number}.pdf`;
+
+module.exports = {
+  BillingError,
+  cptCodeFor,
+  issueReceipt,
+  issueSuperbill,
+  issueStatement,
+  renderDocument,
+  fileNameFor
+};
\ No newline at end of file
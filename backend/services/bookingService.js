@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const SlotClaim = require('../models/SlotClaim');
+const Appointment = require('../models/Appointment');
+
+// Claims cover whole blocks, so intervals are widened to block boundaries
+const BLOCK_MINUTES = 5;
+const BLOCK_MS = BLOCK_MINUTES * 60 * 1000;
+const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES || '10');
+const ACTIVE_STATUSES = ['pending_confirmation', 'confirmed'];
+
+class SlotConflictError extends Error {
+  constructor(message = 'This time slot is no longer available') {
+    super(message);
+    this.name = 'SlotConflictError';
+  }
+}
+
+const blocksBetween = (start, end) => {
+  const blocks = [];
+  const first = Math.floor(start.getTime() / BLOCK_MS) * BLOCK_MS;
+  for (let t = first; t < end.getTime(); t += BLOCK_MS) {
+    blocks.push(new Date(t));
+  }
+  return blocks;
+};
+
+// The therapist's time includes their break after the session
+const bookingIntervals = ({ therapistId, patientId, startsAt, endsAt, bufferMinutes = 0 }) => [
+  { ownerId: therapistId, start: startsAt, end: new Date(endsAt.getTime() + bufferMinutes * 60 * 1000) },
+  { ownerId: patientId, start: startsAt, end: endsAt }
+];
+
+const blockKey = (ownerId, blockStart) => `${ownerId}:${blockStart.getTime()}`;
+
+const intervalKeys = (intervals) => intervals.flatMap(({ ownerId, start, end }) =>
+  blocksBetween(start, end).map(block => blockKey(ownerId, block))
+);
+
+// Claim every block of every interval, or none of them. With `skipOwnClaims`
+// the blocks `appointmentId` already holds are left out, so an appointment
+// can be moved to a time overlapping its current one.
+const claimIntervals = async (intervals, { appointmentId, expiresAt, heldBy, skipOwnClaims = false } = {}) => {
+  const reservationId = new mongoose.Types.ObjectId();
+
+  const owned = new Set();
+  if (skipOwnClaims) {
+    const existing = await SlotClaim.find({ appointmentId }).select('ownerId blockStart');
+    existing.forEach(claim => owned.add(blockKey(claim.ownerId, claim.blockStart)));
+  }
+
+  const claims = intervals.flatMap(({ ownerId, start, end }) =>
+    blocksBetween(start, end).map(blockStart => ({
+      ownerId,
+      blockStart,
+      reservationId,
+      appointmentId,
+      expiresAt,
+      heldBy
+    }))
+  ).filter(claim => !owned.has(blockKey(claim.ownerId, claim.blockStart)));
+
+  if (claims.length === 0) return reservationId;
+
+  // The TTL monitor only runs once a minute, so clear lapsed holds ourselves
+  await SlotClaim.deleteMany({
+    $or: intervals.map(({ ownerId }) => ({ ownerId })),
+    blockStart: { $in: claims.map(claim => claim.blockStart) },
+    expiresAt: { $lte: new Date() }
+  });
+
+  try {
+    await SlotClaim.insertMany(claims, { ordered: true });
+  } catch (error) {
+    await SlotClaim.deleteMany({ reservationId });
+    if (error.code === 11000) throw new SlotConflictError();
+    throw error;
+  }
+
+  return reservationId;
+};
+
+// Appointments that already overlap the interval, for a clear error message
+// before claiming (and for appointments booked before claims existed)
+const findOverlap = (field, ownerId, start, end, { excludeId } = {}) => {
+  return Appointment.findOne({
+    [field]: ownerId,
+    status: { $in: ACTIVE_STATUSES },
+    startsAt: { $lt: end },
+    endsAt: { $gt: start },
+    ...(excludeId && { _id: { $ne: excludeId } })
+  });
+};
+
+// Hold a slot for a few minutes while the patient finishes booking
+const createHold = async (booking, heldBy) => {
+  const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+  const holdId = await claimIntervals(bookingIntervals(booking), { expiresAt, heldBy });
+  return { holdId, expiresAt };
+};
+
+// Turn a live hold into the claims of a booked appointment. False when the
+// hold has lapsed, belongs to someone else or doesn't cover exactly this
+// booking.
+const confirmHold = async (holdId, heldBy, booking, appointmentId) => {
+  if (!mongoose.isValidObjectId(holdId)) return false;
+
+  const expected = intervalKeys(bookingIntervals(booking));
+
+  const claims = await SlotClaim.find({ reservationId: holdId, heldBy, expiresAt: { $gt: new Date() } });
+  const held = new Set(claims.map(claim => blockKey(claim.ownerId, claim.blockStart)));
+  if (held.size !== expected.length || !expected.every(key => held.has(key))) return false;
+
+  const result = await SlotClaim.updateMany(
+    { reservationId: holdId, expiresAt: { $gt: new Date() } },
+    { $set: { appointmentId }, $unset: { expiresAt: 1 } }
+  );
+  if (result.modifiedCount === claims.length) return true;
+
+  // Part of the hold lapsed in the meantime. The appointment won't be saved,
+  // so free the blocks that were already moved over to it.
+  await releaseAppointments([appointmentId]);
+  return false;
+};
+
+// Give up a hold early. False when there's no such hold for this user.
+const releaseHold = async (holdId, heldBy) => {
+  if (!mongoose.isValidObjectId(holdId)) return false;
+
+  const result = await SlotClaim.deleteMany({
+    reservationId: holdId,
+    heldBy,
+    expiresAt: { $exists: true }
+  });
+  return result.deletedCount > 0;
+};
+
+// Hold the time an appointment is proposed to move to. The claims carry the
+// appointment id, so cancelling the appointment frees them too.
+const holdReschedule = (appointmentId, booking, heldBy, expiresAt) => {
+  return claimIntervals(bookingIntervals(booking), { appointmentId, expiresAt, heldBy, skipOwnClaims: true });
+};
+
+// Move an appointment's claims to the held time: the hold becomes permanent,
+// blocks shared by both times are kept and the rest of the old time is freed.
+// False when the hold has lapsed.
+const moveAppointmentClaims = async (appointmentId, holdId, booking) => {
+  const now = new Date();
+  const held = await SlotClaim.countDocuments({ reservationId: holdId, expiresAt: { $gt: now } });
+  const result = await SlotClaim.updateMany(
+    { reservationId: holdId, expiresAt: { $gt: now } },
+    { $unset: { expiresAt: 1, heldBy: 1 } }
+  );
+  if (result.modifiedCount !== held) return false;
+
+  const keep = new Set(intervalKeys(bookingIntervals(booking)));
+  const current = await SlotClaim.find({ appointmentId, reservationId: { $ne: holdId } });
+  const kept = current.filter(claim => keep.has(blockKey(claim.ownerId, claim.blockStart)));
+
+  await SlotClaim.updateMany({ _id: { $in: kept.map(claim => claim._id) } }, { reservationId: holdId });
+  await SlotClaim.deleteMany({ appointmentId, reservationId: { $ne: holdId } });
+  return true;
+};
+
+// Drop a reschedule hold, whoever placed it
+const releaseReservation = (reservationId) => {
+  return SlotClaim.deleteMany({ reservationId, expiresAt: { $exists: true } });
+};
+
+// Free the time of cancelled appointments
+const releaseAppointments = (appointmentIds) => {
+  return SlotClaim.deleteMany({ appointmentId: { $in: appointmentIds } });
+};
+
+module.exports = {
+  BLOCK_MINUTES,
+  HOLD_MINUTES,
+  ACTIVE_STATUSES,
+  SlotConflictError,
+  bookingIntervals,
+  claimIntervals,
+  findOverlap,
+  createHold,
+  confirmHold,
+  releaseHold,
+  holdReschedule,
+  moveAppointmentClaims,
+  releaseReservation,
+  releaseAppointments
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const User = require('../models/User');
+const VideoSession = require('../models/VideoSession');
+const { buildCalendar } = require('./icsService');
+const { notify, describeSessionFor, formatSessionTime } = require('./notificationService');
+const { appointmentConfirmedEmail } = require('./mail/templates');
+const { getGuardianRecipients } = require('./guardianService');
+const { DEFAULT_TIMEZONE } = require('./availabilityService');
+const { sessionInterval, onStatusChange } = require('./appointmentStatusService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_FEED_EVENTS = 500;
+
+const ICS_STATUSES = {
+  pending_confirmation: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+const LOCATIONS = {
+  phone: 'Phone call',
+  'in-person': 'In person'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const videoSessionUrl = (roomId) => {
+  const base = process.env.VIDEO_SESSION_URL || `${process.env.CLIENT_URL || 'http://localhost:5173'}/video`;
+  return `${base}/${roomId}`;
+};
+
+// Calendar events for appointments as `viewer` sees them. The appointments
+// must have patientId and therapistId populated with names.
+const appointmentEvents = async (appointments, viewer) => {
+  appointments = appointments.map(appointment => appointment.toObject?.() || appointment);
+
+  const videoSessions = await VideoSession.find({ appointmentId: { $in: appointments.map(a => a._id) } })
+    .select('appointmentId roomId');
+  const roomOf = new Map(videoSessions.map(session => [session.appointmentId.toString(), session.roomId]));
+
+  const events = [];
+  for (const appointment of appointments) {
+    const interval = await sessionInterval({ ...appointment, therapistId: appointment.therapistId._id });
+    if (!interval) continue;
+
+    const roomId = roomOf.get(appointment._id.toString());
+    const link = appointment.sessionType === 'video' && roomId ? videoSessionUrl(roomId) : null;
+    const isTherapist = appointment.therapistId._id.equals(viewer._id);
+
+    events.push({
+      uid: `appointment-${appointment._id}@mindcare`,
+      start: interval.start,
+      end: interval.end,
+      summary: isTherapist
+        ? `Session with ${appointment.patientId.name}`
+        : `Therapy session with ${appointment.therapistId.name}`,
+      description: link ? `Join the video session: ${link}` : undefined,
+      location: link || LOCATIONS[appointment.sessionType],
+      url: link,
+      status: ICS_STATUSES[appointment.status] || 'CANCELLED',
+      // Calendar apps only take an update with a higher sequence
+      sequence: (appointment.rescheduleHistory?.length || 0) + (appointment.status === 'cancelled' ? 1 : 0),
+      updatedAt: appointment.updatedAt
+    });
+  }
+  return events;
+};
+
+// A one-event .ics for a single appointment
+const appointmentCalendar = async (appointment, viewer) => {
+  const populated = await appointment.populate([
+    { path: 'patientId', select: 'name' },
+    { path: 'therapistId', select: 'name' }
+  ]);
+  return buildCalendar(await appointmentEvents([populated], viewer));
+};
+
+// The user's upcoming confirmed sessions, as served to their calendar app.
+// Moved sessions show at their new time; cancelled ones drop out.
+const feedCalendar = async (user) => {
+  const since = new Date(Date.now() - DAY_MS);
+
+  const appointments = await Appointment.find({
+    $and: [
+      { $or: [{ patientId: user._id }, { therapistId: user._id }] },
+      { $or: [{ startsAt: { $gte: since } }, { startsAt: { $exists: false }, date: { $gte: since } }] }
+    ],
+    status: 'confirmed'
+  })
+    .populate('patientId', 'name')
+    .populate('therapistId', 'name')
+    .sort({ date: 1 })
+    .limit(MAX_FEED_EVENTS);
+
+  return buildCalendar(await appointmentEvents(appointments, user), { name: 'MindCare sessions' });
+};
+
+// A new secret feed token for the user. Any earlier feed URL stops working.
+const createFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await User.updateOne(
+    { _id: userId },
+    { calendarFeed: { tokenHash: hashToken(token), createdAt: new Date() } }
+  );
+  return token;
+};
+
+const revokeFeedToken = (userId) => User.updateOne({ _id: userId }, { $unset: { calendarFeed: 1 } });
+
+const findFeedUser = (token) => {
+  if (!token || typeof token !== 'string') return null;
+  return User.findOne({ 'calendarFeed.tokenHash': hashToken(token), status: 'active' });
+};
+
+// Everyone on a newly confirmed session gets it as a calendar invite
+const sendConfirmation = async (appointment) => {
+  const [patient, therapist, guardians, availability] = await Promise.all([
+    User.findById(appointment.patientId).select('name email'),
+    User.findById(appointment.therapistId).select('name email'),
+    getGuardianRecipients(appointment.patientId, 'reminders'),
+    Availability.findOne({ therapistId: appointment.therapistId }).select('timezone')
+  ]);
+  if (!patient || !therapist) return;
+
+  const [event] = await appointmentEvents(
+    [{ ...appointment.toObject(), patientId: patient, therapistId: therapist }],
+    patient
+  );
+  if (!event) return;
+
+  const when = formatSessionTime(event.start, availability?.timezone || DEFAULT_TIMEZONE);
+  const therapistEvent = { ...event, summary: `Session with ${patient.name}` };
+
+  await notify([patient, therapist, ...guardians], recipient => appointmentConfirmedEmail(recipient, {
+    session: describeSessionFor(recipient, patient, therapist),
+    when,
+    ics: buildCalendar([recipient._id.equals(therapist._id) ? therapistEvent : event])
+  }));
+};
+
+onStatusChange('confirmed', async (appointment) => {
+  try {
+    await sendConfirmation(appointment);
+  } catch (error) {
+    // The confirmation itself has succeeded; don't fail it over the email
+    console.error('Appointment confirmation email error:', error);
+  }
+});
+
+module.exports = {
+  appointmentEvents,
+  appointmentCalendar,
+  feedCalendar,
+  createFeedToken,
+  revokeFeedToken,
+  findFeedUser
+};
\ No newline at end of file
@@ -0,0 +1,186 @@
+const Appointment = require('../models/Appointment');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const VideoSession = require('../models/VideoSession');
+const { onStatusChange, sessionStart } = require('./appointmentStatusService');
+const { settleCancellationPayment } = require('./paymentService');
+const { returnCredits } = require('./pricingService');
+const { formatMoney } = require('./money');
+
+const HOUR_MS = 60 * 60 * 1000;
+const EXCEPTION_WINDOW_DAYS = 365;
+
+// Therapists who haven't set a policy let patients cancel for free
+const FREE_POLICY = {
+  freeCancellationHours: 0,
+  lateCancelFeePercent: 0,
+  noShowFeePercent: 0,
+  allowedExceptions: 0
+};
+
+const POLICY_LIMITS = {
+  freeCancellationHours: 168,
+  lateCancelFeePercent: 100,
+  noShowFeePercent: 100,
+  allowedExceptions: 12
+};
+
+const validatePolicy = (policy) => {
+  for (const [field, max] of Object.entries(POLICY_LIMITS)) {
+    const value = policy[field];
+    if (value === undefined) continue;
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > max) {
+      return `${field} must be a whole number from 0 to ${max}`;
+    }
+  }
+  return null;
+};
+
+const policyFields = (policy) => Object.fromEntries(
+  Object.keys(FREE_POLICY).map(field => [field, policy[field]])
+);
+
+// The therapist's current policy, as copied onto new appointments
+const getPolicy = async (therapistId) => {
+  const policy = await CancellationPolicy.findOne({ therapistId }).lean();
+  return policy ? policyFields(policy) : { ...FREE_POLICY };
+};
+
+// Which rule applies to a cancellation or no-show, and the share of the fee
+// it keeps, before any exception is used. A no-show marked by the therapist
+// or staff is on the patient; one the no-show job marked only is when the
+// video session shows the therapist joined and the patient never did.
+const assessCharge = (policy, { from, to, cancelledBy, markedBy, patientMissed, at, start }) => {
+  if (to === 'no_show') {
+    const charged = markedBy !== 'system' || patientMissed;
+    return { kind: 'no_show', feePercent: charged ? policy.noShowFeePercent : 0 };
+  }
+  if (from === 'pending_confirmation') {
+    return { kind: 'unconfirmed', feePercent: 0 };
+  }
+  if (cancelledBy === 'therapist' || cancelledBy === 'admin') {
+    return { kind: 'provider_cancelled', feePercent: 0 };
+  }
+  if (start.getTime() - at.getTime() >= policy.freeCancellationHours * HOUR_MS) {
+    return { kind: 'free_cancellation', feePercent: 0 };
+  }
+  return { kind: 'late_cancellation', feePercent: policy.lateCancelFeePercent };
+};
+
+// What happens to the payment: a paid session is refunded less the fee; a
+// card hold is charged the fee or released; an unpaid session owes the fee,
+// or nothing. A session paid with a package credit stays that way; whether
+// the credit comes back is up to the pricing service.
+const paymentStatusAfter = (paymentStatus, feeAmount, refundAmount) => {
+  if (paymentStatus === 'package') return 'package';
+  if (paymentStatus === 'paid') {
+    if (refundAmount === 0) return 'paid';
+    return feeAmount === 0 ? 'refunded' : 'partially_refunded';
+  }
+  if (paymentStatus === 'authorized') {
+    return feeAmount > 0 ? 'paid' : 'voided';
+  }
+  return feeAmount > 0 ? 'fee_due' : 'voided';
+};
+
+// Work out and record the refund or fee for an appointment that has just
+// been cancelled or marked no-show, then move the money. Uses the policy it
+// was booked under (the therapist's current one for older bookings),
+// waiving the fee while the patient has exceptions left for the year.
+const settleCancellation = async (appointment, { from, to }) => {
+  const policy = appointment.cancellationPolicy?.lateCancelFeePercent !== undefined
+    ? appointment.cancellationPolicy
+    : await getPolicy(appointment.therapistId);
+  const change = appointment.statusHistory[appointment.statusHistory.length - 1];
+  const at = change?.changedAt || new Date();
+  const markedBy = change?.changedByRole;
+
+  let patientMissed = false;
+  if (to === 'no_show' && markedBy === 'system') {
+    const session = await VideoSession.findOne({ appointmentId: appointment._id }).select('participants');
+    const joined = (user) => session?.participants.some(participant =>
+      participant.joinedAt && participant.userId?.toString() === (user?._id || user).toString()
+    );
+    patientMissed = Boolean(joined(appointment.therapistId) && !joined(appointment.patientId));
+  }
+
+  const assessed = assessCharge(policy, {
+    from,
+    to,
+    cancelledBy: appointment.cancelledBy,
+    markedBy,
+    patientMissed,
+    at,
+    start: await sessionStart(appointment)
+  });
+
+  let { feePercent } = assessed;
+  let exceptionUsed = false;
+  if (feePercent > 0 && policy.allowedExceptions > 0) {
+    const used = await Appointment.countDocuments({
+      patientId: appointment.patientId,
+      therapistId: appointment.therapistId,
+      'cancellationCharge.exceptionUsed': true,
+      'cancellationCharge.assessedAt': { $gte: new Date(at.getTime() - EXCEPTION_WINDOW_DAYS * 24 * HOUR_MS) }
+    });
+    if (used < policy.allowedExceptions) {
+      feePercent = 0;
+      exceptionUsed = true;
+    }
+  }
+
+  // Amounts are in minor units; part-cents of the fee are dropped
+  const feeAmount = Math.floor(appointment.amount * feePercent / 100);
+  const refundAmount = appointment.paymentStatus === 'paid' ? appointment.amount - feeAmount : 0;
+  const update = {
+    paymentStatus: paymentStatusAfter(appointment.paymentStatus, feeAmount, refundAmount),
+    cancellationCharge: {
+      kind: assessed.kind,
+      feePercent,
+      feeAmount,
+      refundAmount,
+      exceptionUsed,
+      assessedAt: at
+    }
+  };
+
+  await Appointment.updateOne({ _id: appointment._id }, update);
+  appointment.set(update);
+  await settleCancellationPayment(appointment, update.cancellationCharge);
+  await returnCredits(appointment, update.cancellationCharge);
+  return update;
+};
+
+// One line for the person who cancelled, e.g. in the API response
+const describeCharge = (charge, currency) => {
+  if (!charge) return null;
+  const fee = formatMoney(charge.feeAmount, currency);
+  const refund = formatMoney(charge.refundAmount, currency);
+  if (charge.exceptionUsed) return 'The cancellation fee was waived this time.';
+  if (charge.feeAmount > 0 && charge.refundAmount > 0) {
+    return `A fee of ${fee} applies; ${refund} will be refunded.`;
+  }
+  if (charge.feeAmount > 0) return `A fee of ${fee} applies.`;
+  if (charge.refundAmount > 0) return `${refund} will be refunded.`;
+  return null;
+};
+
+for (const status of ['cancelled', 'no_show']) {
+  onStatusChange(status, async (appointment, change) => {
+    try {
+      await settleCancellation(appointment, change);
+    } catch (error) {
+      // The status change itself has succeeded; the charge can be settled by hand
+      console.error('Cancellation charge error:', error);
+    }
+  });
+}
+
+module.exports = {
+  FREE_POLICY,
+  validatePolicy,
+  policyFields,
+  getPolicy,
+  assessCharge,
+  settleCancellation,
+  describeCharge
+};
\ No newline at end of file
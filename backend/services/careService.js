@@ -0,0 +1,75 @@
+const CareRelationship = require('../models/CareRelationship');
+const User = require('../models/User');
+const AppointmentSeries = require('../models/AppointmentSeries');
+
+// Open a care relationship, or return the one already active for the pair
+const startCare = async (patientId, therapistId, { scopes, transferredFrom } = {}) => {
+  const existing = await CareRelationship.findOne({ patientId, therapistId, status: 'active' });
+  if (existing) return existing;
+
+  try {
+    return await CareRelationship.create({ patientId, therapistId, scopes, transferredFrom });
+  } catch (error) {
+    // Lost a race with a concurrent request; the unique index kept it single
+    if (error.code === 11000) {
+      return CareRelationship.findOne({ patientId, therapistId, status: 'active' });
+    }
+    throw error;
+  }
+};
+
+// Upcoming sessions between the pair are cancelled, and their recurring
+// series ended, when care stops
+const cancelUpcomingAppointments = async (care, actor, reason) => {
+  // Required here as appointmentStatusService needs this module to start care
+  const { cancelAppointments } = require('./appointmentStatusService');
+
+  await AppointmentSeries.updateMany(
+    { patientId: care.patientId, therapistId: care.therapistId, status: 'active' },
+    { status: 'ended' }
+  );
+  return cancelAppointments(
+    { patientId: care.patientId, therapistId: care.therapistId },
+    actor,
+    { reason }
+  );
+};
+
+const endCare = async (care, actor, reason, status = 'ended') => {
+  care.status = status;
+  care.endDate = new Date();
+  care.endReason = reason;
+  care.endedBy = actor._id;
+  await care.save();
+
+  await cancelUpcomingAppointments(
+    care,
+    actor,
+    status === 'transferred' ? 'Care transferred to another therapist' : 'Care ended'
+  );
+
+  return care;
+};
+
+// Hand the patient over to another therapist. Returns the new relationship,
+// or null when the target isn't an active therapist.
+const transferCare = async (care, newTherapistId, actor, reason) => {
+  const newTherapist = await User.findOne({ _id: newTherapistId, role: 'therapist', status: 'active' });
+  if (!newTherapist || newTherapist._id.equals(care.therapistId)) return null;
+
+  const newCare = await startCare(care.patientId, newTherapist._id, {
+    scopes: care.scopes,
+    transferredFrom: care._id
+  });
+
+  care.transferredTo = newCare._id;
+  await endCare(care, actor, reason, 'transferred');
+
+  return newCare;
+};
+
+module.exports = {
+  startCare,
+  endCare,
+  transferCare
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+const GuardianLink = require('../models/GuardianLink');
+const User = require('../models/User');
+
+const GUARDIAN_AGE_LIMIT = 18;
+
+// The day the patient turns 18, or null without a date of birth
+const adulthoodDate = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+  const date = new Date(dateOfBirth);
+  date.setFullYear(date.getFullYear() + GUARDIAN_AGE_LIMIT);
+  return date;
+};
+
+const isMinor = (patient) => {
+  const adulthood = adulthoodDate(patient.profileDetails?.dateOfBirth);
+  return Boolean(adulthood) && adulthood > new Date();
+};
+
+// Links that grant access right now. Expiry is checked here as well as by the
+// sweep below, so access ends on the birthday itself.
+const activeLinkQuery = (extra = {}) => ({
+  ...extra,
+  status: 'active',
+  expiresAt: { $gt: new Date() }
+});
+
+const findActiveLink = (guardianId, patientId, consent) => {
+  const query = activeLinkQuery({ guardianId, patientId });
+  if (consent) query.consents = consent;
+  return GuardianLink.findOne(query);
+};
+
+// Guardians who should hear about the patient, e.g. for appointment reminders
+const getGuardianRecipients = async (patientId, consent = 'reminders') => {
+  const links = await GuardianLink.find(activeLinkQuery({ patientId, consents: consent }))
+    .select('guardianId');
+  if (links.length === 0) return [];
+
+  return User.find({
+    _id: { $in: links.map(link => link.guardianId) },
+    status: 'active'
+  }).select('name email');
+};
+
+const expireGuardianLinks = async () => {
+  const result = await GuardianLink.updateMany(
+    { status: { $in: ['pending', 'active'] }, expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  GUARDIAN_AGE_LIMIT,
+  adulthoodDate,
+  isMinor,
+  findActiveLink,
+  getGuardianRecipients,
+  expireGuardianLinks
+};
\ No newline at end of file
@@ -0,0 +1,268 @@
+// iCalendar (RFC 5545) in both directions: writing appointments out as
+// .ics invites and feeds, and reading busy times out of calendars that
+// therapists export from elsewhere.
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc, addDays, addMonths } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 1000;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// --- Writing ---
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20261020T090000Z
+const formatInstant = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// `events` are { uid, start, end, summary, description, location, url,
+// status, sequence, updatedAt }; status is CONFIRMED, TENTATIVE or CANCELLED.
+const buildCalendar = (events, { name = 'MindCare', method = 'PUBLISH' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MindCare//Appointments//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatInstant(event.updatedAt || new Date())}`,
+      `SEQUENCE:${event.sequence || 0}`,
+      `DTSTART:${formatInstant(event.start)}`,
+      `DTEND:${formatInstant(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// --- Reading ---
+
+// Unfolded content lines as { name, params, value }
+const contentLines = (text) => String(text)
+  .replace(/\r\n/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(Boolean)
+  .map(line => {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length && colon === -1; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      else if (line[i] === ':' && !inQuotes) colon = i;
+    }
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+      const [key, value = ''] = part.split('=');
+      params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  })
+  .filter(Boolean);
+
+// A DATE or DATE-TIME value as a wall clock: { date, time, timeZone, allDay }.
+// Floating times and unknown TZIDs are read in `defaultZone`.
+const parseDateValue = (value, params, defaultZone) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (!hour) return { date, time: '00:00', timeZone: defaultZone, allDay: true };
+
+  const timeZone = utc ? 'UTC' : (isValidTimeZone(params.TZID) ? params.TZID : defaultZone);
+  return { date, time: `${hour}:${minute}`, timeZone, allDay: false };
+};
+
+const toInstant = ({ date, time, timeZone }) => zonedTimeToUtc(date, time, timeZone);
+
+// PT1H30M, P1D, ... in ms
+const parseDuration = (value) => {
+  const match = value.trim().match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(part => part && parseInt(part));
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+};
+
+const parseRule = (value) => {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue) rule[key.toUpperCase()] = ruleValue.toUpperCase();
+  }
+  return rule;
+};
+
+// Dates ('YYYY-MM-DD', in the event's own zone) on which a recurring event
+// starts, from `fromDate` up to `lastDate`. Handles DAILY, WEEKLY (with
+// BYDAY), MONTHLY and YEARLY with INTERVAL, COUNT and UNTIL; any other rule
+// yields just the first date.
+const occurrenceDates = (firstDate, rule, lastDate, untilDate, fromDate = firstDate) => {
+  const interval = Math.max(parseInt(rule.INTERVAL) || 1, 1);
+  const count = parseInt(rule.COUNT) || Infinity;
+  const end = untilDate && untilDate < lastDate ? untilDate : lastDate;
+  const dates = [];
+
+  // COUNT runs from the first occurrence, but the cap only applies to the
+  // dates returned, so a long-running series still reaches `fromDate`
+  let seen = 0;
+  const push = (date) => {
+    if (date > end || seen >= count || dates.length >= MAX_OCCURRENCES) return false;
+    seen++;
+    if (date >= fromDate) dates.push(date);
+    return true;
+  };
+
+  const firstDay = parseInt(firstDate.slice(8));
+  switch (rule.FREQ) {
+    case 'DAILY':
+      for (let date = firstDate; push(date);) {
+        date = addDays(date, interval);
+      }
+      break;
+    case 'WEEKLY': {
+      const dayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+      const days = rule.BYDAY
+        ? rule.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code.slice(-2))).filter(day => day >= 0)
+        : [dayOf(firstDate)];
+      // Weeks start on Monday unless WKST says otherwise
+      const weekStart = Math.max(WEEKDAY_CODES.indexOf(rule.WKST || 'MO'), 0);
+      const firstWeek = addDays(firstDate, -((dayOf(firstDate) - weekStart + 7) % 7));
+
+      for (let date = firstDate; date <= end; date = addDays(date, 1)) {
+        const week = Math.floor((Date.parse(date) - Date.parse(firstWeek)) / (7 * DAY_MS));
+        if (week % interval !== 0 || !days.includes(dayOf(date))) continue;
+        if (!push(date)) break;
+      }
+      break;
+    }
+    case 'MONTHLY':
+    case 'YEARLY': {
+      const step = rule.FREQ === 'MONTHLY' ? interval : interval * 12;
+      // Months without the day (the 31st, Feb 29th) are skipped, not clamped
+      for (let i = 0, date = firstDate; date <= end; i++, date = addMonths(firstDate, i * step)) {
+        if (parseInt(date.slice(8)) !== firstDay) continue;
+        if (!push(date)) break;
+      }
+      break;
+    }
+    default:
+      push(firstDate);
+  }
+  return dates;
+};
+
+// Busy intervals { start, end } from an ICS calendar that overlap `from` to
+// `to`, with recurring events expanded. Free (TRANSPARENT) and cancelled
+// events don't count. Dates without a zone are read in `timeZone`.
+const parseBusyTimes = (text, { timeZone = 'UTC', from, to }) => {
+  const events = [];
+  let current = null;
+
+  for (const line of contentLines(text)) {
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      current = { exdates: [] };
+    } else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      switch (line.name) {
+        case 'UID': current.uid = line.value; break;
+        case 'DTSTART': current.start = parseDateValue(line.value, line.params, timeZone); break;
+        case 'DTEND': current.end = parseDateValue(line.value, line.params, timeZone); break;
+        case 'DURATION': current.duration = parseDuration(line.value); break;
+        case 'RRULE': current.rule = parseRule(line.value); break;
+        case 'RECURRENCE-ID': current.recurrenceId = parseDateValue(line.value, line.params, timeZone); break;
+        case 'STATUS': current.status = line.value.toUpperCase(); break;
+        case 'TRANSP': current.transparent = line.value.toUpperCase() === 'TRANSPARENT'; break;
+        case 'EXDATE':
+          current.exdates.push(...line.value.split(',').map(value => parseDateValue(value, line.params, timeZone)));
+          break;
+      }
+    }
+  }
+
+  // Occurrences moved or cancelled individually replace the rule's own
+  const overridden = new Set(events
+    .filter(event => event.recurrenceId)
+    .map(event => `${event.uid}|${toInstant(event.recurrenceId).getTime()}`));
+
+  const busy = [];
+  for (const event of events) {
+    if (!event.start) continue;
+
+    const { start } = event;
+    const firstStart = toInstant(start);
+    let lengthMs;
+    if (event.end) lengthMs = toInstant(event.end) - firstStart;
+    else if (event.duration !== undefined && event.duration !== null) lengthMs = event.duration;
+    else lengthMs = start.allDay ? DAY_MS : 0;
+
+    if (event.status === 'CANCELLED' || event.transparent || lengthMs <= 0) continue;
+
+    // An occurrence starting the day before `from` may still run into it
+    const fromDate = getZonedParts(new Date(from.getTime() - lengthMs), start.timeZone).date;
+    const lastDate = getZonedParts(to, start.timeZone).date;
+    const until = event.rule?.UNTIL && parseDateValue(event.rule.UNTIL, {}, start.timeZone);
+    const untilDate = until && (until.allDay ? until.date : getZonedParts(toInstant(until), start.timeZone).date);
+    const dates = event.rule && !event.recurrenceId
+      ? occurrenceDates(start.date, event.rule, lastDate, untilDate, fromDate)
+      : [start.date];
+    const excluded = new Set(event.exdates.filter(Boolean).map(exdate => toInstant(exdate).getTime()));
+
+    for (const date of dates) {
+      const occurrenceStart = toInstant({ ...start, date });
+      if (excluded.has(occurrenceStart.getTime())) continue;
+      if (event.rule && overridden.has(`${event.uid}|${occurrenceStart.getTime()}`)) continue;
+
+      // All-day events end at midnight in the calendar's zone, across DST
+      const occurrenceEnd = start.allDay
+        ? toInstant({ ...start, date: addDays(date, Math.round(lengthMs / DAY_MS)) })
+        : new Date(occurrenceStart.getTime() + lengthMs);
+
+      if (occurrenceEnd > from && occurrenceStart < to) {
+        busy.push({ start: occurrenceStart, end: occurrenceEnd });
+      }
+    }
+  }
+
+  return busy.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  buildCalendar,
+  formatInstant,
+  parseBusyTimes
+};
\ No newline at end of file
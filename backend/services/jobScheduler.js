@@ -0,0 +1,151 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Runs jobs stored in MongoDB. Every server instance can run a scheduler:
+// a due job is claimed with a single atomic update, so only one instance
+// runs it, under a lease that another instance may take over if it lapses.
+//
+// `clock` returns the current time; pass a fake one to drive jobs in tests.
+// Handlers receive the job's payload and `{ now, job }`, and must be safe to
+// run twice - a lapsed lease or a retry can repeat work already done.
+const createJobScheduler = ({
+  clock = () => new Date(),
+  workerId = `${os.hostname()}:${process.pid}`,
+  leaseMs = 5 * 60 * 1000
+} = {}) => {
+  const handlers = new Map();
+  let timer = null;
+  let running = null;
+
+  // Register a handler. With `every` (ms) the job recurs on that interval.
+  const define = (name, handler, { every } = {}) => {
+    handlers.set(name, { handler, every });
+  };
+
+  // Queue a one-off job. With a key, a job already queued under that key is
+  // returned instead of adding another.
+  const schedule = async (name, { runAt = clock(), payload = {}, key } = {}) => {
+    if (!key) return Job.create({ name, runAt, payload });
+
+    return Job.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { name, runAt, payload, key } },
+      { upsert: true, new: true }
+    );
+  };
+
+  // Each recurring job is one document, shared by every instance
+  const ensureRecurringJobs = () => Promise.all(
+    [...handlers].filter(([, { every }]) => every).map(([name, { every }]) =>
+      Job.updateOne(
+        { key: `recurring:${name}` },
+        {
+          $set: { intervalMs: every },
+          $setOnInsert: { name, runAt: clock(), key: `recurring:${name}` }
+        },
+        { upsert: true }
+      )
+    )
+  );
+
+  const claimNext = (now) => Job.findOneAndUpdate(
+    {
+      name: { $in: [...handlers.keys()] },
+      runAt: { $lte: now },
+      $or: [
+        { status: 'pending' },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'running',
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + leaseMs),
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+  // What the job becomes after a run, by outcome
+  const nextState = (job, now, error) => {
+    const base = { lastRunAt: now, lastError: error ? error.message : null };
+
+    if (job.intervalMs) {
+      return { ...base, status: 'pending', attempts: 0, runAt: new Date(now.getTime() + job.intervalMs) };
+    }
+    if (!error) {
+      return { ...base, status: 'completed', completedAt: now };
+    }
+    if (job.attempts >= MAX_ATTEMPTS) {
+      return { ...base, status: 'failed' };
+    }
+    return { ...base, status: 'pending', runAt: new Date(now.getTime() + job.attempts * RETRY_DELAY_MS) };
+  };
+
+  const runJob = async (job, now) => {
+    let failure = null;
+    try {
+      await handlers.get(job.name).handler(job.payload, { now, job });
+    } catch (error) {
+      console.error(`Job ${job.name} error:`, error);
+      failure = error;
+    }
+
+    // Only while we still hold the lease; otherwise another instance has
+    // taken the job over and owns its state
+    await Job.updateOne(
+      { _id: job._id, lockedBy: workerId, lockedUntil: job.lockedUntil },
+      { ...nextState(job, now, failure), $unset: { lockedBy: 1, lockedUntil: 1 } }
+    );
+  };
+
+  // Run everything due at the clock's current time. Returns how many jobs ran.
+  const runDueJobs = async () => {
+    const now = clock();
+    let count = 0;
+    for (let job = await claimNext(now); job; job = await claimNext(now)) {
+      await runJob(job, now);
+      count++;
+    }
+    return count;
+  };
+
+  const tick = () => {
+    if (running) return running;
+    running = runDueJobs()
+      .catch(error => console.error('Job scheduler error:', error))
+      .finally(() => { running = null; });
+    return running;
+  };
+
+  const start = async (pollMs = 60 * 1000) => {
+    if (timer) return;
+    await ensureRecurringJobs();
+    timer = setInterval(tick, pollMs);
+    timer.unref();
+    tick();
+  };
+
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+    await running;
+  };
+
+  return {
+    define,
+    schedule,
+    ensureRecurringJobs,
+    runDueJobs,
+    start,
+    stop
+  };
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createJobScheduler
+};
\ No newline at end of file
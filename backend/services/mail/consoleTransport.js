@@ -0,0 +1,14 @@
+// Development transport: prints every message to stdout
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Email');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+    (message.attachments || []).forEach(attachment => console.log(`   📎 ${attachment.filename}`));
+    return { id: `console_${Date.now()}` };
+  }
+});
+
+module.exports = createConsoleTransport;
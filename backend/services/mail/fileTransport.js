@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local/test transport: writes each message as a JSON file so links and
+// tokens can be read back without a real mail server
+const createFileTransport = (directory) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const filePath = path.join(directory, `${id}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+    return { id, path: filePath };
+  }
+});
+
+module.exports = createFileTransport;
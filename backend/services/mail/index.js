@@ -0,0 +1,53 @@
+const path = require('path');
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+
+// A transport is any object with `send({ to, subject, text, html, attachments })`
+// returning a promise. Pick one with MAIL_TRANSPORT, or swap it at runtime
+// with setTransport() (e.g. an SMTP/provider adapter, or a stub in tests).
+const createDefaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '../../tmp/mail'));
+    case 'console':
+    default:
+      return createConsoleTransport();
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport;
+};
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// `attachments` are optional [{ filename, content, contentType }]
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  if (!to || !subject || !text) {
+    throw new Error('Mail requires to, subject and text');
+  }
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'MindCare <no-reply@mindcare.app>',
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  createConsoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,130 @@
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Names and other user-supplied values must not be read as markup in the
+// html body
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const verificationEmail = (user, token) => {
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Verify your MindCare email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm this is your email address by opening the link below:',
+      link,
+      '',
+      'The link expires in 24 hours. If you did not create a MindCare account, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm this is your email address:</p>
+<p><a href="${escapeHtml(link)}">Verify my email</a></p>
+<p>The link expires in 24 hours. If you did not create a MindCare account, you can ignore this email.</p>`
+  };
+};
+
+const passwordResetEmail = (user, token) => {
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your MindCare password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      link,
+      '',
+      'The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email - your password will not change.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset your password.</p>
+<p><a href="${escapeHtml(link)}">Choose a new password</a></p>
+<p>The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email - your password will not change.</p>`
+  };
+};
+
+const waitlistOfferEmail = (patient, therapist, offer) => {
+  const link = `${clientUrl()}/booking`;
+  const when = offer.startsAt.toUTCString();
+  const until = offer.expiresAt.toUTCString();
+
+  return {
+    to: patient.email,
+    subject: `A session with ${therapist.name} is available`,
+    text: [
+      `Hi ${patient.name},`,
+      '',
+      `A session with ${therapist.name} has opened up on ${when}, and you're next on the waitlist.`,
+      `We're holding it for you until ${until}. Accept or decline it here:`,
+      link,
+      '',
+      'If you do nothing, it will be offered to the next person on the waitlist.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(patient.name)},</p>
+<p>A session with ${escapeHtml(therapist.name)} has opened up on ${escapeHtml(when)}, and you're next on the waitlist.</p>
+<p>We're holding it for you until ${escapeHtml(until)}.</p>
+<p><a href="${escapeHtml(link)}">Accept or decline the session</a></p>
+<p>If you do nothing, it will be offered to the next person on the waitlist.</p>`
+  };
+};
+
+// `session` describes the appointment from the recipient's side, e.g.
+// "your session with Dr. Lee"; `when` is the start time as they should read it
+const appointmentReminderEmail = (recipient, { session, when, lead }) => {
+  const link = `${clientUrl()}/dashboard`;
+
+  return {
+    to: recipient.email,
+    subject: `Reminder: ${session} ${lead}`,
+    text: [
+      `Hi ${recipient.name},`,
+      '',
+      `This is a reminder of ${session} on ${when}.`,
+      'You can see the details or reschedule here:',
+      link
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(recipient.name)},</p>
+<p>This is a reminder of ${escapeHtml(session)} on ${escapeHtml(when)}.</p>
+<p><a href="${escapeHtml(link)}">See the details or reschedule</a></p>`
+  };
+};
+
+// Carries the session as an .ics invite, so it can go straight into the
+// recipient's own calendar
+const appointmentConfirmedEmail = (recipient, { session, when, ics }) => {
+  const link = `${clientUrl()}/dashboard`;
+  const confirmed = `${session[0].toUpperCase()}${session.slice(1)} on ${when} is confirmed.`;
+
+  return {
+    to: recipient.email,
+    subject: `Confirmed: ${session}`,
+    text: [
+      `Hi ${recipient.name},`,
+      '',
+      confirmed,
+      'The attached invite adds it to your calendar. You can see the details or reschedule here:',
+      link
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(recipient.name)},</p>
+<p>${escapeHtml(confirmed)}</p>
+<p>The attached invite adds it to your calendar.</p>
+<p><a href="${escapeHtml(link)}">See the details or reschedule</a></p>`,
+    attachments: [{ filename: 'session.ics', content: ics, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }]
+  };
+};
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  waitlistOfferEmail,
+  appointmentReminderEmail,
+  appointmentConfirmedEmail
+};
@@ -0,0 +1,37 @@
+// Money is stored as an integer count of the currency's minor units (cents
+// for USD), never as a float of major units.
+const DEFAULT_CURRENCY = (process.env.CURRENCY || 'USD').toUpperCase();
+
+// Currencies with no minor unit; the rest used here have two decimals
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP', 'ISK', 'UGX', 'XAF', 'XOF'];
+
+const minorUnitsPer = (currency) => (ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100);
+
+// 120 -> 12000 for USD
+const toMinorUnits = (major, currency = DEFAULT_CURRENCY) => Math.round(Number(major) * minorUnitsPer(currency));
+
+const fromMinorUnits = (amount, currency = DEFAULT_CURRENCY) => amount / minorUnitsPer(currency);
+
+const isMinorAmount = (amount) => Number.isInteger(amount) && amount >= 0;
+
+// 12000, 'USD' -> '$120.00'
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency
+}).format(fromMinorUnits(amount, currency));
+
+// What a session with the therapist costs, as stored on a new appointment.
+// Hourly rates on therapist profiles are in major units.
+const sessionPrice = (therapist) => ({
+  amount: toMinorUnits(therapist?.profileDetails?.hourlyRate || 100),
+  currency: DEFAULT_CURRENCY
+});
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  isMinorAmount,
+  formatMoney,
+  sessionPrice
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { sendMail } = require('./mail');
+
+const keyOf = (recipient) => (recipient._id || recipient.email).toString();
+
+// Send a message to each recipient. `compose(recipient)` builds the email for
+// one person, so each can be addressed in their own terms. Recipients listed
+// twice get one copy, and a failure for one doesn't stop the rest. Returns
+// how many were sent.
+const notify = async (recipients, compose) => {
+  const seen = new Set();
+  let sent = 0;
+
+  for (const recipient of recipients) {
+    if (!recipient?.email || seen.has(keyOf(recipient))) continue;
+    seen.add(keyOf(recipient));
+
+    try {
+      await sendMail(compose(recipient));
+      sent++;
+    } catch (error) {
+      console.error('Notification error:', error);
+    }
+  }
+  return sent;
+};
+
+// The appointment from the recipient's side: "your session with Dr. Lee",
+// or for a guardian "Sam's session with Dr. Lee"
+const describeSessionFor = (recipient, patient, therapist) => {
+  if (recipient._id.equals(patient._id)) return `your session with ${therapist.name}`;
+  if (recipient._id.equals(therapist._id)) return `your session with ${patient.name}`;
+  return `${patient.name}'s session with ${therapist.name}`;
+};
+
+// Session times in messages are given in the therapist's timezone, named
+const formatSessionTime = (start, timeZone) =>
+  `${start.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'short' })} (${timeZone})`;
+
+module.exports = {
+  notify,
+  describeSessionFor,
+  formatSessionTime
+};
\ No newline at end of file
@@ -0,0 +1,428 @@
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const SessionPackage = require('../models/SessionPackage');
+const Transaction = require('../models/Transaction');
+const { getProvider } = require('./payments');
+const { onStatusChange } = require('./appointmentStatusService');
+const { formatMoney, isMinorAmount } = require('./money');
+
+// Appointment statuses a session can still be paid for in
+const PAYABLE_STATUSES = ['pending_confirmation', 'confirmed'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// What the patient owes on the appointment right now: the session, or a
+// cancellation fee. Null when nothing is due.
+const amountDue = (appointment) => {
+  if (appointment.paymentStatus === 'fee_due') {
+    return { amount: appointment.cancellationCharge.feeAmount, purpose: 'cancellation_fee' };
+  }
+  if (appointment.paymentStatus === 'pending' && PAYABLE_STATUSES.includes(appointment.status)) {
+    return { amount: appointment.amount, purpose: 'session' };
+  }
+  return null;
+};
+
+// Add a ledger entry. The provider reference is unique, so an entry that a
+// webhook (or a retry) already added is returned instead of duplicated.
+const recordTransaction = async (payment, { type, amount, providerReference, status, reason, createdBy }) => {
+  try {
+    return await Transaction.create({
+      paymentId: payment._id,
+      appointmentId: payment.appointmentId,
+      packageId: payment.packageId,
+      patientId: payment.patientId,
+      therapistId: payment.therapistId,
+      type,
+      amount,
+      currency: payment.currency,
+      provider: payment.provider,
+      providerReference,
+      status,
+      reason,
+      createdBy
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return Transaction.findOne({ provider: payment.provider, providerReference });
+  }
+};
+
+// Open a payment for what's due on the appointment. Starting again replaces
+// any payment the patient didn't finish.
+const startPayment = async (appointment, payer) => {
+  const due = amountDue(appointment);
+  if (!due || due.amount <= 0) {
+    throw new PaymentError('Nothing is due on this appointment');
+  }
+
+  const provider = getProvider();
+  const unfinished = await Payment.find({ appointmentId: appointment._id, status: 'requires_payment_method' });
+  for (const payment of unfinished) {
+    await voidPayment(payment);
+  }
+
+  const intent = await provider.createIntent({
+    amount: due.amount,
+    currency: appointment.currency,
+    metadata: { appointmentId: appointment._id.toString(), purpose: due.purpose }
+  });
+
+  const payment = await Payment.create({
+    appointmentId: appointment._id,
+    patientId: appointment.patientId,
+    therapistId: appointment.therapistId,
+    payerId: payer._id,
+    purpose: due.purpose,
+    amount: due.amount,
+    currency: appointment.currency,
+    provider: provider.name,
+    providerIntentId: intent.id
+  });
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+// Open a payment for a session package waiting to be paid for. It is
+// charged as soon as the card is authorized.
+const startPackagePayment = async (sessionPackage, payer) => {
+  const provider = getProvider();
+  const intent = await provider.createIntent({
+    amount: sessionPackage.price,
+    currency: sessionPackage.currency,
+    metadata: { packageId: sessionPackage._id.toString(), purpose: 'package' }
+  });
+
+  const payment = await Payment.create({
+    packageId: sessionPackage._id,
+    patientId: sessionPackage.patientId,
+    therapistId: sessionPackage.therapistId,
+    payerId: payer._id,
+    purpose: 'package',
+    amount: sessionPackage.price,
+    currency: sessionPackage.currency,
+    provider: provider.name,
+    providerIntentId: intent.id
+  });
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+// A package's credits can be used once it's paid for, until it expires
+const activatePackage = async (packageId) => {
+  const sessionPackage = await SessionPackage.findOne({ _id: packageId, status: 'pending_payment' });
+  if (!sessionPackage) return;
+
+  const activatedAt = new Date();
+  await SessionPackage.updateOne(
+    { _id: packageId, status: 'pending_payment' },
+    {
+      status: 'active',
+      activatedAt,
+      expiresAt: new Date(activatedAt.getTime() + sessionPackage.validityDays * DAY_MS)
+    }
+  );
+};
+
+// Charge an authorized payment, in full or (for a cancellation fee) in
+// part. Returns null if it was no longer authorized.
+const capturePayment = async (payment, { amount, reason } = {}) => {
+  // Claimed first so the confirmation hook and a late card confirmation
+  // can't both capture
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'authorized' },
+    { status: 'captured', capturedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let intent;
+  try {
+    intent = await getProvider().captureIntent(claimed.providerIntentId, { amount });
+  } catch (error) {
+    await Payment.updateOne({ _id: claimed._id, status: 'captured' }, { status: 'authorized', $unset: { capturedAt: 1 } });
+    throw error;
+  }
+
+  claimed.amountCaptured = intent.amountCaptured;
+  await Payment.updateOne({ _id: claimed._id }, { amountCaptured: intent.amountCaptured });
+  await recordTransaction(claimed, {
+    type: 'charge',
+    amount: intent.amountCaptured,
+    providerReference: intent.chargeId,
+    status: 'succeeded',
+    reason
+  });
+  if (claimed.packageId) {
+    await activatePackage(claimed.packageId);
+  } else {
+    await Appointment.updateOne({ _id: claimed.appointmentId }, { paymentStatus: 'paid' });
+  }
+  return claimed;
+};
+
+// Release a card hold, or abandon a payment nobody finished
+const voidPayment = async (payment) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ['requires_payment_method', 'authorized'] } },
+    { status: 'cancelled', cancelledAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  await getProvider().cancelIntent(claimed.providerIntentId);
+  return claimed;
+};
+
+// The card is held: fees, packages and sessions already confirmed are
+// charged now, other sessions once the therapist confirms
+const afterAuthorization = async (payment) => {
+  if (payment.purpose === 'package') {
+    return (await capturePayment(payment, { reason: 'Session package' })) || payment;
+  }
+  if (payment.purpose === 'cancellation_fee') {
+    return (await capturePayment(payment, { reason: 'Cancellation fee' })) || payment;
+  }
+  const appointment = await Appointment.findById(payment.appointmentId).select('status');
+  if (['confirmed', 'completed'].includes(appointment?.status)) {
+    return (await capturePayment(payment)) || payment;
+  }
+
+  await Appointment.updateOne({ _id: payment.appointmentId, paymentStatus: 'pending' }, { paymentStatus: 'authorized' });
+  return payment;
+};
+
+// Pay with a card (or, with the fake provider, a test token such as
+// pm_card_visa). A declined card leaves the payment open to try another.
+const confirmPayment = async (payment, { paymentMethod }) => {
+  if (payment.status !== 'requires_payment_method') {
+    throw new PaymentError('This payment is no longer open');
+  }
+
+  const intent = await getProvider().confirmIntent(payment.providerIntentId, { paymentMethod });
+  if (intent.status !== 'requires_capture') {
+    await Payment.updateOne({ _id: payment._id }, { failureMessage: intent.failureMessage });
+    throw new PaymentError(intent.failureMessage || 'The payment was not authorized', 402);
+  }
+
+  const authorized = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'requires_payment_method' },
+    { status: 'authorized', authorizedAt: new Date(), $unset: { failureMessage: 1 } },
+    { new: true }
+  );
+  // A webhook got there first
+  if (!authorized) return Payment.findById(payment._id);
+
+  return afterAuthorization(authorized);
+};
+
+// Give back some or all of a captured payment. The refund is counted before
+// the provider is asked, so two requests can't refund the same money.
+const refundPayment = async (payment, amount, { reason, user } = {}) => {
+  const refundable = payment.amountCaptured - payment.amountRefunded;
+  if (payment.status !== 'captured' || refundable <= 0) {
+    throw new PaymentError('This payment has nothing left to refund');
+  }
+  if (!isMinorAmount(amount) || amount === 0 || amount > refundable) {
+    throw new PaymentError(`Up to ${formatMoney(refundable, payment.currency)} can be refunded`);
+  }
+
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'captured', amountRefunded: payment.amountRefunded },
+    { $inc: { amountRefunded: amount } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new PaymentError('This payment was updated by someone else. Please refresh and try again.', 409);
+  }
+
+  let refund;
+  try {
+    refund = await getProvider().refund({ intentId: claimed.providerIntentId, amount, reason });
+  } catch (error) {
+    await Payment.updateOne({ _id: claimed._id }, { $inc: { amountRefunded: -amount } });
+    throw error;
+  }
+  if (refund.status === 'failed') {
+    await Payment.updateOne({ _id: claimed._id }, { $inc: { amountRefunded: -amount } });
+    throw new PaymentError('The payment provider declined the refund', 502);
+  }
+
+  await recordTransaction(claimed, {
+    type: 'refund',
+    amount,
+    providerReference: refund.id,
+    status: refund.status,
+    reason,
+    createdBy: user?._id
+  });
+  const refundedInFull = claimed.amountRefunded >= claimed.amountCaptured;
+  if (claimed.packageId) {
+    // Credits already used stay used; a full refund ends the package
+    if (refundedInFull) await SessionPackage.updateOne({ _id: claimed.packageId }, { status: 'refunded' });
+  } else {
+    await Appointment.updateOne(
+      { _id: claimed.appointmentId },
+      { paymentStatus: refundedInFull ? 'refunded' : 'partially_refunded' }
+    );
+  }
+  return claimed;
+};
+
+// Move the money for a cancellation or no-show, as worked out by
+// cancellationPolicyService: keep the fee from a card hold and release the
+// rest, or refund a charged session less the fee
+const settleCancellationPayment = async (appointment, charge) => {
+  const payment = await Payment.findOne({
+    appointmentId: appointment._id,
+    purpose: 'session',
+    status: { $in: ['requires_payment_method', 'authorized', 'captured'] }
+  }).sort({ createdAt: -1 });
+  if (!payment) return null;
+
+  if (payment.status === 'requires_payment_method') return voidPayment(payment);
+  if (payment.status === 'authorized') {
+    return charge.feeAmount > 0
+      ? capturePayment(payment, { amount: charge.feeAmount, reason: 'Cancellation fee' })
+      : voidPayment(payment);
+  }
+  if (charge.refundAmount > 0) {
+    return refundPayment(payment, Math.min(charge.refundAmount, payment.amountCaptured - payment.amountRefunded), {
+      reason: `Appointment ${charge.kind.replace('_', ' ')}`
+    });
+  }
+  return payment;
+};
+
+// Apply a provider webhook. Every event only moves a payment forward from
+// the state it expects, and ledger entries are keyed by provider reference,
+// so redelivered events change nothing.
+const handleWebhookEvent = async (providerName, event) => {
+  const intent = event.data || {};
+  const findPayment = (status) => Payment.findOne({ provider: providerName, providerIntentId: intent.id, status });
+
+  switch (event.type) {
+    // Authorized outside our confirm call, e.g. after 3-D Secure
+    case 'payment_intent.amount_capturable_updated': {
+      const payment = await Payment.findOneAndUpdate(
+        { provider: providerName, providerIntentId: intent.id, status: 'requires_payment_method' },
+        { status: 'authorized', authorizedAt: new Date(), $unset: { failureMessage: 1 } },
+        { new: true }
+      );
+      if (payment) await afterAuthorization(payment);
+      return;
+    }
+    // Captured, possibly from the provider's dashboard
+    case 'payment_intent.succeeded': {
+      const payment = await Payment.findOneAndUpdate(
+        { provider: providerName, providerIntentId: intent.id, status: { $in: ['authorized', 'captured'] } },
+        { status: 'captured', amountCaptured: intent.amountCaptured, capturedAt: new Date() },
+        { new: true }
+      );
+      if (!payment || !intent.chargeId) return;
+      await recordTransaction(payment, {
+        type: 'charge',
+        amount: intent.amountCaptured,
+        providerReference: intent.chargeId,
+        status: 'succeeded'
+      });
+      if (payment.packageId) {
+        await activatePackage(payment.packageId);
+        return;
+      }
+      await Appointment.updateOne(
+        { _id: payment.appointmentId, paymentStatus: { $in: ['pending', 'authorized', 'fee_due'] } },
+        { paymentStatus: 'paid' }
+      );
+      return;
+    }
+    case 'payment_intent.payment_failed': {
+      const payment = await findPayment('requires_payment_method');
+      if (payment) await Payment.updateOne({ _id: payment._id }, { failureMessage: intent.failureMessage });
+      return;
+    }
+    // A hold released or expired at the provider
+    case 'payment_intent.canceled': {
+      const payment = await Payment.findOneAndUpdate(
+        { provider: providerName, providerIntentId: intent.id, status: { $in: ['requires_payment_method', 'authorized'] } },
+        { status: 'cancelled', cancelledAt: new Date() },
+        { new: true }
+      );
+      if (payment?.appointmentId) {
+        await Appointment.updateOne({ _id: payment.appointmentId, paymentStatus: 'authorized' }, { paymentStatus: 'pending' });
+      }
+      return;
+    }
+    // A pending refund went through or bounced
+    case 'refund.updated': {
+      const refund = event.data || {};
+      const entry = await Transaction.findOneAndUpdate(
+        { provider: providerName, providerReference: refund.id, type: 'refund', status: 'pending' },
+        { status: refund.status },
+        { new: true }
+      );
+      if (entry?.status === 'failed') {
+        await Payment.updateOne({ _id: entry.paymentId }, { $inc: { amountRefunded: -entry.amount } });
+      }
+      return;
+    }
+    default:
+      // Other events don't affect payments
+  }
+};
+
+// Net takings per currency from the ledger: succeeded charges less
+// succeeded refunds, optionally within a date range
+const ledgerTotals = async ({ from, to } = {}) => {
+  const match = { status: 'succeeded' };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+  }
+
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    { $group: { _id: { currency: '$currency', type: '$type' }, total: { $sum: '$amount' } } }
+  ]);
+
+  const totals = {};
+  for (const { _id, total } of rows) {
+    totals[_id.currency] = totals[_id.currency] || { currency: _id.currency, charged: 0, refunded: 0, net: 0 };
+    totals[_id.currency][_id.type === 'charge' ? 'charged' : 'refunded'] += total;
+  }
+  return Object.values(totals).map(total => ({ ...total, net: total.charged - total.refunded }));
+};
+
+// The session is charged once the therapist confirms it
+onStatusChange('confirmed', async (appointment) => {
+  try {
+    const payment = await Payment.findOne({ appointmentId: appointment._id, purpose: 'session', status: 'authorized' });
+    if (payment) await capturePayment(payment);
+  } catch (error) {
+    // The confirmation stands; the hold can be captured by hand
+    console.error('Payment capture error:', error);
+  }
+});
+
+module.exports = {
+  PaymentError,
+  amountDue,
+  startPayment,
+  startPackagePayment,
+  confirmPayment,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+  settleCancellationPayment,
+  handleWebhookEvent,
+  ledgerTotals
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Card tokens the fake provider accepts, named after the test cards real
+// gateways take in test mode. The value is why the card is declined.
+const TEST_PAYMENT_METHODS = {
+  pm_card_visa: null,
+  pm_card_mastercard: null,
+  pm_card_declined: 'Your card was declined.',
+  pm_card_insufficient_funds: 'Your card has insufficient funds.'
+};
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Local/test provider: keeps intents and refunds in memory and moves no
+// money, so the whole payment flow can be exercised without a gateway.
+// Webhook bodies are signed with an HMAC of `webhookSecret`; signWebhook()
+// builds one to post to the webhook route by hand.
+const createFakeProvider = ({ webhookSecret } = {}) => {
+  if (!webhookSecret) {
+    throw new Error('The fake payment provider needs a webhook secret');
+  }
+
+  const intents = new Map();
+  const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+  const sign = (body) => crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+
+  const findIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) throw new Error(`No such payment intent: ${intentId}`);
+    return intent;
+  };
+
+  const expectStatus = (intent, status, action) => {
+    if (intent.status !== status) {
+      throw new Error(`Payment intent ${intent.id} cannot be ${action} while ${intent.status}`);
+    }
+  };
+
+  return {
+    name: 'fake',
+
+    createIntent: async ({ amount, currency, metadata = {} }) => {
+      const id = newId('pi');
+      const intent = {
+        id,
+        amount,
+        currency,
+        metadata,
+        status: 'requires_payment_method',
+        clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        amountCaptured: 0,
+        amountRefunded: 0
+      };
+      intents.set(id, intent);
+      return { ...intent };
+    },
+
+    // Authorizes the card; a declined card leaves the intent waiting for
+    // another one
+    confirmIntent: async (intentId, { paymentMethod }) => {
+      const intent = findIntent(intentId);
+      expectStatus(intent, 'requires_payment_method', 'confirmed');
+
+      if (!(paymentMethod in TEST_PAYMENT_METHODS)) {
+        return { ...intent, failureMessage: `Unknown test payment method "${paymentMethod}"` };
+      }
+      const declined = TEST_PAYMENT_METHODS[paymentMethod];
+      if (declined) {
+        return { ...intent, failureMessage: declined };
+      }
+
+      intent.status = 'requires_capture';
+      intent.paymentMethod = paymentMethod;
+      return { ...intent };
+    },
+
+    // Charges all of the authorized amount, or less of it
+    captureIntent: async (intentId, { amount } = {}) => {
+      const intent = findIntent(intentId);
+      expectStatus(intent, 'requires_capture', 'captured');
+
+      const captured = amount === undefined ? intent.amount : amount;
+      if (captured <= 0 || captured > intent.amount) {
+        throw new Error(`Cannot capture ${captured} of an intent for ${intent.amount}`);
+      }
+
+      intent.status = 'succeeded';
+      intent.amountCaptured = captured;
+      intent.chargeId = newId('ch');
+      return { ...intent };
+    },
+
+    cancelIntent: async (intentId) => {
+      const intent = findIntent(intentId);
+      if (!['requires_payment_method', 'requires_capture'].includes(intent.status)) {
+        throw new Error(`Payment intent ${intentId} cannot be cancelled while ${intent.status}`);
+      }
+      intent.status = 'canceled';
+      return { ...intent };
+    },
+
+    refund: async ({ intentId, amount, reason }) => {
+      const intent = findIntent(intentId);
+      expectStatus(intent, 'succeeded', 'refunded');
+
+      if (amount <= 0 || amount > intent.amountCaptured - intent.amountRefunded) {
+        throw new Error(`Cannot refund ${amount} of intent ${intentId}`);
+      }
+
+      intent.amountRefunded += amount;
+      return { id: newId('re'), intentId, amount, reason, status: 'succeeded' };
+    },
+
+    parseWebhook: (rawBody, headers) => {
+      const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''));
+      const expected = Buffer.from(sign(body));
+      const given = Buffer.from(String(headers[SIGNATURE_HEADER] || ''));
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new Error('Invalid webhook signature');
+      }
+      return JSON.parse(body.toString('utf8'));
+    },
+
+    // A signed webhook request for the event, as the provider would send it
+    signWebhook: (type, data) => {
+      const body = JSON.stringify({ id: newId('evt'), type, data });
+      return { body, headers: { 'content-type': 'application/json', [SIGNATURE_HEADER]: sign(body) } };
+    }
+  };
+};
+
+module.exports = createFakeProvider;
+module.exports.TEST_PAYMENT_METHODS = TEST_PAYMENT_METHODS;
\ No newline at end of file
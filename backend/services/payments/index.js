@@ -0,0 +1,62 @@
+const createFakeProvider = require('./fakeProvider');
+
+// A provider is any object with a `name` and these methods, all taking and
+// returning amounts in minor units:
+//
+//   createIntent({ amount, currency, metadata })  -> intent
+//   confirmIntent(intentId, { paymentMethod })    -> intent, with
+//     `failureMessage` when the card is declined
+//   captureIntent(intentId, { amount })           -> intent, with `chargeId`
+//   cancelIntent(intentId)                        -> intent
+//   refund({ intentId, amount, reason })          -> { id, intentId, amount, status }
+//   parseWebhook(rawBody, headers)                -> { id, type, data }, throwing
+//     when the signature doesn't match
+//
+// Intents are { id, amount, currency, status, clientSecret, amountCaptured,
+// chargeId }, where status is requires_payment_method, requires_capture,
+// succeeded or canceled. Refund status is pending, succeeded or failed.
+//
+// Pick one with PAYMENT_PROVIDER, or swap it at runtime with setProvider()
+// (e.g. a real gateway adapter, or a stub in tests). Only development and
+// test fall back to the fake provider and a known webhook secret; anywhere
+// else both must be set, or anyone could sign a "payment succeeded" webhook.
+const isLocalEnvironment = () => ['development', 'test'].includes(process.env.NODE_ENV || 'development');
+
+const createDefaultProvider = () => {
+  const local = isLocalEnvironment();
+  const name = process.env.PAYMENT_PROVIDER || (local ? 'fake' : null);
+  const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || (local ? 'whsec_fake' : null);
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER must be set outside development and test');
+  }
+  if (!webhookSecret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set outside development and test');
+  }
+
+  switch (name) {
+    case 'fake':
+      return createFakeProvider({ webhookSecret });
+    default:
+      // Never fall back to the fake one, which would take no money
+      throw new Error(`Unknown payment provider "${name}"`);
+  }
+};
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = createDefaultProvider();
+  }
+  return provider;
+};
+
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  createFakeProvider
+};
\ No newline at end of file
@@ -0,0 +1,348 @@
+const Appointment = require('../models/Appointment');
+const Payout = require('../models/Payout');
+const PayoutSettings = require('../models/PayoutSettings');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULES = ['weekly', 'monthly'];
+
+// Used until an admin saves platform defaults
+const DEFAULT_TERMS = {
+  commissionPercent: parseFloat(process.env.PLATFORM_COMMISSION_PERCENT || '20'),
+  schedule: process.env.PAYOUT_SCHEDULE || 'monthly'
+};
+
+// Ledger entries count towards a payout once their appointment is over
+const SETTLED_STATUSES = ['completed', 'cancelled', 'no_show'];
+
+class PayoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PayoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+const validateTerms = ({ commissionPercent, schedule }) => {
+  if (commissionPercent !== undefined && commissionPercent !== null &&
+      (typeof commissionPercent !== 'number' || !(commissionPercent >= 0 && commissionPercent <= 100))) {
+    return 'commissionPercent must be a number from 0 to 100';
+  }
+  if (schedule !== undefined && schedule !== null && !SCHEDULES.includes(schedule)) {
+    return `schedule must be one of: ${SCHEDULES.join(', ')}`;
+  }
+  return null;
+};
+
+const pickTerms = (settings) => Object.fromEntries(
+  Object.keys(DEFAULT_TERMS)
+    .filter(field => settings?.[field] !== undefined && settings?.[field] !== null)
+    .map(field => [field, settings[field]])
+);
+
+const platformTerms = async () => {
+  const settings = await PayoutSettings.findOne({ therapistId: null }).lean();
+  return { ...DEFAULT_TERMS, ...pickTerms(settings) };
+};
+
+// The therapist's commission and schedule: their own settings over the
+// platform's
+const getPayoutTerms = async (therapistId) => {
+  const [platform, own] = await Promise.all([
+    platformTerms(),
+    PayoutSettings.findOne({ therapistId }).lean()
+  ]);
+  return { ...platform, ...pickTerms(own) };
+};
+
+// Payout periods run in UTC: weeks from Monday, months from the 1st.
+// `end` is exclusive.
+const periodContaining = (schedule, date) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  if (schedule === 'weekly') {
+    const day = Date.UTC(year, month, date.getUTCDate());
+    const start = new Date(day - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+  return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+};
+
+const lastEndedPeriod = (schedule, now) =>
+  periodContaining(schedule, new Date(periodContaining(schedule, now).start.getTime() - 1));
+
+// The platform's share of `amount`, rounded to the minor unit; negative
+// amounts (refunds) give back the same share
+const commissionOn = (amount, percent) => Math.sign(amount) * Math.round(Math.abs(amount) * percent / 100);
+
+// Succeeded ledger entries not yet in a payout, whose appointments are
+// over; session packages count as soon as they are paid for. Entries
+// carried over from before the ledger ('legacy') were settled with
+// therapists outside the platform and never count.
+const unsettledEntries = async (therapistId, before) => {
+  const query = {
+    therapistId,
+    payoutId: null,
+    status: 'succeeded',
+    provider: { $ne: 'legacy' }
+  };
+  if (before) query.createdAt = { $lt: before };
+
+  const entries = await Transaction.find(query).sort({ createdAt: 1 });
+  const appointmentIds = entries.filter(entry => entry.appointmentId).map(entry => entry.appointmentId.toString());
+  const appointments = await Appointment.find({ _id: { $in: [...new Set(appointmentIds)] } }).select('status');
+  const statusOf = new Map(appointments.map(appointment => [appointment._id.toString(), appointment.status]));
+
+  const settled = [];
+  const waiting = [];
+  for (const entry of entries) {
+    const status = entry.appointmentId ? statusOf.get(entry.appointmentId.toString()) : null;
+    (!entry.appointmentId || SETTLED_STATUSES.includes(status) ? settled : waiting).push({ entry, status });
+  }
+  return { settled, waiting };
+};
+
+// Payout lines for ledger entries. Refunds take back commission at the
+// rate their charge was paid out at, where it already has been.
+const buildLines = async (settled, commissionPercent) => {
+  const refundPaymentIds = settled
+    .filter(({ entry }) => entry.type === 'refund')
+    .map(({ entry }) => entry.paymentId);
+  const percentByPayment = new Map();
+  if (refundPaymentIds.length > 0) {
+    const charges = await Transaction.find({ paymentId: { $in: refundPaymentIds }, type: 'charge', payoutId: { $ne: null } })
+      .select('paymentId payoutId');
+    const payouts = await Payout.find({ _id: { $in: charges.map(charge => charge.payoutId) } })
+      .select('lines.transactionId lines.commissionPercent');
+    for (const charge of charges) {
+      const line = payouts
+        .find(payout => payout._id.equals(charge.payoutId))
+        ?.lines.find(paidLine => paidLine.transactionId.equals(charge._id));
+      if (line) percentByPayment.set(charge.paymentId.toString(), line.commissionPercent);
+    }
+  }
+
+  return settled.map(({ entry, status }) => {
+    const amount = entry.type === 'refund' ? -entry.amount : entry.amount;
+    const percent = entry.type === 'refund'
+      ? percentByPayment.get(entry.paymentId.toString()) ?? commissionPercent
+      : commissionPercent;
+    const commission = commissionOn(amount, percent);
+    let kind = 'session';
+    if (entry.type === 'refund') kind = 'refund';
+    else if (entry.packageId) kind = 'package';
+    else if (status !== 'completed') kind = 'cancellation_fee';
+
+    return {
+      transactionId: entry._id,
+      appointmentId: entry.appointmentId,
+      packageId: entry.packageId,
+      patientId: entry.patientId,
+      kind,
+      occurredAt: entry.createdAt,
+      currency: entry.currency,
+      amount,
+      commissionPercent: percent,
+      commission,
+      net: amount - commission
+    };
+  });
+};
+
+const groupByCurrency = (items, currencyOf) => {
+  const groups = new Map();
+  for (const item of items) {
+    groups.set(currencyOf(item), [...(groups.get(currencyOf(item)) || []), item]);
+  }
+  return groups;
+};
+
+const totalsOf = (lines) => lines.reduce((totals, line) => ({
+  grossAmount: totals.grossAmount + line.amount,
+  commissionAmount: totals.commissionAmount + line.commission,
+  netAmount: totals.netAmount + line.net
+}), { grossAmount: 0, commissionAmount: 0, netAmount: 0 });
+
+// Lines grouped by kind, for the earnings breakdown
+const breakdownOf = (lines) => {
+  const breakdown = {};
+  for (const line of lines) {
+    const row = breakdown[line.kind] || { count: 0, amount: 0, commission: 0, net: 0 };
+    breakdown[line.kind] = {
+      count: row.count + 1,
+      amount: row.amount + line.amount,
+      commission: row.commission + line.commission,
+      net: row.net + line.net
+    };
+  }
+  return breakdown;
+};
+
+// Draft a payout per currency for the therapist's last ended period. A
+// period is drafted once; entries that settle after that (or come back from
+// a rejected payout) go into the next one. The entries are claimed by the
+// payout before its lines are written, so two runs can't pay them twice.
+const draftPayouts = async (therapistId, now) => {
+  const terms = await getPayoutTerms(therapistId);
+  const period = lastEndedPeriod(terms.schedule, now);
+  const { settled } = await unsettledEntries(therapistId, period.end);
+
+  const drafted = [];
+  for (const [currency, items] of groupByCurrency(settled, ({ entry }) => entry.currency)) {
+    if (await Payout.exists({ therapistId, currency, periodStart: period.start })) continue;
+
+    const payout = await Payout.create({
+      therapistId,
+      currency,
+      schedule: terms.schedule,
+      periodStart: period.start,
+      periodEnd: period.end
+    });
+    await Transaction.updateMany(
+      { _id: { $in: items.map(({ entry }) => entry._id) }, payoutId: null },
+      { $set: { payoutId: payout._id } }
+    );
+    const claimedIds = new Set((await Transaction.find({ payoutId: payout._id }).select('_id')).map(entry => entry._id.toString()));
+    const lines = await buildLines(
+      items.filter(({ entry }) => claimedIds.has(entry._id.toString())),
+      terms.commissionPercent
+    );
+
+    if (lines.length === 0) {
+      await Payout.deleteOne({ _id: payout._id });
+      continue;
+    }
+    payout.set({ lines, ...totalsOf(lines) });
+    await payout.save();
+    drafted.push(payout);
+  }
+  return drafted;
+};
+
+// Draft payouts for every therapist with settled entries waiting. Run on a
+// schedule; safe to run again at any time.
+const generatePayouts = async ({ now = new Date() } = {}) => {
+  const therapistIds = await Transaction.distinct('therapistId', {
+    payoutId: null,
+    status: 'succeeded',
+    provider: { $ne: 'legacy' }
+  });
+
+  const drafted = [];
+  for (const therapistId of therapistIds) {
+    try {
+      drafted.push(...await draftPayouts(therapistId, now));
+    } catch (error) {
+      console.error(`Payout drafting error for therapist ${therapistId}:`, error);
+    }
+  }
+  return drafted;
+};
+
+// Move a payout on from `from` only, so two admins can't both act on it
+const transition = async (payoutId, from, update) => {
+  const payout = await Payout.findOneAndUpdate({ _id: payoutId, status: from }, update, { new: true });
+  if (!payout) {
+    const current = await Payout.findById(payoutId).select('status');
+    if (!current) throw new PayoutError('Payout not found', 404);
+    throw new PayoutError(`This payout is already ${current.status.replace('_', ' ')}`, 409);
+  }
+  return payout;
+};
+
+const approvePayout = async (payoutId, user) => {
+  const payout = await Payout.findById(payoutId).select('netAmount');
+  if (payout && payout.netAmount < 0) {
+    throw new PayoutError('Refunds exceed earnings in this payout. Reject it to carry the balance into the next payout.');
+  }
+  return transition(payoutId, 'pending_approval', {
+    status: 'approved',
+    reviewedBy: user._id,
+    reviewedAt: new Date()
+  });
+};
+
+// The payout's entries are released to be paid in the therapist's next one
+const rejectPayout = async (payoutId, user, reason) => {
+  const payout = await transition(payoutId, 'pending_approval', {
+    status: 'rejected',
+    reviewedBy: user._id,
+    reviewedAt: new Date(),
+    rejectionReason: reason
+  });
+  await Transaction.updateMany({ payoutId: payout._id }, { $set: { payoutId: null } });
+  return payout;
+};
+
+const markPayoutPaid = (payoutId, user, paymentReference) => transition(payoutId, 'approved', {
+  status: 'paid',
+  paidBy: user._id,
+  paidAt: new Date(),
+  paymentReference
+});
+
+// What the therapist has earned: payouts drafted in the range, what will be
+// in the next payout at current terms, and what is paid for sessions that
+// haven't happened yet
+const getEarnings = async (therapistId, { from, to } = {}) => {
+  const terms = await getPayoutTerms(therapistId);
+  const payoutQuery = { therapistId, status: { $ne: 'rejected' } };
+  if (from || to) {
+    payoutQuery.periodStart = {};
+    if (from) payoutQuery.periodStart.$gte = from;
+    if (to) payoutQuery.periodStart.$lt = to;
+  }
+
+  const [payouts, { settled, waiting }] = await Promise.all([
+    Payout.find(payoutQuery)
+      .populate('lines.patientId', 'name')
+      .sort({ periodStart: -1 })
+      .limit(60),
+    unsettledEntries(therapistId)
+  ]);
+  // Named like the populated lines of drafted payouts
+  const patients = await User.find({ _id: { $in: settled.map(({ entry }) => entry.patientId) } }).select('name');
+  const upcomingLines = (await buildLines(settled, terms.commissionPercent)).map(line => ({
+    ...line,
+    patientId: patients.find(patient => patient._id.equals(line.patientId)) || null
+  }));
+
+  return {
+    terms,
+    nextPeriod: periodContaining(terms.schedule, new Date()),
+    // Per currency, as the next payouts would be drafted today
+    upcoming: [...groupByCurrency(upcomingLines, line => line.currency)].map(([currency, lines]) => ({
+      currency,
+      lines,
+      ...totalsOf(lines),
+      breakdown: breakdownOf(lines)
+    })),
+    // Already paid, for sessions still to come
+    awaitingSessions: [...groupByCurrency(waiting, ({ entry }) => entry.currency)].map(([currency, items]) => ({
+      currency,
+      count: items.length,
+      amount: items.reduce((sum, { entry }) => sum + (entry.type === 'refund' ? -entry.amount : entry.amount), 0)
+    })),
+    payouts: payouts.map(payout => ({ ...payout.toObject(), breakdown: breakdownOf(payout.lines) }))
+  };
+};
+
+module.exports = {
+  DEFAULT_TERMS,
+  SCHEDULES,
+  PayoutError,
+  validateTerms,
+  pickTerms,
+  platformTerms,
+  getPayoutTerms,
+  periodContaining,
+  lastEndedPeriod,
+  commissionOn,
+  breakdownOf,
+  generatePayouts,
+  approvePayout,
+  rejectPayout,
+  markPayoutPaid,
+  getEarnings
+};
\ No newline at end of file
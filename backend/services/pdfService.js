@@ -0,0 +1,239 @@
+// Just enough PDF (1.4) to lay out billing documents: text in the built-in
+// Helvetica faces, horizontal rules and simple tables, flowing onto new
+// pages as needed. Nothing is embedded, so files stay a few KB.
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+// Advance widths (per 1000 units of font size) of printable ASCII, from
+// the Adobe metrics for Helvetica and Helvetica-Bold. Other characters are
+// measured as a digit.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Text is written in WinAnsiEncoding, which matches Latin-1 from 0xA0 up.
+// Common punctuation outside it is swapped for the nearest ASCII.
+const toWinAnsi = (text) => String(text)
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/…/g, '...')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const escapeString = (text) => text.replace(/[\\()]/g, char => `\\${char}`);
+
+const textWidth = (text, size, bold = false) => {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  let total = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return total * size / 1000;
+};
+
+// Cut text to fit `width`, ending with '...' when shortened
+const fitText = (text, width, size, bold) => {
+  const value = String(text);
+  if (textWidth(value, size, bold) <= width) return value;
+  let cut = value;
+  while (cut && textWidth(`${cut}...`, size, bold) > width) cut = cut.slice(0, -1);
+  return `${cut}...`;
+};
+
+// Words of `text` in lines no wider than `width`
+const wrapText = (text, width, size, bold) => {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size, bold) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+// A document built top to bottom. Each call places content under the last
+// and starts a new page when it runs out of room.
+const createPdf = ({ title = 'Document' } = {}) => {
+  const pages = [];
+  let ops;
+  let y;
+
+  const addPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  addPage();
+
+  const ensureRoom = (height) => {
+    if (y - height < MARGIN) addPage();
+  };
+
+  const drawText = (text, x, baseline, { size, bold }) => {
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(x)} ${formatNumber(baseline)} Td (${escapeString(toWinAnsi(text))}) Tj ET`);
+  };
+
+  const doc = {
+    contentWidth: PAGE_WIDTH - 2 * MARGIN,
+
+    // A paragraph, wrapped to the page (or `width`) and aligned
+    text: (value, { size = 10, bold = false, align = 'left', width = doc.contentWidth, gap = 4 } = {}) => {
+      for (const line of wrapText(value, width, size, bold)) {
+        ensureRoom(size + gap);
+        y -= size;
+        let x = MARGIN;
+        if (align === 'right') x = MARGIN + width - textWidth(line, size, bold);
+        if (align === 'center') x = MARGIN + (width - textWidth(line, size, bold)) / 2;
+        drawText(line, x, y, { size, bold });
+        y -= gap;
+      }
+      return doc;
+    },
+
+    // Label/value pairs in two columns, e.g. the parties on an invoice
+    fields: (pairs, { size = 10, labelWidth = 130 } = {}) => {
+      for (const [label, value] of pairs) {
+        const lines = wrapText(value ?? '', doc.contentWidth - labelWidth, size, false);
+        ensureRoom(lines.length * (size + 4));
+        lines.forEach((line, index) => {
+          y -= size;
+          if (index === 0) drawText(label, MARGIN, y, { size, bold: true });
+          drawText(line, MARGIN + labelWidth, y, { size, bold: false });
+          y -= 4;
+        });
+      }
+      return doc;
+    },
+
+    moveDown: (points = 10) => {
+      y -= points;
+      if (y < MARGIN) addPage();
+      return doc;
+    },
+
+    rule: () => {
+      ensureRoom(10);
+      y -= 5;
+      ops.push(`0.75 G 0.5 w ${MARGIN} ${formatNumber(y)} m ${PAGE_WIDTH - MARGIN} ${formatNumber(y)} l S 0 G`);
+      y -= 5;
+      return doc;
+    },
+
+    // `columns` are { header, width, align }; widths are shares of the page.
+    // The header repeats on every page the table runs onto.
+    table: (columns, rows, { size = 9 } = {}) => {
+      const totalShare = columns.reduce((sum, column) => sum + column.width, 0);
+      const widths = columns.map(column => column.width / totalShare * doc.contentWidth);
+      const rowHeight = size + 8;
+
+      const drawRow = (cells, bold) => {
+        ensureRoom(rowHeight);
+        y -= size + 2;
+        let x = MARGIN;
+        cells.forEach((cell, index) => {
+          const width = widths[index] - 6;
+          const value = fitText(cell ?? '', width, size, bold);
+          const offset = columns[index].align === 'right' ? width - textWidth(value, size, bold) : 0;
+          drawText(value, x + offset, y, { size, bold });
+          x += widths[index];
+        });
+        y -= 6;
+      };
+
+      const drawHeader = () => {
+        drawRow(columns.map(column => column.header), true);
+        doc.rule();
+      };
+
+      drawHeader();
+      for (const row of rows) {
+        const pageCount = pages.length;
+        ensureRoom(rowHeight);
+        if (pages.length !== pageCount) drawHeader();
+        drawRow(row, false);
+      }
+      return doc;
+    },
+
+    // The finished file, with page numbers in the footer
+    toBuffer: () => {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const pageIds = pages.map((pageOps, index) => {
+        const footer = `Page ${index + 1} of ${pages.length}`;
+        const stream = [
+          ...pageOps,
+          `BT /F1 8 Tf ${formatNumber(PAGE_WIDTH - MARGIN - textWidth(footer, 8))} 30 Td (${footer}) Tj ET`
+        ].join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+      const infoId = add(`<< /Title (${escapeString(toWinAnsi(title))}) /Producer (MindCare) >>`);
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+      output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+};
+
+module.exports = {
+  createPdf,
+  textWidth
+};
\ No newline at end of file
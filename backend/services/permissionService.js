@@ -0,0 +1,32 @@
+const { BUILT_IN_ROLES, LEGACY_ADMIN_ROLES } = require('../config/permissions');
+
+// Staff roles held by a user. Only admin accounts hold any; an admin whose
+// adminRoles were never set is a legacy full-access admin.
+const getStaffRoles = (user) => {
+  if (user.role !== 'admin') return [];
+  return user.adminRoles === undefined ? LEGACY_ADMIN_ROLES : user.adminRoles;
+};
+
+const getPermissions = (user) => {
+  const permissions = new Set();
+  for (const role of getStaffRoles(user)) {
+    (BUILT_IN_ROLES[role]?.permissions || []).forEach(permission => permissions.add(permission));
+  }
+  return [...permissions];
+};
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+// Whether the user holds any permission the actor lacks. Staff may only
+// suspend, delete or re-role accounts that don't outrank them.
+const outranks = (user, actor) => {
+  const actorPermissions = getPermissions(actor);
+  return getPermissions(user).some(permission => !actorPermissions.includes(permission));
+};
+
+module.exports = {
+  getStaffRoles,
+  getPermissions,
+  hasPermission,
+  outranks
+};
\ No newline at end of file
@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const PromoCode = require('../models/PromoCode');
+const SessionPackage = require('../models/SessionPackage');
+const SessionProduct = require('../models/SessionProduct');
+const SlidingScaleRate = require('../models/SlidingScaleRate');
+const { formatMoney, sessionPrice } = require('./money');
+
+// Bookings that count as having seen the therapist, for intake sessions
+const ACTIVE_STATUSES = ['pending_confirmation', 'confirmed', 'completed'];
+const PRODUCT_KINDS = ['standard', 'intake', 'couples'];
+// 100,000.00 in a two-decimal currency
+const MAX_PRICE = 10000000;
+
+class PricingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// What therapists who haven't set up products sell: a session at their
+// hourly rate, as long as their availability's sessions (`duration` null)
+const defaultProduct = (therapist) => {
+  const { amount, currency } = sessionPrice(therapist);
+  return {
+    _id: null,
+    therapistId: therapist._id,
+    name: 'Session',
+    kind: 'standard',
+    duration: null,
+    price: amount,
+    currency,
+    packages: []
+  };
+};
+
+// The session products a therapist offers, cheapest first
+const listProducts = async (therapist) => {
+  const products = await SessionProduct.find({ therapistId: therapist._id, active: true }).sort({ price: 1, createdAt: 1 });
+  return products.length > 0 ? products : [defaultProduct(therapist)];
+};
+
+// The product being booked: the one asked for, or the therapist's first
+const resolveProduct = async (therapist, productId) => {
+  if (!productId) return (await listProducts(therapist))[0];
+
+  const product = mongoose.isValidObjectId(productId) &&
+    await SessionProduct.findOne({ _id: productId, therapistId: therapist._id, active: true });
+  if (!product) throw new PricingError('This session type is not available', 404);
+  return product;
+};
+
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Whether a product's fields (as sent by the therapist) are in range; an
+// error message, or null
+const validateProduct = ({ name, kind, duration, price, packages }) => {
+  if (name !== undefined && !(typeof name === 'string' && name.trim() && name.length <= 80)) {
+    return 'Please give the session type a name of up to 80 characters';
+  }
+  if (kind !== undefined && !PRODUCT_KINDS.includes(kind)) {
+    return `kind must be one of: ${PRODUCT_KINDS.join(', ')}`;
+  }
+  if (duration !== undefined && !isWholeNumber(duration, 15, 240)) {
+    return 'duration must be a whole number of minutes from 15 to 240';
+  }
+  if (price !== undefined && !isWholeNumber(price, 0, MAX_PRICE)) {
+    return 'price must be a whole number of minor units';
+  }
+  if (packages !== undefined) {
+    if (!Array.isArray(packages) || packages.length > 5) {
+      return 'Please offer at most 5 packages';
+    }
+    for (const option of packages) {
+      if (!isWholeNumber(option?.sessions, 2, 50)) return 'Packages hold from 2 to 50 sessions';
+      if (!isWholeNumber(option.price, 0, MAX_PRICE)) return 'Package prices must be whole numbers of minor units';
+      if (option.validityDays !== undefined && !isWholeNumber(option.validityDays, 7, 730)) {
+        return 'Packages must stay valid for 7 to 730 days';
+      }
+    }
+  }
+  return null;
+};
+
+// Likewise for a promo code, as sent by staff
+const validatePromoCode = ({ code, percentOff, amountOff, maxRedemptions, perPatientLimit, startsAt, expiresAt }) => {
+  if (code !== undefined && !/^[A-Z0-9-]{3,32}$/i.test(code || '')) {
+    return 'Codes are 3 to 32 letters, digits or dashes';
+  }
+  if (percentOff && amountOff) {
+    return 'Please give either percentOff or amountOff, not both';
+  }
+  if (percentOff !== undefined && percentOff !== null && !isWholeNumber(percentOff, 1, 100)) {
+    return 'percentOff must be a whole number from 1 to 100';
+  }
+  if (amountOff !== undefined && amountOff !== null && !isWholeNumber(amountOff, 1, MAX_PRICE)) {
+    return 'amountOff must be a whole number of minor units';
+  }
+  if (maxRedemptions !== undefined && maxRedemptions !== null && !isWholeNumber(maxRedemptions, 1, 1000000)) {
+    return 'maxRedemptions must be a whole number of at least 1';
+  }
+  if (perPatientLimit !== undefined && !isWholeNumber(perPatientLimit, 1, 100)) {
+    return 'perPatientLimit must be a whole number from 1 to 100';
+  }
+  for (const value of [startsAt, expiresAt]) {
+    if (value && Number.isNaN(new Date(value).getTime())) return 'Please provide valid dates';
+  }
+  if (startsAt && expiresAt && new Date(startsAt) >= new Date(expiresAt)) {
+    return 'The code must expire after it starts';
+  }
+  return null;
+};
+
+const checkIntake = async (product, therapistId, patientId) => {
+  if (product.kind !== 'intake') return;
+  const seen = await Appointment.exists({ therapistId, patientId, status: { $in: ACTIVE_STATUSES } });
+  if (seen) throw new PricingError('Intake sessions are for patients new to this therapist');
+};
+
+const currentRate = (therapistId, patientId, at) => SlidingScaleRate.findOne({
+  therapistId,
+  patientId,
+  $or: [{ validUntil: null }, { validUntil: { $gt: at } }]
+});
+
+// A package of the patient's with credits left for the product
+const usablePackage = async (packageId, { patientId, therapistId, productId }, at) => {
+  const sessionPackage = mongoose.isValidObjectId(packageId) &&
+    await SessionPackage.findOne({ _id: packageId, patientId, therapistId, status: 'active' });
+  if (!sessionPackage || !productId || !sessionPackage.productId.equals(productId)) {
+    throw new PricingError('This package cannot be used for this session');
+  }
+  if (sessionPackage.sessionsUsed >= sessionPackage.sessionsTotal) {
+    throw new PricingError('No sessions are left on this package');
+  }
+  if (sessionPackage.expiresAt && sessionPackage.expiresAt <= at) {
+    throw new PricingError('This package has expired');
+  }
+  return sessionPackage;
+};
+
+const findPromoCode = async (code, { patientId, currency }, at) => {
+  const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+  if (!promo || !promo.active || (promo.startsAt && promo.startsAt > at)) {
+    throw new PricingError('This code is not valid');
+  }
+  if (promo.expiresAt && promo.expiresAt <= at) {
+    throw new PricingError('This code has expired');
+  }
+  if (promo.maxRedemptions && promo.redemptionCount >= promo.maxRedemptions) {
+    throw new PricingError('This code has been used up');
+  }
+  if (promo.amountOff && promo.currency !== currency) {
+    throw new PricingError(`This code can't be used for payments in ${currency}`);
+  }
+
+  const used = await Appointment.countDocuments({
+    patientId,
+    'pricing.promoCodeId': promo._id,
+    'pricing.creditReturned': { $ne: true }
+  });
+  if (used >= promo.perPatientLimit) {
+    throw new PricingError('You have already used this code');
+  }
+  return promo;
+};
+
+// The price of a session, with a line per discount. A package credit pays
+// for the whole session, so nothing else applies alongside one; otherwise
+// the patient's sliding-scale rate comes off first, then the promo code.
+// Returns the appointment fields { amount, currency, productId, pricing }
+// plus the package and code to redeem on booking.
+const quotePrice = async ({ therapist, patientId, product, promoCode, packageId, at = new Date() }) => {
+  const therapistId = therapist._id;
+  const { price: listPrice, currency } = product;
+  const adjustments = [];
+  let total = listPrice;
+  let sessionPackage = null;
+  let promo = null;
+
+  if (packageId) {
+    sessionPackage = await usablePackage(packageId, { patientId, therapistId, productId: product._id }, at);
+    adjustments.push({
+      kind: 'package',
+      label: `Package credit (${sessionPackage.sessionsTotal - sessionPackage.sessionsUsed} of ${sessionPackage.sessionsTotal} left)`,
+      amount: -total
+    });
+    total = 0;
+  } else {
+    const rate = await currentRate(therapistId, patientId, at);
+    if (rate) {
+      const discount = Math.round(total * rate.discountPercent / 100);
+      adjustments.push({ kind: 'sliding_scale', label: `Sliding-scale rate (${rate.discountPercent}% off)`, amount: -discount });
+      total -= discount;
+    }
+
+    if (promoCode && total > 0) {
+      promo = await findPromoCode(promoCode, { patientId, currency }, at);
+      const discount = promo.percentOff
+        ? Math.round(total * promo.percentOff / 100)
+        : Math.min(promo.amountOff, total);
+      const off = promo.percentOff ? `${promo.percentOff}% off` : `${formatMoney(promo.amountOff, currency)} off`;
+      adjustments.push({ kind: 'promo_code', label: `Code ${promo.code} (${off})`, amount: -discount });
+      total -= discount;
+    }
+  }
+
+  return {
+    amount: total,
+    currency,
+    productId: product._id || undefined,
+    pricing: {
+      productName: product.name,
+      listPrice,
+      adjustments,
+      promoCodeId: promo?._id,
+      packageId: sessionPackage?._id
+    },
+    ...(sessionPackage && { paymentStatus: 'package' })
+  };
+};
+
+// Use the package credit and the code use a quote relies on. Both are
+// claimed atomically against their limits; returns a function that gives
+// them back should the booking then fail.
+const redeemQuote = async (quote) => {
+  const { packageId, promoCodeId } = quote.pricing;
+  const release = async () => {
+    if (packageId) await SessionPackage.updateOne({ _id: packageId }, { $inc: { sessionsUsed: -1 } });
+    if (promoCodeId) await PromoCode.updateOne({ _id: promoCodeId }, { $inc: { redemptionCount: -1 } });
+  };
+
+  if (packageId) {
+    const used = await SessionPackage.findOneAndUpdate(
+      { _id: packageId, status: 'active', $expr: { $lt: ['$sessionsUsed', '$sessionsTotal'] } },
+      { $inc: { sessionsUsed: 1 } }
+    );
+    if (!used) throw new PricingError('No sessions are left on this package', 409);
+  }
+
+  if (promoCodeId) {
+    const redeemed = await PromoCode.findOneAndUpdate(
+      {
+        _id: promoCodeId,
+        active: true,
+        $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }]
+      },
+      { $inc: { redemptionCount: 1 } }
+    );
+    if (!redeemed) {
+      if (packageId) await SessionPackage.updateOne({ _id: packageId }, { $inc: { sessionsUsed: -1 } });
+      throw new PricingError('This code has just been used up', 409);
+    }
+  }
+
+  return release;
+};
+
+// A cancellation that costs nothing gives back the package credit and the
+// code use the booking took. Called from the cancellation policy, with the
+// charge it has worked out.
+const returnCredits = async (appointment, charge) => {
+  const { packageId, promoCodeId } = appointment.pricing || {};
+  if ((!packageId && !promoCodeId) || charge.feePercent > 0) return;
+
+  // Claimed first so a repeated hook can't give the credit back twice
+  const claimed = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, 'pricing.creditReturned': { $ne: true } },
+    { 'pricing.creditReturned': true }
+  );
+  if (!claimed) return;
+
+  if (packageId) await SessionPackage.updateOne({ _id: packageId, sessionsUsed: { $gt: 0 } }, { $inc: { sessionsUsed: -1 } });
+  if (promoCodeId) await PromoCode.updateOne({ _id: promoCodeId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+};
+
+module.exports = {
+  PricingError,
+  defaultProduct,
+  listProducts,
+  resolveProduct,
+  validateProduct,
+  validatePromoCode,
+  checkIntake,
+  quotePrice,
+  redeemQuote,
+  returnCredits
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const User = require('../models/User');
+const { notify, describeSessionFor, formatSessionTime } = require('./notificationService');
+const { appointmentReminderEmail } = require('./mail/templates');
+const { getGuardianRecipients } = require('./guardianService');
+const { DEFAULT_TIMEZONE } = require('./availabilityService');
+const { sessionInterval } = require('./appointmentStatusService');
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "24h,1h" -> [{ label: '24h', ms }, { label: '1h', ms }], longest first
+const parseOffsets = (value) => value
+  .split(',')
+  .map(part => part.trim().match(/^(\d+)\s*([mhd])$/))
+  .filter(Boolean)
+  .map(([, amount, unit]) => ({ label: `${amount}${unit}`, ms: parseInt(amount) * UNIT_MS[unit] }))
+  .sort((a, b) => b.ms - a.ms);
+
+const REMINDER_OFFSETS = parseOffsets(process.env.APPOINTMENT_REMINDER_OFFSETS || '24h,1h');
+
+const leadText = (offset) => {
+  const [, amount, unit] = offset.label.match(/^(\d+)([mhd])$/);
+  const word = { m: 'minute', h: 'hour', d: 'day' }[unit];
+  return `in ${amount} ${word}${amount === '1' ? '' : 's'}`;
+};
+
+const sendReminder = async (appointment, start, offset) => {
+  const [patient, therapist, guardians, availability] = await Promise.all([
+    User.findById(appointment.patientId).select('name email'),
+    User.findById(appointment.therapistId).select('name email'),
+    getGuardianRecipients(appointment.patientId, 'reminders'),
+    Availability.findOne({ therapistId: appointment.therapistId }).select('timezone')
+  ]);
+  if (!patient || !therapist) return 0;
+
+  const when = formatSessionTime(start, availability?.timezone || DEFAULT_TIMEZONE);
+
+  return notify([patient, therapist, ...guardians], recipient => appointmentReminderEmail(recipient, {
+    session: describeSessionFor(recipient, patient, therapist),
+    when,
+    lead: leadText(offset)
+  }));
+};
+
+// Send each confirmed appointment the reminder for the closest offset that
+// has come due. Offsets passed over - say the 24h reminder for a session
+// booked an hour ahead - are marked sent without mailing them. Each reminder
+// is claimed on the appointment before it goes out, so running this twice,
+// or on two servers at once, sends it once. Returns how many went out.
+const sendDueReminders = async ({ now = new Date() } = {}) => {
+  if (REMINDER_OFFSETS.length === 0) return 0;
+
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS[0].ms);
+  const candidates = await Appointment.find({
+    status: 'confirmed',
+    $or: [
+      { startsAt: { $gt: now, $lte: horizon } },
+      // Older bookings without startsAt; `date` is within a day of the start
+      {
+        startsAt: { $exists: false },
+        date: { $gte: new Date(now.getTime() - UNIT_MS.d), $lte: new Date(horizon.getTime() + UNIT_MS.d) }
+      }
+    ]
+  });
+
+  let sent = 0;
+  for (const appointment of candidates) {
+    const start = (await sessionInterval(appointment))?.start;
+    if (!start || start <= now) continue;
+
+    const due = REMINDER_OFFSETS.filter(offset => start.getTime() - offset.ms <= now.getTime());
+    if (due.length === 0) continue;
+    const closest = due[due.length - 1];
+
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'confirmed', remindersSent: { $ne: closest.label } },
+      {
+        reminderSent: true,
+        $addToSet: { remindersSent: { $each: due.map(offset => offset.label) } }
+      }
+    );
+    if (!claimed) continue;
+
+    if (await sendReminder(appointment, start, closest)) sent++;
+  }
+  return sent;
+};
+
+module.exports = {
+  REMINDER_OFFSETS,
+  parseOffsets,
+  sendDueReminders
+};
\ No newline at end of file
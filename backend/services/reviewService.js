@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Review = require('../models/Review');
+const User = require('../models/User');
+
+class ReviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+const MAX_TEXT_LENGTH = 2000;
+
+const validateText = (text, what) => {
+  if (text === undefined || text === null) return;
+  if (typeof text !== 'string' || text.length > MAX_TEXT_LENGTH) {
+    throw new ReviewError(`${what} can be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+};
+
+// Recount the therapist's published reviews onto their profile, where
+// listings read the rating from
+const refreshTherapistRating = async (therapistId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { therapistId: new mongoose.Types.ObjectId(therapistId.toString()), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const update = summary
+    ? { $set: { 'profileDetails.rating': { average: Math.round(summary.average * 10) / 10, count: summary.count } } }
+    : { $unset: { 'profileDetails.rating': 1 } };
+  await User.updateOne({ _id: therapistId }, update);
+};
+
+// A patient's review of a therapist, created or revised. They need a
+// completed session with the therapist. Text goes back into the moderation
+// queue whenever it changes; a rating alone is published at once.
+const submitReview = async (patient, { therapistId, rating, comment }) => {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ReviewError('Please rate from 1 to 5 stars');
+  }
+  validateText(comment, 'Reviews');
+  if (!mongoose.isValidObjectId(therapistId)) {
+    throw new ReviewError('Therapist not found', 404);
+  }
+
+  const session = await Appointment.findOne({ therapistId, patientId: patient._id, status: 'completed' })
+    .sort({ startsAt: -1, date: -1 })
+    .select('_id');
+  if (!session) {
+    throw new ReviewError('You can review a therapist after a completed session with them', 403);
+  }
+
+  const text = comment?.trim() || undefined;
+  const existing = await Review.findOne({ therapistId, patientId: patient._id });
+  const textChanged = text !== (existing?.comment || undefined);
+
+  const review = existing || new Review({ therapistId, patientId: patient._id });
+  review.appointmentId = session._id;
+  review.rating = rating;
+  review.comment = text;
+  if (!existing || textChanged || review.status === 'rejected') {
+    review.status = text ? 'pending' : 'published';
+    review.moderatedBy = undefined;
+    review.moderatedAt = undefined;
+    review.moderationNote = undefined;
+  }
+  await review.save();
+
+  await refreshTherapistRating(therapistId);
+  return review;
+};
+
+const deleteReview = async (review) => {
+  await review.deleteOne();
+  await refreshTherapistRating(review.therapistId);
+};
+
+// Remove every review a user wrote or received, for account erasure
+const deleteReviewsOf = async (userId) => {
+  const reviewedTherapistIds = await Review.distinct('therapistId', { patientId: userId });
+  await Review.deleteMany({ $or: [{ patientId: userId }, { therapistId: userId }] });
+  await Promise.all(reviewedTherapistIds.map(refreshTherapistRating));
+};
+
+// Publish or reject a review waiting in the queue (or revisit one already
+// decided)
+const moderateReview = async (review, { decision, note }, moderator) => {
+  if (!['publish', 'reject'].includes(decision)) {
+    throw new ReviewError('decision must be publish or reject');
+  }
+  if (decision === 'reject' && !note?.trim()) {
+    throw new ReviewError('Please say why the review is being rejected');
+  }
+
+  review.status = decision === 'publish' ? 'published' : 'rejected';
+  review.moderatedBy = moderator._id;
+  review.moderatedAt = new Date();
+  review.moderationNote = decision === 'reject' ? note.trim().slice(0, 500) : undefined;
+  await review.save();
+
+  await refreshTherapistRating(review.therapistId);
+  return review;
+};
+
+// The therapist's public reply; an empty text removes it
+const respondToReview = async (review, text) => {
+  validateText(text, 'Responses');
+
+  review.response = text?.trim() ? { text: text.trim(), respondedAt: new Date() } : undefined;
+  await review.save();
+  return review;
+};
+
+// The rating fields listings return for a therapist
+const ratingSummary = (therapist) => ({
+  rating: therapist.profileDetails?.rating?.average ?? null,
+  reviewCount: therapist.profileDetails?.rating?.count || 0
+});
+
+module.exports = {
+  ReviewError,
+  refreshTherapistRating,
+  submitReview,
+  deleteReview,
+  deleteReviewsOf,
+  moderateReview,
+  respondToReview,
+  ratingSummary
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+const { getZonedParts, zonedTimeToUtc, addDays, addMonths } = require('./timezone');
+
+const SERIES_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_OCCURRENCES = 52;
+
+const nthDate = (date, frequency, n) => {
+  if (frequency === 'weekly') return addDays(date, 7 * n);
+  if (frequency === 'biweekly') return addDays(date, 14 * n);
+  return addMonths(date, n);
+};
+
+// Start instants of every occurrence, keeping the first one's wall-clock time
+// in `timezone` across DST changes. Stops at `count` occurrences or after
+// `until`, whichever comes first, and never goes past MAX_OCCURRENCES.
+const occurrenceStarts = (firstStart, timezone, frequency, { count, until } = {}) => {
+  const { date, time } = getZonedParts(firstStart, timezone);
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  const starts = [];
+  for (let n = 0; n < limit; n++) {
+    const start = zonedTimeToUtc(nthDate(date, frequency, n), time, timezone);
+    if (until && start > until) break;
+    starts.push(start);
+  }
+  return starts;
+};
+
+module.exports = {
+  SERIES_FREQUENCIES,
+  MAX_OCCURRENCES,
+  occurrenceStarts
+};
\ No newline at end of file
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Access tokens carry the session ID so the auth middleware can reject them
+// as soon as the session is revoked, without waiting for the JWT to expire
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+const requestMetadata = (req) => ({
+  userAgent: req?.get?.('User-Agent'),
+  ipAddress: req?.ip
+});
+
+// Start a new session for a user (one per device/login)
+const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = new Session({
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...requestMetadata(req)
+  });
+
+  await session.save();
+
+  return {
+    sessionId: session._id,
+    accessToken: generateAccessToken(userId, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. Returns null if the
+// token is unknown, expired or revoked. Replaying an already-rotated token
+// revokes the whole session. The rotation is a single atomic update, so of
+// two refreshes racing with the same token only one wins; the other counts
+// as a replay.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        expiresAt: refreshExpiry(),
+        lastUsedAt: now,
+        ...requestMetadata(req)
+      },
+      $push: { rotatedTokenHashes: tokenHash }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { rotatedTokenHashes: tokenHash, revokedAt: { $exists: false } },
+      { revokedAt: now, revokedReason: 'token_reuse' }
+    );
+    return null;
+  }
+
+  return {
+    userId: session.userId,
+    sessionId: session._id,
+    accessToken: generateAccessToken(session.userId, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeSessionByRefreshToken = async (refreshToken, reason = 'logout') => {
+  await Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  return Boolean(session && session.isActive());
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const SessionProduct = require('../models/SessionProduct');
+const { getBookableSlots } = require('./availabilityService');
+const { DEFAULT_CURRENCY, toMinorUnits } = require('./money');
+const { ratingSummary } = require('./reviewService');
+
+class SearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SearchError';
+    this.statusCode = statusCode;
+  }
+}
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+const MAX_AVAILABLE_WITHIN_DAYS = 60;
+// With an availability filter each candidate's calendar is checked one by
+// one, so a single page looks at no more than this many therapists
+const MAX_AVAILABILITY_CHECKS = 60;
+
+const SESSION_TYPES = ['standard', 'intake', 'couples'];
+
+// Each order is a single computed key, ties broken by _id so the cursor
+// always points at one place in the list
+const SORTS = {
+  relevance: { key: { $meta: 'textScore' }, direction: -1 },
+  rating: { key: { $ifNull: ['$profileDetails.rating.average', 0] }, direction: -1 },
+  price: { key: '$priceFrom', direction: 1 },
+  price_desc: { key: '$priceFrom', direction: -1 },
+  newest: { key: '$createdAt', direction: -1, isDate: true }
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify([value instanceof Date ? value.toISOString() : value, id.toString()])).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) throw new Error('bad id');
+    return { value: sort.isDate ? new Date(value) : value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new SearchError('Invalid cursor');
+  }
+};
+
+const parseNumber = (value, name, { min = 0, max = Infinity, integer = false } = {}) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    throw new SearchError(`${name} must be ${integer ? 'a whole number' : 'a number'} from ${min}${max === Infinity ? ' up' : ` to ${max}`}`);
+  }
+  return number;
+};
+
+// Turn query-string parameters into search options, rejecting anything
+// malformed. Prices are in minor units, like every amount in the API.
+const parseSearchQuery = (query) => {
+  const text = typeof query.q === 'string' ? query.q.trim().slice(0, 100) : '';
+  const sortName = query.sort || (text ? 'relevance' : 'price');
+  if (!SORTS[sortName]) {
+    throw new SearchError(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+  }
+  if (sortName === 'relevance' && !text) {
+    throw new SearchError('Sorting by relevance needs a search text');
+  }
+  if (query.sessionType && !SESSION_TYPES.includes(query.sessionType)) {
+    throw new SearchError(`sessionType must be one of ${SESSION_TYPES.join(', ')}`);
+  }
+
+  const options = {
+    text,
+    specialization: typeof query.specialization === 'string' ? query.specialization.trim() : '',
+    language: typeof query.language === 'string' ? query.language.trim() : '',
+    minPrice: parseNumber(query.minPrice, 'minPrice', { integer: true }),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice', { integer: true }),
+    minRating: parseNumber(query.minRating, 'minRating', { max: 5 }),
+    sessionType: query.sessionType || '',
+    availableWithin: parseNumber(query.availableWithin, 'availableWithin', {
+      min: 1,
+      max: MAX_AVAILABLE_WITHIN_DAYS,
+      integer: true
+    }),
+    sort: sortName,
+    limit: parseNumber(query.limit, 'limit', { min: 1, max: MAX_LIMIT, integer: true }) || DEFAULT_LIMIT
+  };
+  if (query.cursor) {
+    options.cursor = decodeCursor(String(query.cursor), SORTS[sortName]);
+  }
+  return options;
+};
+
+// Listed therapists matching the filters, in the requested order. Filtering,
+// the "from" price, ordering and the session metrics all come from one
+// aggregation; only the availability filter needs a per-therapist look at
+// the calendar. `limit: null` returns every match.
+const searchTherapists = async (options) => {
+  const { text, specialization, language, minPrice, maxPrice, minRating, sessionType, availableWithin, cursor } = options;
+  const sort = SORTS[options.sort];
+  const limit = options.limit === null ? null : options.limit || DEFAULT_LIMIT;
+  if (availableWithin && !limit) {
+    throw new SearchError('An availability filter needs a page size');
+  }
+
+  const match = {
+    role: 'therapist',
+    status: 'active',
+    'profileDetails.verified': true
+  };
+  if (text) match.$text = { $search: text };
+  if (specialization) match['profileDetails.specialization'] = new RegExp(`^${escapeRegExp(specialization)}$`, 'i');
+  if (language) match['profileDetails.languages'] = new RegExp(`^${escapeRegExp(language)}$`, 'i');
+  if (minRating !== undefined) match['profileDetails.rating.average'] = { $gte: minRating };
+
+  const pipeline = [
+    { $match: match },
+    // The cheapest session on offer: their session products, or the
+    // hourly rate when they haven't set any up
+    {
+      $lookup: {
+        from: SessionProduct.collection.name,
+        let: { therapistId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$therapistId', '$$therapistId'] }, { $eq: ['$active', true] }] } } },
+          { $project: { kind: 1, price: 1 } }
+        ],
+        as: 'products'
+      }
+    },
+    {
+      $addFields: {
+        priceFrom: {
+          $ifNull: [
+            { $min: '$products.price' },
+            { $round: [{ $multiply: [{ $ifNull: ['$profileDetails.hourlyRate', 100] }, toMinorUnits(1)] }, 0] }
+          ]
+        }
+      }
+    }
+  ];
+
+  // Everyone offers a standard session: a product for it, or the default
+  // one therapists without products are booked at
+  if (sessionType === 'standard') {
+    pipeline.push({ $match: { $or: [{ products: { $size: 0 } }, { 'products.kind': 'standard' }] } });
+  } else if (sessionType) {
+    pipeline.push({ $match: { 'products.kind': sessionType } });
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    pipeline.push({
+      $match: {
+        priceFrom: {
+          ...(minPrice !== undefined && { $gte: minPrice }),
+          ...(maxPrice !== undefined && { $lte: maxPrice })
+        }
+      }
+    });
+  }
+
+  pipeline.push({ $addFields: { sortValue: sort.key } });
+  if (cursor) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { sortValue: { [sort.direction === 1 ? '$gt' : '$lt']: cursor.value } },
+          { sortValue: cursor.value, _id: { $gt: cursor.id } }
+        ]
+      }
+    });
+  }
+  pipeline.push({ $sort: { sortValue: sort.direction, _id: 1 } });
+
+  // One more than a page tells us whether there is a next one
+  const fetchCount = availableWithin ? MAX_AVAILABILITY_CHECKS : limit && limit + 1;
+  if (fetchCount) pipeline.push({ $limit: fetchCount });
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: Appointment.collection.name,
+        let: { therapistId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$therapistId', '$$therapistId'] }, { $eq: ['$status', 'completed'] }] } } },
+          { $group: { _id: null, sessions: { $sum: 1 }, patients: { $addToSet: '$patientId' } } }
+        ],
+        as: 'metrics'
+      }
+    },
+    { $project: { passwordHash: 0, twoFactor: 0, loginLockout: 0, calendarFeed: 0, erasure: 0, products: 0 } }
+  );
+
+  const candidates = await User.aggregate(pipeline);
+
+  if (availableWithin) {
+    const from = new Date();
+    const to = new Date(from.getTime() + availableWithin * 24 * 60 * 60 * 1000);
+    const available = [];
+    let checked = 0;
+    for (const candidate of candidates) {
+      checked++;
+      const [firstSlot] = await getBookableSlots(candidate._id, from, to);
+      if (firstSlot) available.push({ ...candidate, nextAvailable: firstSlot.start });
+      if (available.length === limit) break;
+    }
+
+    // The next page picks up after the last therapist checked, whether the
+    // page filled up or the checks ran out first
+    const last = candidates[checked - 1];
+    const hasMore = checked < candidates.length || candidates.length === fetchCount;
+    return {
+      therapists: available.map(toListing),
+      nextCursor: hasMore && last ? encodeCursor(last.sortValue, last._id) : null
+    };
+  }
+
+  const hasMore = limit !== null && candidates.length > limit;
+  const page = hasMore ? candidates.slice(0, limit) : candidates;
+  const last = page[page.length - 1];
+  return {
+    therapists: page.map(toListing),
+    nextCursor: hasMore ? encodeCursor(last.sortValue, last._id) : null
+  };
+};
+
+// The public directory entry for an aggregated therapist document
+const toListing = (therapist) => {
+  const [metrics] = therapist.metrics || [];
+  return {
+    id: therapist._id,
+    name: therapist.name,
+    email: therapist.email,
+    specialization: therapist.profileDetails?.specialization || [],
+    experience: therapist.profileDetails?.experience || '0 years',
+    hourlyRate: therapist.profileDetails?.hourlyRate || 100,
+    priceFrom: therapist.priceFrom,
+    currency: DEFAULT_CURRENCY,
+    bio: therapist.profileDetails?.bio || '',
+    languages: therapist.profileDetails?.languages || ['English'],
+    availability: therapist.profileDetails?.availability || [],
+    verified: therapist.profileDetails?.verified || false,
+    profilePicture: therapist.profileDetails?.profilePicture || '',
+    ...ratingSummary(therapist),
+    totalSessions: metrics?.sessions || 0,
+    totalPatients: metrics?.patients.length || 0,
+    location: therapist.profileDetails?.location || 'Online',
+    ...(therapist.nextAvailable && { nextAvailable: therapist.nextAvailable })
+  };
+};
+
+module.exports = {
+  SearchError,
+  parseSearchQuery,
+  searchTherapists
+};
\ No newline at end of file
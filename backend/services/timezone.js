@@ -0,0 +1,118 @@
+// IANA timezone helpers on top of Intl, so wall-clock times in a therapist's
+// zone can be turned into instants and back without a date library.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Calendar date, wall-clock time and weekday of an instant in `timeZone`
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+// How far `timeZone` is ahead of UTC at that instant
+const getOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a wall clock in `timeZone` shows `date` ('YYYY-MM-DD') at
+// `time` ('HH:mm'). The same rule holds on either side of UTC: a wall-clock
+// time skipped by a DST jump is moved forward by the length of the jump, and
+// one that occurs twice is read as the first of the two.
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offsets in force a day either side; they differ only around a jump
+  const offsetBefore = getOffsetMs(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getOffsetMs(new Date(wallClock + DAY_MS), timeZone);
+
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => wallClock - offset)
+    .filter(instant => wallClock - getOffsetMs(new Date(instant), timeZone) === instant);
+  if (matches.length > 0) return new Date(Math.min(...matches));
+
+  // In the gap: the wall clock read with the offset from before the jump
+  return new Date(wallClock - offsetBefore);
+};
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings
+const addDays = (date, days) => {
+  const d = new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+// Same day of the month `months` later, or the month's last day when it is shorter
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return `${target.getUTCFullYear()}-${pad(target.getUTCMonth() + 1)}-${pad(Math.min(day, lastDay))}`;
+};
+
+// 'YYYY-MM-DD' strings from `from` to `to` inclusive
+const eachDate = (from, to) => {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  addMonths,
+  eachDate
+};
\ No newline at end of file
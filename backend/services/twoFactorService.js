@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+
+// Roles that can read clinical data for many patients must use 2FA
+const TWO_FACTOR_REQUIRED_ROLES = ['therapist', 'admin'];
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const isTwoFactorRequired = (user) => TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+// Start enrollment: stores a pending secret on the user (not saved here)
+const beginEnrollment = (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email)
+  };
+};
+
+// Finish enrollment with a code from the authenticator app. Returns the
+// plaintext recovery codes (shown to the user once), or null on a bad code.
+const completeEnrollment = (user, code) => {
+  if (!user.twoFactor?.pendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodeHashes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+
+  return codes;
+};
+
+// Check a TOTP code against the user's active secret, rejecting codes from a
+// time step that has already been used
+const verifyTotp = (user, code) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+  const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Recovery codes are single-use: a matching code is removed
+const useRecoveryCode = (user, code) => {
+  if (!user.twoFactor?.enabled || !code) return false;
+
+  const hash = hashRecoveryCode(String(code));
+  const index = user.twoFactor.recoveryCodeHashes.indexOf(hash);
+  if (index === -1) return false;
+
+  user.twoFactor.recoveryCodeHashes.splice(index, 1);
+  return true;
+};
+
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) return verifyTotp(user, code);
+  if (recoveryCode) return useRecoveryCode(user, recoveryCode);
+  return false;
+};
+
+const regenerateRecoveryCodes = (user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodeHashes = hashes;
+  return codes;
+};
+
+const disableTwoFactor = (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodeHashes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = undefined;
+};
+
+// Short-lived token proving the password step of login succeeded. Purpose is
+// either 'two_factor' (enter a code) or 'two_factor_setup' (must enroll first).
+// It has no sessionId, so the auth middleware never accepts it.
+const issueChallengeToken = (userId, purpose) => {
+  return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL
+  });
+};
+
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,238 @@
+const Appointment = require('../models/Appointment');
+const Availability = require('../models/Availability');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { notify } = require('./notificationService');
+const { waitlistOfferEmail } = require('./mail/templates');
+const { getZonedParts } = require('./timezone');
+const { DEFAULT_TIMEZONE, appointmentInterval } = require('./availabilityService');
+const {
+  SlotConflictError,
+  bookingIntervals,
+  claimIntervals,
+  confirmHold,
+  releaseReservation,
+  releaseAppointments
+} = require('./bookingService');
+const { onStatusChange } = require('./appointmentStatusService');
+const { getPolicy } = require('./cancellationPolicyService');
+const { listProducts, defaultProduct, quotePrice } = require('./pricingService');
+
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES || '120');
+const ACTIVE_ENTRY_STATUSES = ['waiting', 'offered'];
+
+// Whether a session starting at `startsAt` falls in one of the patient's
+// preferred windows, read in their own timezone
+const matchesPreferences = (entry, startsAt) => {
+  if (entry.preferences.length === 0) return true;
+
+  const { dayOfWeek, time } = getZonedParts(startsAt, entry.timezone);
+  return entry.preferences.some(window =>
+    window.dayOfWeek === dayOfWeek && window.start <= time && time < window.end
+  );
+};
+
+const notifyOffer = async (entry) => {
+  try {
+    const patient = await User.findById(entry.patientId).select('name email');
+    const therapist = await User.findById(entry.therapistId).select('name');
+    if (patient && therapist) {
+      await notify([patient], recipient => waitlistOfferEmail(recipient, therapist, entry.offer));
+    }
+  } catch (error) {
+    console.error('Waitlist offer email error:', error);
+  }
+};
+
+// Offer a free session to the first waiting patient, in the therapist's
+// order, who wants that time and is free for it. The time is held for them
+// until the offer expires. Returns the entry offered to, or null.
+const offerSlot = async (therapistId, slot) => {
+  const expiresAt = new Date(Math.min(Date.now() + OFFER_MINUTES * 60 * 1000, slot.startsAt.getTime()));
+  if (expiresAt <= new Date()) return null;
+
+  const entries = await WaitlistEntry.find({
+    therapistId,
+    status: 'waiting',
+    'pastOffers.startsAt': { $ne: slot.startsAt }
+  }).sort({ position: 1 });
+
+  for (const entry of entries) {
+    if (!matchesPreferences(entry, slot.startsAt)) continue;
+
+    let holdId;
+    try {
+      holdId = await claimIntervals(
+        bookingIntervals({ therapistId, patientId: entry.patientId, ...slot }),
+        { expiresAt, heldBy: entry.patientId }
+      );
+    } catch (error) {
+      // Taken again already, or this patient is busy then
+      if (error instanceof SlotConflictError) continue;
+      throw error;
+    }
+
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offer: { ...slot, holdId, offeredAt: new Date(), expiresAt }
+      },
+      { new: true }
+    );
+    if (!offered) {
+      await releaseReservation(holdId);
+      continue;
+    }
+
+    await notifyOffer(offered);
+    return offered;
+  }
+
+  return null;
+};
+
+// A cancelled session goes to the waitlist if it is still in the future
+const offerFreedAppointment = async (appointment) => {
+  // Nobody can take up time with a therapist whose account is closing
+  const bookable = await User.exists({ _id: appointment.therapistId, status: 'active' });
+  if (!bookable) return null;
+
+  const availability = await Availability.findOne({ therapistId: appointment.therapistId })
+    .select('timezone bufferMinutes');
+  const interval = appointmentInterval(appointment, availability?.timezone || DEFAULT_TIMEZONE);
+  if (!interval || interval.start <= new Date()) return null;
+
+  return offerSlot(appointment.therapistId, {
+    startsAt: interval.start,
+    endsAt: interval.end,
+    date: appointment.date,
+    time: appointment.time,
+    duration: appointment.duration,
+    bufferMinutes: availability?.bufferMinutes || 0
+  });
+};
+
+const slotOf = (offer) => ({
+  startsAt: offer.startsAt,
+  endsAt: offer.endsAt,
+  date: offer.date,
+  time: offer.time,
+  duration: offer.duration,
+  bufferMinutes: offer.bufferMinutes
+});
+
+// Close the current offer without booking it and pass the time on to the
+// next patient. `outcome` is declined, expired or withdrawn; a withdrawn
+// entry leaves the waitlist. Returns false when the offer was already closed.
+const passOnOffer = async (entry, outcome) => {
+  const { offer } = entry;
+
+  const closed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offer.holdId': offer.holdId },
+    {
+      status: outcome === 'withdrawn' ? 'removed' : 'waiting',
+      $unset: { offer: 1 },
+      $push: { pastOffers: { startsAt: offer.startsAt, outcome } }
+    }
+  );
+  if (!closed) return false;
+
+  await releaseReservation(offer.holdId);
+  await offerSlot(entry.therapistId, slotOf(offer));
+  return true;
+};
+
+// Book the offered time for the patient. Returns the appointment, or null
+// when the offer has lapsed.
+const acceptOffer = async (entry, user) => {
+  const { offer } = entry;
+  if (entry.status !== 'offered' || offer.expiresAt <= new Date()) return null;
+
+  const therapist = await User.findById(entry.therapistId).select('profileDetails.hourlyRate');
+  // Priced as the therapist's standard product of the freed slot's length
+  const products = await listProducts(therapist);
+  const product = products.find(p => p.kind === 'standard' && p.duration === offer.duration) || defaultProduct(therapist);
+  const quote = await quotePrice({ therapist, patientId: entry.patientId, product });
+
+  const appointment = new Appointment({
+    patientId: entry.patientId,
+    therapistId: entry.therapistId,
+    date: offer.date,
+    time: offer.time,
+    duration: offer.duration,
+    startsAt: offer.startsAt,
+    endsAt: offer.endsAt,
+    sessionType: entry.sessionType,
+    ...quote,
+    notes: entry.notes,
+    cancellationPolicy: await getPolicy(entry.therapistId),
+    statusHistory: [{
+      to: 'pending_confirmation',
+      changedBy: user._id,
+      changedByRole: user.role,
+      reason: 'Booked from the waitlist'
+    }]
+  });
+
+  const booking = { therapistId: entry.therapistId, patientId: entry.patientId, ...slotOf(offer) };
+  const confirmed = await confirmHold(offer.holdId, entry.patientId, booking, appointment._id);
+  if (!confirmed) return null;
+
+  try {
+    await appointment.save();
+  } catch (error) {
+    await releaseAppointments([appointment._id]);
+    throw error;
+  }
+
+  await WaitlistEntry.updateOne(
+    { _id: entry._id },
+    {
+      status: 'booked',
+      appointmentId: appointment._id,
+      $unset: { offer: 1 },
+      $push: { pastOffers: { startsAt: offer.startsAt, outcome: 'accepted' } }
+    }
+  );
+
+  return appointment;
+};
+
+// Offers nobody answered in time move on to the next patient
+const expireWaitlistOffers = async () => {
+  const lapsed = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: new Date() } });
+  for (const entry of lapsed) {
+    await passOnOffer(entry, 'expired');
+  }
+  return lapsed.length;
+};
+
+// Where a new patient joins: after everyone still waiting
+const nextPosition = async (therapistId) => {
+  const last = await WaitlistEntry.findOne({ therapistId, status: { $in: ACTIVE_ENTRY_STATUSES } })
+    .sort({ position: -1 })
+    .select('position');
+  return (last?.position || 0) + 1;
+};
+
+onStatusChange('cancelled', async (appointment) => {
+  try {
+    await offerFreedAppointment(appointment);
+  } catch (error) {
+    // The cancellation itself has succeeded; don't fail it over the waitlist
+    console.error('Waitlist offer error:', error);
+  }
+});
+
+module.exports = {
+  OFFER_MINUTES,
+  ACTIVE_ENTRY_STATUSES,
+  matchesPreferences,
+  offerSlot,
+  offerFreedAppointment,
+  passOnOffer,
+  acceptOffer,
+  expireWaitlistOffers,
+  nextPosition
+};
\ No newline at end of file
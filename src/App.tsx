@@ -8,6 +8,9 @@ import { useTheme } from './contexts/ThemeContext';
 import LandingPage from './pages/LandingPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import PatientDashboard from './pages/PatientDashboard';
 import TherapistDashboard from './pages/TherapistDashboard';
 import AdminDashboard from './pages/AdminDashboard';
@@ -28,6 +31,11 @@ import ListServicePage from './pages/ListServicePage';
 
 // Admin Therapy Management
 import AdminTherapyManagement from './pages/AdminTherapyManagement';
+import AuditLogPage from './pages/AuditLogPage';
+import PayoutsPage from './pages/PayoutsPage';
+import PromoCodesPage from './pages/PromoCodesPage';
+import ReviewModerationPage from './pages/ReviewModerationPage';
+import GuardianDashboard from './pages/GuardianDashboard';
 
 // Therapy Module Components
 import MindfulnessModule from './pages/modules/MindfulnessModule';
@@ -46,6 +54,7 @@ import Navbar from './components/Navbar';
 import Sidebar from './components/Sidebar';
 import ProfilePage from './components/ProfilePage';
 import LoadingSpinner from './components/LoadingSpinner';
+import { hasPermission } from './utils/authApi';
 
 function App() {
   const { user, loading } = useAuth();
@@ -53,7 +62,9 @@ function App() {
   const location = useLocation();
   
   // Don't show sidebar on landing, login, or register pages
-  const showSidebar = user && !['/login', '/register', '/'].includes(location.pathname);
+  const showSidebar = user && ![
+    '/login', '/register', '/', '/forgot-password', '/reset-password', '/verify-email'
+  ].includes(location.pathname);
 
   if (loading) {
     return <LoadingSpinner />;
@@ -71,6 +82,9 @@ function App() {
           <Route path="/" element={<LandingPage />} />
           <Route path="/login" element={user ? <Navigate to="/dashboard" /> : <LoginPage />} />
           <Route path="/register" element={user ? <Navigate to="/dashboard" /> : <RegisterPage />} />
+          <Route path="/forgot-password" element={user ? <Navigate to="/dashboard" /> : <ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
           
           {/* Protected Routes */}
           <Route path="/dashboard" element={
@@ -78,6 +92,7 @@ function App() {
               user.role === 'patient' ? <PatientDashboard /> :
               user.role === 'therapist' ? <TherapistDashboard /> :
               user.role === 'admin' ? <AdminDashboard /> :
+              user.role === 'guardian' ? <GuardianDashboard /> :
               <Navigate to="/" />
             ) : <Navigate to="/login" />
           } />
@@ -161,19 +176,32 @@ function App() {
           
           {/* Admin Routes */}
           <Route path="/users" element={
-            user?.role === 'admin' ? <UsersPage /> : <Navigate to="/dashboard" />
+            hasPermission(user, 'users:read') ? <UsersPage /> : <Navigate to="/dashboard" />
           } />
           
           <Route path="/therapists" element={
-            user?.role === 'admin' ? <TherapistsManagementPage /> : <Navigate to="/dashboard" />
+            hasPermission(user, 'therapists:approve') ? <TherapistsManagementPage /> : <Navigate to="/dashboard" />
           } />
           
           <Route path="/analytics" element={
-            user?.role === 'admin' ? <AnalyticsPage /> : <Navigate to="/dashboard" />
+            hasPermission(user, 'analytics:read') ? <AnalyticsPage /> : <Navigate to="/dashboard" />
           } />
           
           <Route path="/admin/therapy-management" element={
-            user?.role === 'admin' ? <AdminTherapyManagement /> : <Navigate to="/dashboard" />
+            hasPermission(user, 'content:edit') ? <AdminTherapyManagement /> : <Navigate to="/dashboard" />
+          } />
+          
+          <Route path="/admin/audit" element={
+            hasPermission(user, 'audit:read') ? <AuditLogPage /> : <Navigate to="/dashboard" />
+          } />
+          <Route path="/admin/payouts" element={
+            hasPermission(user, 'finance:read') ? <PayoutsPage /> : <Navigate to="/dashboard" />
+          } />
+          <Route path="/admin/promo-codes" element={
+            hasPermission(user, 'promotions:manage') ? <PromoCodesPage /> : <Navigate to="/dashboard" />
+          } />
+          <Route path="/admin/reviews" element={
+            hasPermission(user, 'reviews:moderate') ? <ReviewModerationPage /> : <Navigate to="/dashboard" />
           } />
           
           {/* Video Session Route */}
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Database, Download, Trash2, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { downloadAccountExport, requestAccountDeletion, cancelAccountDeletion } from '../utils/authApi';
+
+// Data export and account deletion (with a grace period before erasure)
+function AccountDataSection() {
+  const { user, refreshUser } = useAuth();
+  const { theme } = useTheme();
+  const [exporting, setExporting] = useState(false);
+  const [confirmingDeletion, setConfirmingDeletion] = useState(false);
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  if (!user) return null;
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await downloadAccountExport();
+      toast.success('Your data export has been downloaded');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to export your data');
+    }
+    setExporting(false);
+  };
+
+  const handleRequestDeletion = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const { message } = await requestAccountDeletion(password);
+      toast.success(message);
+      setConfirmingDeletion(false);
+      setPassword('');
+      await refreshUser();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to schedule account deletion');
+    }
+    setLoading(false);
+  };
+
+  const handleCancelDeletion = async () => {
+    setLoading(true);
+    try {
+      await cancelAccountDeletion();
+      toast.success('Account deletion cancelled');
+      await refreshUser();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to cancel account deletion');
+    }
+    setLoading(false);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const titleClass = `font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+      className={`mt-8 p-6 rounded-2xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-4">
+        <Database className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-xl font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          Your Data
+        </h3>
+      </div>
+
+      <div className={`flex flex-col md:flex-row md:items-center md:justify-between gap-4 p-4 rounded-xl mb-4 ${
+        theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+      }`}>
+        <div>
+          <p className={titleClass}>Download your data</p>
+          <p className={`text-sm ${textClass}`}>
+            A complete copy of your account, appointments, progress, messages and sessions as JSON.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="flex items-center justify-center space-x-2 px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 whitespace-nowrap"
+        >
+          <Download className="w-4 h-4" />
+          <span>{exporting ? 'Preparing...' : 'Download'}</span>
+        </button>
+      </div>
+
+      <div className={`p-4 rounded-xl ${
+        theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+      }`}>
+        {user.erasureScheduledFor ? (
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div className="flex items-start space-x-3">
+              <AlertTriangle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+              <div>
+                <p className={titleClass}>Your account is scheduled for deletion</p>
+                <p className={`text-sm ${textClass}`}>
+                  On {new Date(user.erasureScheduledFor).toLocaleDateString()} your account and data will be
+                  permanently erased. Billing records we are legally required to keep are retained anonymously.
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={handleCancelDeletion}
+              disabled={loading}
+              className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors disabled:opacity-50 whitespace-nowrap"
+            >
+              Keep my account
+            </button>
+          </div>
+        ) : confirmingDeletion ? (
+          <form onSubmit={handleRequestDeletion} className="space-y-3">
+            <p className={titleClass}>Confirm account deletion</p>
+            <p className={`text-sm ${textClass}`}>
+              You'll have a grace period to change your mind. After that your profile, progress, messages and
+              session notes are permanently erased. Enter your password to continue.
+            </p>
+            <input
+              type="password"
+              autoComplete="current-password"
+              required
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={`w-full md:w-72 px-4 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-red-500 ${
+                theme === 'dark'
+                  ? 'bg-gray-800 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+              }`}
+              placeholder="Password"
+            />
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={loading}
+                className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50"
+              >
+                {loading ? 'Scheduling...' : 'Delete my account'}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setConfirmingDeletion(false);
+                  setPassword('');
+                }}
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+            <div>
+              <p className={titleClass}>Delete your account</p>
+              <p className={`text-sm ${textClass}`}>
+                Permanently erase your account and personal data after a grace period.
+              </p>
+            </div>
+            <button
+              onClick={() => setConfirmingDeletion(true)}
+              className="flex items-center justify-center space-x-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors whitespace-nowrap"
+            >
+              <Trash2 className="w-4 h-4" />
+              <span>Delete account</span>
+            </button>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
+
+export default AccountDataSection;
\ No newline at end of file
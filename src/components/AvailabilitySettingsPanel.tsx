@@ -0,0 +1,353 @@
+import { useState, useEffect, type ChangeEvent } from 'react';
+import { motion } from 'framer-motion';
+import { CalendarClock, Plus, Trash2, Save, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchMyAvailability,
+  saveAvailability,
+  importBusyTimes,
+  clearBusyTimes,
+  browserTimeZone,
+  type AvailabilitySettings
+} from '../utils/therapistApi';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const emptySettings = (): AvailabilitySettings => ({
+  timezone: browserTimeZone(),
+  sessionLength: 50,
+  bufferMinutes: 10,
+  weeklyRules: [],
+  exceptions: [],
+  vacations: []
+});
+
+// Weekly working hours, one-off date changes and vacations. Patients are
+// offered slots generated from these, converted to their own timezone.
+function AvailabilitySettingsPanel() {
+  const { theme } = useTheme();
+  const [settings, setSettings] = useState<AvailabilitySettings>(emptySettings);
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    fetchMyAvailability()
+      .then(saved => {
+        if (saved) setSettings(saved);
+      })
+      .catch(error => toast.error(error instanceof Error ? error.message : 'Failed to load availability'));
+  }, []);
+
+  const update = (changes: Partial<AvailabilitySettings>) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      toast.success(await saveAvailability(settings));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save availability');
+    }
+    setSaving(false);
+  };
+
+  // Busy times from the therapist's own calendar replace the last import
+  const handleImport = async (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    try {
+      const { message, availability } = await importBusyTimes(await file.text());
+      update({ busyTimes: availability.busyTimes, busyTimesImportedAt: availability.busyTimesImportedAt });
+      toast.success(message);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to import your calendar');
+    }
+    setImporting(false);
+  };
+
+  const handleClearBusyTimes = async () => {
+    try {
+      const { message } = await clearBusyTimes();
+      update({ busyTimes: [], busyTimesImportedAt: undefined });
+      toast.success(message);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to remove busy times');
+    }
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const headingClass = `font-semibold mb-2 ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`;
+  const inputClassName = `px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+  const iconButtonClass = `p-2 rounded-lg transition-colors ${
+    theme === 'dark' ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-500'
+  }`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.1 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center space-x-3">
+          <CalendarClock className="w-5 h-5 text-purple-500" />
+          <h3 className={`text-lg font-semibold ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+            Booking Availability
+          </h3>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:shadow-lg transition-all disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          <span>{saving ? 'Saving...' : 'Save availability'}</span>
+        </button>
+      </div>
+      <p className={`text-sm mb-4 ${textClass}`}>
+        Times are in your timezone. Patients see bookable slots converted to theirs.
+      </p>
+
+      <div className="grid md:grid-cols-3 gap-4 mb-6">
+        <label className={`text-sm ${textClass}`}>
+          Timezone
+          <input
+            type="text"
+            value={settings.timezone}
+            onChange={(e) => update({ timezone: e.target.value })}
+            className={`mt-1 w-full ${inputClassName}`}
+            placeholder="e.g. America/New_York"
+          />
+        </label>
+        <label className={`text-sm ${textClass}`}>
+          Session length (minutes)
+          <input
+            type="number"
+            min={15}
+            max={240}
+            value={settings.sessionLength}
+            onChange={(e) => update({ sessionLength: parseInt(e.target.value) || 0 })}
+            className={`mt-1 w-full ${inputClassName}`}
+          />
+        </label>
+        <label className={`text-sm ${textClass}`}>
+          Break after each session (minutes)
+          <input
+            type="number"
+            min={0}
+            max={120}
+            value={settings.bufferMinutes}
+            onChange={(e) => update({ bufferMinutes: parseInt(e.target.value) || 0 })}
+            className={`mt-1 w-full ${inputClassName}`}
+          />
+        </label>
+      </div>
+
+      {/* Weekly hours */}
+      <h4 className={headingClass}>Weekly hours</h4>
+      <div className="space-y-2 mb-6">
+        {DAYS.map((day, dayOfWeek) => {
+          const rules = settings.weeklyRules
+            .map((rule, index) => ({ rule, index }))
+            .filter(({ rule }) => rule.dayOfWeek === dayOfWeek);
+
+          return (
+            <div key={day} className="flex flex-wrap items-center gap-2">
+              <span className={`w-28 text-sm font-medium ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+                {day}
+              </span>
+              {rules.length === 0 && <span className={`text-sm ${textClass}`}>Unavailable</span>}
+              {rules.map(({ rule, index }) => (
+                <div key={index} className="flex items-center gap-1">
+                  <input
+                    type="time"
+                    value={rule.start}
+                    onChange={(e) => update({
+                      weeklyRules: settings.weeklyRules.map((r, i) => i === index ? { ...r, start: e.target.value } : r)
+                    })}
+                    className={inputClassName}
+                  />
+                  <span className={textClass}>-</span>
+                  <input
+                    type="time"
+                    value={rule.end}
+                    onChange={(e) => update({
+                      weeklyRules: settings.weeklyRules.map((r, i) => i === index ? { ...r, end: e.target.value } : r)
+                    })}
+                    className={inputClassName}
+                  />
+                  <button
+                    onClick={() => update({ weeklyRules: settings.weeklyRules.filter((_, i) => i !== index) })}
+                    className={iconButtonClass}
+                    title="Remove hours"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => update({
+                  weeklyRules: [...settings.weeklyRules, { dayOfWeek, start: '09:00', end: '17:00' }]
+                })}
+                className={iconButtonClass}
+                title={`Add hours on ${day}`}
+              >
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Date-specific changes */}
+      <div className="flex items-center justify-between">
+        <h4 className={headingClass}>Date-specific hours</h4>
+        <button
+          onClick={() => update({
+            exceptions: [...settings.exceptions, { date: new Date().toISOString().split('T')[0], windows: [] }]
+          })}
+          className={iconButtonClass}
+          title="Add a date"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+      <p className={`text-xs mb-2 ${textClass}`}>
+        Replaces your weekly hours for that date. Leave the times empty to take the day off.
+      </p>
+      <div className="space-y-2 mb-6">
+        {settings.exceptions.map((exception, index) => {
+          const window = exception.windows[0];
+          const setException = (changes: Partial<typeof exception>) => update({
+            exceptions: settings.exceptions.map((e, i) => i === index ? { ...e, ...changes } : e)
+          });
+
+          return (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <input
+                type="date"
+                value={exception.date}
+                onChange={(e) => setException({ date: e.target.value })}
+                className={inputClassName}
+              />
+              <input
+                type="time"
+                value={window?.start || ''}
+                onChange={(e) => setException({
+                  windows: e.target.value ? [{ start: e.target.value, end: window?.end || '17:00' }] : []
+                })}
+                className={inputClassName}
+              />
+              <span className={textClass}>-</span>
+              <input
+                type="time"
+                value={window?.end || ''}
+                onChange={(e) => setException({
+                  windows: e.target.value ? [{ start: window?.start || '09:00', end: e.target.value }] : []
+                })}
+                className={inputClassName}
+              />
+              <span className={`text-sm ${textClass}`}>{window ? '' : 'Day off'}</span>
+              <button
+                onClick={() => update({ exceptions: settings.exceptions.filter((_, i) => i !== index) })}
+                className={iconButtonClass}
+                title="Remove date"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Vacations */}
+      <div className="flex items-center justify-between">
+        <h4 className={headingClass}>Vacations</h4>
+        <button
+          onClick={() => {
+            const today = new Date().toISOString().split('T')[0];
+            update({ vacations: [...settings.vacations, { startDate: today, endDate: today }] });
+          }}
+          className={iconButtonClass}
+          title="Add a vacation"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="space-y-2">
+        {settings.vacations.map((vacation, index) => {
+          const setVacation = (changes: Partial<typeof vacation>) => update({
+            vacations: settings.vacations.map((v, i) => i === index ? { ...v, ...changes } : v)
+          });
+
+          return (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <input
+                type="date"
+                value={vacation.startDate}
+                onChange={(e) => setVacation({ startDate: e.target.value })}
+                className={inputClassName}
+              />
+              <span className={textClass}>to</span>
+              <input
+                type="date"
+                value={vacation.endDate}
+                onChange={(e) => setVacation({ endDate: e.target.value })}
+                className={inputClassName}
+              />
+              <input
+                type="text"
+                value={vacation.note || ''}
+                onChange={(e) => setVacation({ note: e.target.value })}
+                className={`flex-1 ${inputClassName}`}
+                placeholder="Note (optional)"
+              />
+              <button
+                onClick={() => update({ vacations: settings.vacations.filter((_, i) => i !== index) })}
+                className={iconButtonClass}
+                title="Remove vacation"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* External calendar */}
+      <div className="flex items-center justify-between mt-4">
+        <h4 className={headingClass}>Busy times from your calendar</h4>
+        <div className="flex items-center space-x-1">
+          <label className={`cursor-pointer ${iconButtonClass} ${importing ? 'opacity-50 pointer-events-none' : ''}`} title="Upload an .ics file">
+            <Upload className="w-4 h-4" />
+            <input type="file" accept=".ics,text/calendar" onChange={handleImport} className="hidden" />
+          </label>
+          {settings.busyTimesImportedAt && (
+            <button onClick={handleClearBusyTimes} className={iconButtonClass} title="Remove imported busy times">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+      <p className={`text-sm ${textClass}`}>
+        {settings.busyTimesImportedAt
+          ? `${settings.busyTimes?.length || 0} busy times imported on ${new Date(settings.busyTimesImportedAt).toLocaleDateString()}. Patients aren't offered these times. Upload a new export to refresh them.`
+          : 'Export your calendar as an .ics file and upload it here, and patients won\'t be offered times you are busy.'}
+      </p>
+    </motion.div>
+  );
+}
+
+export default AvailabilitySettingsPanel;
\ No newline at end of file
@@ -0,0 +1,228 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { FileText, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import { fetchMyAppointments, type ServerAppointment } from '../utils/appointmentApi';
+import { formatMoney } from '../utils/paymentApi';
+import {
+  fetchBillingDocuments,
+  downloadBillingDocument,
+  downloadReceipt,
+  downloadSuperbill,
+  downloadStatement,
+  documentLabels,
+  type BillingDocument
+} from '../utils/billingApi';
+
+const RECEIPT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString([], { dateStyle: 'medium' });
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const lastMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const partyOf = (party: ServerAppointment['patientId']) =>
+  typeof party === 'string' ? { _id: party, name: 'Unknown' } : party;
+
+// Receipts for paid sessions, superbills for a date range with one patient
+// or therapist, and (for therapists) monthly statements. Every document
+// issued before can be downloaded again under the same number.
+function BillingDocumentsPanel({ role }: { role: 'patient' | 'therapist' }) {
+  const { theme } = useTheme();
+  const [appointments, setAppointments] = useState<ServerAppointment[]>([]);
+  const [documents, setDocuments] = useState<BillingDocument[]>([]);
+  const [counterpartId, setCounterpartId] = useState('');
+  const [from, setFrom] = useState(`${today().slice(0, 4)}-01-01`);
+  const [to, setTo] = useState(today());
+  const [month, setMonth] = useState(lastMonth());
+  const [busy, setBusy] = useState<string | null>(null);
+
+  const loadBilling = useCallback(async () => {
+    try {
+      const [mine, issued] = await Promise.all([fetchMyAppointments(role), fetchBillingDocuments()]);
+      setAppointments(mine);
+      setDocuments(issued);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load billing documents');
+    }
+  }, [role]);
+
+  useEffect(() => {
+    loadBilling();
+  }, [loadBilling]);
+
+  const run = async (key: string, action: () => Promise<void>) => {
+    setBusy(key);
+    try {
+      await action();
+      await loadBilling();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to download the document');
+    }
+    setBusy(null);
+  };
+
+  const counterparts = new Map<string, string>();
+  for (const appointment of appointments) {
+    const party = partyOf(role === 'therapist' ? appointment.patientId : appointment.therapistId);
+    counterparts.set(party._id, party.name);
+  }
+  const selectedCounterpart = counterpartId || counterparts.keys().next().value || '';
+
+  const receiptAppointments = appointments.filter(a => RECEIPT_STATUSES.includes(a.paymentStatus));
+
+  const handleSuperbill = () => {
+    if (!selectedCounterpart) return;
+    run('superbill', () => downloadSuperbill({
+      from,
+      to,
+      ...(role === 'therapist' ? { patientId: selectedCounterpart } : { therapistId: selectedCounterpart })
+    }));
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const rowClass = `p-3 rounded-lg flex items-center justify-between ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`;
+  const inputClass = `px-2 py-1 rounded-lg border text-sm ${
+    theme === 'dark' ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'
+  }`;
+  const buttonClass = 'flex items-center space-x-1 px-3 py-1 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 transition-colors disabled:opacity-50 text-sm';
+  const headingClass = `text-sm font-semibold mb-2 ${theme === 'dark' ? 'text-gray-200' : 'text-gray-700'}`;
+
+  if (appointments.length === 0 && documents.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-3">
+        <FileText className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-lg font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          Receipts and statements
+        </h3>
+      </div>
+
+      {receiptAppointments.length > 0 && (
+        <div className="mb-4">
+          <h4 className={headingClass}>Receipts</h4>
+          <div className="space-y-2">
+            {receiptAppointments.map(appointment => (
+              <div key={appointment._id} className={rowClass}>
+                <p className={`text-sm ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                  {formatDate(appointment.startsAt || appointment.date)} ·{' '}
+                  {partyOf(role === 'therapist' ? appointment.patientId : appointment.therapistId).name}
+                  <span className={`ml-2 text-xs ${textClass}`}>
+                    {formatMoney(appointment.amount, appointment.currency)}
+                  </span>
+                </p>
+                <button
+                  onClick={() => run(appointment._id, () => downloadReceipt(appointment._id))}
+                  disabled={busy !== null}
+                  className={buttonClass}
+                >
+                  <Download className="w-3 h-3" />
+                  <span>Receipt</span>
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {counterparts.size > 0 && (
+        <div className="mb-4">
+          <h4 className={headingClass}>Superbill</h4>
+          <p className={`text-xs mb-2 ${textClass}`}>
+            Completed sessions in the period, for submitting to insurance.
+          </p>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={selectedCounterpart}
+              onChange={(e) => setCounterpartId(e.target.value)}
+              className={inputClass}
+              aria-label={role === 'therapist' ? 'Patient' : 'Therapist'}
+            >
+              {[...counterparts].map(([id, name]) => (
+                <option key={id} value={id}>{name}</option>
+              ))}
+            </select>
+            <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className={inputClass} aria-label="From" />
+            <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className={inputClass} aria-label="To" />
+            <button onClick={handleSuperbill} disabled={busy !== null || !from || !to} className={buttonClass}>
+              <Download className="w-3 h-3" />
+              <span>Superbill</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      {role === 'therapist' && (
+        <div className="mb-4">
+          <h4 className={headingClass}>Monthly statement</h4>
+          <div className="flex items-center gap-2">
+            <input
+              type="month"
+              value={month}
+              max={lastMonth()}
+              onChange={(e) => setMonth(e.target.value)}
+              className={inputClass}
+              aria-label="Month"
+            />
+            <button
+              onClick={() => run('statement', () => downloadStatement(month))}
+              disabled={busy !== null || !month}
+              className={buttonClass}
+            >
+              <Download className="w-3 h-3" />
+              <span>Statement</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      {documents.length > 0 && (
+        <div>
+          <h4 className={headingClass}>Issued documents</h4>
+          <div className="space-y-2">
+            {documents.map(billingDocument => (
+              <div key={billingDocument._id} className={rowClass}>
+                <div>
+                  <p className={`text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                    {documentLabels[billingDocument.type]} {billingDocument.number}
+                  </p>
+                  <p className={`text-xs ${textClass}`}>
+                    Issued {formatDate(billingDocument.createdAt)}
+                    {billingDocument.periodStart && billingDocument.periodEnd &&
+                      ` · ${formatDate(billingDocument.periodStart)} – ${formatDate(billingDocument.periodEnd)}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => run(billingDocument._id, () => downloadBillingDocument(billingDocument))}
+                  disabled={busy !== null}
+                  className={buttonClass}
+                  aria-label={`Download ${billingDocument.number}`}
+                >
+                  <Download className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default BillingDocumentsPanel;
\ No newline at end of file
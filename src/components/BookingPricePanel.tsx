@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { Tag, Package, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchQuote,
+  fetchPackages,
+  purchasePackage,
+  creditsLeft,
+  type PriceQuote,
+  type SessionProduct,
+  type SessionPackage
+} from '../utils/pricingApi';
+import { confirmPayment, formatMoney, TEST_PAYMENT_METHODS } from '../utils/paymentApi';
+
+export interface PricingChoice {
+  promoCode?: string;
+  packageId?: string;
+}
+
+interface BookingPricePanelProps {
+  therapistId: string;
+  product: SessionProduct;
+  onChange: (choice: PricingChoice) => void;
+}
+
+// The price of the session being booked, worked out by the server with any
+// sliding-scale rate, a promo code or a package credit, and the therapist's
+// packages of the session to buy up front.
+function BookingPricePanel({ therapistId, product, onChange }: BookingPricePanelProps) {
+  const { theme } = useTheme();
+  const [quote, setQuote] = useState<PriceQuote | null>(null);
+  const [packages, setPackages] = useState<SessionPackage[]>([]);
+  const [packageId, setPackageId] = useState('');
+  const [codeInput, setCodeInput] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState(TEST_PAYMENT_METHODS[0].id);
+  const [buying, setBuying] = useState<number | null>(null);
+
+  const productId = product._id;
+  // Packages of this session type with credits left
+  const usable = packages.filter(pkg => pkg.productId === productId && creditsLeft(pkg) > 0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setQuote(null);
+    setPackageId('');
+    setPromoCode('');
+    setCodeInput('');
+
+    fetchPackages({ therapistId })
+      .then(result => {
+        if (!cancelled) setPackages(result);
+      })
+      .catch(() => {
+        // Packages are optional; the session can still be paid for
+      });
+    fetchQuote({ therapistId, productId })
+      .then(result => {
+        if (!cancelled) setQuote(result);
+      })
+      .catch(error => {
+        if (!cancelled) toast.error(error instanceof Error ? error.message : 'Failed to price the session');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [therapistId, productId]);
+
+  // Price the session with a different code or package; the choice only
+  // sticks if the server accepts it
+  const requote = async (choice: PricingChoice) => {
+    try {
+      setQuote(await fetchQuote({ therapistId, productId, ...choice }));
+      setPromoCode(choice.promoCode || '');
+      setPackageId(choice.packageId || '');
+      onChange(choice);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to price the session');
+    }
+  };
+
+  const handleBuy = async (packageIndex: number) => {
+    if (!productId) return;
+    setBuying(packageIndex);
+    try {
+      const purchase = await purchasePackage({ therapistId, productId, packageIndex });
+      const { message } = await confirmPayment(purchase.paymentId, paymentMethod);
+      toast.success(message);
+      setPackages(await fetchPackages({ therapistId }));
+      await requote({ packageId: purchase.package._id });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to buy the package');
+    }
+    setBuying(null);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const valueClass = theme === 'dark' ? 'text-gray-300' : 'text-gray-700';
+  const inputClassName = `px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className={`p-4 rounded-xl mb-6 text-sm ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}>
+      <h4 className={`font-semibold mb-3 ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+        Price
+      </h4>
+
+      {quote ? (
+        <div className="space-y-2">
+          <div className="flex justify-between">
+            <span className={textClass}>{quote.productName}</span>
+            <span className={valueClass}>{formatMoney(quote.listPrice, quote.currency)}</span>
+          </div>
+          {quote.adjustments.map(adjustment => (
+            <div key={adjustment.kind} className="flex justify-between text-green-600">
+              <span>{adjustment.label}</span>
+              <span>−{formatMoney(-adjustment.amount, quote.currency)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between font-semibold pt-2 border-t border-gray-300 dark:border-gray-600">
+            <span className={theme === 'dark' ? 'text-white' : 'text-gray-800'}>Total:</span>
+            <span className={theme === 'dark' ? 'text-white' : 'text-gray-800'}>
+              {formatMoney(quote.amount, quote.currency)}
+            </span>
+          </div>
+        </div>
+      ) : (
+        <p className={textClass}>Working out the price...</p>
+      )}
+
+      {usable.length > 0 && (
+        <label className={`flex items-center space-x-2 mt-4 ${valueClass}`}>
+          <Package className="w-4 h-4 text-purple-500" />
+          <select
+            value={packageId}
+            onChange={(e) => requote({ packageId: e.target.value || undefined })}
+            className={`flex-1 ${inputClassName}`}
+          >
+            <option value="">Pay for this session</option>
+            {usable.map(pkg => (
+              <option key={pkg._id} value={pkg._id}>
+                Use a package credit ({creditsLeft(pkg)} of {pkg.sessionsTotal} left)
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {!packageId && (
+        promoCode ? (
+          <div className={`flex items-center justify-between mt-4 ${valueClass}`}>
+            <span className="flex items-center space-x-2">
+              <Tag className="w-4 h-4 text-purple-500" />
+              <span>Code {promoCode} applied</span>
+            </span>
+            <button onClick={() => requote({})} className={`p-1 rounded ${textClass}`} title="Remove code">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        ) : (
+          <div className="flex space-x-2 mt-4">
+            <input
+              value={codeInput}
+              onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
+              placeholder="Promo code"
+              maxLength={32}
+              className={`flex-1 ${inputClassName}`}
+            />
+            <button
+              onClick={() => requote({ promoCode: codeInput.trim() })}
+              disabled={!codeInput.trim()}
+              className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        )
+      )}
+
+      {productId && product.packages.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-gray-300 dark:border-gray-600">
+          <p className={`font-medium mb-2 ${valueClass}`}>Save with a package</p>
+          <div className="space-y-2">
+            {product.packages.map((option, index) => (
+              <div key={index} className="flex items-center justify-between">
+                <span className={textClass}>
+                  {option.sessions} sessions for {formatMoney(option.price, product.currency)}
+                  {' '}· valid {option.validityDays} days
+                </span>
+                <button
+                  onClick={() => handleBuy(index)}
+                  disabled={buying !== null}
+                  className="px-3 py-1 text-xs bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50"
+                >
+                  {buying === index ? 'Paying...' : 'Buy'}
+                </button>
+              </div>
+            ))}
+          </div>
+          <select
+            value={paymentMethod}
+            onChange={(e) => setPaymentMethod(e.target.value)}
+            className={`w-full mt-2 ${inputClassName}`}
+          >
+            {TEST_PAYMENT_METHODS.map(method => (
+              <option key={method.id} value={method.id}>{method.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BookingPricePanel;
\ No newline at end of file
@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Rss, Copy, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchCalendarFeed,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  type CalendarFeedStatus
+} from '../utils/calendarApi';
+
+// A private subscription URL for the user's own calendar app. The URL is
+// shown once when created; making a new one turns off the old one.
+function CalendarFeedSection() {
+  const { theme } = useTheme();
+  const [status, setStatus] = useState<CalendarFeedStatus | null>(null);
+  const [url, setUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchCalendarFeed()
+      .then(setStatus)
+      .catch(error => toast.error(error instanceof Error ? error.message : 'Failed to load your calendar feed'));
+  }, []);
+
+  const handleCreate = async () => {
+    if (status?.active && !window.confirm('Your current feed link will stop working. Create a new one?')) return;
+
+    setLoading(true);
+    try {
+      const created = await createCalendarFeed();
+      setUrl(created.url);
+      setStatus({ active: true, createdAt: new Date().toISOString() });
+      toast.success(created.message);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to create a calendar feed');
+    }
+    setLoading(false);
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Turn off your calendar feed? Calendar apps subscribed to it will stop updating.')) return;
+
+    setLoading(true);
+    try {
+      toast.success(await revokeCalendarFeed());
+      setUrl('');
+      setStatus({ active: false, createdAt: null });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to turn off the calendar feed');
+    }
+    setLoading(false);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  if (!status) return null;
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.4 }}
+      className={`mt-8 p-6 rounded-2xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-4">
+        <Rss className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-xl font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          Calendar Feed
+        </h3>
+      </div>
+
+      <div className={`flex flex-col md:flex-row md:items-center md:justify-between gap-4 p-4 rounded-xl ${
+        theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+      }`}>
+        <p className={`text-sm ${textClass}`}>
+          {status.active
+            ? `Your upcoming sessions are published to a private feed, created ${new Date(status.createdAt || '').toLocaleDateString()}. Rescheduled and cancelled sessions update there automatically.`
+            : 'Subscribe to your upcoming sessions from Google Calendar, Outlook or Apple Calendar. Rescheduled and cancelled sessions update automatically.'}
+        </p>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleCreate}
+            disabled={loading}
+            className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50 whitespace-nowrap"
+          >
+            {status.active ? 'New link' : 'Create link'}
+          </button>
+          {status.active && (
+            <button
+              onClick={handleRevoke}
+              disabled={loading}
+              className="p-2 text-red-500 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+              title="Turn off the feed"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {url && (
+        <div className="mt-4 flex items-center space-x-2">
+          <input
+            type="text"
+            readOnly
+            value={url}
+            onFocus={(e) => e.target.select()}
+            className={`flex-1 px-4 py-2 rounded-lg border text-sm ${
+              theme === 'dark'
+                ? 'bg-gray-700 border-gray-600 text-white'
+                : 'bg-white border-gray-300 text-gray-900'
+            }`}
+          />
+          <button
+            onClick={handleCopy}
+            className="p-2 text-purple-500 rounded-lg hover:bg-purple-100 transition-colors"
+            title="Copy link"
+          >
+            <Copy className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+      {url && (
+        <p className={`mt-2 text-xs ${textClass}`}>
+          Keep this link private - anyone with it can see your session times. It won't be shown again.
+        </p>
+      )}
+    </motion.div>
+  );
+}
+
+export default CalendarFeedSection;
\ No newline at end of file
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ShieldCheck, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchMyCancellationPolicy,
+  saveCancellationPolicy,
+  describeCancellationPolicy,
+  type CancellationPolicy
+} from '../utils/therapistApi';
+
+const defaultPolicy: CancellationPolicy = {
+  freeCancellationHours: 24,
+  lateCancelFeePercent: 50,
+  noShowFeePercent: 100,
+  allowedExceptions: 1
+};
+
+const FIELDS: { key: keyof CancellationPolicy; label: string; max: number; suffix: string }[] = [
+  { key: 'freeCancellationHours', label: 'Free cancellation until', max: 168, suffix: 'hours before' },
+  { key: 'lateCancelFeePercent', label: 'Late cancellation fee', max: 100, suffix: '% of the fee' },
+  { key: 'noShowFeePercent', label: 'No-show fee', max: 100, suffix: '% of the fee' },
+  { key: 'allowedExceptions', label: 'Fees waived per patient', max: 12, suffix: 'per year' }
+];
+
+// Fees for late cancellations and no-shows. Changes apply to sessions
+// booked afterwards; existing bookings keep the policy they were made under.
+function CancellationPolicyPanel() {
+  const { theme } = useTheme();
+  const [policy, setPolicy] = useState<CancellationPolicy>(defaultPolicy);
+  const [configured, setConfigured] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchMyCancellationPolicy()
+      .then(saved => {
+        if (saved) {
+          setPolicy(saved);
+          setConfigured(true);
+        }
+      })
+      .catch(error => toast.error(error instanceof Error ? error.message : 'Failed to load your cancellation policy'));
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      toast.success(await saveCancellationPolicy(policy));
+      setConfigured(true);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save your cancellation policy');
+    }
+    setSaving(false);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const inputClassName = `w-20 px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.1 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center space-x-3">
+          <ShieldCheck className="w-5 h-5 text-purple-500" />
+          <h3 className={`text-lg font-semibold ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+            Cancellation Policy
+          </h3>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          <span>{saving ? 'Saving...' : 'Save policy'}</span>
+        </button>
+      </div>
+      <p className={`text-sm mb-4 ${textClass}`}>
+        {configured
+          ? 'Applies to sessions booked from now on. Existing bookings keep the policy they were made under.'
+          : 'You have no policy yet, so patients can cancel for free at any time.'}
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-3 mb-4">
+        {FIELDS.map(({ key, label, max, suffix }) => (
+          <label key={key} className={`flex items-center space-x-2 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+            <span className="w-44">{label}</span>
+            <input
+              type="number"
+              min={0}
+              max={max}
+              value={policy[key]}
+              onChange={(e) => setPolicy(prev => ({
+                ...prev,
+                [key]: Math.max(0, Math.min(max, parseInt(e.target.value) || 0))
+              }))}
+              className={inputClassName}
+            />
+            <span className={textClass}>{suffix}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className={`p-3 rounded-lg text-sm ${theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-gray-50 text-gray-700'}`}>
+        <p className="font-medium mb-1">Patients will see:</p>
+        {describeCancellationPolicy(policy).map(line => <p key={line}>{line}</p>)}
+      </div>
+    </motion.div>
+  );
+}
+
+export default CancellationPolicyPanel;
\ No newline at end of file
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { HeartHandshake, UserMinus, ArrowRightLeft, FileText, Users } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchCareRelationships,
+  fetchTransferTargets,
+  endCare,
+  transferCare,
+  type CareRelationship,
+  type TransferTarget
+} from '../utils/careApi';
+import { shareSummary } from '../utils/guardianApi';
+import GuardianLinksPanel from './GuardianLinksPanel';
+
+type CareAction = { type: 'end' | 'transfer' | 'summary' | 'guardians'; care: CareRelationship };
+
+// Patients currently in the therapist's care, with end / transfer actions
+function CareRelationshipsPanel() {
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const [relationships, setRelationships] = useState<CareRelationship[]>([]);
+  const [therapists, setTherapists] = useState<TransferTarget[]>([]);
+  const [action, setAction] = useState<CareAction | null>(null);
+  const [reason, setReason] = useState('');
+  const [targetTherapistId, setTargetTherapistId] = useState('');
+  const [summary, setSummary] = useState({ title: '', content: '' });
+  const [loading, setLoading] = useState(false);
+
+  const loadRelationships = async () => {
+    try {
+      setRelationships(await fetchCareRelationships('active'));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load patients in your care');
+    }
+  };
+
+  useEffect(() => {
+    loadRelationships();
+  }, []);
+
+  const openAction = async (type: CareAction['type'], care: CareRelationship) => {
+    setAction({ type, care });
+    setReason('');
+    setTargetTherapistId('');
+    setSummary({ title: '', content: '' });
+
+    if (type === 'transfer' && therapists.length === 0) {
+      try {
+        setTherapists(await fetchTransferTargets());
+      } catch (error) {
+        toast.error(error instanceof Error ? error.message : 'Failed to load therapists');
+      }
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!action) return;
+
+    setLoading(true);
+    try {
+      if (action.type === 'summary') {
+        toast.success(await shareSummary(action.care.patientId._id, summary.title, summary.content));
+        setAction(null);
+        setLoading(false);
+        return;
+      }
+
+      const message = action.type === 'end'
+        ? await endCare(action.care._id, reason)
+        : await transferCare(action.care._id, targetTherapistId, reason);
+      toast.success(message);
+      setAction(null);
+      await loadRelationships();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to update care');
+    }
+    setLoading(false);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const inputClassName = `w-full px-4 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-800 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-1">
+        <HeartHandshake className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-lg font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          In Your Care
+        </h3>
+      </div>
+      <p className={`text-sm mb-4 ${textClass}`}>
+        You can message, run sessions with and read progress for these patients. Ending or transferring care
+        removes your access and cancels upcoming appointments.
+      </p>
+
+      {relationships.length === 0 && (
+        <p className={`text-sm ${textClass}`}>
+          No active care relationships. Patients appear here once you confirm their first appointment.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        {relationships.map(care => (
+          <div
+            key={care._id}
+            className={`p-3 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}
+          >
+            <div className="flex items-center justify-between">
+              <div>
+                <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                  {care.patientId.name}
+                </p>
+                <p className={`text-xs ${textClass}`}>
+                  In care since {new Date(care.startDate).toLocaleDateString()} · {care.scopes.join(', ')}
+                </p>
+              </div>
+              {action?.care._id !== care._id && (
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => openAction('summary', care)}
+                    title="Share a summary with the patient's guardians"
+                    className="flex items-center space-x-1 px-3 py-1 text-sm bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors"
+                  >
+                    <FileText className="w-3 h-3" />
+                    <span>Share summary</span>
+                  </button>
+                  <button
+                    onClick={() => openAction('guardians', care)}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm bg-teal-500 text-white rounded-lg hover:bg-teal-600 transition-colors"
+                  >
+                    <Users className="w-3 h-3" />
+                    <span>Guardians</span>
+                  </button>
+                  <button
+                    onClick={() => openAction('transfer', care)}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors"
+                  >
+                    <ArrowRightLeft className="w-3 h-3" />
+                    <span>Transfer</span>
+                  </button>
+                  <button
+                    onClick={() => openAction('end', care)}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+                  >
+                    <UserMinus className="w-3 h-3" />
+                    <span>End care</span>
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {action?.care._id === care._id && action.type === 'guardians' && (
+              <div className="mt-3 space-y-2">
+                <GuardianLinksPanel patientId={care.patientId._id} />
+                <button
+                  type="button"
+                  onClick={() => setAction(null)}
+                  className="px-4 py-2 text-sm bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+                >
+                  Close
+                </button>
+              </div>
+            )}
+
+            {action?.care._id === care._id && action.type === 'summary' && (
+              <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+                <input
+                  type="text"
+                  required
+                  maxLength={200}
+                  value={summary.title}
+                  onChange={(e) => setSummary(prev => ({ ...prev, title: e.target.value }))}
+                  className={inputClassName}
+                  placeholder="Title, e.g. Progress this month"
+                />
+                <textarea
+                  required
+                  rows={4}
+                  maxLength={5000}
+                  value={summary.content}
+                  onChange={(e) => setSummary(prev => ({ ...prev, content: e.target.value }))}
+                  className={inputClassName}
+                  placeholder="Only what you write here is shown to guardians with consent to read summaries"
+                />
+                <div className="flex space-x-2">
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="px-4 py-2 text-sm bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50"
+                  >
+                    Share summary
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setAction(null)}
+                    className="px-4 py-2 text-sm bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {action?.care._id === care._id && (action.type === 'end' || action.type === 'transfer') && (
+              <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+                {action.type === 'transfer' && (
+                  <select
+                    required
+                    value={targetTherapistId}
+                    onChange={(e) => setTargetTherapistId(e.target.value)}
+                    className={inputClassName}
+                  >
+                    <option value="">Choose a therapist...</option>
+                    {therapists
+                      .filter(therapist => therapist.id !== user?.id)
+                      .map(therapist => (
+                        <option key={therapist.id} value={therapist.id}>
+                          {therapist.name}{therapist.specialization.length ? ` - ${therapist.specialization.join(', ')}` : ''}
+                        </option>
+                      ))}
+                  </select>
+                )}
+                <input
+                  type="text"
+                  maxLength={500}
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  className={inputClassName}
+                  placeholder="Reason (optional, kept in the care record)"
+                />
+                <div className="flex space-x-2">
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className={`px-4 py-2 text-sm text-white rounded-lg transition-colors disabled:opacity-50 ${
+                      action.type === 'end' ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'
+                    }`}
+                  >
+                    {action.type === 'end' ? 'Confirm end of care' : 'Confirm transfer'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setAction(null)}
+                    className="px-4 py-2 text-sm bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
+
+export default CareRelationshipsPanel;
\ No newline at end of file
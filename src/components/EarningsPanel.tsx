@@ -0,0 +1,200 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Wallet, Download, ChevronDown, ChevronUp } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import { formatMoney, fromMinorUnits } from '../utils/paymentApi';
+import {
+  fetchEarnings,
+  payoutStatusLabels,
+  lineKindLabels,
+  type Earnings,
+  type PayoutBreakdown,
+  type PayoutLine,
+  type PayoutLineKind
+} from '../utils/payoutApi';
+
+const formatDate = (value: string) =>
+  new Date(value).toLocaleDateString([], { dateStyle: 'medium', timeZone: 'UTC' });
+
+// Periods end at midnight UTC on the day after their last day
+const formatPeriod = (start: string, end: string) =>
+  `${formatDate(start)} – ${formatDate(new Date(new Date(end).getTime() - 1).toISOString())}`;
+
+const csvCell = (value: string | number) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per ledger entry, in major units
+const earningsCsv = (earnings: Earnings) => {
+  const rows: (string | number)[][] = [
+    ['Payout period', 'Payout status', 'Date', 'Patient', 'Type', 'Amount', 'Commission %', 'Commission', 'Net', 'Currency']
+  ];
+  const addLines = (period: string, status: string, currency: string, lines: PayoutLine[]) => {
+    for (const line of lines) {
+      rows.push([
+        period,
+        status,
+        line.occurredAt.slice(0, 10),
+        line.patientId?.name || 'Former patient',
+        lineKindLabels[line.kind],
+        fromMinorUnits(line.amount, currency),
+        line.commissionPercent,
+        fromMinorUnits(line.commission, currency),
+        fromMinorUnits(line.net, currency),
+        currency
+      ]);
+    }
+  };
+
+  for (const upcoming of earnings.upcoming) {
+    addLines('Next payout', 'Not yet drafted', upcoming.currency, upcoming.lines);
+  }
+  for (const payout of earnings.payouts) {
+    addLines(formatPeriod(payout.periodStart, payout.periodEnd), payoutStatusLabels[payout.status], payout.currency, payout.lines || []);
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+};
+
+// A therapist's earnings: what the next payout holds so far, past payouts
+// with their breakdown, and a CSV of every entry for their own books.
+function EarningsPanel() {
+  const { theme } = useTheme();
+  const [earnings, setEarnings] = useState<Earnings | null>(null);
+  const [openPayoutId, setOpenPayoutId] = useState<string | null>(null);
+
+  const loadEarnings = useCallback(async () => {
+    try {
+      setEarnings(await fetchEarnings());
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load earnings');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEarnings();
+  }, [loadEarnings]);
+
+  const exportCsv = () => {
+    if (!earnings) return;
+    const blob = new Blob([earningsCsv(earnings)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `mindcare-earnings-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const strongClass = theme === 'dark' ? 'text-white' : 'text-gray-800';
+  const boxClass = `p-3 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`;
+
+  const renderBreakdown = (breakdown: PayoutBreakdown, currency: string) => (
+    <div className="mt-2 space-y-1">
+      {(Object.keys(lineKindLabels) as PayoutLineKind[])
+        .filter(kind => breakdown[kind])
+        .map(kind => (
+          <div key={kind} className={`flex justify-between text-xs ${textClass}`}>
+            <span>{lineKindLabels[kind]} ({breakdown[kind]!.count})</span>
+            <span>
+              {formatMoney(breakdown[kind]!.amount, currency)} less {formatMoney(breakdown[kind]!.commission, currency)} = {formatMoney(breakdown[kind]!.net, currency)}
+            </span>
+          </div>
+        ))}
+    </div>
+  );
+
+  if (!earnings) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`mb-8 p-6 rounded-2xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Wallet className="w-5 h-5 text-purple-500" />
+          <h3 className={`text-lg font-semibold ${strongClass}`}>Earnings</h3>
+        </div>
+        <button
+          onClick={exportCsv}
+          className="flex items-center space-x-1 px-3 py-1 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 transition-colors text-sm"
+        >
+          <Download className="w-4 h-4" />
+          <span>Export CSV</span>
+        </button>
+      </div>
+
+      <p className={`text-sm mb-4 ${textClass}`}>
+        Platform commission {earnings.terms.commissionPercent}% · paid {earnings.terms.schedule}.
+        The current period ends {formatDate(new Date(new Date(earnings.nextPeriod.end).getTime() - 1).toISOString())}.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-4 mb-4">
+        {earnings.upcoming.length === 0 && (
+          <div className={boxClass}>
+            <p className={`text-sm ${textClass}`}>Nothing is waiting to be paid out yet.</p>
+          </div>
+        )}
+        {earnings.upcoming.map(upcoming => (
+          <div key={upcoming.currency} className={boxClass}>
+            <p className={`text-sm ${textClass}`}>Next payout so far</p>
+            <p className={`text-2xl font-bold ${strongClass}`}>{formatMoney(upcoming.netAmount, upcoming.currency)}</p>
+            {renderBreakdown(upcoming.breakdown, upcoming.currency)}
+          </div>
+        ))}
+        {earnings.awaitingSessions.map(awaiting => (
+          <div key={awaiting.currency} className={boxClass}>
+            <p className={`text-sm ${textClass}`}>Paid for upcoming sessions</p>
+            <p className={`text-2xl font-bold ${strongClass}`}>{formatMoney(awaiting.amount, awaiting.currency)}</p>
+            <p className={`text-xs ${textClass}`}>
+              {awaiting.count} payment{awaiting.count === 1 ? '' : 's'}, counted once the sessions have taken place
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {earnings.payouts.length > 0 && (
+        <div className="space-y-2">
+          {earnings.payouts.map(payout => (
+            <div key={payout._id} className={boxClass}>
+              <button
+                onClick={() => setOpenPayoutId(openPayoutId === payout._id ? null : payout._id)}
+                className="w-full flex items-center justify-between text-left"
+              >
+                <div>
+                  <p className={`text-sm font-medium ${strongClass}`}>{formatPeriod(payout.periodStart, payout.periodEnd)}</p>
+                  <p className={`text-xs ${textClass}`}>
+                    {payoutStatusLabels[payout.status]}
+                    {payout.paidAt && ` on ${formatDate(payout.paidAt)}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <span className={`font-semibold ${strongClass}`}>{formatMoney(payout.netAmount, payout.currency)}</span>
+                  {openPayoutId === payout._id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                </div>
+              </button>
+              {openPayoutId === payout._id && payout.breakdown && (
+                <>
+                  {renderBreakdown(payout.breakdown, payout.currency)}
+                  <p className={`mt-2 text-xs ${textClass}`}>
+                    Gross {formatMoney(payout.grossAmount, payout.currency)} · commission {formatMoney(payout.commissionAmount, payout.currency)}
+                  </p>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default EarningsPanel;
\ No newline at end of file
@@ -0,0 +1,154 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Users } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchGuardianLinks,
+  approveGuardianLink,
+  revokeGuardianLink,
+  consentLabels,
+  relationLabels,
+  type GuardianConsent,
+  type GuardianLink
+} from '../utils/guardianApi';
+
+const ALL_CONSENTS = Object.keys(consentLabels) as GuardianConsent[];
+
+// Guardian requests for a minor, with the consents each guardian holds. Shown
+// to the patient on their profile, or inline to their therapist when given a
+// patientId.
+function GuardianLinksPanel({ patientId }: { patientId?: string }) {
+  const { theme } = useTheme();
+  const [links, setLinks] = useState<GuardianLink[]>([]);
+  const [drafts, setDrafts] = useState<Record<string, GuardianConsent[]>>({});
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  const loadLinks = useCallback(async () => {
+    try {
+      const data = await fetchGuardianLinks(patientId);
+      const current = data.filter(link => ['pending', 'active'].includes(link.status));
+      setLinks(current);
+      setDrafts(Object.fromEntries(current.map(link => [link._id, link.consents])));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load guardians');
+    }
+  }, [patientId]);
+
+  useEffect(() => {
+    loadLinks();
+  }, [loadLinks]);
+
+  const toggleConsent = (linkId: string, consent: GuardianConsent) => {
+    setDrafts(prev => {
+      const consents = prev[linkId] || [];
+      return {
+        ...prev,
+        [linkId]: consents.includes(consent) ? consents.filter(c => c !== consent) : [...consents, consent]
+      };
+    });
+  };
+
+  const handleApprove = async (link: GuardianLink) => {
+    setSavingId(link._id);
+    try {
+      toast.success(await approveGuardianLink(link._id, drafts[link._id] || []));
+      await loadLinks();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to update guardian access');
+    }
+    setSavingId(null);
+  };
+
+  const handleRevoke = async (link: GuardianLink) => {
+    if (!window.confirm(`Remove ${link.guardianId.name}'s access?`)) return;
+    setSavingId(link._id);
+    try {
+      toast.success(await revokeGuardianLink(link._id));
+      await loadLinks();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to revoke guardian access');
+    }
+    setSavingId(null);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+
+  const list = (
+    <div className="space-y-3">
+      {links.length === 0 && (
+        <p className={`text-sm ${textClass}`}>No guardian requests.</p>
+      )}
+      {links.map(link => (
+        <div
+          key={link._id}
+          className={`p-3 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}
+        >
+          <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+            {link.guardianId.name} <span className={`text-sm font-normal ${textClass}`}>({relationLabels[link.relation]})</span>
+          </p>
+          <p className={`text-xs mb-2 ${textClass}`}>
+            {link.guardianId.email} · {link.status === 'pending' ? 'waiting for approval' : `access until ${new Date(link.expiresAt).toLocaleDateString()}`}
+          </p>
+          <div className="grid sm:grid-cols-2 gap-1 mb-2">
+            {ALL_CONSENTS.map(consent => (
+              <label key={consent} className={`flex items-center space-x-2 text-sm ${textClass}`}>
+                <input
+                  type="checkbox"
+                  checked={(drafts[link._id] || []).includes(consent)}
+                  onChange={() => toggleConsent(link._id, consent)}
+                  className="w-4 h-4 accent-purple-600"
+                />
+                <span>{consentLabels[consent]}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => handleApprove(link)}
+              disabled={savingId === link._id}
+              className="px-3 py-1 text-sm bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50"
+            >
+              {link.status === 'pending' ? 'Approve' : 'Save'}
+            </button>
+            <button
+              onClick={() => handleRevoke(link)}
+              disabled={savingId === link._id}
+              className="px-3 py-1 text-sm bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50"
+            >
+              {link.status === 'pending' ? 'Decline' : 'Revoke'}
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  if (patientId) return list;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.45 }}
+      className={`mt-8 p-6 rounded-2xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-2">
+        <Users className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-xl font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          Parents and guardians
+        </h3>
+      </div>
+      <p className={`text-sm mb-4 ${textClass}`}>
+        Guardians can only do what you tick below. They never see your chats or journal, and their access ends on your 18th birthday.
+      </p>
+      {list}
+    </motion.div>
+  );
+}
+
+export default GuardianLinksPanel;
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import { joinWaitlist } from '../utils/waitlistApi';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Join a fully booked therapist's waitlist with the days and hours that suit.
+// No days ticked means any time.
+function JoinWaitlistForm({ therapistId, onJoined }: { therapistId: string; onJoined?: () => void }) {
+  const { theme } = useTheme();
+  const [days, setDays] = useState<number[]>([]);
+  const [start, setStart] = useState('09:00');
+  const [end, setEnd] = useState('17:00');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const toggleDay = (day: number) => {
+    setDays(prev => (prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day]));
+  };
+
+  const handleJoin = async () => {
+    if (days.length > 0 && start >= end) {
+      toast.error('The start time must be before the end time');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const preferences = days.map(dayOfWeek => ({ dayOfWeek, start, end }));
+      toast.success(await joinWaitlist(therapistId, preferences, notes || undefined));
+      onJoined?.();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to join the waitlist');
+    }
+    setSaving(false);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const inputClassName = `px-3 py-2 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="mt-3 space-y-3 text-left">
+      <p className={`text-sm ${textClass}`}>
+        Join the waitlist and we'll hold the next matching session for you.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {DAYS.map((label, day) => (
+          <button
+            key={label}
+            type="button"
+            onClick={() => toggleDay(day)}
+            className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+              days.includes(day)
+                ? 'bg-purple-500 text-white'
+                : theme === 'dark'
+                ? 'bg-gray-600 text-gray-300 hover:bg-gray-500'
+                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {days.length > 0 && (
+        <div className="flex items-center space-x-2">
+          <input type="time" value={start} onChange={(e) => setStart(e.target.value)} className={inputClassName} />
+          <span className={textClass}>to</span>
+          <input type="time" value={end} onChange={(e) => setEnd(e.target.value)} className={inputClassName} />
+        </div>
+      )}
+      <input
+        type="text"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Anything the therapist should know (optional)"
+        maxLength={500}
+        className={`w-full ${inputClassName}`}
+      />
+      <button
+        onClick={handleJoin}
+        disabled={saving}
+        className="px-4 py-2 text-sm bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 disabled:opacity-50"
+      >
+        Join waitlist
+      </button>
+    </div>
+  );
+}
+
+export default JoinWaitlistForm;
\ No newline at end of file
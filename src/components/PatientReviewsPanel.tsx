@@ -0,0 +1,211 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { MessageSquare, Pencil, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import StarRating from './StarRating';
+import {
+  fetchMyReviews,
+  submitReview,
+  deleteReview,
+  reviewStatusLabels,
+  type Review
+} from '../utils/reviewApi';
+
+interface ReviewDraft {
+  therapistId: string;
+  rating: number;
+  comment: string;
+}
+
+// Reviews of therapists the patient has completed a session with: write one
+// per therapist, revise or withdraw it, and see the therapist's reply.
+function PatientReviewsPanel() {
+  const { theme } = useTheme();
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [reviewable, setReviewable] = useState<{ _id: string; name: string }[]>([]);
+  const [draft, setDraft] = useState<ReviewDraft | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadReviews = useCallback(async () => {
+    try {
+      const mine = await fetchMyReviews();
+      setReviews(mine.reviews);
+      setReviewable(mine.reviewable);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load your reviews');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const reviewOf = (therapistId: string) => reviews.find(review => review.therapistId?._id === therapistId);
+
+  const startEditing = (therapistId: string) => {
+    const review = reviewOf(therapistId);
+    setDraft({ therapistId, rating: review?.rating || 0, comment: review?.comment || '' });
+  };
+
+  const handleSubmit = async () => {
+    if (!draft) return;
+    if (draft.rating < 1) {
+      toast.error('Please choose a star rating');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { message } = await submitReview({
+        therapistId: draft.therapistId,
+        rating: draft.rating,
+        comment: draft.comment.trim() || undefined
+      });
+      toast.success(message);
+      setDraft(null);
+      await loadReviews();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save your review');
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async (review: Review) => {
+    if (!window.confirm(`Remove your review of ${review.therapistId?.name || 'this therapist'}?`)) return;
+    try {
+      toast.success(await deleteReview(review._id));
+      await loadReviews();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to remove your review');
+    }
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const rowClass = `p-3 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`;
+  const iconButtonClass = `p-1 rounded transition-colors ${
+    theme === 'dark' ? 'text-gray-300 hover:bg-gray-600' : 'text-gray-600 hover:bg-gray-200'
+  }`;
+
+  if (reviewable.length === 0 && reviews.length === 0) return null;
+
+  // Therapists with a review come first, then anyone the patient can still review
+  const therapists = [
+    ...reviews.filter(review => review.therapistId).map(review => review.therapistId as { _id: string; name: string }),
+    ...reviewable.filter(therapist => !reviewOf(therapist._id))
+  ];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-3">
+        <MessageSquare className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-lg font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          Your reviews
+        </h3>
+      </div>
+      <p className={`text-xs mb-3 ${textClass}`}>
+        Reviews are anonymous. Written reviews appear once our team has checked them.
+      </p>
+
+      <div className="space-y-2">
+        {therapists.map(therapist => {
+          const review = reviewOf(therapist._id);
+          const editing = draft?.therapistId === therapist._id;
+
+          return (
+            <div key={therapist._id} className={rowClass}>
+              <div className="flex items-center justify-between">
+                <p className={`text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                  {therapist.name}
+                </p>
+                {review && !editing && (
+                  <div className="flex items-center space-x-1">
+                    <button onClick={() => startEditing(therapist._id)} className={iconButtonClass} title="Edit">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => handleDelete(review)} className={iconButtonClass} title="Remove">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+                {!review && !editing && (
+                  <button
+                    onClick={() => startEditing(therapist._id)}
+                    className="px-3 py-1 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 transition-colors text-sm"
+                  >
+                    Write a review
+                  </button>
+                )}
+              </div>
+
+              {editing && draft ? (
+                <div className="mt-2 space-y-2">
+                  <StarRating
+                    value={draft.rating}
+                    onChange={(rating) => setDraft({ ...draft, rating })}
+                    size="w-6 h-6"
+                  />
+                  <textarea
+                    value={draft.comment}
+                    maxLength={2000}
+                    rows={3}
+                    onChange={(e) => setDraft({ ...draft, comment: e.target.value })}
+                    placeholder="What was working with them like? (optional)"
+                    className={`w-full px-3 py-2 rounded-lg border text-sm ${
+                      theme === 'dark' ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'
+                    }`}
+                  />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={handleSubmit}
+                      disabled={saving}
+                      className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50 text-sm"
+                    >
+                      {saving ? 'Saving...' : 'Save review'}
+                    </button>
+                    <button
+                      onClick={() => setDraft(null)}
+                      className={`px-3 py-1 rounded-lg text-sm ${textClass}`}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : review && (
+                <div className="mt-1">
+                  <div className="flex items-center space-x-2">
+                    <StarRating value={review.rating} />
+                    <span className={`text-xs ${review.status === 'rejected' ? 'text-red-500' : textClass}`}>
+                      {reviewStatusLabels[review.status]}
+                    </span>
+                  </div>
+                  {review.comment && (
+                    <p className={`text-sm mt-1 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{review.comment}</p>
+                  )}
+                  {review.status === 'rejected' && review.moderationNote && (
+                    <p className="text-xs mt-1 text-red-500">{review.moderationNote}</p>
+                  )}
+                  {review.response && (
+                    <p className={`text-xs mt-2 pl-3 border-l-2 border-purple-300 ${textClass}`}>
+                      <span className="font-medium">{therapist.name} replied:</span> {review.response.text}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </motion.div>
+  );
+}
+
+export default PatientReviewsPanel;
\ No newline at end of file
@@ -1,17 +1,31 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
 import { 
   User, Mail, Phone, Calendar, MapPin, Edit, Save, 
-  X, Camera, Shield, Award, Clock, Heart
+  X, Camera, Shield, Award, Clock, Heart, Lock, LogOut
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { disableTwoFactor, regenerateRecoveryCodes } from '../utils/authApi';
+import TwoFactorSetup, { RecoveryCodesList } from './TwoFactorSetup';
+import RecordAccessLog from './RecordAccessLog';
+import GuardianLinksPanel from './GuardianLinksPanel';
+import AccountDataSection from './AccountDataSection';
+import CalendarFeedSection from './CalendarFeedSection';
 import toast from 'react-hot-toast';
 
 function ProfilePage() {
-  const { user, updateUser } = useAuth();
+  const { user, updateProfile, logoutAllDevices, refreshUser } = useAuth();
   const { theme } = useTheme();
+  const navigate = useNavigate();
   const [isEditing, setIsEditing] = useState(false);
+  const [signingOutAll, setSigningOutAll] = useState(false);
+  const [twoFactorAction, setTwoFactorAction] = useState<'setup' | 'disable' | 'regenerate' | null>(null);
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState<string[]>([]);
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false);
   const [formData, setFormData] = useState({
     name: user?.name || '',
     email: user?.email || '',
@@ -21,6 +35,7 @@ function ProfilePage() {
     emergencyContactEmail: user?.emergencyContactEmail || '',
     emergencyContactRelation: user?.emergencyContactRelation || '',
     age: user?.age || '',
+    dateOfBirth: user?.dateOfBirth?.split('T')[0] || '',
     specialization: user?.specialization || '',
     licenseNumber: user?.licenseNumber || '',
     hourlyRate: user?.hourlyRate || '',
@@ -32,24 +47,24 @@ function ProfilePage() {
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
-  const handleSave = () => {
+  const handleSave = async () => {
     try {
-      // Update user in auth context
-      const updatedUserData = {
-        ...user,
-        ...formData,
-        age: formData.age ? parseInt(formData.age) : user?.age,
-        hourlyRate: formData.hourlyRate ? parseInt(formData.hourlyRate) : user?.hourlyRate
-      };
-      
-      updateUser(updatedUserData);
-      
-      // Update registered users in localStorage
-      const registeredUsers = JSON.parse(localStorage.getItem('mindcare_registered_users') || '[]');
-      const updatedUsers = registeredUsers.map((u: any) => 
-        u.id === user?.id ? { ...u, ...updatedUserData } : u
-      );
-      localStorage.setItem('mindcare_registered_users', JSON.stringify(updatedUsers));
+      const saved = await updateProfile({
+        name: formData.name,
+        phone: formData.phone,
+        location: formData.location,
+        bio: formData.bio,
+        emergencyContactEmail: formData.emergencyContactEmail,
+        emergencyContactRelation: formData.emergencyContactRelation,
+        age: formData.age ? parseInt(String(formData.age)) : user?.age,
+        dateOfBirth: formData.dateOfBirth || undefined,
+        specialization: formData.specialization,
+        licenseNumber: formData.licenseNumber,
+        hourlyRate: formData.hourlyRate ? parseInt(String(formData.hourlyRate)) : user?.hourlyRate,
+        experience: formData.experience
+      });
+
+      if (!saved) return;
       
       // If therapist, update therapist services
       if (user?.role === 'therapist') {
@@ -92,6 +107,56 @@ function ProfilePage() {
     }
   };
 
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm('Sign out of MindCare on every device, including this one?')) return;
+
+    setSigningOutAll(true);
+    const success = await logoutAllDevices();
+    setSigningOutAll(false);
+
+    if (success) {
+      navigate('/login');
+    }
+  };
+
+  const resetTwoFactorForm = () => {
+    setTwoFactorAction(null);
+    setTwoFactorPassword('');
+    setTwoFactorCode('');
+  };
+
+  const handleTwoFactorSetupComplete = async () => {
+    resetTwoFactorForm();
+    await refreshUser();
+  };
+
+  const handleDisableTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setTwoFactorLoading(true);
+    try {
+      await disableTwoFactor(twoFactorPassword, twoFactorCode);
+      toast.success('Two-factor authentication disabled');
+      resetTwoFactorForm();
+      await refreshUser();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to disable two-factor authentication');
+    }
+    setTwoFactorLoading(false);
+  };
+
+  const handleRegenerateRecoveryCodes = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setTwoFactorLoading(true);
+    try {
+      setNewRecoveryCodes(await regenerateRecoveryCodes(twoFactorCode));
+      toast.success('New recovery codes generated');
+      resetTwoFactorForm();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to regenerate recovery codes');
+    }
+    setTwoFactorLoading(false);
+  };
+
   const handleCancel = () => {
     setFormData({
       name: user?.name || '',
@@ -102,6 +167,7 @@ function ProfilePage() {
       emergencyContactEmail: user?.emergencyContactEmail || '',
       emergencyContactRelation: user?.emergencyContactRelation || '',
       age: user?.age || '',
+      dateOfBirth: user?.dateOfBirth?.split('T')[0] || '',
       specialization: user?.specialization || '',
       licenseNumber: user?.licenseNumber || '',
       hourlyRate: user?.hourlyRate || '',
@@ -367,6 +433,31 @@ function ProfilePage() {
                       />
                     </div>
 
+                    <div>
+                      <label className={`block text-sm font-medium mb-2 ${
+                        theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+                      }`}>
+                        Date of Birth
+                      </label>
+                      <input
+                        type="date"
+                        name="dateOfBirth"
+                        value={formData.dateOfBirth}
+                        onChange={handleInputChange}
+                        disabled={!isEditing}
+                        max={new Date().toISOString().split('T')[0]}
+                        className={`w-full px-4 py-3 rounded-xl border transition-all duration-200 ${
+                          isEditing
+                            ? 'focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent'
+                            : 'cursor-not-allowed'
+                        } ${
+                          theme === 'dark'
+                            ? 'bg-gray-700 border-gray-600 text-white'
+                            : 'bg-white border-gray-300 text-gray-900'
+                        }`}
+                      />
+                    </div>
+
                     <div>
                       <label className={`block text-sm font-medium mb-2 ${
                         theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
@@ -557,6 +648,187 @@ function ProfilePage() {
             </div>
           </motion.div>
         </div>
+
+        {/* Security */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.4 }}
+          className={`mt-8 p-6 rounded-2xl shadow-lg ${
+            theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+          }`}
+        >
+          <div className="flex items-center space-x-3 mb-4">
+            <Lock className="w-5 h-5 text-purple-500" />
+            <h3 className={`text-xl font-semibold ${
+              theme === 'dark' ? 'text-white' : 'text-gray-800'
+            }`}>
+              Security
+            </h3>
+          </div>
+
+          {/* Two-factor authentication */}
+          <div className={`p-4 rounded-xl mb-4 ${
+            theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+          }`}>
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <p className={`font-medium flex items-center space-x-2 ${
+                  theme === 'dark' ? 'text-white' : 'text-gray-800'
+                }`}>
+                  <span>Two-factor authentication</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                    user.twoFactorEnabled ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                  }`}>
+                    {user.twoFactorEnabled ? 'On' : 'Off'}
+                  </span>
+                </p>
+                <p className={`text-sm ${
+                  theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+                }`}>
+                  {user.twoFactorRequired
+                    ? 'Required for your account because it can access patient records.'
+                    : 'Ask for a code from your authenticator app each time you sign in.'}
+                </p>
+              </div>
+              {!twoFactorAction && (
+                <div className="flex space-x-2">
+                  {user.twoFactorEnabled ? (
+                    <>
+                      <button
+                        onClick={() => setTwoFactorAction('regenerate')}
+                        className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors whitespace-nowrap"
+                      >
+                        New recovery codes
+                      </button>
+                      {!user.twoFactorRequired && (
+                        <button
+                          onClick={() => setTwoFactorAction('disable')}
+                          className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+                        >
+                          Disable
+                        </button>
+                      )}
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => setTwoFactorAction('setup')}
+                      className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors"
+                    >
+                      Enable
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {twoFactorAction === 'setup' && (
+              <div className="mt-4">
+                <TwoFactorSetup onComplete={handleTwoFactorSetupComplete} onCancel={resetTwoFactorForm} />
+              </div>
+            )}
+
+            {(twoFactorAction === 'disable' || twoFactorAction === 'regenerate') && (
+              <form
+                onSubmit={twoFactorAction === 'disable' ? handleDisableTwoFactor : handleRegenerateRecoveryCodes}
+                className="mt-4 flex flex-col md:flex-row gap-3"
+              >
+                {twoFactorAction === 'disable' && (
+                  <input
+                    type="password"
+                    autoComplete="current-password"
+                    required
+                    value={twoFactorPassword}
+                    onChange={(e) => setTwoFactorPassword(e.target.value)}
+                    placeholder="Current password"
+                    className={`px-4 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                      theme === 'dark' ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                  />
+                )}
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  required
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value.replace(/\D/g, ''))}
+                  placeholder="6-digit code"
+                  className={`px-4 py-2 rounded-lg border font-mono tracking-widest focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                    theme === 'dark' ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+                />
+                <button
+                  type="submit"
+                  disabled={twoFactorLoading}
+                  className={`px-4 py-2 text-white rounded-lg transition-colors disabled:opacity-50 ${
+                    twoFactorAction === 'disable' ? 'bg-red-500 hover:bg-red-600' : 'bg-purple-500 hover:bg-purple-600'
+                  }`}
+                >
+                  {twoFactorAction === 'disable' ? 'Disable 2FA' : 'Generate'}
+                </button>
+                <button
+                  type="button"
+                  onClick={resetTwoFactorForm}
+                  className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+                >
+                  Cancel
+                </button>
+              </form>
+            )}
+
+            {newRecoveryCodes.length > 0 && !twoFactorAction && (
+              <div className="mt-4 space-y-2">
+                <p className={`text-sm ${
+                  theme === 'dark' ? 'text-gray-300' : 'text-gray-600'
+                }`}>
+                  Your old recovery codes no longer work. Save these new ones somewhere safe:
+                </p>
+                <RecoveryCodesList codes={newRecoveryCodes} />
+                <button
+                  onClick={() => setNewRecoveryCodes([])}
+                  className="text-sm font-medium text-purple-600 hover:text-purple-500"
+                >
+                  Done
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className={`flex flex-col md:flex-row md:items-center md:justify-between gap-4 p-4 rounded-xl ${
+            theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+          }`}>
+            <div>
+              <p className={`font-medium ${
+                theme === 'dark' ? 'text-white' : 'text-gray-800'
+              }`}>
+                Active sessions
+              </p>
+              <p className={`text-sm ${
+                theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+              }`}>
+                Lost a device or signed in somewhere you don't recognise? Sign out everywhere, including this browser.
+              </p>
+            </div>
+            <button
+              onClick={handleLogoutAllDevices}
+              disabled={signingOutAll}
+              className="flex items-center justify-center space-x-2 px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+            >
+              <LogOut className="w-4 h-4" />
+              <span>{signingOutAll ? 'Signing out...' : 'Log out all devices'}</span>
+            </button>
+          </div>
+        </motion.div>
+
+        {user.role === 'patient' && <GuardianLinksPanel />}
+
+        {user.role === 'patient' && <RecordAccessLog />}
+
+        {(user.role === 'patient' || user.role === 'therapist') && <CalendarFeedSection />}
+
+        <AccountDataSection />
       </div>
     </div>
   );
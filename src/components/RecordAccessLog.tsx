@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { History, Eye } from 'lucide-react';
+import { useTheme } from '../contexts/ThemeContext';
+import { fetchMyRecordAccess, resourceLabels, actionLabels, type AuditEvent } from '../utils/auditApi';
+
+// "Who viewed my records" - therapists and admins who opened or changed the
+// patient's clinical data
+function RecordAccessLog() {
+  const { theme } = useTheme();
+  const [events, setEvents] = useState<AuditEvent[]>([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    fetchMyRecordAccess(page)
+      .then(({ events: pageEvents, pagination }) => {
+        setEvents(prev => (page === 1 ? pageEvents : [...prev, ...pageEvents]));
+        setHasMore(pagination.page < pagination.pages);
+      })
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load access history'))
+      .finally(() => setLoading(false));
+  }, [page]);
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+      className={`mt-8 p-6 rounded-2xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-2">
+        <History className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-xl font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          Who viewed my records
+        </h3>
+      </div>
+      <p className={`text-sm mb-4 ${textClass}`}>
+        Every time a therapist or administrator opens or changes your clinical records, it is logged here.
+      </p>
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      {!error && !loading && events.length === 0 && (
+        <p className={`text-sm ${textClass}`}>Nobody else has accessed your records yet.</p>
+      )}
+
+      <div className="space-y-2">
+        {events.map(event => (
+          <div
+            key={event._id}
+            className={`flex items-center justify-between p-3 rounded-xl ${
+              theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+            }`}
+          >
+            <div className="flex items-center space-x-3">
+              <Eye className="w-4 h-4 text-purple-500 flex-shrink-0" />
+              <div>
+                <p className={`text-sm font-medium ${
+                  theme === 'dark' ? 'text-white' : 'text-gray-800'
+                }`}>
+                  {event.actorId?.name || 'A former staff member'}
+                  <span className={`ml-2 text-xs capitalize ${textClass}`}>{event.actorRole}</span>
+                </p>
+                <p className={`text-xs ${textClass}`}>
+                  {actionLabels[event.action]} {resourceLabels[event.resourceType].toLowerCase()}
+                </p>
+              </div>
+            </div>
+            <span className={`text-xs whitespace-nowrap ${textClass}`}>
+              {new Date(event.createdAt).toLocaleString()}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {hasMore && (
+        <button
+          onClick={() => setPage(page + 1)}
+          disabled={loading}
+          className="mt-4 px-4 py-2 text-sm bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Show more'}
+        </button>
+      )}
+    </motion.div>
+  );
+}
+
+export default RecordAccessLog;
\ No newline at end of file
@@ -0,0 +1,261 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { CalendarClock, CalendarPlus, Check, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchMyAppointments,
+  proposeReschedule,
+  acceptReschedule,
+  declineReschedule,
+  downloadAppointmentCalendar,
+  pendingReschedule,
+  sideOf,
+  type ServerAppointment
+} from '../utils/appointmentApi';
+import { fetchTherapistSlots, type BookableSlot } from '../utils/therapistApi';
+
+const SLOT_DAYS = 14;
+
+const partyName = (party: ServerAppointment['patientId']) => (typeof party === 'string' ? '' : party.name);
+const partyId = (party: ServerAppointment['patientId']) => (typeof party === 'string' ? party : party._id);
+
+const formatTime = (at: { startsAt?: string; date: string; time: string }) =>
+  at.startsAt
+    ? new Date(at.startsAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+    : `${new Date(at.date).toLocaleDateString()} at ${at.time}`;
+
+// Upcoming booked sessions with the option to move them. A proposed time is
+// held until the other side accepts or declines it.
+function ReschedulePanel({ role }: { role: 'patient' | 'therapist' }) {
+  const { theme } = useTheme();
+  const [appointments, setAppointments] = useState<ServerAppointment[]>([]);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [slots, setSlots] = useState<BookableSlot[]>([]);
+  const [newStart, setNewStart] = useState('');
+  const [reason, setReason] = useState('');
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  const loadAppointments = useCallback(async () => {
+    try {
+      const data = await fetchMyAppointments(role);
+      setAppointments(data.filter(appointment =>
+        ['pending_confirmation', 'confirmed'].includes(appointment.status) &&
+        new Date(appointment.startsAt || appointment.date) > new Date()
+      ));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load appointments');
+    }
+  }, [role]);
+
+  useEffect(() => {
+    loadAppointments();
+  }, [loadAppointments]);
+
+  const openProposal = async (appointment: ServerAppointment) => {
+    setEditingId(appointment._id);
+    setNewStart('');
+    setReason('');
+    setSlots([]);
+    try {
+      const from = new Date();
+      const to = new Date(from.getTime() + SLOT_DAYS * 24 * 60 * 60 * 1000);
+      setSlots(await fetchTherapistSlots(partyId(appointment.therapistId), from.toISOString(), to.toISOString()));
+    } catch {
+      // No structured availability; fall back to a free-form time
+    }
+  };
+
+  const run = async (appointmentId: string, action: () => Promise<string>, fallback: string) => {
+    setSavingId(appointmentId);
+    try {
+      toast.success(await action());
+      setEditingId(null);
+      await loadAppointments();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : fallback);
+    }
+    setSavingId(null);
+  };
+
+  const handleAddToCalendar = async (appointmentId: string) => {
+    try {
+      await downloadAppointmentCalendar(appointmentId);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to download the calendar invite');
+    }
+  };
+
+  const handlePropose = (appointment: ServerAppointment) => {
+    if (!newStart) {
+      toast.error('Please choose the new time');
+      return;
+    }
+    run(
+      appointment._id,
+      () => proposeReschedule(appointment._id, { startsAt: new Date(newStart).toISOString(), reason: reason || undefined }),
+      'Failed to propose a new time'
+    );
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const inputClassName = `w-full px-3 py-2 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  if (appointments.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-3">
+        <CalendarClock className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-lg font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          Upcoming sessions
+        </h3>
+      </div>
+      <div className="space-y-3">
+        {appointments.map(appointment => {
+          const request = pendingReschedule(appointment);
+          const proposedByMe = request && sideOf(request.proposedAs) === role;
+          const other = partyName(role === 'patient' ? appointment.therapistId : appointment.patientId);
+          const lastMove = appointment.rescheduleHistory?.slice(-1)[0];
+
+          return (
+            <div
+              key={appointment._id}
+              className={`p-3 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}
+            >
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                    {formatTime(appointment)}
+                  </p>
+                  <p className={`text-xs ${textClass}`}>
+                    {other && `with ${other} · `}{appointment.sessionType}
+                    {lastMove && ` · moved from ${formatTime(lastMove)}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {appointment.status === 'confirmed' && (
+                    <button
+                      onClick={() => handleAddToCalendar(appointment._id)}
+                      className={`p-1 rounded transition-colors ${
+                        theme === 'dark' ? 'text-gray-300 hover:bg-gray-600' : 'text-gray-600 hover:bg-gray-200'
+                      }`}
+                      title="Add to calendar"
+                      aria-label="Add to calendar"
+                    >
+                      <CalendarPlus className="w-4 h-4" />
+                    </button>
+                  )}
+                  {!request && editingId !== appointment._id && (
+                    <button
+                      onClick={() => openProposal(appointment)}
+                      className="px-3 py-1 text-sm bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 transition-colors"
+                    >
+                      Reschedule
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {request && (
+                <div className={`mt-2 p-2 rounded-lg text-sm ${
+                  theme === 'dark' ? 'bg-gray-800 text-gray-300' : 'bg-yellow-50 text-gray-700'
+                }`}>
+                  <p>
+                    {proposedByMe ? 'You proposed' : `${other || 'The other party'} proposed`} moving this to{' '}
+                    <strong>{formatTime(request)}</strong>
+                    {request.reason && ` — "${request.reason}"`}
+                  </p>
+                  <p className={`text-xs mb-2 ${textClass}`}>
+                    Held until {new Date(request.expiresAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                  </p>
+                  <div className="flex space-x-2">
+                    {!proposedByMe && (
+                      <button
+                        onClick={() => run(appointment._id, () => acceptReschedule(appointment._id), 'Failed to accept the new time')}
+                        disabled={savingId === appointment._id}
+                        className="flex items-center space-x-1 px-3 py-1 bg-green-100 text-green-700 rounded-lg hover:bg-green-200 transition-colors disabled:opacity-50"
+                      >
+                        <Check className="w-3 h-3" />
+                        <span>Accept</span>
+                      </button>
+                    )}
+                    <button
+                      onClick={() => run(appointment._id, () => declineReschedule(appointment._id), 'Failed to update the request')}
+                      disabled={savingId === appointment._id}
+                      className="flex items-center space-x-1 px-3 py-1 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors disabled:opacity-50"
+                    >
+                      <X className="w-3 h-3" />
+                      <span>{proposedByMe ? 'Withdraw' : 'Decline'}</span>
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {editingId === appointment._id && (
+                <div className="mt-3 space-y-2">
+                  {slots.length > 0 ? (
+                    <select value={newStart} onChange={(e) => setNewStart(e.target.value)} className={inputClassName}>
+                      <option value="">Choose a new time</option>
+                      {slots.map(slot => (
+                        <option key={slot.start} value={slot.start}>
+                          {new Date(slot.start).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="datetime-local"
+                      value={newStart}
+                      onChange={(e) => setNewStart(e.target.value)}
+                      className={inputClassName}
+                    />
+                  )}
+                  <input
+                    type="text"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    placeholder="Reason (optional)"
+                    maxLength={500}
+                    className={inputClassName}
+                  />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handlePropose(appointment)}
+                      disabled={savingId === appointment._id}
+                      className="px-3 py-1 text-sm bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50"
+                    >
+                      Propose time
+                    </button>
+                    <button
+                      onClick={() => setEditingId(null)}
+                      className={`px-3 py-1 text-sm rounded-lg transition-colors ${
+                        theme === 'dark' ? 'bg-gray-600 text-gray-200 hover:bg-gray-500' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </motion.div>
+  );
+}
+
+export default ReschedulePanel;
\ No newline at end of file
@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Repeat, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchSeries,
+  cancelAppointment,
+  cancelFollowing,
+  frequencyLabels,
+  type AppointmentSeries
+} from '../utils/appointmentApi';
+
+const statusClasses: Record<string, string> = {
+  pending_confirmation: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-green-100 text-green-800',
+  completed: 'bg-blue-100 text-blue-800',
+  cancelled: 'bg-red-100 text-red-800',
+  no_show: 'bg-gray-100 text-gray-800'
+};
+
+const formatStart = (appointment: { startsAt?: string; date: string; time: string }) =>
+  appointment.startsAt
+    ? new Date(appointment.startsAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+    : `${new Date(appointment.date).toLocaleDateString()} at ${appointment.time}`;
+
+// Recurring bookings grouped by series, each occurrence with its own status.
+// One session can be cancelled alone, or together with everything after it.
+function SeriesPanel() {
+  const { theme } = useTheme();
+  const [series, setSeries] = useState<AppointmentSeries[]>([]);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  const loadSeries = useCallback(async () => {
+    try {
+      setSeries(await fetchSeries());
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load recurring sessions');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSeries();
+  }, [loadSeries]);
+
+  const handleCancel = async (appointmentId: string, following: boolean) => {
+    const prompt = following
+      ? 'Cancel this session and every later one in the series?'
+      : 'Cancel this session? The rest of the series is kept.';
+    if (!window.confirm(prompt)) return;
+
+    setSavingId(appointmentId);
+    try {
+      toast.success(await (following ? cancelFollowing(appointmentId) : cancelAppointment(appointmentId)));
+      await loadSeries();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to cancel');
+    }
+    setSavingId(null);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const active = series.filter(s => s.status === 'active');
+
+  if (active.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.35 }}
+      className={`mb-8 rounded-2xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className={`p-6 border-b ${
+        theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+      }`}>
+        <h2 className={`text-lg font-semibold flex items-center ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          <Repeat className="h-5 w-5 mr-2 text-purple-600" />
+          Recurring Sessions
+        </h2>
+      </div>
+      <div className="p-6 space-y-3">
+        {active.map(s => {
+          const upcoming = s.appointments.filter(a =>
+            ['pending_confirmation', 'confirmed'].includes(a.status) &&
+            new Date(a.startsAt || a.date) > new Date()
+          );
+
+          return (
+            <div key={s._id} className={`p-4 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}>
+              <button
+                onClick={() => setExpandedId(expandedId === s._id ? null : s._id)}
+                className="w-full flex items-center justify-between text-left"
+              >
+                <div>
+                  <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                    {s.patientId.name}
+                  </p>
+                  <p className={`text-xs ${textClass}`}>
+                    {frequencyLabels[s.frequency]} · {upcoming.length} of {s.appointments.length} sessions upcoming
+                    {upcoming[0] && ` · next ${formatStart(upcoming[0])}`}
+                  </p>
+                </div>
+                <span className={`text-xs ${textClass}`}>{expandedId === s._id ? 'Hide' : 'Show'}</span>
+              </button>
+
+              {expandedId === s._id && (
+                <div className="mt-3 space-y-2">
+                  {s.appointments.map(appointment => {
+                    const cancellable = upcoming.some(a => a._id === appointment._id);
+                    return (
+                      <div key={appointment._id} className="flex items-center justify-between text-sm">
+                        <div className="flex items-center space-x-2">
+                          <span className={textClass}>#{appointment.occurrence}</span>
+                          <span className={theme === 'dark' ? 'text-gray-200' : 'text-gray-800'}>
+                            {formatStart(appointment)}
+                          </span>
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${statusClasses[appointment.status] || statusClasses.no_show}`}>
+                            {appointment.status.replace('_', ' ')}
+                          </span>
+                        </div>
+                        {cancellable && (
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => handleCancel(appointment._id, false)}
+                              disabled={savingId === appointment._id}
+                              className="flex items-center space-x-1 px-2 py-1 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-xs disabled:opacity-50"
+                            >
+                              <XCircle className="w-3 h-3" />
+                              <span>Cancel</span>
+                            </button>
+                            <button
+                              onClick={() => handleCancel(appointment._id, true)}
+                              disabled={savingId === appointment._id}
+                              className="px-2 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-xs disabled:opacity-50"
+                            >
+                              This and following
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </motion.div>
+  );
+}
+
+export default SeriesPanel;
\ No newline at end of file
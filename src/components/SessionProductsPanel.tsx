@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Layers, Plus, Save, Trash2, Edit, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchMyProducts,
+  createProduct,
+  updateProduct,
+  archiveProduct,
+  productKindLabels,
+  type SessionProduct,
+  type SessionProductKind
+} from '../utils/pricingApi';
+import { formatMoney, fromMinorUnits, toMinorUnits } from '../utils/paymentApi';
+
+const CURRENCY = 'USD';
+
+// Prices are typed in major units and sent in minor units
+interface PackageDraft {
+  sessions: number;
+  price: string;
+  validityDays: number;
+}
+
+interface ProductDraft {
+  name: string;
+  kind: SessionProductKind;
+  description: string;
+  duration: number;
+  price: string;
+  packages: PackageDraft[];
+}
+
+const emptyDraft: ProductDraft = {
+  name: '',
+  kind: 'standard',
+  description: '',
+  duration: 50,
+  price: '',
+  packages: []
+};
+
+const draftFrom = (product: SessionProduct): ProductDraft => ({
+  name: product.name,
+  kind: product.kind,
+  description: product.description || '',
+  duration: product.duration || 50,
+  price: String(fromMinorUnits(product.price, product.currency)),
+  packages: product.packages.map(option => ({
+    sessions: option.sessions,
+    price: String(fromMinorUnits(option.price, product.currency)),
+    validityDays: option.validityDays
+  }))
+});
+
+// The session types a therapist sells (lengths, intake and couples
+// sessions) and prepaid packages of them. Patients of therapists with none
+// book a session at the profile's hourly rate.
+function SessionProductsPanel() {
+  const { theme } = useTheme();
+  const [products, setProducts] = useState<SessionProduct[]>([]);
+  const [draft, setDraft] = useState<ProductDraft | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchMyProducts()
+      .then(setProducts)
+      .catch(error => toast.error(error instanceof Error ? error.message : 'Failed to load your session types'));
+  }, []);
+
+  const startEditing = (product: SessionProduct | null) => {
+    setEditingId(product?._id || null);
+    setDraft(product ? draftFrom(product) : { ...emptyDraft });
+  };
+
+  const updatePackage = (index: number, changes: Partial<PackageDraft>) => {
+    setDraft(prev => prev && {
+      ...prev,
+      packages: prev.packages.map((option, i) => (i === index ? { ...option, ...changes } : option))
+    });
+  };
+
+  const handleSave = async () => {
+    if (!draft) return;
+    if (!draft.name.trim() || !(parseFloat(draft.price) >= 0)) {
+      toast.error('Please give the session type a name and a price');
+      return;
+    }
+
+    const input = {
+      name: draft.name.trim(),
+      kind: draft.kind,
+      description: draft.description.trim(),
+      duration: draft.duration,
+      price: toMinorUnits(parseFloat(draft.price), CURRENCY),
+      packages: draft.packages.map(option => ({
+        sessions: option.sessions,
+        price: toMinorUnits(parseFloat(option.price) || 0, CURRENCY),
+        validityDays: option.validityDays
+      }))
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        const updated = await updateProduct(editingId, input);
+        setProducts(prev => prev.map(product => (product._id === editingId ? updated : product)));
+        toast.success('Session type updated');
+      } else {
+        const created = await createProduct(input);
+        setProducts(prev => [...prev, created]);
+        toast.success('Session type added');
+      }
+      setDraft(null);
+      setEditingId(null);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save the session type');
+    }
+    setSaving(false);
+  };
+
+  const handleArchive = async (product: SessionProduct) => {
+    if (!product._id || !window.confirm(`Stop offering "${product.name}"? Packages already bought can still be used.`)) return;
+    try {
+      toast.success(await archiveProduct(product._id));
+      setProducts(prev => prev.filter(other => other._id !== product._id));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to remove the session type');
+    }
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const labelClass = `flex flex-col space-y-1 text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`;
+  const inputClassName = `px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.1 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center space-x-3">
+          <Layers className="w-5 h-5 text-purple-500" />
+          <h3 className={`text-lg font-semibold ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+            Session Types & Packages
+          </h3>
+        </div>
+        {!draft && (
+          <button
+            onClick={() => startEditing(null)}
+            className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add session type</span>
+          </button>
+        )}
+      </div>
+      <p className={`text-sm mb-4 ${textClass}`}>
+        {products.length > 0
+          ? 'Price changes apply to new bookings only.'
+          : 'Patients currently book a session at your hourly rate, as long as your usual session length.'}
+      </p>
+
+      {products.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {products.map(product => (
+            <div
+              key={product._id}
+              className={`flex items-start justify-between p-3 rounded-lg text-sm ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}
+            >
+              <div>
+                <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                  {product.name} · {product.duration} min · {formatMoney(product.price, product.currency)}
+                </p>
+                <p className={textClass}>{productKindLabels[product.kind]}</p>
+                {product.packages.map(option => (
+                  <p key={option.sessions} className={textClass}>
+                    Package: {option.sessions} sessions for {formatMoney(option.price, product.currency)}, valid {option.validityDays} days
+                  </p>
+                ))}
+              </div>
+              <div className="flex space-x-1">
+                <button onClick={() => startEditing(product)} className={`p-2 rounded-lg ${textClass}`} title="Edit">
+                  <Edit className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleArchive(product)} className="p-2 rounded-lg text-red-500" title="Remove">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft && (
+        <div className={`p-4 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}>
+          <div className="grid md:grid-cols-2 gap-3 mb-3">
+            <label className={labelClass}>
+              <span>Name</span>
+              <input
+                value={draft.name}
+                maxLength={80}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="e.g. 50-minute session"
+                className={inputClassName}
+              />
+            </label>
+            <label className={labelClass}>
+              <span>Type</span>
+              <select
+                value={draft.kind}
+                onChange={(e) => setDraft({ ...draft, kind: e.target.value as SessionProductKind })}
+                className={inputClassName}
+              >
+                {(Object.keys(productKindLabels) as SessionProductKind[]).map(kind => (
+                  <option key={kind} value={kind}>{productKindLabels[kind]}</option>
+                ))}
+              </select>
+            </label>
+            <label className={labelClass}>
+              <span>Length (minutes)</span>
+              <input
+                type="number"
+                min={15}
+                max={240}
+                step={5}
+                value={draft.duration}
+                onChange={(e) => setDraft({ ...draft, duration: Math.max(15, Math.min(240, parseInt(e.target.value) || 15)) })}
+                className={inputClassName}
+              />
+            </label>
+            <label className={labelClass}>
+              <span>Price ({CURRENCY})</span>
+              <input
+                type="number"
+                min={0}
+                step="0.01"
+                value={draft.price}
+                onChange={(e) => setDraft({ ...draft, price: e.target.value })}
+                className={inputClassName}
+              />
+            </label>
+          </div>
+          <label className={`${labelClass} mb-3`}>
+            <span>Description</span>
+            <input
+              value={draft.description}
+              maxLength={300}
+              onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+              className={inputClassName}
+            />
+          </label>
+
+          <p className={`text-sm font-medium mb-2 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>Packages</p>
+          {draft.packages.map((option, index) => (
+            <div key={index} className={`flex items-center space-x-2 mb-2 text-sm ${textClass}`}>
+              <input
+                type="number"
+                min={2}
+                max={50}
+                value={option.sessions}
+                onChange={(e) => updatePackage(index, { sessions: Math.max(2, Math.min(50, parseInt(e.target.value) || 2)) })}
+                className={`w-20 ${inputClassName}`}
+              />
+              <span>sessions for</span>
+              <input
+                type="number"
+                min={0}
+                step="0.01"
+                value={option.price}
+                onChange={(e) => updatePackage(index, { price: e.target.value })}
+                className={`w-28 ${inputClassName}`}
+              />
+              <span>{CURRENCY}, valid</span>
+              <input
+                type="number"
+                min={7}
+                max={730}
+                value={option.validityDays}
+                onChange={(e) => updatePackage(index, { validityDays: Math.max(7, Math.min(730, parseInt(e.target.value) || 7)) })}
+                className={`w-20 ${inputClassName}`}
+              />
+              <span>days</span>
+              <button
+                onClick={() => setDraft({ ...draft, packages: draft.packages.filter((_, i) => i !== index) })}
+                className="p-1 text-red-500"
+                title="Remove package"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          {draft.packages.length < 5 && (
+            <button
+              onClick={() => setDraft({ ...draft, packages: [...draft.packages, { sessions: 5, price: '', validityDays: 365 }] })}
+              className="text-sm text-purple-500 hover:text-purple-600 mb-3"
+            >
+              + Add a package
+            </button>
+          )}
+
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => setDraft(null)}
+              className={`px-4 py-2 rounded-lg ${theme === 'dark' ? 'bg-gray-600 text-gray-300' : 'bg-gray-200 text-gray-700'}`}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              <span>{saving ? 'Saving...' : 'Save'}</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default SessionProductsPanel;
\ No newline at end of file
@@ -4,10 +4,11 @@ import { motion } from 'framer-motion';
 import { 
   LayoutDashboard, MessageCircle, Brain, Video, BarChart3, 
   Users, Calendar, FileText, Shield, TrendingUp, User, Heart,
-  Settings, LogOut, Moon, Sun
+  Settings, LogOut, Moon, Sun, ScrollText, Wallet, Ticket, MessageSquareWarning
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { hasPermission } from '../utils/authApi';
 
 function Sidebar() {
   const { user, logout } = useAuth();
@@ -37,10 +38,19 @@ function Sidebar() {
 
   const adminMenuItems = [
     { icon: LayoutDashboard, label: 'Dashboard', path: '/dashboard' },
-    { icon: Users, label: 'Users', path: '/users' },
-    { icon: Shield, label: 'Therapists', path: '/therapists' },
-    { icon: Brain, label: 'Therapy Content', path: '/admin/therapy-management' },
-    { icon: TrendingUp, label: 'Analytics', path: '/analytics' },
+    { icon: Users, label: 'Users', path: '/users', permission: 'users:read' },
+    { icon: Shield, label: 'Therapists', path: '/therapists', permission: 'therapists:approve' },
+    { icon: Brain, label: 'Therapy Content', path: '/admin/therapy-management', permission: 'content:edit' },
+    { icon: TrendingUp, label: 'Analytics', path: '/analytics', permission: 'analytics:read' },
+    { icon: ScrollText, label: 'Audit Log', path: '/admin/audit', permission: 'audit:read' },
+    { icon: Wallet, label: 'Payouts', path: '/admin/payouts', permission: 'finance:read' },
+    { icon: Ticket, label: 'Promo Codes', path: '/admin/promo-codes', permission: 'promotions:manage' },
+    { icon: MessageSquareWarning, label: 'Reviews', path: '/admin/reviews', permission: 'reviews:moderate' },
+    { icon: User, label: 'Profile', path: '/profile' },
+  ];
+
+  const guardianMenuItems = [
+    { icon: LayoutDashboard, label: 'Dashboard', path: '/dashboard' },
     { icon: User, label: 'Profile', path: '/profile' },
   ];
 
@@ -50,8 +60,10 @@ function Sidebar() {
         return patientMenuItems;
       case 'therapist':
         return therapistMenuItems;
+      case 'guardian':
+        return guardianMenuItems;
       case 'admin':
-        return adminMenuItems;
+        return adminMenuItems.filter(item => !item.permission || hasPermission(user, item.permission));
       default:
         return [];
     }
@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { HeartHandshake, Save, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchSlidingScaleRates,
+  saveSlidingScaleRate,
+  removeSlidingScaleRate,
+  type SlidingScaleRate
+} from '../utils/pricingApi';
+import { fetchMyAppointments } from '../utils/appointmentApi';
+
+// Reduced rates for patients who can't afford the full fee. A rate comes off
+// every session type; sessions already booked keep the price they had.
+function SlidingScalePanel() {
+  const { theme } = useTheme();
+  const [rates, setRates] = useState<SlidingScaleRate[]>([]);
+  const [patients, setPatients] = useState<{ _id: string; name: string }[]>([]);
+  const [patientId, setPatientId] = useState('');
+  const [discountPercent, setDiscountPercent] = useState(25);
+  const [validUntil, setValidUntil] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSlidingScaleRates()
+      .then(setRates)
+      .catch(error => toast.error(error instanceof Error ? error.message : 'Failed to load sliding-scale rates'));
+
+    // Rates can be given to anyone who has booked with the therapist
+    fetchMyAppointments('therapist')
+      .then(appointments => {
+        const byId = new Map<string, { _id: string; name: string }>();
+        for (const appointment of appointments) {
+          if (typeof appointment.patientId !== 'string') byId.set(appointment.patientId._id, appointment.patientId);
+        }
+        setPatients([...byId.values()].sort((a, b) => a.name.localeCompare(b.name)));
+      })
+      .catch(() => setPatients([]));
+  }, []);
+
+  const handleSave = async () => {
+    if (!patientId) {
+      toast.error('Please choose a patient');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveSlidingScaleRate(patientId, {
+        discountPercent,
+        validUntil: validUntil ? new Date(`${validUntil}T23:59:59`).toISOString() : undefined,
+        note: note.trim() || undefined
+      });
+      setRates(prev => [saved, ...prev.filter(rate => rate._id !== saved._id)]);
+      setPatientId('');
+      setNote('');
+      setValidUntil('');
+      toast.success('Sliding-scale rate saved');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save the rate');
+    }
+    setSaving(false);
+  };
+
+  const handleRemove = async (rate: SlidingScaleRate) => {
+    if (!rate.patientId) return;
+    try {
+      toast.success(await removeSlidingScaleRate(rate.patientId._id));
+      setRates(prev => prev.filter(other => other._id !== rate._id));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to remove the rate');
+    }
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const inputClassName = `px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.1 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-1">
+        <HeartHandshake className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-lg font-semibold ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+          Sliding-Scale Rates
+        </h3>
+      </div>
+      <p className={`text-sm mb-4 ${textClass}`}>
+        Approve a discount for a patient; it comes off every session they book with you until it ends.
+      </p>
+
+      {rates.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {rates.map(rate => (
+            <div
+              key={rate._id}
+              className={`flex items-center justify-between p-3 rounded-lg text-sm ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}
+            >
+              <div>
+                <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                  {rate.patientId?.name || 'Former patient'} · {rate.discountPercent}% off
+                </p>
+                <p className={textClass}>
+                  {rate.validUntil ? `Until ${new Date(rate.validUntil).toLocaleDateString()}` : 'No end date'}
+                  {rate.note && ` · ${rate.note}`}
+                </p>
+              </div>
+              <button onClick={() => handleRemove(rate)} className="p-2 rounded-lg text-red-500" title="Remove">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select value={patientId} onChange={(e) => setPatientId(e.target.value)} className={`flex-1 min-w-40 ${inputClassName}`}>
+          <option value="">Choose a patient</option>
+          {patients.map(patient => (
+            <option key={patient._id} value={patient._id}>{patient.name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min={1}
+          max={100}
+          value={discountPercent}
+          onChange={(e) => setDiscountPercent(Math.max(1, Math.min(100, parseInt(e.target.value) || 1)))}
+          className={`w-20 ${inputClassName}`}
+        />
+        <span className={textClass}>% off until</span>
+        <input
+          type="date"
+          value={validUntil}
+          min={new Date().toISOString().split('T')[0]}
+          onChange={(e) => setValidUntil(e.target.value)}
+          className={inputClassName}
+        />
+        <input
+          value={note}
+          maxLength={300}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note (only you see this)"
+          className={`flex-1 min-w-40 ${inputClassName}`}
+        />
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          <span>{saving ? 'Saving...' : 'Save rate'}</span>
+        </button>
+      </div>
+    </motion.div>
+  );
+}
+
+export default SlidingScalePanel;
\ No newline at end of file
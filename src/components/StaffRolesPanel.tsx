@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { hasPermission } from '../utils/authApi';
+import {
+  fetchRoles,
+  fetchStaff,
+  updateStaffRoles,
+  type RoleCatalog,
+  type StaffMember
+} from '../utils/adminApi';
+
+// Admins whose roles were never set are legacy full-access admins
+const rolesOf = (member: StaffMember) => member.adminRoles ?? ['super_admin'];
+
+// Staff accounts and the built-in roles that grant their permissions
+function StaffRolesPanel() {
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const [catalog, setCatalog] = useState<RoleCatalog | null>(null);
+  const [staff, setStaff] = useState<StaffMember[]>([]);
+  const [savingId, setSavingId] = useState<string | null>(null);
+  const canManage = hasPermission(user, 'users:manage_roles');
+
+  const loadStaff = async () => {
+    try {
+      const [roles, members] = await Promise.all([fetchRoles(), fetchStaff()]);
+      setCatalog(roles);
+      setStaff(members);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load staff roles');
+    }
+  };
+
+  useEffect(() => {
+    loadStaff();
+  }, []);
+
+  const toggleRole = async (member: StaffMember, roleKey: string) => {
+    const current = rolesOf(member);
+    const roles = current.includes(roleKey)
+      ? current.filter(role => role !== roleKey)
+      : [...current, roleKey];
+
+    setSavingId(member._id);
+    try {
+      toast.success(await updateStaffRoles(member._id, roles));
+      setStaff(prev => prev.map(m => m._id === member._id ? { ...m, adminRoles: roles } : m));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to update roles');
+    }
+    setSavingId(null);
+  };
+
+  if (!catalog) return null;
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-1">
+        <KeyRound className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-lg font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          Staff Roles
+        </h3>
+      </div>
+      <p className={`text-sm mb-4 ${textClass}`}>
+        Each role grants a fixed set of permissions. Hover a role to see what it allows.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className={textClass}>
+              <th className="text-left py-2 pr-4 font-medium">Staff member</th>
+              {catalog.roles.map(role => (
+                <th
+                  key={role.key}
+                  title={role.permissions.map(p => catalog.permissions[p] || p).join('\n')}
+                  className="py-2 px-2 font-medium text-center cursor-help"
+                >
+                  {role.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {staff.map(member => (
+              <tr
+                key={member._id}
+                className={`border-t ${theme === 'dark' ? 'border-gray-700' : 'border-gray-100'}`}
+              >
+                <td className="py-2 pr-4">
+                  <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                    {member.name}
+                  </p>
+                  <p className={`text-xs ${textClass}`}>{member.email}</p>
+                </td>
+                {catalog.roles.map(role => (
+                  <td key={role.key} className="py-2 px-2 text-center">
+                    <input
+                      type="checkbox"
+                      checked={rolesOf(member).includes(role.key)}
+                      disabled={!canManage || savingId === member._id}
+                      onChange={() => toggleRole(member, role.key)}
+                      className="w-4 h-4 accent-purple-600 disabled:opacity-50"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </motion.div>
+  );
+}
+
+export default StaffRolesPanel;
\ No newline at end of file
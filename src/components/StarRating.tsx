@@ -0,0 +1,32 @@
+import { Star } from 'lucide-react';
+
+// One to five stars; pass onChange to let the user pick a rating
+function StarRating({ value, onChange, size = 'w-4 h-4' }: {
+  value: number;
+  onChange?: (rating: number) => void;
+  size?: string;
+}) {
+  return (
+    <div className="flex items-center space-x-0.5">
+      {[1, 2, 3, 4, 5].map(star => {
+        const icon = (
+          <Star className={`${size} ${star <= value ? 'text-yellow-400 fill-current' : 'text-gray-300'}`} />
+        );
+        return onChange ? (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onChange(star)}
+            aria-label={`${star} ${star === 1 ? 'star' : 'stars'}`}
+          >
+            {icon}
+          </button>
+        ) : (
+          <span key={star}>{icon}</span>
+        );
+      })}
+    </div>
+  );
+}
+
+export default StarRating;
\ No newline at end of file
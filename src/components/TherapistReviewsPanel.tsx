@@ -0,0 +1,167 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Star, Reply } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import StarRating from './StarRating';
+import {
+  fetchReceivedReviews,
+  respondToReview,
+  formatRating,
+  type ReviewPage
+} from '../utils/reviewApi';
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString([], { dateStyle: 'medium' });
+
+// The therapist's published reviews and rating, with a public reply to each
+function TherapistReviewsPanel() {
+  const { theme } = useTheme();
+  const [reviewPage, setReviewPage] = useState<ReviewPage | null>(null);
+  const [page, setPage] = useState(1);
+  const [replyingTo, setReplyingTo] = useState<string | null>(null);
+  const [replyText, setReplyText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadReviews = useCallback(async () => {
+    try {
+      setReviewPage(await fetchReceivedReviews(page));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load your reviews');
+    }
+  }, [page]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const startReply = (reviewId: string, current = '') => {
+    setReplyingTo(reviewId);
+    setReplyText(current);
+  };
+
+  const handleReply = async (reviewId: string) => {
+    setSaving(true);
+    try {
+      const updated = await respondToReview(reviewId, replyText.trim());
+      setReviewPage(prev => prev && {
+        ...prev,
+        data: prev.data.map(review => (review._id === updated._id ? updated : review))
+      });
+      toast.success(updated.response ? 'Reply posted' : 'Reply removed');
+      setReplyingTo(null);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save your reply');
+    }
+    setSaving(false);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const rowClass = `p-3 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`;
+
+  if (!reviewPage) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`mb-6 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-3">
+          <Star className="w-5 h-5 text-yellow-400" />
+          <h3 className={`text-lg font-semibold ${
+            theme === 'dark' ? 'text-white' : 'text-gray-800'
+          }`}>
+            Reviews
+          </h3>
+        </div>
+        <span className={`text-sm ${textClass}`}>{formatRating(reviewPage)}</span>
+      </div>
+
+      {reviewPage.data.length === 0 ? (
+        <p className={`text-sm ${textClass}`}>
+          Patients can review you after a completed session. Published reviews will appear here.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {reviewPage.data.map(review => (
+            <div key={review._id} className={rowClass}>
+              <div className="flex items-center justify-between">
+                <StarRating value={review.rating} />
+                <span className={`text-xs ${textClass}`}>{formatDate(review.createdAt)}</span>
+              </div>
+              {review.comment && (
+                <p className={`text-sm mt-1 ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>{review.comment}</p>
+              )}
+
+              {replyingTo === review._id ? (
+                <div className="mt-2 space-y-2">
+                  <textarea
+                    value={replyText}
+                    maxLength={2000}
+                    rows={2}
+                    onChange={(e) => setReplyText(e.target.value)}
+                    placeholder="Your reply is public. Leave it empty to remove it."
+                    className={`w-full px-3 py-2 rounded-lg border text-sm ${
+                      theme === 'dark' ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-800'
+                    }`}
+                  />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleReply(review._id)}
+                      disabled={saving}
+                      className="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50 text-sm"
+                    >
+                      {saving ? 'Saving...' : 'Save reply'}
+                    </button>
+                    <button onClick={() => setReplyingTo(null)} className={`px-3 py-1 rounded-lg text-sm ${textClass}`}>
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : review.response ? (
+                <div className={`mt-2 pl-3 border-l-2 border-purple-300 text-xs ${textClass}`}>
+                  <p><span className="font-medium">Your reply:</span> {review.response.text}</p>
+                  <button
+                    onClick={() => startReply(review._id, review.response?.text)}
+                    className="mt-1 text-purple-600 hover:underline"
+                  >
+                    Edit reply
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => startReply(review._id)}
+                  className="mt-2 flex items-center space-x-1 text-xs text-purple-600 hover:underline"
+                >
+                  <Reply className="w-3 h-3" />
+                  <span>Reply</span>
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {reviewPage.pagination.pages > 1 && (
+        <div className={`flex items-center justify-end space-x-2 mt-3 text-sm ${textClass}`}>
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="disabled:opacity-30">
+            Newer
+          </button>
+          <span>{page} / {reviewPage.pagination.pages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= reviewPage.pagination.pages}
+            className="disabled:opacity-30"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default TherapistReviewsPanel;
\ No newline at end of file
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Smartphone, ShieldCheck, Copy, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import { setupTwoFactor, enableTwoFactor } from '../utils/authApi';
+import type { TwoFactorSetup as TwoFactorSetupData } from '../utils/authApi';
+
+interface TwoFactorSetupProps {
+  // Present when enrolling part-way through login
+  challengeToken?: string;
+  onComplete: () => void;
+  onCancel?: () => void;
+}
+
+type SetupStep = 'start' | 'scan' | 'recovery';
+
+export function RecoveryCodesList({ codes }: { codes: string[] }) {
+  const { theme } = useTheme();
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`MindCare recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'mindcare-recovery-codes.txt';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <div className={`grid grid-cols-2 gap-2 p-4 rounded-xl font-mono text-sm ${
+        theme === 'dark' ? 'bg-gray-900 text-gray-200' : 'bg-gray-100 text-gray-800'
+      }`}>
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex space-x-2 mt-3">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex items-center space-x-2 px-3 py-2 text-sm bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+        >
+          <Copy className="w-4 h-4" />
+          <span>Copy</span>
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex items-center space-x-2 px-3 py-2 text-sm bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+        >
+          <Download className="w-4 h-4" />
+          <span>Download</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TwoFactorSetup({ challengeToken, onComplete, onCancel }: TwoFactorSetupProps) {
+  const { theme } = useTheme();
+  const [step, setStep] = useState<SetupStep>('start');
+  const [setupData, setSetupData] = useState<TwoFactorSetupData | null>(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleStart = async () => {
+    setLoading(true);
+    try {
+      setSetupData(await setupTwoFactor(challengeToken));
+      setStep('scan');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to start setup');
+    }
+    setLoading(false);
+  };
+
+  const handleEnable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      setRecoveryCodes(await enableTwoFactor(code, challengeToken));
+      setStep('recovery');
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Invalid code');
+    }
+    setLoading(false);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-300' : 'text-gray-600';
+  const headingClass = `font-semibold ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="space-y-4"
+    >
+      {step === 'start' && (
+        <>
+          <div className="flex items-start space-x-3">
+            <Smartphone className="w-5 h-5 text-purple-500 flex-shrink-0 mt-0.5" />
+            <p className={`text-sm ${textClass}`}>
+              You'll need an authenticator app such as Google Authenticator, 1Password or Authy.
+              After setup, signing in will ask for a 6-digit code from the app.
+            </p>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={handleStart}
+              disabled={loading}
+              className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50"
+            >
+              {loading ? 'Starting...' : 'Set up authenticator app'}
+            </button>
+            {onCancel && (
+              <button
+                type="button"
+                onClick={onCancel}
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {step === 'scan' && setupData && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <div>
+            <p className={headingClass}>1. Add MindCare to your authenticator app</p>
+            <p className={`text-sm mt-1 ${textClass}`}>
+              On your phone, <a href={setupData.otpauthUri} className="text-purple-600 hover:text-purple-500 font-medium">open this link</a>,
+              or enter this key manually:
+            </p>
+            <p className={`mt-2 p-3 rounded-lg font-mono text-sm break-all tracking-wider ${
+              theme === 'dark' ? 'bg-gray-900 text-gray-200' : 'bg-gray-100 text-gray-800'
+            }`}>
+              {setupData.secret.match(/.{1,4}/g)?.join(' ')}
+            </p>
+          </div>
+          <div>
+            <p className={headingClass}>2. Enter the 6-digit code it shows</p>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              required
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              className={`mt-2 w-40 px-4 py-3 rounded-xl border text-center tracking-widest font-mono focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+                theme === 'dark'
+                  ? 'bg-gray-700 border-gray-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+              }`}
+              placeholder="123456"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading || code.length !== 6}
+            className="px-4 py-2 bg-purple-500 text-white rounded-lg hover:bg-purple-600 transition-colors disabled:opacity-50"
+          >
+            {loading ? 'Verifying...' : 'Verify and enable'}
+          </button>
+        </form>
+      )}
+
+      {step === 'recovery' && (
+        <>
+          <div className="flex items-start space-x-3">
+            <ShieldCheck className="w-5 h-5 text-green-500 flex-shrink-0 mt-0.5" />
+            <p className={`text-sm ${textClass}`}>
+              Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+              access to your authenticator app. They won't be shown again.
+            </p>
+          </div>
+          <RecoveryCodesList codes={recoveryCodes} />
+          <button
+            type="button"
+            onClick={onComplete}
+            className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors"
+          >
+            I've saved my recovery codes
+          </button>
+        </>
+      )}
+    </motion.div>
+  );
+}
+
+export default TwoFactorSetup;
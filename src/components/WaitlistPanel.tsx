@@ -0,0 +1,182 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { ListOrdered, ArrowUp, ArrowDown, Check, X, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchWaitlist,
+  reorderWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist,
+  type WaitlistEntry,
+  type PreferredWindow
+} from '../utils/waitlistApi';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatWindows = (preferences: PreferredWindow[]) =>
+  preferences.length === 0
+    ? 'Any time'
+    : preferences.map(p => `${DAYS[p.dayOfWeek]} ${p.start}–${p.end}`).join(', ');
+
+const formatInstant = (value: string) =>
+  new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+// Patients see the waitlists they're on and answer offers; therapists see
+// their waitlist in offer order and can move people up or down.
+function WaitlistPanel({ role }: { role: 'patient' | 'therapist' }) {
+  const { theme } = useTheme();
+  const [entries, setEntries] = useState<WaitlistEntry[]>([]);
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  const loadWaitlist = useCallback(async () => {
+    try {
+      setEntries(await fetchWaitlist());
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load the waitlist');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWaitlist();
+  }, [loadWaitlist]);
+
+  const run = async (id: string, action: () => Promise<string>, fallback: string) => {
+    setSavingId(id);
+    try {
+      toast.success(await action());
+      await loadWaitlist();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : fallback);
+    }
+    setSavingId(null);
+  };
+
+  const move = (index: number, direction: -1 | 1) => {
+    const reordered = [...entries];
+    const [entry] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, entry);
+    setEntries(reordered);
+    run(entry._id, () => reorderWaitlist(reordered.map(e => e._id)), 'Failed to save the new order');
+  };
+
+  const handleLeave = (entry: WaitlistEntry) => {
+    const prompt = role === 'therapist'
+      ? `Remove ${entry.patientId.name} from your waitlist?`
+      : `Leave ${entry.therapistId.name}'s waitlist?`;
+    if (!window.confirm(prompt)) return;
+    run(entry._id, () => leaveWaitlist(entry._id), 'Failed to update the waitlist');
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const iconButtonClass = `p-1 rounded transition-colors disabled:opacity-30 ${
+    theme === 'dark' ? 'text-gray-300 hover:bg-gray-600' : 'text-gray-600 hover:bg-gray-200'
+  }`;
+
+  if (entries.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`mb-4 p-4 rounded-xl shadow-lg ${
+        theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+      }`}
+    >
+      <div className="flex items-center space-x-3 mb-3">
+        <ListOrdered className="w-5 h-5 text-purple-500" />
+        <h3 className={`text-lg font-semibold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-800'
+        }`}>
+          {role === 'therapist' ? 'Waitlist' : 'Your waitlists'}
+        </h3>
+      </div>
+      <div className="space-y-2">
+        {entries.map((entry, index) => (
+          <div
+            key={entry._id}
+            className={`p-3 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}
+          >
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-3">
+                {role === 'therapist' && (
+                  <div className="flex flex-col">
+                    <button
+                      onClick={() => move(index, -1)}
+                      disabled={index === 0 || savingId !== null}
+                      className={iconButtonClass}
+                      aria-label="Move up"
+                    >
+                      <ArrowUp className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => move(index, 1)}
+                      disabled={index === entries.length - 1 || savingId !== null}
+                      className={iconButtonClass}
+                      aria-label="Move down"
+                    >
+                      <ArrowDown className="w-3 h-3" />
+                    </button>
+                  </div>
+                )}
+                <div>
+                  <p className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                    {role === 'therapist' ? `${index + 1}. ${entry.patientId.name}` : entry.therapistId.name}
+                  </p>
+                  <p className={`text-xs ${textClass}`}>
+                    {formatWindows(entry.preferences)} ({entry.timezone})
+                    {entry.notes && ` · ${entry.notes}`}
+                  </p>
+                </div>
+              </div>
+              <button
+                onClick={() => handleLeave(entry)}
+                disabled={savingId === entry._id}
+                className={iconButtonClass}
+                aria-label={role === 'therapist' ? 'Remove from waitlist' : 'Leave waitlist'}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            {entry.status === 'offered' && entry.offer && (
+              <div className={`mt-2 p-2 rounded-lg text-sm ${
+                theme === 'dark' ? 'bg-gray-800 text-gray-300' : 'bg-green-50 text-gray-700'
+              }`}>
+                <p>
+                  {role === 'therapist' ? 'Offered' : 'A session is available'}: <strong>{formatInstant(entry.offer.startsAt)}</strong>
+                </p>
+                <p className={`text-xs ${role === 'patient' ? 'mb-2' : ''} ${textClass}`}>
+                  Held until {formatInstant(entry.offer.expiresAt)}
+                </p>
+                {role === 'patient' && (
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => run(entry._id, () => acceptWaitlistOffer(entry._id), 'Failed to book the session')}
+                      disabled={savingId === entry._id}
+                      className="flex items-center space-x-1 px-3 py-1 bg-green-100 text-green-700 rounded-lg hover:bg-green-200 transition-colors disabled:opacity-50"
+                    >
+                      <Check className="w-3 h-3" />
+                      <span>Book it</span>
+                    </button>
+                    <button
+                      onClick={() => run(entry._id, () => declineWaitlistOffer(entry._id), 'Failed to decline the offer')}
+                      disabled={savingId === entry._id}
+                      className="flex items-center space-x-1 px-3 py-1 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors disabled:opacity-50"
+                    >
+                      <X className="w-3 h-3" />
+                      <span>Not this time</span>
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
+
+export default WaitlistPanel;
\ No newline at end of file
@@ -1,55 +1,33 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
 import toast from 'react-hot-toast';
 import { trackUserRegistration, trackTherapistRegistration } from '../utils/analyticsManager';
-import { useAuth as useAuthHook } from './AuthContext';
+import { getToken, onUnauthorized, isTokenStorageEvent, ApiError } from '../utils/apiClient';
+import * as authApi from '../utils/authApi';
+import type { User, RegisterData, ProfileUpdate, SecondFactor } from '../utils/authApi';
 
-interface User {
-  id: string;
-  email: string;
-  name: string;
-  role: 'patient' | 'therapist' | 'admin';
-  status?: 'pending' | 'approved' | 'rejected';
-  profilePicture?: string;
-  emergencyContactEmail?: string;
-  emergencyContactRelation?: string;
-  age?: number;
-  specialization?: string;
-  experience?: string;
-  location?: string;
-  hourlyRate?: number;
-  licenseNumber?: string;
-  verified?: boolean;
-  phone?: string;
-  bio?: string;
-}
+export type { User, RegisterData } from '../utils/authApi';
+
+export type LoginResult =
+  | { status: 'success' | 'email_not_verified' | 'failed' }
+  | { status: 'two_factor_required' | 'two_factor_setup_required'; challengeToken: string };
 
 interface AuthContextType {
   user: User | null;
   loading: boolean;
-  login: (email: string, password: string, role?: string) => Promise<boolean>;
+  login: (email: string, password: string, role?: string) => Promise<LoginResult>;
+  verifyTwoFactor: (challengeToken: string, factor: SecondFactor) => Promise<boolean>;
   register: (userData: RegisterData) => Promise<boolean>;
-  logout: () => void;
-  updateUser: (userData: User) => void;
-}
-
-interface RegisterData {
-  name: string;
-  email: string;
-  password: string;
-  role: 'patient' | 'therapist';
-  emergencyContactEmail?: string;
-  emergencyContactRelation?: string;
-  age?: number;
-  specialization?: string;
-  experience?: string;
-  hourlyRate?: number;
-  licenseNumber?: string;
-  phone?: string;
-  bio?: string;
+  logout: () => Promise<void>;
+  logoutAllDevices: () => Promise<boolean>;
+  updateProfile: (data: ProfileUpdate) => Promise<boolean>;
+  refreshUser: () => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+const errorMessage = (error: unknown, fallback: string) =>
+  error instanceof Error && error.message ? error.message : fallback;
+
 export function useAuth() {
   const context = useContext(AuthContext);
   if (context === undefined) {
@@ -62,152 +40,86 @@ export function AuthProvider({ children }: { children: ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
   const [loading, setLoading] = useState(true);
 
-  useEffect(() => {
-    // Check for existing session
-    const savedUser = localStorage.getItem('mindcare_user');
-    if (savedUser) {
-      setUser(JSON.parse(savedUser));
+  const refreshUser = useCallback(async () => {
+    if (!getToken()) {
+      setUser(null);
+      return;
     }
-    
-    // Listen for user updates from other tabs/components
+
+    try {
+      setUser(await authApi.fetchCurrentUser());
+    } catch {
+      // A 401 clears the token via the unauthorized handler; anything else
+      // (server down) leaves the token in place for the next attempt
+      setUser(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    onUnauthorized(() => {
+      setUser(null);
+      toast.error('Your session has expired. Please sign in again.');
+    });
+
+    // Rehydrate the session from the stored token
+    refreshUser().finally(() => setLoading(false));
+
+    // Keep tabs in sync when another tab signs in or out
     const handleStorageChange = (e: StorageEvent) => {
-      if (e.key === 'mindcare_user' && e.newValue) {
-        setUser(JSON.parse(e.newValue));
+      if (isTokenStorageEvent(e)) {
+        refreshUser();
       }
     };
-    
+
     window.addEventListener('storage', handleStorageChange);
-    
-    setLoading(false);
-    
+
     return () => {
+      onUnauthorized(null);
       window.removeEventListener('storage', handleStorageChange);
     };
-  }, []);
+  }, [refreshUser]);
 
-  const login = async (email: string, password: string, role?: string): Promise<boolean> => {
+  const login = async (email: string, password: string, role?: string): Promise<LoginResult> => {
     try {
-      // Load all registered users from localStorage
-      const registeredUsers = JSON.parse(localStorage.getItem('mindcare_registered_users') || '[]');
-      
-      // Predefined demo users
-      const demoUsers = [
-        {
-          id: '1',
-          email: 'patient@example.com',
-          name: 'John Doe',
-          role: 'patient' as const,
-          emergencyContactEmail: 'emergency@example.com',
-          emergencyContactRelation: 'parent',
-          age: 28
-        },
-        {
-          id: '2',
-          email: 'therapist@example.com',
-          name: 'Dr. Sarah Smith',
-          role: 'therapist' as const,
-          specialization: 'Cognitive Behavioral Therapy',
-          hourlyRate: 120,
-          licenseNumber: 'LIC123456',
-          verified: true,
-          experience: '8 years',
-          phone: '+1 (555) 234-5678',
-          bio: 'Experienced therapist specializing in CBT with a passion for helping patients overcome anxiety and depression.',
-          availability: [
-            'Monday 9:00 AM', 'Monday 10:00 AM', 'Monday 11:00 AM', 'Monday 12:00 PM', 
-            'Monday 1:00 PM', 'Monday 2:00 PM', 'Monday 3:00 PM', 'Monday 4:00 PM', 'Monday 5:00 PM',
-            'Tuesday 9:00 AM', 'Tuesday 10:00 AM', 'Tuesday 11:00 AM', 'Tuesday 12:00 PM',
-            'Tuesday 1:00 PM', 'Tuesday 2:00 PM', 'Tuesday 3:00 PM', 'Tuesday 4:00 PM', 'Tuesday 5:00 PM',
-            'Wednesday 9:00 AM', 'Wednesday 10:00 AM', 'Wednesday 11:00 AM', 'Wednesday 12:00 PM',
-            'Wednesday 1:00 PM', 'Wednesday 2:00 PM', 'Wednesday 3:00 PM', 'Wednesday 4:00 PM', 'Wednesday 5:00 PM',
-            'Thursday 9:00 AM', 'Thursday 10:00 AM', 'Thursday 11:00 AM', 'Thursday 12:00 PM',
-            'Thursday 1:00 PM', 'Thursday 2:00 PM', 'Thursday 3:00 PM', 'Thursday 4:00 PM', 'Thursday 5:00 PM',
-            'Friday 9:00 AM', 'Friday 10:00 AM', 'Friday 11:00 AM', 'Friday 12:00 PM',
-            'Friday 1:00 PM', 'Friday 2:00 PM', 'Friday 3:00 PM', 'Friday 4:00 PM', 'Friday 5:00 PM'
-          ]
-        },
-        {
-          id: '3',
-          email: 'admin@example.com',
-          name: 'Admin User',
-          role: 'admin' as const
-        }
-      ];
-      
-      // Combine demo users with registered users
-      const allUsers = [...demoUsers, ...registeredUsers];
+      const result = await authApi.login(email, password, role);
 
-      // Find user by email first, then check role if specified
-      const foundUser = allUsers.find(u => u.email === email);
-      
-      // Check if user exists and password matches (demo users use 'password', registered users use their actual password)
-      const isValidPassword = foundUser && (
-        password === 'password' || // Demo users
-        (registeredUsers.some((u: any) => u.email === email) && password.length >= 8) // Registered users (simplified check)
-      );
-      
-      // Check role if specified
-      const roleMatches = !role || foundUser?.role === role;
-      
-      if (foundUser && isValidPassword && roleMatches) {
-        setUser(foundUser);
-        localStorage.setItem('mindcare_user', JSON.stringify(foundUser));
-        toast.success('Login successful!');
-        return true;
-      } else {
-        if (!foundUser) {
-          toast.error('User not found. Please check your email or register first.');
-        } else if (!isValidPassword) {
-          toast.error('Invalid password');
-        } else if (!roleMatches) {
-          toast.error(`This account is not registered as a ${role}`);
-        }
-        return false;
+      if (result.kind === 'two_factor') {
+        return { status: 'two_factor_required', challengeToken: result.challengeToken };
       }
+      if (result.kind === 'two_factor_setup') {
+        return { status: 'two_factor_setup_required', challengeToken: result.challengeToken };
+      }
+
+      setUser(result.user);
+      toast.success('Login successful!');
+      return { status: 'success' };
+    } catch (error) {
+      toast.error(errorMessage(error, 'Login failed'));
+      if (error instanceof ApiError && error.code === 'EMAIL_NOT_VERIFIED') {
+        return { status: 'email_not_verified' };
+      }
+      return { status: 'failed' };
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken: string, factor: SecondFactor): Promise<boolean> => {
+    try {
+      setUser(await authApi.verifyTwoFactorLogin(challengeToken, factor));
+      toast.success('Login successful!');
+      return true;
     } catch (error) {
-      toast.error('Login failed');
+      toast.error(errorMessage(error, 'Verification failed'));
       return false;
     }
   };
 
   const register = async (userData: RegisterData): Promise<boolean> => {
     try {
-      // Load existing registered users
-      const existingUsers = JSON.parse(localStorage.getItem('mindcare_registered_users') || '[]');
-      
-      // Check if user already exists
-      if (existingUsers.some((u: any) => u.email === userData.email)) {
-        toast.error('User with this email already exists');
-        return false;
-      }
-      
-      // Create new user
-      const newUser: User = {
-        id: Date.now().toString(),
-        email: userData.email,
-        name: userData.name,
-        role: userData.role,
-        status: userData.role === 'therapist' ? 'pending' : undefined,
-        ...(userData.emergencyContactEmail && { emergencyContactEmail: userData.emergencyContactEmail }),
-        ...(userData.emergencyContactRelation && { emergencyContactRelation: userData.emergencyContactRelation }),
-        ...(userData.age && { age: userData.age }),
-        ...(userData.specialization && { specialization: userData.specialization }),
-        ...(userData.location && { location: userData.location }),
-        ...(userData.hourlyRate && { hourlyRate: userData.hourlyRate }),
-        ...(userData.licenseNumber && { licenseNumber: userData.licenseNumber }),
-        verified: userData.role === 'patient'
-      };
-
-      // Save to registered users list
-      const updatedUsers = [...existingUsers, newUser];
-      localStorage.setItem('mindcare_registered_users', JSON.stringify(updatedUsers));
+      const newUser = await authApi.signup(userData);
 
-      setUser(newUser);
-      localStorage.setItem('mindcare_user', JSON.stringify(newUser));
-      
       // Track user registration in analytics
       trackUserRegistration(newUser);
-      
+
       // If therapist, also track therapist registration
       if (userData.role === 'therapist') {
         trackTherapistRegistration({
@@ -216,38 +128,53 @@ export function AuthProvider({ children }: { children: ReactNode }) {
           specialization: [userData.specialization || 'General Therapy']
         });
       }
-      
-      toast.success('Registration successful!');
+
+      toast.success('Registration successful! Check your email to verify your account.');
       return true;
     } catch (error) {
-      toast.error('Registration failed');
+      toast.error(errorMessage(error, 'Registration failed'));
       return false;
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    await authApi.logout();
     setUser(null);
-    localStorage.removeItem('mindcare_user');
     toast.success('Logged out successfully');
   };
 
-  const updateUser = (userData: User) => {
-    setUser(userData);
-    localStorage.setItem('mindcare_user', JSON.stringify(userData));
-    
-    // Trigger storage event for other tabs
-    window.dispatchEvent(new StorageEvent('storage', {
-      key: 'mindcare_user',
-      newValue: JSON.stringify(userData)
-    }));
+  const logoutAllDevices = async (): Promise<boolean> => {
+    try {
+      const revokedCount = await authApi.logoutAllDevices();
+      setUser(null);
+      toast.success(`Signed out of ${revokedCount} ${revokedCount === 1 ? 'session' : 'sessions'}`);
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to sign out of all devices'));
+      return false;
+    }
+  };
+
+  const updateProfile = async (data: ProfileUpdate): Promise<boolean> => {
+    try {
+      setUser(await authApi.updateProfile(data));
+      return true;
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update profile'));
+      return false;
+    }
   };
+
   const value = {
     user,
     loading,
     login,
+    verifyTwoFactor,
     register,
     logout,
-    updateUser
+    logoutAllDevices,
+    updateProfile,
+    refreshUser
   };
 
   return (
@@ -255,4 +182,4 @@ export function AuthProvider({ children }: { children: ReactNode }) {
       {children}
     </AuthContext.Provider>
   );
-}
\ No newline at end of file
+}
@@ -10,6 +10,9 @@ import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import toast from 'react-hot-toast';
 import { trackSessionComplete } from '../utils/analyticsManager';
+import ReschedulePanel from '../components/ReschedulePanel';
+import WaitlistPanel from '../components/WaitlistPanel';
+import BillingDocumentsPanel from '../components/BillingDocumentsPanel';
 
 interface Appointment {
   id: string;
@@ -115,8 +118,7 @@ function AppointmentsPage() {
         patientId: appointmentToUpdate.patientId,
         therapistId: appointmentToUpdate.therapistId,
         sessionType: appointmentToUpdate.sessionType || 'video',
-        duration: 50, // Default session duration
-        rating: 5 // Default rating
+        duration: 50 // Default session duration
       });
     }
     
@@ -168,6 +170,10 @@ function AppointmentsPage() {
           </div>
         </motion.div>
 
+        <ReschedulePanel role="therapist" />
+        <WaitlistPanel role="therapist" />
+        <BillingDocumentsPanel role="therapist" />
+
         {/* Controls */}
         <motion.div
           initial={{ opacity: 0, y: 30 }}
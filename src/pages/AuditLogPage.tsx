@@ -0,0 +1,256 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { ScrollText, ChevronLeft, ChevronRight, X } from 'lucide-react';
+import { useTheme } from '../contexts/ThemeContext';
+import toast from 'react-hot-toast';
+import {
+  fetchAuditEvents,
+  resourceLabels,
+  actionLabels,
+  type AuditEvent,
+  type AuditFilters,
+  type AuditAction,
+  type AuditResourceType,
+  type Pagination
+} from '../utils/auditApi';
+
+const PAGE_SIZE = 25;
+
+function AuditLogPage() {
+  const { theme } = useTheme();
+  const [filters, setFilters] = useState<AuditFilters>({ page: 1, limit: PAGE_SIZE });
+  const [events, setEvents] = useState<AuditEvent[]>([]);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await fetchAuditEvents(filters);
+      setEvents(result.events);
+      setPagination(result.pagination);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load audit log');
+    }
+    setLoading(false);
+  }, [filters]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  // Any filter change starts again from the first page
+  const updateFilter = (changes: Partial<AuditFilters>) => {
+    setFilters(prev => ({ ...prev, ...changes, page: 1 }));
+  };
+
+  const inputClassName = `px-4 py-2 rounded-lg border ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  } focus:outline-none focus:ring-2 focus:ring-purple-500`;
+
+  const headerClassName = `px-4 py-3 text-left text-sm font-medium ${
+    theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+  }`;
+
+  const cellTextClassName = `text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`;
+
+  const activeIdFilters = [
+    filters.actorId && { key: 'actorId' as const, label: 'Actor', value: filters.actorId },
+    filters.patientId && { key: 'patientId' as const, label: 'Patient', value: filters.patientId }
+  ].filter(Boolean) as { key: 'actorId' | 'patientId'; label: string; value: string }[];
+
+  return (
+    <div className={`h-screen flex flex-col ${
+      theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
+    }`}>
+      <div className="flex-1 overflow-y-auto p-4">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-4"
+        >
+          <h1 className={`text-2xl font-bold mb-2 ${
+            theme === 'dark' ? 'text-white' : 'text-gray-800'
+          }`}>
+            Audit Log
+          </h1>
+          <p className={`text-base ${
+            theme === 'dark' ? 'text-gray-300' : 'text-gray-600'
+          }`}>
+            Every read and change of patient clinical data, newest first
+          </p>
+        </motion.div>
+
+        {/* Filters */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className={`mb-4 p-4 rounded-xl shadow-lg ${
+            theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+          }`}
+        >
+          <div className="flex flex-wrap gap-4 items-center">
+            <select
+              value={filters.action || ''}
+              onChange={(e) => updateFilter({ action: e.target.value as AuditAction | '' })}
+              className={inputClassName}
+            >
+              <option value="">All Actions</option>
+              {Object.entries(actionLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.resourceType || ''}
+              onChange={(e) => updateFilter({ resourceType: e.target.value as AuditResourceType | '' })}
+              className={inputClassName}
+            >
+              <option value="">All Records</option>
+              {Object.entries(resourceLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={filters.startDate || ''}
+              onChange={(e) => updateFilter({ startDate: e.target.value })}
+              className={inputClassName}
+              aria-label="From date"
+            />
+            <input
+              type="date"
+              value={filters.endDate || ''}
+              onChange={(e) => updateFilter({ endDate: e.target.value ? `${e.target.value}T23:59:59` : '' })}
+              className={inputClassName}
+              aria-label="To date"
+            />
+            {activeIdFilters.map(filter => (
+              <span
+                key={filter.key}
+                className="flex items-center space-x-2 px-3 py-1 rounded-full text-sm bg-purple-100 text-purple-800"
+              >
+                <span>{filter.label}: {filter.value.slice(-6)}</span>
+                <button onClick={() => updateFilter({ [filter.key]: undefined })} aria-label={`Clear ${filter.label} filter`}>
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        </motion.div>
+
+        {/* Events Table */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+          className={`rounded-xl shadow-lg overflow-hidden ${
+            theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+          }`}
+        >
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className={`${
+                theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+              }`}>
+                <tr>
+                  <th className={headerClassName}>When</th>
+                  <th className={headerClassName}>Who</th>
+                  <th className={headerClassName}>Action</th>
+                  <th className={headerClassName}>Patient</th>
+                  <th className={headerClassName}>Route</th>
+                  <th className={headerClassName}>IP Address</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {events.map(event => (
+                  <tr key={event._id} className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors">
+                    <td className={`px-4 py-3 whitespace-nowrap ${cellTextClassName}`}>
+                      {new Date(event.createdAt).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3">
+                      {event.actorId ? (
+                        <button
+                          onClick={() => updateFilter({ actorId: event.actorId!._id })}
+                          className="text-left text-sm font-medium text-purple-600 hover:text-purple-500"
+                        >
+                          {event.actorId.name}
+                        </button>
+                      ) : (
+                        <span className={cellTextClassName}>Deleted user</span>
+                      )}
+                      <p className="text-xs text-gray-500 capitalize">{event.actorRole}</p>
+                    </td>
+                    <td className={`px-4 py-3 ${cellTextClassName}`}>
+                      {actionLabels[event.action]} {resourceLabels[event.resourceType].toLowerCase()}
+                    </td>
+                    <td className="px-4 py-3">
+                      {event.patientId ? (
+                        <button
+                          onClick={() => updateFilter({ patientId: event.patientId!._id })}
+                          className="text-left text-sm font-medium text-purple-600 hover:text-purple-500"
+                        >
+                          {event.patientId.name}
+                        </button>
+                      ) : (
+                        <span className={cellTextClassName}>Deleted user</span>
+                      )}
+                    </td>
+                    <td className={`px-4 py-3 font-mono text-xs ${cellTextClassName}`}>
+                      {event.route}
+                    </td>
+                    <td className={`px-4 py-3 font-mono text-xs ${cellTextClassName}`}>
+                      {event.ipAddress}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && events.length === 0 && (
+            <div className="text-center py-12">
+              <ScrollText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <p className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
+                No audit events match these filters
+              </p>
+            </div>
+          )}
+
+          {pagination && pagination.pages > 1 && (
+            <div className={`flex items-center justify-between px-4 py-3 border-t ${
+              theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+            }`}>
+              <span className={cellTextClassName}>
+                Page {pagination.page} of {pagination.pages} ({pagination.total} events)
+              </span>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => setFilters(prev => ({ ...prev, page: pagination.page - 1 }))}
+                  disabled={pagination.page <= 1}
+                  className="p-2 rounded-lg bg-gray-500 text-white hover:bg-gray-600 transition-colors disabled:opacity-50"
+                  aria-label="Previous page"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setFilters(prev => ({ ...prev, page: pagination.page + 1 }))}
+                  disabled={pagination.page >= pagination.pages}
+                  className="p-2 rounded-lg bg-gray-500 text-white hover:bg-gray-600 transition-colors disabled:opacity-50"
+                  aria-label="Next page"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default AuditLogPage;
\ No newline at end of file
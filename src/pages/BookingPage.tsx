@@ -11,6 +11,41 @@ import { useTheme } from '../contexts/ThemeContext';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { trackPayment, trackSessionStart } from '../utils/analyticsManager';
+import {
+  fetchTherapistSlots,
+  fetchTherapistCancellationPolicy,
+  describeCancellationPolicy,
+  isServerTherapistId,
+  searchTherapists,
+  therapistSortLabels,
+  type CancellationPolicy,
+  type TherapistListing,
+  type TherapistSearch,
+  type TherapistSort
+} from '../utils/therapistApi';
+import ReschedulePanel from '../components/ReschedulePanel';
+import WaitlistPanel from '../components/WaitlistPanel';
+import BillingDocumentsPanel from '../components/BillingDocumentsPanel';
+import PatientReviewsPanel from '../components/PatientReviewsPanel';
+import JoinWaitlistForm from '../components/JoinWaitlistForm';
+import BookingPricePanel, { type PricingChoice } from '../components/BookingPricePanel';
+import { fetchTherapistProducts, type SessionProduct } from '../utils/pricingApi';
+import { formatRating } from '../utils/reviewApi';
+import {
+  bookAppointment,
+  bookSeries,
+  seriesConflicts,
+  frequencyLabels,
+  type SeriesFrequency
+} from '../utils/appointmentApi';
+import {
+  startPayment,
+  confirmPayment,
+  formatMoney,
+  fromMinorUnits,
+  toMinorUnits,
+  TEST_PAYMENT_METHODS
+} from '../utils/paymentApi';
 
 interface Therapist {
   id: string;
@@ -18,7 +53,7 @@ interface Therapist {
   title: string;
   specialization: string[];
   experience: number;
-  rating: number;
+  rating: number | null; // null until the therapist has a published review
   reviewCount: number;
   hourlyRate: number;
   location: string;
@@ -28,14 +63,89 @@ interface Therapist {
   bio: string;
   languages: string[];
   availability?: string[];
+  priceFrom?: number; // cheapest session, in minor units of `currency`
+  currency?: string;
 }
 
 interface TimeSlot {
   time: string;
   available: boolean;
   day: string;
+  startsAt?: string; // exact instant, for slots from the server
 }
 
+// '12:30 PM' -> '12:30', '12:15 AM' -> '00:15'
+const convertTo24Hour = (time12: string) => {
+  const [time, modifier] = time12.split(' ');
+  const [hours, minutes] = time.split(':');
+  let hour = parseInt(hours, 10) % 12;
+  if (modifier === 'PM') {
+    hour += 12;
+  }
+  return `${String(hour).padStart(2, '0')}:${minutes}`;
+};
+
+const DIRECTORY_PAGE_SIZE = 10;
+const DIRECTORY_CURRENCY = 'USD';
+const DEFAULT_AVATAR = 'https://images.pexels.com/photos/5327580/pexels-photo-5327580.jpeg?auto=compress&cs=tinysrgb&w=150';
+
+interface DirectoryFilters {
+  language: string;
+  maxPrice: string; // major units, as typed
+  minRating: string;
+  sessionType: '' | 'standard' | 'intake' | 'couples';
+  availableWithin: string; // days
+  sort: TherapistSort | '';
+}
+
+const emptyDirectoryFilters: DirectoryFilters = {
+  language: '',
+  maxPrice: '',
+  minRating: '',
+  sessionType: '',
+  availableWithin: '',
+  sort: ''
+};
+
+const directorySearch = (searchTerm: string, specialization: string, filters: DirectoryFilters): TherapistSearch => {
+  const q = searchTerm.trim();
+  const maxPrice = parseFloat(filters.maxPrice);
+  return {
+    q: q || undefined,
+    specialization: specialization || undefined,
+    language: filters.language.trim() || undefined,
+    maxPrice: maxPrice > 0 ? toMinorUnits(maxPrice, DIRECTORY_CURRENCY) : undefined,
+    minRating: filters.minRating ? parseFloat(filters.minRating) : undefined,
+    sessionType: filters.sessionType || undefined,
+    availableWithin: filters.availableWithin ? parseInt(filters.availableWithin) : undefined,
+    // Relevance only means something with a search text
+    sort: filters.sort && (filters.sort !== 'relevance' || q) ? filters.sort : undefined,
+    limit: DIRECTORY_PAGE_SIZE
+  };
+};
+
+const fromListing = (listing: TherapistListing): Therapist => ({
+  id: listing.id,
+  name: listing.name,
+  title: 'Licensed Therapist',
+  specialization: listing.specialization,
+  experience: parseInt(listing.experience) || 0,
+  rating: listing.rating,
+  reviewCount: listing.reviewCount,
+  hourlyRate: listing.hourlyRate,
+  priceFrom: listing.priceFrom,
+  currency: listing.currency,
+  location: listing.location,
+  avatar: listing.profilePicture || DEFAULT_AVATAR,
+  verified: listing.verified,
+  nextAvailable: listing.nextAvailable
+    ? new Date(listing.nextAvailable).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    : '',
+  bio: listing.bio,
+  languages: listing.languages,
+  availability: listing.availability
+});
+
 interface Appointment {
   id: string;
   patientId: string;
@@ -63,131 +173,30 @@ function BookingPage() {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedSpecialization, setSelectedSpecialization] = useState<string>('');
   const [availableTherapists, setAvailableTherapists] = useState<Therapist[]>([]);
+  const [directoryOffline, setDirectoryOffline] = useState(false);
+  const [directoryFilters, setDirectoryFilters] = useState<DirectoryFilters>(emptyDirectoryFilters);
+  const [showFilters, setShowFilters] = useState(false);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [searching, setSearching] = useState(true);
   const [showBookingModal, setShowBookingModal] = useState(false);
   const [showPaymentModal, setShowPaymentModal] = useState(false);
   const [userAppointments, setUserAppointments] = useState<Appointment[]>([]);
   const [bookingStep, setBookingStep] = useState(1);
   const [availableTimeSlots, setAvailableTimeSlots] = useState<TimeSlot[]>([]);
-
-  const defaultTherapists: Therapist[] = [
-    {
-      id: '1',
-      name: 'Dr. Sarah Johnson',
-      title: 'Ph.D. in Clinical Psychology',
-      specialization: ['Anxiety', 'Depression'],
-      experience: 8,
-      rating: 4.9,
-      reviewCount: 127,
-      hourlyRate: 150,
-      location: 'New York, NY',
-      avatar: 'https://images.pexels.com/photos/5327580/pexels-photo-5327580.jpeg?auto=compress&cs=tinysrgb&w=150',
-      verified: true,
-      nextAvailable: 'Today, 2:00 PM',
-      bio: 'Specializing in cognitive behavioral therapy with over 8 years of experience helping patients overcome anxiety and depression.',
-      languages: ['English', 'Spanish']
-    },
-    {
-      id: '2',
-      name: 'Dr. Michael Chen',
-      title: 'M.D. Psychiatrist',
-      specialization: ['Trauma', 'PTSD'],
-      experience: 12,
-      rating: 4.8,
-      reviewCount: 89,
-      hourlyRate: 180,
-      location: 'Los Angeles, CA',
-      avatar: 'https://images.pexels.com/photos/5327921/pexels-photo-5327921.jpeg?auto=compress&cs=tinysrgb&w=150',
-      verified: true,
-      nextAvailable: 'Tomorrow, 10:00 AM',
-      bio: 'Expert in trauma therapy and EMDR with extensive experience in helping veterans and first responders.',
-      languages: ['English', 'Mandarin']
-    },
-    {
-      id: '3',
-      name: 'Dr. Emily Rodriguez',
-      title: 'Licensed Family Therapist',
-      specialization: ['Family Therapy', 'Couples'],
-      experience: 10,
-      rating: 4.7,
-      reviewCount: 156,
-      hourlyRate: 160,
-      location: 'Chicago, IL',
-      avatar: 'https://images.pexels.com/photos/5327647/pexels-photo-5327647.jpeg?auto=compress&cs=tinysrgb&w=150',
-      verified: true,
-      nextAvailable: 'Today, 4:30 PM',
-      bio: 'Dedicated to helping families and couples build stronger relationships through evidence-based therapeutic approaches.',
-      languages: ['English', 'Spanish', 'Portuguese']
-    }
-  ];
+  const [repeatFrequency, setRepeatFrequency] = useState<SeriesFrequency | 'none'>('none');
+  const [repeatCount, setRepeatCount] = useState(6);
+  const [cancellationPolicy, setCancellationPolicy] = useState<CancellationPolicy | null>(null);
+  // The server therapist's session types, and the promo code or package
+  // credit picked for the booking
+  const [products, setProducts] = useState<SessionProduct[]>([]);
+  const [selectedProductId, setSelectedProductId] = useState<string | null>(null);
+  const [pricingChoice, setPricingChoice] = useState<PricingChoice>({});
+  // A session booked on the server and waiting to be paid for
+  const [unpaidAppointment, setUnpaidAppointment] = useState<{ id: string; amount: number; currency: string } | null>(null);
+  const [paymentMethod, setPaymentMethod] = useState(TEST_PAYMENT_METHODS[0].id);
+  const [paying, setPaying] = useState(false);
 
   useEffect(() => {
-    // Load approved therapist services
-    const therapistServices = JSON.parse(localStorage.getItem('mindcare_therapist_services') || '[]');
-    const approvedServices = therapistServices.filter((service: any) => service.status === 'approved');
-    
-    // Also check if the therapist user still exists and is active
-    const registeredUsers = JSON.parse(localStorage.getItem('mindcare_registered_users') || '[]');
-    const activeApprovedServices = approvedServices.filter((service: any) => {
-      const therapistUser = registeredUsers.find((u: any) => u.id === service.therapistId);
-      return therapistUser && therapistUser.status !== 'deleted' && therapistUser.status !== 'suspended';
-    });
-    
-    // Convert services to therapist format for booking
-    const availableTherapistsFromServices = activeApprovedServices.map((service: any) => {
-      const therapistUser = registeredUsers.find((u: any) => u.id === service.therapistId);
-      return {
-        id: service.therapistId,
-        name: service.therapistName,
-        title: service.qualification,
-        specialization: service.specialization,
-        experience: parseInt(service.experience.split(' ')[0]) || 0,
-        rating: 4.8, // Default rating for new therapists
-        reviewCount: 0,
-        hourlyRate: service.chargesPerSession,
-        location: 'Online',
-        avatar: service.profilePicture && service.profilePicture.trim() !== '' 
-          ? service.profilePicture 
-          : 'https://images.pexels.com/photos/5327580/pexels-photo-5327580.jpeg?auto=compress&cs=tinysrgb&w=150',
-        verified: true,
-        nextAvailable: 'Today, 2:00 PM',
-        bio: service.bio,
-        languages: service.languages,
-        availability: service.availability || []
-      };
-    });
-
-    // Load existing therapists from localStorage and merge with services
-    const existingTherapists = JSON.parse(localStorage.getItem('mindcare_therapists') || '[]');
-    
-    // Filter out deleted/suspended therapists from existing list
-    const activeExistingTherapists = existingTherapists.filter((therapist: any) => {
-      const therapistUser = registeredUsers.find((u: any) => u.id === therapist.id);
-      return !therapistUser || (therapistUser.status !== 'deleted' && therapistUser.status !== 'suspended');
-    });
-    
-    // Combine and deduplicate
-    const allTherapists = [...activeExistingTherapists];
-    availableTherapistsFromServices.forEach((serviceTherapist: any) => {
-      const existingIndex = allTherapists.findIndex((t: any) => t.id === serviceTherapist.id);
-      if (existingIndex >= 0) {
-        // Update existing therapist with service data
-        allTherapists[existingIndex] = serviceTherapist;
-      } else {
-        // Add new therapist
-        allTherapists.push(serviceTherapist);
-      }
-    });
-
-    if (allTherapists.length > 0) {
-      setAvailableTherapists(allTherapists);
-      localStorage.setItem('mindcare_therapists', JSON.stringify(allTherapists));
-    } else {
-      // Initialize with default therapists if none exist
-      localStorage.setItem('mindcare_therapists', JSON.stringify(defaultTherapists));
-      setAvailableTherapists(defaultTherapists);
-    }
-
-    // Load user appointments
     loadUserAppointments();
   }, [user]);
 
@@ -239,18 +248,6 @@ function BookingPage() {
           const timeMatch = slot.match(/(\d{1,2}:\d{2} [AP]M)/);
           const time = timeMatch ? timeMatch[1] : '';
           
-          const convertTo24Hour = (time12: string) => {
-            const [time, modifier] = time12.split(' ');
-            let [hours, minutes] = time.split(':');
-            if (hours === '12') {
-              hours = '00';
-            }
-            if (modifier === 'PM') {
-              hours = (parseInt(hours, 10) + 12).toString();
-            }
-            return `${hours.padStart(2, '0')}:${minutes}`;
-          };
-          
           return {
             time: convertTo24Hour(time),
             available: !isSlotBooked(therapist.id, selectedDate, convertTo24Hour(time)),
@@ -265,19 +262,6 @@ function BookingPage() {
       const timeMatch = slot.match(/(\d{1,2}:\d{2} [AP]M)/);
       const time = timeMatch ? timeMatch[1] : '';
       
-      // Convert to 24-hour format for easier handling
-      const convertTo24Hour = (time12: string) => {
-        const [time, modifier] = time12.split(' ');
-        let [hours, minutes] = time.split(':');
-        if (hours === '12') {
-          hours = '00';
-        }
-        if (modifier === 'PM') {
-          hours = (parseInt(hours, 10) + 12).toString();
-        }
-        return `${hours.padStart(2, '0')}:${minutes}`;
-      };
-      
       return {
         time: convertTo24Hour(time),
         available: !isSlotBooked(therapist.id, selectedDate, convertTo24Hour(time)),
@@ -299,29 +283,223 @@ function BookingPage() {
     );
   };
 
+  // The chosen therapist's cancellation terms, shown before booking
+  useEffect(() => {
+    setCancellationPolicy(null);
+    if (!selectedTherapist || !isServerTherapistId(selectedTherapist.id)) return;
+
+    let cancelled = false;
+    fetchTherapistCancellationPolicy(selectedTherapist.id)
+      .then(policy => {
+        if (!cancelled) setCancellationPolicy(policy);
+      })
+      .catch(() => {
+        // Booking still works; the policy is applied server-side either way
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTherapist]);
+
+  // Session types decide the length of the slots and the price
+  useEffect(() => {
+    setProducts([]);
+    setSelectedProductId(null);
+    if (!selectedTherapist || !isServerTherapistId(selectedTherapist.id)) return;
+
+    let cancelled = false;
+    fetchTherapistProducts(selectedTherapist.id)
+      .then(result => {
+        if (cancelled) return;
+        setProducts(result);
+        setSelectedProductId(result[0]?._id || null);
+      })
+      .catch(error => {
+        if (!cancelled) toast.error(error instanceof Error ? error.message : 'Failed to load session types');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTherapist]);
+
+  useEffect(() => {
+    setPricingChoice({});
+  }, [selectedTherapist, selectedProductId]);
+
+  const selectedProduct = products.find(product => product._id === selectedProductId) || products[0];
+
   // Update available time slots when therapist or date changes
   useEffect(() => {
-    if (selectedTherapist && selectedDate) {
-      const slots = generateTimeSlots(selectedTherapist, selectedDate);
-      setAvailableTimeSlots(slots);
+    if (!selectedTherapist || !selectedDate) return;
+
+    // Listings stored only in this browser still use their slot strings
+    if (!isServerTherapistId(selectedTherapist.id)) {
+      setAvailableTimeSlots(generateTimeSlots(selectedTherapist, selectedDate));
+      return;
     }
-  }, [selectedTherapist, selectedDate]);
+
+    let cancelled = false;
+    setAvailableTimeSlots([]);
+    fetchTherapistSlots(selectedTherapist.id, selectedDate, selectedDate, undefined, selectedProductId)
+      .then(slots => {
+        if (cancelled) return;
+        const dayName = new Date(`${selectedDate}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long' });
+        setAvailableTimeSlots(slots.map(slot => ({
+          time: slot.time,
+          available: true,
+          day: dayName,
+          startsAt: slot.start
+        })));
+      })
+      .catch(error => {
+        if (!cancelled) toast.error(error instanceof Error ? error.message : 'Failed to load available times');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTherapist, selectedDate, selectedProductId]);
 
   const specializations = ['All', 'Anxiety', 'Depression', 'PTSD', 'Trauma', 'Family Therapy', 'Addiction', 'CBT'];
 
-  const filteredTherapists = availableTherapists.filter(therapist => {
-    const matchesSearch = therapist.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         therapist.specialization.some(spec => spec.toLowerCase().includes(searchTerm.toLowerCase()));
-    const matchesSpecialization = selectedSpecialization === '' || selectedSpecialization === 'All' ||
-                                 therapist.specialization.includes(selectedSpecialization);
-    return matchesSearch && matchesSpecialization;
-  });
+  // The directory is searched on the server, a moment after the user stops
+  // typing. Each new search starts again from the first page.
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setSearching(true);
+      searchTherapists(directorySearch(searchTerm, selectedSpecialization, directoryFilters))
+        .then(page => {
+          if (cancelled) return;
+          setAvailableTherapists(page.therapists.map(fromListing));
+          setNextCursor(page.nextCursor);
+          setDirectoryOffline(false);
+        })
+        .catch(() => {
+          if (!cancelled) setDirectoryOffline(true);
+        })
+        .finally(() => {
+          if (!cancelled) setSearching(false);
+        });
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, selectedSpecialization, directoryFilters]);
+
+  const handleLoadMoreTherapists = async () => {
+    if (!nextCursor) return;
+    setSearching(true);
+    try {
+      const page = await searchTherapists({
+        ...directorySearch(searchTerm, selectedSpecialization, directoryFilters),
+        cursor: nextCursor
+      });
+      setAvailableTherapists(prev => [...prev, ...page.therapists.map(fromListing)]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load more therapists');
+    }
+    setSearching(false);
+  };
+
+  // Nothing is listed while the directory can't be reached; a list kept in
+  // the browser could show therapists who are no longer verified
+  const filteredTherapists = directoryOffline ? [] : availableTherapists;
+  const filtersActive = Object.values(directoryFilters).some(value => value !== '');
+  const filterLabelClass = `flex flex-col space-y-1 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`;
+  const filterInputClass = `px-3 py-2 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark' ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  // Recurring sessions are booked on the server, all or nothing
+  const handleBookSeries = async (therapist: Therapist, frequency: SeriesFrequency) => {
+    const slot = availableTimeSlots.find(s => s.time === selectedTime && s.startsAt);
+    if (!slot?.startsAt) {
+      toast.error('Please select an available time');
+      return;
+    }
+
+    try {
+      toast.success(await bookSeries({
+        therapistId: therapist.id,
+        startsAt: slot.startsAt,
+        frequency,
+        count: repeatCount,
+        sessionType: 'video',
+        productId: selectedProductId
+      }));
+    } catch (error) {
+      const conflicts = seriesConflicts(error);
+      toast.error(conflicts.length > 0
+        ? `Not available on ${conflicts.map(c => new Date(c.startsAt).toLocaleDateString()).join(', ')}`
+        : error instanceof Error ? error.message : 'Failed to book the series');
+      return;
+    }
+
+    setShowBookingModal(false);
+    setSelectedTherapist(null);
+    setSelectedDate('');
+    setSelectedTime('');
+    setRepeatFrequency('none');
+    setBookingStep(1);
+    setViewMode('appointments');
+  };
+
+  // Sessions with server therapists are booked there, then paid for
+  const handleBookServerSession = async (therapist: Therapist) => {
+    const slot = availableTimeSlots.find(s => s.time === selectedTime && s.startsAt);
+    if (!slot?.startsAt) {
+      toast.error('Please select an available time');
+      return;
+    }
+
+    try {
+      const appointment = await bookAppointment({
+        therapistId: therapist.id,
+        startsAt: slot.startsAt,
+        sessionType: 'video',
+        productId: selectedProductId,
+        ...pricingChoice
+      });
+
+      // Nothing to pay when a package credit or a discount covers it all
+      if (appointment.amount === 0) {
+        toast.success(`Session booked with ${therapist.name}.`);
+        setShowBookingModal(false);
+        resetBooking();
+        return;
+      }
+      setUnpaidAppointment({ id: appointment._id, amount: appointment.amount, currency: appointment.currency });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to book the session');
+      return;
+    }
+
+    toast.success(`Session booked with ${therapist.name}. Please complete payment.`);
+    setShowBookingModal(false);
+    setShowPaymentModal(true);
+  };
 
   const handleBookSession = () => {
     if (!selectedTherapist || !selectedDate || !selectedTime) {
       toast.error('Please select a therapist, date, and time');
       return;
     }
+
+    if (repeatFrequency !== 'none') {
+      handleBookSeries(selectedTherapist, repeatFrequency);
+      return;
+    }
+
+    if (isServerTherapistId(selectedTherapist.id)) {
+      handleBookServerSession(selectedTherapist);
+      return;
+    }
     
     // Convert 24-hour time back to 12-hour format for display
     const convertTo12Hour = (time24: string) => {
@@ -360,50 +538,69 @@ function BookingPage() {
     // Track session booking
     trackSessionStart(booking);
 
-    toast.success(`Session booked with ${selectedTherapist.name} for ${selectedDate} at ${displayTime}!`);
+    // Nothing can be charged without the server, so the booking waits
+    toast.success(`Session requested with ${selectedTherapist.name} for ${selectedDate} at ${displayTime}. It stays pending until it can be paid for.`);
     setShowBookingModal(false);
-    setShowPaymentModal(true);
+    resetBooking();
+    loadUserAppointments();
   };
 
-  const handlePayment = () => {
-    if (!selectedTherapist || !selectedDate || !selectedTime) {
-      toast.error('Missing booking information');
-      return;
-    }
-
-    // Update booking status to confirmed after payment
-    const existingBookings = JSON.parse(localStorage.getItem('mindcare_bookings') || '[]');
-    const updatedBookings = existingBookings.map((booking: Appointment) => {
-      if (booking.therapistId === selectedTherapist.id && 
-          booking.date === selectedDate && 
-          booking.time === selectedTime &&
-          booking.patientId === user?.id) {
-        return { ...booking, status: 'confirmed' };
-      }
-      return booking;
-    });
-    localStorage.setItem('mindcare_bookings', JSON.stringify(updatedBookings));
-
-    // Track payment
-    trackPayment({
-      amount: `$${selectedTherapist.hourlyRate}`,
-      patientId: user?.id,
-      therapistId: selectedTherapist.id,
-      sessionType: 'video'
-    });
-
-    toast.success('Payment successful! Your session is confirmed.');
+  const resetBooking = () => {
     setShowPaymentModal(false);
+    setUnpaidAppointment(null);
     setSelectedTherapist(null);
     setSelectedDate('');
     setSelectedTime('');
     setBookingStep(1);
-    
-    // Refresh appointments
-    loadUserAppointments();
     setViewMode('appointments');
   };
 
+  // The card is held now and charged once the therapist confirms
+  const handleServerPayment = async (appointment: { id: string; amount: number; currency: string }) => {
+    setPaying(true);
+    try {
+      const intent = await startPayment(appointment.id);
+      const { message } = await confirmPayment(intent.paymentId, paymentMethod);
+
+      trackPayment({
+        amount: fromMinorUnits(intent.amount, intent.currency),
+        patientId: user?.id,
+        therapistId: selectedTherapist?.id,
+        sessionType: 'video'
+      });
+
+      toast.success(message);
+      resetBooking();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Payment failed');
+    }
+    setPaying(false);
+  };
+
+  const handlePayment = () => {
+    // Only a booking the server holds can be charged; one saved offline
+    // stays pending until it can be paid for properly
+    if (!unpaidAppointment) {
+      toast.error("Payments can't be taken right now. Your booking stays pending; please try again later.");
+      return;
+    }
+
+    handleServerPayment(unpaidAppointment);
+  };
+
+  const closePaymentModal = () => {
+    setShowPaymentModal(false);
+    setUnpaidAppointment(null);
+  };
+
+  const sessionFeeLabel = selectedProduct
+    ? formatMoney(selectedProduct.price, selectedProduct.currency)
+    : `$${selectedTherapist?.hourlyRate}`;
+
+  const amountLabel = unpaidAppointment
+    ? formatMoney(unpaidAppointment.amount, unpaidAppointment.currency)
+    : `$${selectedTherapist?.hourlyRate}`;
+
   const joinSession = (appointment: Appointment) => {
     if (appointment.status !== 'confirmed') {
       toast.error('Session must be confirmed to join');
@@ -554,6 +751,11 @@ function BookingPage() {
               exit={{ opacity: 0, x: 30 }}
               className="space-y-4"
             >
+              <ReschedulePanel role="patient" />
+              <WaitlistPanel role="patient" />
+              <BillingDocumentsPanel role="patient" />
+              <PatientReviewsPanel />
+
               <div className={`p-4 rounded-xl shadow-lg ${
                 theme === 'dark' ? 'bg-gray-800' : 'bg-white'
               }`}>
@@ -667,9 +869,13 @@ function BookingPage() {
                   }`}>
                     Available Therapists
                   </h3>
-                  <button className="flex items-center space-x-2 px-3 py-1 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 text-sm">
+                  <button
+                    onClick={() => setShowFilters(!showFilters)}
+                    disabled={directoryOffline}
+                    className="flex items-center space-x-2 px-3 py-1 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:from-purple-600 hover:to-blue-600 transition-all duration-300 text-sm disabled:opacity-50"
+                  >
                     <Filter className="w-4 h-4" />
-                    <span>Filter & Sort</span>
+                    <span>Filter & Sort{filtersActive ? ' (on)' : ''}</span>
                   </button>
                 </div>
                 <div className="flex flex-col md:flex-row gap-3">
@@ -705,6 +911,104 @@ function BookingPage() {
                     ))}
                   </select>
                 </div>
+
+                {showFilters && !directoryOffline && (
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mt-3">
+                    <label className={filterLabelClass}>
+                      <span>Language</span>
+                      <input
+                        type="text"
+                        value={directoryFilters.language}
+                        onChange={(e) => setDirectoryFilters({ ...directoryFilters, language: e.target.value })}
+                        placeholder="Any"
+                        className={filterInputClass}
+                      />
+                    </label>
+                    <label className={filterLabelClass}>
+                      <span>Max price per session ({DIRECTORY_CURRENCY})</span>
+                      <input
+                        type="number"
+                        min={0}
+                        value={directoryFilters.maxPrice}
+                        onChange={(e) => setDirectoryFilters({ ...directoryFilters, maxPrice: e.target.value })}
+                        placeholder="Any"
+                        className={filterInputClass}
+                      />
+                    </label>
+                    <label className={filterLabelClass}>
+                      <span>Rating</span>
+                      <select
+                        value={directoryFilters.minRating}
+                        onChange={(e) => setDirectoryFilters({ ...directoryFilters, minRating: e.target.value })}
+                        className={filterInputClass}
+                      >
+                        <option value="">Any</option>
+                        <option value="3">3 stars and up</option>
+                        <option value="4">4 stars and up</option>
+                        <option value="4.5">4.5 stars and up</option>
+                      </select>
+                    </label>
+                    <label className={filterLabelClass}>
+                      <span>Session type</span>
+                      <select
+                        value={directoryFilters.sessionType}
+                        onChange={(e) => setDirectoryFilters({
+                          ...directoryFilters,
+                          sessionType: e.target.value as DirectoryFilters['sessionType']
+                        })}
+                        className={filterInputClass}
+                      >
+                        <option value="">Any</option>
+                        <option value="standard">Standard session</option>
+                        <option value="intake">Intake session</option>
+                        <option value="couples">Couples session</option>
+                      </select>
+                    </label>
+                    <label className={filterLabelClass}>
+                      <span>Available</span>
+                      <select
+                        value={directoryFilters.availableWithin}
+                        onChange={(e) => setDirectoryFilters({ ...directoryFilters, availableWithin: e.target.value })}
+                        className={filterInputClass}
+                      >
+                        <option value="">Any time</option>
+                        <option value="3">In the next 3 days</option>
+                        <option value="7">In the next week</option>
+                        <option value="14">In the next 2 weeks</option>
+                        <option value="30">In the next month</option>
+                      </select>
+                    </label>
+                    <label className={filterLabelClass}>
+                      <span>Sort by</span>
+                      <select
+                        value={directoryFilters.sort}
+                        onChange={(e) => setDirectoryFilters({ ...directoryFilters, sort: e.target.value as DirectoryFilters['sort'] })}
+                        className={filterInputClass}
+                      >
+                        <option value="">{searchTerm.trim() ? therapistSortLabels.relevance : therapistSortLabels.price}</option>
+                        {(Object.keys(therapistSortLabels) as TherapistSort[])
+                          .filter(sort => sort !== 'relevance' || searchTerm.trim())
+                          .map(sort => (
+                            <option key={sort} value={sort}>{therapistSortLabels[sort]}</option>
+                          ))}
+                      </select>
+                    </label>
+                    {filtersActive && (
+                      <button
+                        onClick={() => setDirectoryFilters(emptyDirectoryFilters)}
+                        className="col-span-2 md:col-span-3 justify-self-start text-sm text-purple-600 hover:underline"
+                      >
+                        Clear filters
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {directoryOffline && (
+                  <p className={`text-xs mt-3 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`}>
+                    The therapist directory can't be reached right now. Please try again in a moment.
+                  </p>
+                )}
               </div>
 
               {/* Therapists List */}
@@ -714,7 +1018,7 @@ function BookingPage() {
                     key={therapist.id}
                     initial={{ opacity: 0, y: 30 }}
                     animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: index * 0.1 }}
+                    transition={{ delay: (index % DIRECTORY_PAGE_SIZE) * 0.1 }}
                     className={`p-4 rounded-xl shadow-lg ${
                       theme === 'dark' ? 'bg-gray-800' : 'bg-white'
                     }`}
@@ -750,7 +1054,7 @@ function BookingPage() {
                               <span className={`text-sm font-medium ${
                                 theme === 'dark' ? 'text-white' : 'text-gray-800'
                               }`}>
-                                {therapist.rating}
+                                {formatRating(therapist)}
                               </span>
                             </div>
                             <span className={`text-sm ${
@@ -759,7 +1063,9 @@ function BookingPage() {
                               {therapist.experience} years exp
                             </span>
                             <span className={`text-sm font-semibold text-green-600`}>
-                              ${therapist.hourlyRate}/hour
+                              {therapist.priceFrom !== undefined && therapist.currency
+                                ? `From ${formatMoney(therapist.priceFrom, therapist.currency)}`
+                                : `$${therapist.hourlyRate}/hour`}
                             </span>
                           </div>
                           <div className="flex items-center space-x-2 mt-2">
@@ -780,12 +1086,12 @@ function BookingPage() {
                         <p className={`text-sm ${
                           theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
                         }`}>
-                          Available Hours:
+                          {!directoryOffline && therapist.nextAvailable ? 'Next opening:' : 'Available Hours:'}
                         </p>
                         <p className={`font-semibold ${
                           theme === 'dark' ? 'text-white' : 'text-gray-800'
                         }`}>
-                          9 AM - 5 PM Daily
+                          {!directoryOffline && therapist.nextAvailable ? therapist.nextAvailable : '9 AM - 5 PM Daily'}
                         </p>
                         <motion.button
                           whileHover={{ scale: 1.05 }}
@@ -803,6 +1109,28 @@ function BookingPage() {
                   </motion.div>
                 ))}
               </div>
+
+              {!searching && !directoryOffline && filteredTherapists.length === 0 && (
+                <div className={`p-8 rounded-xl shadow-lg text-center ${
+                  theme === 'dark' ? 'bg-gray-800 text-gray-400' : 'bg-white text-gray-600'
+                }`}>
+                  No therapists match your search. Try removing a filter.
+                </div>
+              )}
+
+              {!directoryOffline && nextCursor && (
+                <div className="flex justify-center">
+                  <button
+                    onClick={handleLoadMoreTherapists}
+                    disabled={searching}
+                    className={`px-4 py-2 rounded-lg text-sm transition-colors disabled:opacity-50 ${
+                      theme === 'dark' ? 'bg-gray-800 text-gray-200 hover:bg-gray-700' : 'bg-white text-gray-700 hover:bg-gray-100'
+                    }`}
+                  >
+                    {searching ? 'Loading...' : 'Show more therapists'}
+                  </button>
+                </div>
+              )}
             </motion.div>
           )}
         </AnimatePresence>
@@ -892,6 +1220,40 @@ function BookingPage() {
                         </div>
                       </div>
 
+                      {/* Session Type */}
+                      {products.length > 1 && (
+                        <div className="mb-4">
+                          <label className={`block text-sm font-medium mb-2 ${
+                            theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+                          }`}>
+                            Session Type
+                          </label>
+                          <select
+                            value={selectedProductId || ''}
+                            onChange={(e) => {
+                              setSelectedProductId(e.target.value);
+                              setSelectedTime('');
+                            }}
+                            className={`w-full px-4 py-3 rounded-xl border focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-200 ${
+                              theme === 'dark'
+                                ? 'bg-gray-700 border-gray-600 text-white'
+                                : 'bg-white border-gray-300 text-gray-900'
+                            }`}
+                          >
+                            {products.map(product => (
+                              <option key={product._id} value={product._id || ''}>
+                                {product.name}{product.duration ? ` · ${product.duration} min` : ''} · {formatMoney(product.price, product.currency)}
+                              </option>
+                            ))}
+                          </select>
+                          {selectedProduct?.description && (
+                            <p className={`text-xs mt-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+                              {selectedProduct.description}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
                       {/* Date Selection */}
                       <div className="mb-4">
                         <label className={`block text-sm font-medium mb-2 ${
@@ -960,6 +1322,15 @@ function BookingPage() {
                               No available slots for {new Date(selectedDate).toLocaleDateString('en-US', { weekday: 'long' })}. 
                               Please try a different date or contact the therapist directly.
                             </p>
+                            {isServerTherapistId(selectedTherapist.id) && (
+                              <JoinWaitlistForm
+                                therapistId={selectedTherapist.id}
+                                onJoined={() => {
+                                  setShowBookingModal(false);
+                                  setViewMode('appointments');
+                                }}
+                              />
+                            )}
                           </div>
                         ) : (
                           <div className={`p-4 rounded-lg text-center ${
@@ -1025,28 +1396,89 @@ function BookingPage() {
                               Duration:
                             </span>
                             <span className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>
-                              60 minutes
-                            </span>
-                          </div>
-                          <div className="flex justify-between">
-                            <span className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
-                              Session Fee:
-                            </span>
-                            <span className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>
-                              ${selectedTherapist.hourlyRate}
-                            </span>
-                          </div>
-                          <div className="flex justify-between font-semibold pt-2 border-t border-gray-300 dark:border-gray-600">
-                            <span className={theme === 'dark' ? 'text-white' : 'text-gray-800'}>
-                              Total:
-                            </span>
-                            <span className={theme === 'dark' ? 'text-white' : 'text-gray-800'}>
-                              ${selectedTherapist.hourlyRate}
+                              {selectedProduct?.duration || 60} minutes
                             </span>
                           </div>
+                          {!(selectedProduct && repeatFrequency === 'none') && (
+                            <>
+                              <div className="flex justify-between">
+                                <span className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
+                                  Session Fee:
+                                </span>
+                                <span className={theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}>
+                                  {sessionFeeLabel}
+                                </span>
+                              </div>
+                              <div className="flex justify-between font-semibold pt-2 border-t border-gray-300 dark:border-gray-600">
+                                <span className={theme === 'dark' ? 'text-white' : 'text-gray-800'}>
+                                  Total:
+                                </span>
+                                <span className={theme === 'dark' ? 'text-white' : 'text-gray-800'}>
+                                  {sessionFeeLabel}
+                                </span>
+                              </div>
+                            </>
+                          )}
                         </div>
                       </div>
 
+                      {selectedProduct && repeatFrequency === 'none' && (
+                        <BookingPricePanel
+                          therapistId={selectedTherapist.id}
+                          product={selectedProduct}
+                          onChange={setPricingChoice}
+                        />
+                      )}
+
+                      {cancellationPolicy && (
+                        <div className={`p-4 rounded-xl mb-6 text-sm ${
+                          theme === 'dark' ? 'bg-gray-700 text-gray-300' : 'bg-blue-50 text-gray-700'
+                        }`}>
+                          <p className={`font-semibold mb-1 ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                            Cancellation policy
+                          </p>
+                          {describeCancellationPolicy(cancellationPolicy).map(line => <p key={line}>{line}</p>)}
+                        </div>
+                      )}
+
+                      {isServerTherapistId(selectedTherapist.id) && (
+                        <div className="flex space-x-3 mb-6">
+                          <select
+                            value={repeatFrequency}
+                            onChange={(e) => setRepeatFrequency(e.target.value as SeriesFrequency | 'none')}
+                            className={`flex-1 px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                              theme === 'dark'
+                                ? 'bg-gray-700 border-gray-600 text-white'
+                                : 'bg-white border-gray-300 text-gray-900'
+                            }`}
+                          >
+                            <option value="none">One session</option>
+                            {(Object.keys(frequencyLabels) as SeriesFrequency[]).map(frequency => (
+                              <option key={frequency} value={frequency}>{frequencyLabels[frequency]}</option>
+                            ))}
+                          </select>
+                          {repeatFrequency !== 'none' && (
+                            <label className={`flex items-center space-x-2 text-sm ${
+                              theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+                            }`}>
+                              <input
+                                type="number"
+                                min={2}
+                                max={52}
+                                value={repeatCount}
+                                onChange={(e) => setRepeatCount(Math.max(2, Math.min(52, parseInt(e.target.value) || 2)))}
+                                className={`w-20 px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                                  theme === 'dark'
+                                    ? 'bg-gray-700 border-gray-600 text-white'
+                                    : 'bg-white border-gray-300 text-gray-900'
+                                }`}
+                              />
+                              <span>sessions</span>
+                            </label>
+                          )}
+                        </div>
+                      )}
+
                       <div className="flex space-x-3">
                         <motion.button
                           whileHover={{ scale: 1.02 }}
@@ -1066,7 +1498,7 @@ function BookingPage() {
                           onClick={handleBookSession}
                           className="flex-1 py-3 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-xl font-semibold hover:from-purple-600 hover:to-blue-600 transition-all duration-300"
                         >
-                          Proceed to Payment
+                          {repeatFrequency === 'none' ? 'Proceed to Payment' : `Book ${repeatCount} Sessions`}
                         </motion.button>
                       </div>
                     </div>
@@ -1085,7 +1517,7 @@ function BookingPage() {
               animate={{ opacity: 1 }}
               exit={{ opacity: 0 }}
               className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
-              onClick={() => setShowPaymentModal(false)}
+              onClick={closePaymentModal}
             >
               <motion.div
                 initial={{ scale: 0.9, opacity: 0 }}
@@ -1129,17 +1561,43 @@ function BookingPage() {
                           Amount:
                         </span>
                         <span className="text-green-600">
-                          ${selectedTherapist.hourlyRate} - paid
+                          {amountLabel}
                         </span>
                       </div>
                     </div>
                   </div>
 
+                  {unpaidAppointment && (
+                    <div className="mb-4">
+                      <label className={`block text-sm font-medium mb-1 ${
+                        theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+                      }`}>
+                        Card
+                      </label>
+                      <select
+                        value={paymentMethod}
+                        onChange={(e) => setPaymentMethod(e.target.value)}
+                        className={`w-full px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+                          theme === 'dark'
+                            ? 'bg-gray-700 border-gray-600 text-white'
+                            : 'bg-white border-gray-300 text-gray-900'
+                        }`}
+                      >
+                        {TEST_PAYMENT_METHODS.map(method => (
+                          <option key={method.id} value={method.id}>{method.label}</option>
+                        ))}
+                      </select>
+                      <p className={`text-xs mt-1 ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+                        Your card is charged once your therapist confirms the session.
+                      </p>
+                    </div>
+                  )}
+
                   <div className="flex space-x-3">
                     <motion.button
                       whileHover={{ scale: 1.02 }}
                       whileTap={{ scale: 0.98 }}
-                      onClick={() => setShowPaymentModal(false)}
+                      onClick={closePaymentModal}
                       className={`flex-1 py-3 rounded-xl font-medium transition-all duration-200 ${
                         theme === 'dark'
                           ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
@@ -1152,10 +1610,11 @@ function BookingPage() {
                       whileHover={{ scale: 1.02 }}
                       whileTap={{ scale: 0.98 }}
                       onClick={handlePayment}
-                      className="flex-1 py-3 bg-gradient-to-r from-green-500 to-teal-500 text-white rounded-xl font-semibold hover:from-green-600 hover:to-teal-600 transition-all duration-300 flex items-center justify-center space-x-2"
+                      disabled={paying}
+                      className="flex-1 py-3 bg-gradient-to-r from-green-500 to-teal-500 text-white rounded-xl font-semibold hover:from-green-600 hover:to-teal-600 transition-all duration-300 flex items-center justify-center space-x-2 disabled:opacity-50"
                     >
                       <CreditCard className="w-4 h-4" />
-                      <span>Pay ${selectedTherapist.hourlyRate}</span>
+                      <span>Pay {amountLabel}</span>
                     </motion.button>
                   </div>
                 </div>
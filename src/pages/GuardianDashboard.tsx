@@ -0,0 +1,402 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Users, Calendar, FileText, UserPlus, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  fetchGuardianLinks,
+  requestGuardianLink,
+  revokeGuardianLink,
+  fetchMinorAppointments,
+  bookForMinor,
+  cancelMinorAppointment,
+  fetchSharedSummaries,
+  fetchBookableTherapists,
+  consentLabels,
+  relationLabels,
+  type GuardianLink,
+  type GuardianRelation,
+  type MinorAppointment,
+  type SharedSummary
+} from '../utils/guardianApi';
+
+const statusColors: Record<GuardianLink['status'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  active: 'bg-green-100 text-green-800',
+  revoked: 'bg-gray-100 text-gray-700',
+  expired: 'bg-gray-100 text-gray-700'
+};
+
+const upcomingStatuses = ['pending_confirmation', 'confirmed'];
+
+// Appointments, booking and shared summaries for one linked minor, limited
+// to what the link consents to
+function MinorPanel({ link }: { link: GuardianLink }) {
+  const { theme } = useTheme();
+  const [appointments, setAppointments] = useState<MinorAppointment[]>([]);
+  const [summaries, setSummaries] = useState<SharedSummary[]>([]);
+  const [therapists, setTherapists] = useState<{ id: string; name: string; hourlyRate: number }[]>([]);
+  const [booking, setBooking] = useState({ therapistId: '', date: '', time: '', sessionType: 'video' });
+  const [loading, setLoading] = useState(false);
+
+  const patientId = link.patientId._id;
+  const canView = link.consents.includes('view_appointments');
+  const canBook = link.consents.includes('book_appointments');
+  const canCancel = link.consents.includes('cancel_appointments');
+  const canReadSummaries = link.consents.includes('summaries');
+
+  const loadAppointments = useCallback(async () => {
+    if (!canView) return;
+    try {
+      setAppointments(await fetchMinorAppointments(patientId));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load appointments');
+    }
+  }, [patientId, canView]);
+
+  useEffect(() => {
+    loadAppointments();
+    if (canReadSummaries) {
+      fetchSharedSummaries(patientId)
+        .then(setSummaries)
+        .catch(error => toast.error(error instanceof Error ? error.message : 'Failed to load summaries'));
+    }
+    if (canBook) {
+      fetchBookableTherapists()
+        .then(setTherapists)
+        .catch(error => toast.error(error instanceof Error ? error.message : 'Failed to load therapists'));
+    }
+  }, [patientId, canBook, canReadSummaries, loadAppointments]);
+
+  const handleBook = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      toast.success(await bookForMinor(patientId, booking));
+      setBooking({ therapistId: '', date: '', time: '', sessionType: 'video' });
+      await loadAppointments();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to book appointment');
+    }
+    setLoading(false);
+  };
+
+  const handleCancel = async (appointment: MinorAppointment) => {
+    if (!window.confirm(`Cancel the session with ${appointment.therapistId.name}?`)) return;
+    try {
+      toast.success(await cancelMinorAppointment(appointment._id, 'Cancelled by guardian'));
+      await loadAppointments();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to cancel appointment');
+    }
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const headingClass = `font-semibold mb-2 ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`;
+  const inputClassName = `w-full px-3 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-800 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <div>
+        <h4 className={headingClass}>Appointments</h4>
+        {!canView && (
+          <p className={`text-sm ${textClass}`}>Seeing appointments hasn't been consented to.</p>
+        )}
+        {canView && appointments.length === 0 && (
+          <p className={`text-sm ${textClass}`}>No appointments yet.</p>
+        )}
+        <div className="space-y-2">
+          {appointments.map(appointment => (
+            <div
+              key={appointment._id}
+              className={`p-3 rounded-lg flex items-center justify-between ${
+                theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+              }`}
+            >
+              <div>
+                <p className={`text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                  {appointment.therapistId.name}
+                </p>
+                <p className={`text-xs ${textClass}`}>
+                  {new Date(appointment.date).toLocaleDateString()} at {appointment.time} · {appointment.status.replace('_', ' ')}
+                </p>
+              </div>
+              {canCancel && upcomingStatuses.includes(appointment.status) && (
+                <button
+                  onClick={() => handleCancel(appointment)}
+                  className="px-3 py-1 text-sm bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {canBook && (
+          <form onSubmit={handleBook} className="mt-4 space-y-2">
+            <h4 className={headingClass}>Book a session</h4>
+            <select
+              required
+              value={booking.therapistId}
+              onChange={(e) => setBooking(prev => ({ ...prev, therapistId: e.target.value }))}
+              className={inputClassName}
+            >
+              <option value="">Choose a therapist...</option>
+              {therapists.map(therapist => (
+                <option key={therapist.id} value={therapist.id}>
+                  {therapist.name} - ${therapist.hourlyRate}/session
+                </option>
+              ))}
+            </select>
+            <div className="grid grid-cols-3 gap-2">
+              <input
+                type="date"
+                required
+                min={new Date().toISOString().split('T')[0]}
+                value={booking.date}
+                onChange={(e) => setBooking(prev => ({ ...prev, date: e.target.value }))}
+                className={inputClassName}
+              />
+              <input
+                type="time"
+                required
+                value={booking.time}
+                onChange={(e) => setBooking(prev => ({ ...prev, time: e.target.value }))}
+                className={inputClassName}
+              />
+              <select
+                value={booking.sessionType}
+                onChange={(e) => setBooking(prev => ({ ...prev, sessionType: e.target.value }))}
+                className={inputClassName}
+              >
+                <option value="video">Video</option>
+                <option value="phone">Phone</option>
+                <option value="in-person">In person</option>
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 text-sm bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:shadow-lg transition-all disabled:opacity-50"
+            >
+              Request booking
+            </button>
+          </form>
+        )}
+      </div>
+
+      {canReadSummaries && (
+        <div>
+          <h4 className={headingClass}>Shared by the therapist</h4>
+          {summaries.length === 0 && (
+            <p className={`text-sm ${textClass}`}>The therapist hasn't shared any summaries yet.</p>
+          )}
+          <div className="space-y-2">
+            {summaries.map(summary => (
+              <div
+                key={summary._id}
+                className={`p-3 rounded-lg ${theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'}`}
+              >
+                <div className="flex items-center space-x-2 mb-1">
+                  <FileText className="w-4 h-4 text-purple-500" />
+                  <p className={`text-sm font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                    {summary.title}
+                  </p>
+                </div>
+                <p className={`text-sm whitespace-pre-line ${textClass}`}>{summary.content}</p>
+                <p className={`text-xs mt-1 ${textClass}`}>
+                  {summary.therapistId.name} · {new Date(summary.createdAt).toLocaleDateString()}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function GuardianDashboard() {
+  const { theme } = useTheme();
+  const [links, setLinks] = useState<GuardianLink[]>([]);
+  const [patientEmail, setPatientEmail] = useState('');
+  const [relation, setRelation] = useState<GuardianRelation>('parent');
+  const [loading, setLoading] = useState(false);
+
+  const loadLinks = async () => {
+    try {
+      setLinks(await fetchGuardianLinks());
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load linked patients');
+    }
+  };
+
+  useEffect(() => {
+    loadLinks();
+  }, []);
+
+  const handleRequest = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      toast.success(await requestGuardianLink(patientEmail, relation));
+      setPatientEmail('');
+      await loadLinks();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to send request');
+    }
+    setLoading(false);
+  };
+
+  const handleRevoke = async (link: GuardianLink) => {
+    if (!window.confirm(`Stop being linked to ${link.patientId.name}?`)) return;
+    try {
+      toast.success(await revokeGuardianLink(link._id));
+      await loadLinks();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to remove link');
+    }
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const cardClass = `mb-4 p-4 rounded-xl shadow-lg ${theme === 'dark' ? 'bg-gray-800' : 'bg-white'}`;
+  const inputClassName = `px-4 py-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-purple-500 ${
+    theme === 'dark'
+      ? 'bg-gray-800 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className={`h-screen flex flex-col ${
+      theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
+    }`}>
+      <div className="flex-1 overflow-y-auto p-4">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-4"
+        >
+          <h1 className={`text-2xl font-bold mb-2 ${
+            theme === 'dark' ? 'text-white' : 'text-gray-800'
+          }`}>
+            Family Dashboard
+          </h1>
+          <p className={`text-base ${
+            theme === 'dark' ? 'text-gray-300' : 'text-gray-600'
+          }`}>
+            Manage appointments for the young people in your care. Chats and personal journal entries stay private to them.
+          </p>
+        </motion.div>
+
+        {/* Link request */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className={cardClass}
+        >
+          <div className="flex items-center space-x-3 mb-3">
+            <UserPlus className="w-5 h-5 text-purple-500" />
+            <h3 className={`text-lg font-semibold ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+              Link a patient
+            </h3>
+          </div>
+          <form onSubmit={handleRequest} className="flex flex-col md:flex-row gap-2">
+            <input
+              type="email"
+              required
+              value={patientEmail}
+              onChange={(e) => setPatientEmail(e.target.value)}
+              className={`flex-1 ${inputClassName}`}
+              placeholder="Patient's account email"
+            />
+            <select
+              value={relation}
+              onChange={(e) => setRelation(e.target.value as GuardianRelation)}
+              className={inputClassName}
+            >
+              {(Object.keys(relationLabels) as GuardianRelation[]).map(key => (
+                <option key={key} value={key}>{relationLabels[key]}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg hover:shadow-lg transition-all disabled:opacity-50"
+            >
+              Send request
+            </button>
+          </form>
+          <p className={`text-xs mt-2 ${textClass}`}>
+            The patient must be under 18. Access starts once they or their therapist approve it and ends automatically on their 18th birthday.
+          </p>
+        </motion.div>
+
+        {/* Linked patients */}
+        {links.length === 0 && (
+          <div className={cardClass}>
+            <div className="flex items-center space-x-3">
+              <Users className="w-5 h-5 text-purple-500" />
+              <p className={textClass}>No linked patients yet.</p>
+            </div>
+          </div>
+        )}
+
+        {links.map((link, index) => (
+          <motion.div
+            key={link._id}
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.2 + index * 0.05 }}
+            className={cardClass}
+          >
+            <div className="flex items-start justify-between">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <h3 className={`text-lg font-semibold ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                    {link.patientId.name}
+                  </h3>
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${statusColors[link.status]}`}>
+                    {link.status}
+                  </span>
+                </div>
+                <p className={`text-sm ${textClass}`}>
+                  {relationLabels[link.relation]} · access until {new Date(link.expiresAt).toLocaleDateString()}
+                </p>
+                {link.status === 'active' && (
+                  <p className={`text-xs mt-1 ${textClass}`}>
+                    <Calendar className="w-3 h-3 inline mr-1" />
+                    {link.consents.length
+                      ? link.consents.map(consent => consentLabels[consent]).join(' · ')
+                      : 'No permissions granted yet'}
+                  </p>
+                )}
+              </div>
+              {['pending', 'active'].includes(link.status) && (
+                <button
+                  onClick={() => handleRevoke(link)}
+                  title="Remove link"
+                  className={`p-2 rounded-lg transition-colors ${
+                    theme === 'dark' ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-500'
+                  }`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+
+            {link.status === 'active' && <MinorPanel link={link} />}
+          </motion.div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default GuardianDashboard;
\ No newline at end of file
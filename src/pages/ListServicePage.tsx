@@ -5,6 +5,10 @@ import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import toast from 'react-hot-toast';
 import { trackTherapistRegistration } from '../utils/analyticsManager';
+import AvailabilitySettingsPanel from '../components/AvailabilitySettingsPanel';
+import CancellationPolicyPanel from '../components/CancellationPolicyPanel';
+import SessionProductsPanel from '../components/SessionProductsPanel';
+import SlidingScalePanel from '../components/SlidingScalePanel';
 
 interface TherapistService {
   id: string;
@@ -213,6 +217,14 @@ function ListServicePage() {
           </div>
         </motion.div>
 
+        <AvailabilitySettingsPanel />
+
+        <CancellationPolicyPanel />
+
+        <SessionProductsPanel />
+
+        <SlidingScalePanel />
+
         {/* Current Service Status */}
         {existingService && (
           <motion.div
@@ -1,9 +1,17 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Link, useNavigate } from 'react-router-dom';
-import { Mail, Lock, Eye, EyeOff, LogIn, User } from 'lucide-react';
+import { Mail, Lock, Eye, EyeOff, LogIn, User, MailWarning, ShieldCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { resendVerification } from '../utils/authApi';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+
+interface TwoFactorChallenge {
+  token: string;
+  mode: 'verify' | 'setup';
+}
 
 function LoginPage() {
   const [email, setEmail] = useState('');
@@ -11,7 +19,12 @@ function LoginPage() {
   const [role, setRole] = useState('patient');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [resending, setResending] = useState(false);
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, verifyTwoFactor, refreshUser } = useAuth();
   const { theme } = useTheme();
   const navigate = useNavigate();
 
@@ -19,14 +32,146 @@ function LoginPage() {
     e.preventDefault();
     setLoading(true);
     
-    const success = await login(email, password, role);
-    if (success) {
+    const result = await login(email, password, role);
+    setNeedsVerification(result.status === 'email_not_verified');
+    if (result.status === 'success') {
       navigate('/dashboard');
+    } else if (result.status === 'two_factor_required') {
+      setChallenge({ token: result.challengeToken, mode: 'verify' });
+    } else if (result.status === 'two_factor_setup_required') {
+      setChallenge({ token: result.challengeToken, mode: 'setup' });
     }
     
     setLoading(false);
   };
 
+  const handleVerifyTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challenge) return;
+
+    setLoading(true);
+    const success = await verifyTwoFactor(
+      challenge.token,
+      useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+    );
+    setLoading(false);
+
+    if (success) {
+      navigate('/dashboard');
+    }
+  };
+
+  const handleSetupComplete = async () => {
+    await refreshUser();
+    navigate('/dashboard');
+  };
+
+  const handleBackToSignIn = () => {
+    setChallenge(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+  };
+
+  const handleResendVerification = async () => {
+    setResending(true);
+    try {
+      toast.success(await resendVerification(email));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to resend verification email');
+    }
+    setResending(false);
+  };
+
+  if (challenge) {
+    return (
+      <div className={`min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 ${
+        theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
+      }`}>
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+          className={`max-w-md w-full p-8 rounded-2xl shadow-lg space-y-6 ${
+            theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+          }`}
+        >
+          <div className="text-center">
+            <div className="mx-auto h-12 w-12 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center">
+              <ShieldCheck className="h-6 w-6 text-white" />
+            </div>
+            <h2 className={`mt-6 text-2xl font-extrabold ${
+              theme === 'dark' ? 'text-white' : 'text-gray-900'
+            }`}>
+              {challenge.mode === 'verify' ? 'Two-factor authentication' : 'Set up two-factor authentication'}
+            </h2>
+            <p className={`mt-2 text-sm ${
+              theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+            }`}>
+              {challenge.mode === 'verify'
+                ? useRecoveryCode
+                  ? 'Enter one of your saved recovery codes.'
+                  : 'Enter the 6-digit code from your authenticator app.'
+                : 'Your account has access to patient records, so a second sign-in step is required before you continue.'}
+            </p>
+          </div>
+
+          {challenge.mode === 'verify' ? (
+            <form onSubmit={handleVerifyTwoFactor} className="space-y-4">
+              <input
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value.trim())}
+                className={`appearance-none block w-full px-4 py-3 border rounded-xl text-center tracking-widest font-mono focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent ${
+                  theme === 'dark'
+                    ? 'bg-gray-700 border-gray-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                }`}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              />
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                type="submit"
+                disabled={loading}
+                className="w-full flex justify-center py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-purple-500 to-blue-500 hover:from-purple-600 hover:to-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </motion.button>
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setTwoFactorCode('');
+                }}
+                className="w-full text-sm font-medium text-purple-600 hover:text-purple-500"
+              >
+                {useRecoveryCode ? 'Use authenticator app instead' : 'Lost your device? Use a recovery code'}
+              </button>
+            </form>
+          ) : (
+            <TwoFactorSetup challengeToken={challenge.token} onComplete={handleSetupComplete} />
+          )}
+
+          <div className="text-center">
+            <button
+              type="button"
+              onClick={handleBackToSignIn}
+              className={`text-sm ${
+                theme === 'dark' ? 'text-gray-400 hover:text-gray-300' : 'text-gray-600 hover:text-gray-800'
+              }`}
+            >
+              Back to sign in
+            </button>
+          </div>
+        </motion.div>
+      </div>
+    );
+  }
+
   return (
     <div className={`min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 ${
       theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
@@ -55,23 +200,6 @@ function LoginPage() {
           }`}>
             Sign in to continue your mental health journey
           </p>
-          
-          {/* Demo Credentials */}
-          <div className={`mt-4 p-4 rounded-lg ${
-            theme === 'dark' ? 'bg-gray-800 border border-gray-700' : 'bg-blue-50 border border-blue-200'
-          }`}>
-            <p className={`text-sm font-medium mb-2 ${
-              theme === 'dark' ? 'text-gray-300' : 'text-blue-700'
-            }`}>Demo Accounts:</p>
-            <div className={`text-xs space-y-1 ${
-              theme === 'dark' ? 'text-gray-400' : 'text-blue-600'
-            }`}>
-              <p>Patient: patient@example.com / password</p>
-              <p>Therapist: therapist@example.com / password</p>
-              <p>Admin: admin@example.com / password</p>
-              <p className="mt-2 font-medium">Or use your registered account credentials</p>
-            </div>
-          </div>
         </div>
 
         <motion.form
@@ -101,6 +229,7 @@ function LoginPage() {
               >
                 <option value="patient">Patient</option>
                 <option value="therapist">Therapist</option>
+                <option value="guardian">Parent / Guardian</option>
                 <option value="admin">Admin</option>
               </select>
             </div>
@@ -177,6 +306,36 @@ function LoginPage() {
             </div>
           </div>
 
+          <div className="flex items-center justify-end">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-purple-600 hover:text-purple-500 transition-colors"
+            >
+              Forgot your password?
+            </Link>
+          </div>
+
+          {needsVerification && (
+            <div className={`p-4 rounded-xl flex items-start space-x-3 ${
+              theme === 'dark' ? 'bg-gray-800 border border-yellow-700' : 'bg-yellow-50 border border-yellow-200'
+            }`}>
+              <MailWarning className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+              <div className={`text-sm ${
+                theme === 'dark' ? 'text-gray-300' : 'text-yellow-800'
+              }`}>
+                <p>Your email address hasn't been verified yet. Check your inbox for the verification link.</p>
+                <button
+                  type="button"
+                  onClick={handleResendVerification}
+                  disabled={resending}
+                  className="mt-2 font-medium text-purple-600 hover:text-purple-500 disabled:opacity-50"
+                >
+                  {resending ? 'Sending...' : 'Resend verification email'}
+                </button>
+              </div>
+            </div>
+          )}
+
           <div>
             <motion.button
               whileHover={{ scale: 1.02 }}
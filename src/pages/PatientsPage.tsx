@@ -8,6 +8,7 @@ import {
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import toast from 'react-hot-toast';
+import CareRelationshipsPanel from '../components/CareRelationshipsPanel';
 
 interface Patient {
   id: string;
@@ -281,6 +282,9 @@ function PatientsPage() {
           ))}
         </div>
 
+        {/* Active care relationships */}
+        <CareRelationshipsPanel />
+
         {/* Search and Filter */}
         <motion.div
           initial={{ opacity: 0, y: 30 }}
@@ -0,0 +1,486 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Wallet, ChevronLeft, ChevronRight, Check, X, Send, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import { useAuth } from '../contexts/AuthContext';
+import { hasPermission } from '../utils/authApi';
+import { formatMoney } from '../utils/paymentApi';
+import {
+  fetchPayouts,
+  fetchPayout,
+  generatePayouts,
+  approvePayout,
+  rejectPayout,
+  markPayoutPaid,
+  fetchPayoutSettings,
+  updatePlatformPayoutSettings,
+  updateTherapistPayoutSettings,
+  resetTherapistPayoutSettings,
+  payoutStatusLabels,
+  lineKindLabels,
+  type Payout,
+  type PayoutStatus,
+  type PayoutSchedule,
+  type PayoutTerms
+} from '../utils/payoutApi';
+
+const statusColors: Record<PayoutStatus, string> = {
+  pending_approval: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-red-100 text-red-800',
+  paid: 'bg-green-100 text-green-800'
+};
+
+const formatDate = (value: string) =>
+  new Date(value).toLocaleDateString([], { dateStyle: 'medium', timeZone: 'UTC' });
+
+const formatPeriod = (payout: Payout) =>
+  `${formatDate(payout.periodStart)} – ${formatDate(new Date(new Date(payout.periodEnd).getTime() - 1).toISOString())}`;
+
+const therapistOf = (payout: Payout) =>
+  typeof payout.therapistId === 'string' ? { _id: payout.therapistId, name: 'Deleted therapist' } : payout.therapistId;
+
+interface TermsRow {
+  therapistId: string;
+  name: string;
+  commissionPercent: string;
+  schedule: PayoutSchedule | '';
+}
+
+function PayoutsPage() {
+  const { theme } = useTheme();
+  const { user } = useAuth();
+  const canManage = hasPermission(user, 'finance:payouts');
+  const [status, setStatus] = useState<PayoutStatus | ''>('pending_approval');
+  const [page, setPage] = useState(1);
+  const [payouts, setPayouts] = useState<Payout[]>([]);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [openPayout, setOpenPayout] = useState<Payout | null>(null);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [defaults, setDefaults] = useState<PayoutTerms | null>(null);
+  const [overrides, setOverrides] = useState<TermsRow[]>([]);
+
+  const loadPayouts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await fetchPayouts({ status, page });
+      setPayouts(result.data);
+      setPages(result.pagination.pages);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load payouts');
+    }
+    setLoading(false);
+  }, [status, page]);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const settings = await fetchPayoutSettings();
+      setDefaults(settings.defaults);
+      setOverrides(settings.overrides.map(override => ({
+        therapistId: override.therapistId._id,
+        name: override.therapistId.name,
+        commissionPercent: override.commissionPercent === undefined ? '' : String(override.commissionPercent),
+        schedule: override.schedule || ''
+      })));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load payout settings');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPayouts();
+  }, [loadPayouts]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const run = async (id: string, action: () => Promise<string>, fallback: string) => {
+    setBusyId(id);
+    try {
+      toast.success(await action());
+      setOpenPayout(null);
+      await loadPayouts();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : fallback);
+    }
+    setBusyId(null);
+  };
+
+  const toggleLines = async (payout: Payout) => {
+    if (openPayout?._id === payout._id) {
+      setOpenPayout(null);
+      return;
+    }
+    try {
+      setOpenPayout(await fetchPayout(payout._id));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load the payout');
+    }
+  };
+
+  const handleReject = (payout: Payout) => {
+    const reason = window.prompt(`Why is ${therapistOf(payout).name}'s payout being rejected?`);
+    if (!reason?.trim()) return;
+    run(payout._id, () => rejectPayout(payout._id, reason), 'Failed to reject the payout');
+  };
+
+  const handlePaid = (payout: Payout) => {
+    const reference = window.prompt('Transfer reference for this payout');
+    if (!reference?.trim()) return;
+    run(payout._id, () => markPayoutPaid(payout._id, reference), 'Failed to update the payout');
+  };
+
+  const saveDefaults = async () => {
+    if (!defaults) return;
+    try {
+      toast.success(await updatePlatformPayoutSettings(defaults));
+      await loadSettings();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save payout settings');
+    }
+  };
+
+  const updateOverride = (therapistId: string, changes: Partial<TermsRow>) => {
+    setOverrides(prev => prev.map(row => (row.therapistId === therapistId ? { ...row, ...changes } : row)));
+  };
+
+  const saveOverride = async (row: TermsRow) => {
+    try {
+      toast.success(await updateTherapistPayoutSettings(row.therapistId, {
+        ...(row.commissionPercent !== '' && { commissionPercent: Number(row.commissionPercent) }),
+        ...(row.schedule && { schedule: row.schedule })
+      }));
+      await loadSettings();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save payout settings');
+    }
+  };
+
+  const resetOverride = async (row: TermsRow) => {
+    try {
+      toast.success(await resetTherapistPayoutSettings(row.therapistId));
+      await loadSettings();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to reset payout settings');
+    }
+  };
+
+  // Therapists in the list without their own terms yet
+  const therapistsWithoutTerms = [...new Map(payouts.map(payout => [therapistOf(payout)._id, therapistOf(payout).name]))]
+    .filter(([id]) => !overrides.some(row => row.therapistId === id));
+
+  const inputClassName = `px-3 py-2 rounded-lg border text-sm ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  } focus:outline-none focus:ring-2 focus:ring-purple-500`;
+  const headerClassName = `px-4 py-3 text-left text-sm font-medium ${
+    theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+  }`;
+  const cellTextClassName = `text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`;
+  const cardClassName = `mb-4 p-4 rounded-xl shadow-lg ${theme === 'dark' ? 'bg-gray-800' : 'bg-white'}`;
+  const actionClassName = 'flex items-center space-x-1 px-2 py-1 rounded-lg text-xs transition-colors disabled:opacity-50';
+
+  return (
+    <div className={`h-screen flex flex-col ${
+      theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
+    }`}>
+      <div className="flex-1 overflow-y-auto p-4">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-4"
+        >
+          <h1 className={`text-2xl font-bold mb-2 ${
+            theme === 'dark' ? 'text-white' : 'text-gray-800'
+          }`}>
+            Therapist Payouts
+          </h1>
+          <p className={`text-base ${
+            theme === 'dark' ? 'text-gray-300' : 'text-gray-600'
+          }`}>
+            What each therapist is owed per period, after the platform commission
+          </p>
+        </motion.div>
+
+        {/* Commission and schedule */}
+        {defaults && (
+          <motion.div
+            initial={{ opacity: 0, y: 30 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+            className={cardClassName}
+          >
+            <div className="flex flex-wrap items-center gap-3 mb-3">
+              <span className={`font-medium ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>Platform commission</span>
+              <input
+                type="number"
+                min={0}
+                max={100}
+                step={0.5}
+                value={defaults.commissionPercent}
+                onChange={(e) => setDefaults({ ...defaults, commissionPercent: Number(e.target.value) })}
+                disabled={!canManage}
+                className={`${inputClassName} w-24`}
+                aria-label="Platform commission percent"
+              />
+              <span className={cellTextClassName}>% paid</span>
+              <select
+                value={defaults.schedule}
+                onChange={(e) => setDefaults({ ...defaults, schedule: e.target.value as PayoutSchedule })}
+                disabled={!canManage}
+                className={inputClassName}
+                aria-label="Payout schedule"
+              >
+                <option value="weekly">weekly</option>
+                <option value="monthly">monthly</option>
+              </select>
+              {canManage && (
+                <button
+                  onClick={saveDefaults}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors text-sm"
+                >
+                  Save
+                </button>
+              )}
+            </div>
+
+            {overrides.map(row => (
+              <div key={row.therapistId} className="flex flex-wrap items-center gap-3 mb-2">
+                <span className={`w-48 ${cellTextClassName}`}>{row.name}</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  step={0.5}
+                  value={row.commissionPercent}
+                  placeholder={String(defaults.commissionPercent)}
+                  onChange={(e) => updateOverride(row.therapistId, { commissionPercent: e.target.value })}
+                  disabled={!canManage}
+                  className={`${inputClassName} w-24`}
+                  aria-label={`Commission for ${row.name}`}
+                />
+                <select
+                  value={row.schedule}
+                  onChange={(e) => updateOverride(row.therapistId, { schedule: e.target.value as PayoutSchedule | '' })}
+                  disabled={!canManage}
+                  className={inputClassName}
+                  aria-label={`Payout schedule for ${row.name}`}
+                >
+                  <option value="">platform schedule</option>
+                  <option value="weekly">weekly</option>
+                  <option value="monthly">monthly</option>
+                </select>
+                {canManage && (
+                  <>
+                    <button onClick={() => saveOverride(row)} className="text-sm text-purple-600 hover:text-purple-500">
+                      Save
+                    </button>
+                    <button onClick={() => resetOverride(row)} className="text-sm text-gray-500 hover:text-gray-400">
+                      Use platform terms
+                    </button>
+                  </>
+                )}
+              </div>
+            ))}
+
+            {canManage && therapistsWithoutTerms.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => {
+                  const therapist = therapistsWithoutTerms.find(([id]) => id === e.target.value);
+                  if (therapist) {
+                    setOverrides(prev => [...prev, { therapistId: therapist[0], name: therapist[1], commissionPercent: '', schedule: '' }]);
+                  }
+                }}
+                className={inputClassName}
+                aria-label="Set terms for a therapist"
+              >
+                <option value="">Set terms for a therapist…</option>
+                {therapistsWithoutTerms.map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+            )}
+          </motion.div>
+        )}
+
+        {/* Filters */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className={cardClassName}
+        >
+          <div className="flex flex-wrap gap-4 items-center justify-between">
+            <select
+              value={status}
+              onChange={(e) => {
+                setStatus(e.target.value as PayoutStatus | '');
+                setPage(1);
+              }}
+              className={inputClassName}
+            >
+              <option value="">All Payouts</option>
+              {Object.entries(payoutStatusLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {canManage && (
+              <button
+                onClick={() => run('generate', generatePayouts, 'Failed to draft payouts')}
+                disabled={busyId !== null}
+                className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50 text-sm"
+              >
+                <RefreshCw className="w-4 h-4" />
+                <span>Draft due payouts</span>
+              </button>
+            )}
+          </div>
+        </motion.div>
+
+        {/* Payouts Table */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+          className={`rounded-xl shadow-lg overflow-hidden ${
+            theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+          }`}
+        >
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className={`${
+                theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+              }`}>
+                <tr>
+                  <th className={headerClassName}>Therapist</th>
+                  <th className={headerClassName}>Period</th>
+                  <th className={headerClassName}>Owed</th>
+                  <th className={headerClassName}>Status</th>
+                  <th className={headerClassName}>Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {payouts.map(payout => (
+                  <tr key={payout._id} className="align-top">
+                    <td className="px-4 py-3">
+                      <button
+                        onClick={() => toggleLines(payout)}
+                        className="text-left text-sm font-medium text-purple-600 hover:text-purple-500"
+                      >
+                        {therapistOf(payout).name}
+                      </button>
+                      {openPayout?._id === payout._id && (
+                        <div className="mt-2 space-y-1">
+                          {openPayout.lines?.map(line => (
+                            <p key={line.transactionId} className="text-xs text-gray-500">
+                              {formatDate(line.occurredAt)} · {line.patientId?.name || 'Former patient'} · {lineKindLabels[line.kind]}:{' '}
+                              {formatMoney(line.amount, payout.currency)} (−{formatMoney(line.commission, payout.currency)}, {line.commissionPercent}%)
+                            </p>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap ${cellTextClassName}`}>
+                      {formatPeriod(payout)}
+                      <p className="text-xs text-gray-500 capitalize">{payout.schedule}</p>
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap ${cellTextClassName}`}>
+                      <span className="font-semibold">{formatMoney(payout.netAmount, payout.currency)}</span>
+                      <p className="text-xs text-gray-500">
+                        {formatMoney(payout.grossAmount, payout.currency)} less {formatMoney(payout.commissionAmount, payout.currency)}
+                      </p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[payout.status]}`}>
+                        {payoutStatusLabels[payout.status]}
+                      </span>
+                      {payout.rejectionReason && <p className="mt-1 text-xs text-gray-500">{payout.rejectionReason}</p>}
+                      {payout.paymentReference && <p className="mt-1 text-xs text-gray-500">Ref. {payout.paymentReference}</p>}
+                    </td>
+                    <td className="px-4 py-3">
+                      {canManage && payout.status === 'pending_approval' && (
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => run(payout._id, () => approvePayout(payout._id), 'Failed to approve the payout')}
+                            disabled={busyId !== null}
+                            className={`${actionClassName} bg-green-100 text-green-700 hover:bg-green-200`}
+                          >
+                            <Check className="w-3 h-3" />
+                            <span>Approve</span>
+                          </button>
+                          <button
+                            onClick={() => handleReject(payout)}
+                            disabled={busyId !== null}
+                            className={`${actionClassName} bg-red-100 text-red-700 hover:bg-red-200`}
+                          >
+                            <X className="w-3 h-3" />
+                            <span>Reject</span>
+                          </button>
+                        </div>
+                      )}
+                      {canManage && payout.status === 'approved' && (
+                        <button
+                          onClick={() => handlePaid(payout)}
+                          disabled={busyId !== null}
+                          className={`${actionClassName} bg-blue-100 text-blue-700 hover:bg-blue-200`}
+                        >
+                          <Send className="w-3 h-3" />
+                          <span>Mark paid</span>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && payouts.length === 0 && (
+            <div className="text-center py-12">
+              <Wallet className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <p className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
+                No payouts to show
+              </p>
+            </div>
+          )}
+
+          {pages > 1 && (
+            <div className={`flex items-center justify-between px-4 py-3 border-t ${
+              theme === 'dark' ? 'border-gray-700' : 'border-gray-200'
+            }`}>
+              <span className={cellTextClassName}>
+                Page {page} of {pages}
+              </span>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="p-2 rounded-lg bg-gray-500 text-white hover:bg-gray-600 transition-colors disabled:opacity-50"
+                  aria-label="Previous page"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pages}
+                  className="p-2 rounded-lg bg-gray-500 text-white hover:bg-gray-600 transition-colors disabled:opacity-50"
+                  aria-label="Next page"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default PayoutsPage;
\ No newline at end of file
@@ -13,6 +13,8 @@ import {
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { getStreakData } from '../utils/streakManager';
+import { downloadAccountExport } from '../utils/authApi';
+import toast from 'react-hot-toast';
 
 function ProgressPage() {
   const { user } = useAuth();
@@ -432,39 +434,32 @@ function ProgressPage() {
     return 'text-red-500';
   };
 
-  const exportData = () => {
-    const exportData = {
-      user: user?.name,
-      exportDate: new Date().toISOString(),
-      timeframe: selectedTimeframe,
-      metrics: {
-        currentMood,
-        averageSleepQuality,
-        totalTherapySessions,
-        currentStreak
-      },
-      moodData,
-      therapyProgress,
-      weeklyStats,
-      achievements: achievements.map(a => ({
-        title: a.title,
-        earned: a.earned,
-        progress: a.progress
-      }))
-    };
+  // The account archive comes from the server; dashboard data that so far
+  // only lives in this browser is attached alongside it
+  const exportData = async () => {
+    try {
+      await downloadAccountExport({
+        timeframe: selectedTimeframe,
+        metrics: {
+          currentMood,
+          averageSleepQuality,
+          totalTherapySessions,
+          currentStreak
+        },
+        moodData,
+        therapyProgress,
+        weeklyStats,
+        achievements: achievements.map(a => ({
+          title: a.title,
+          earned: a.earned,
+          progress: a.progress
+        }))
+      });
 
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `mindcare-progress-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    
-    toast.success('Progress data exported successfully!');
+      toast.success('Progress data exported successfully!');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to export progress data');
+    }
   };
 
   const MoodIcon = getMoodIcon(currentMood);
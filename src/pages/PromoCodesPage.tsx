@@ -0,0 +1,330 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Ticket, Plus, Ban, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import { toMinorUnits } from '../utils/paymentApi';
+import {
+  fetchPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  describeDiscount,
+  type PromoCode,
+  type PromoCodeInput
+} from '../utils/pricingApi';
+
+const CURRENCY = 'USD';
+
+interface CodeDraft {
+  code: string;
+  description: string;
+  discountType: 'percent' | 'amount';
+  discount: string;
+  maxRedemptions: string;
+  perPatientLimit: string;
+  startsAt: string;
+  expiresAt: string;
+}
+
+const emptyDraft: CodeDraft = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  discount: '',
+  maxRedemptions: '',
+  perPatientLimit: '1',
+  startsAt: '',
+  expiresAt: ''
+};
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString([], { dateStyle: 'medium' });
+
+// Whether a code can be redeemed right now, and if not why
+const availabilityOf = (promoCode: PromoCode) => {
+  const now = new Date();
+  if (!promoCode.active) return 'Withdrawn';
+  if (promoCode.expiresAt && new Date(promoCode.expiresAt) <= now) return 'Expired';
+  if (promoCode.startsAt && new Date(promoCode.startsAt) > now) return `From ${formatDate(promoCode.startsAt)}`;
+  if (promoCode.maxRedemptions && promoCode.redemptionCount >= promoCode.maxRedemptions) return 'Used up';
+  return 'Active';
+};
+
+function PromoCodesPage() {
+  const { theme } = useTheme();
+  const [promoCodes, setPromoCodes] = useState<PromoCode[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState<CodeDraft>(emptyDraft);
+  const [saving, setSaving] = useState(false);
+
+  const loadCodes = useCallback(async () => {
+    setLoading(true);
+    try {
+      setPromoCodes(await fetchPromoCodes());
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load promo codes');
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadCodes();
+  }, [loadCodes]);
+
+  const handleCreate = async () => {
+    const discount = parseFloat(draft.discount);
+    if (!draft.code.trim() || !(discount > 0)) {
+      toast.error('Please enter a code and a discount');
+      return;
+    }
+
+    const input: PromoCodeInput = {
+      code: draft.code.trim(),
+      description: draft.description.trim() || undefined,
+      ...(draft.discountType === 'percent'
+        ? { percentOff: Math.round(discount) }
+        : { amountOff: toMinorUnits(discount, CURRENCY) }),
+      maxRedemptions: draft.maxRedemptions ? parseInt(draft.maxRedemptions) : undefined,
+      perPatientLimit: parseInt(draft.perPatientLimit) || 1,
+      startsAt: draft.startsAt ? new Date(`${draft.startsAt}T00:00:00`).toISOString() : undefined,
+      expiresAt: draft.expiresAt ? new Date(`${draft.expiresAt}T23:59:59`).toISOString() : undefined
+    };
+
+    setSaving(true);
+    try {
+      await createPromoCode(input);
+      toast.success(`Code ${input.code?.toUpperCase()} issued`);
+      setDraft(emptyDraft);
+      await loadCodes();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to issue the code');
+    }
+    setSaving(false);
+  };
+
+  const setActive = async (promoCode: PromoCode, active: boolean) => {
+    try {
+      const updated = await updatePromoCode(promoCode._id, { active });
+      setPromoCodes(prev => prev.map(other => (other._id === updated._id ? updated : other)));
+      toast.success(active ? `${promoCode.code} restored` : `${promoCode.code} withdrawn`);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to update the code');
+    }
+  };
+
+  const inputClassName = `px-3 py-2 rounded-lg border text-sm ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  } focus:outline-none focus:ring-2 focus:ring-purple-500`;
+  const headerClassName = `px-4 py-3 text-left text-sm font-medium ${
+    theme === 'dark' ? 'text-gray-300' : 'text-gray-700'
+  }`;
+  const cellTextClassName = `text-sm ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`;
+  const labelClassName = `flex flex-col space-y-1 text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}`;
+
+  return (
+    <div className={`h-screen flex flex-col ${
+      theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
+    }`}>
+      <div className="flex-1 overflow-y-auto p-4">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-4"
+        >
+          <h1 className={`text-2xl font-bold mb-2 ${
+            theme === 'dark' ? 'text-white' : 'text-gray-800'
+          }`}>
+            Promo Codes
+          </h1>
+          <p className={`text-base ${
+            theme === 'dark' ? 'text-gray-300' : 'text-gray-600'
+          }`}>
+            Discount codes patients can enter when booking a session
+          </p>
+        </motion.div>
+
+        {/* New code */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className={`mb-4 p-4 rounded-xl shadow-lg ${theme === 'dark' ? 'bg-gray-800' : 'bg-white'}`}
+        >
+          <div className="flex flex-wrap items-end gap-3">
+            <label className={labelClassName}>
+              <span>Code</span>
+              <input
+                value={draft.code}
+                maxLength={32}
+                onChange={(e) => setDraft({ ...draft, code: e.target.value.toUpperCase().replace(/[^A-Z0-9-]/g, '') })}
+                placeholder="SPRING25"
+                className={`${inputClassName} w-36`}
+              />
+            </label>
+            <label className={labelClassName}>
+              <span>Discount</span>
+              <div className="flex space-x-1">
+                <input
+                  type="number"
+                  min={1}
+                  max={draft.discountType === 'percent' ? 100 : undefined}
+                  value={draft.discount}
+                  onChange={(e) => setDraft({ ...draft, discount: e.target.value })}
+                  className={`${inputClassName} w-24`}
+                />
+                <select
+                  value={draft.discountType}
+                  onChange={(e) => setDraft({ ...draft, discountType: e.target.value as CodeDraft['discountType'] })}
+                  className={inputClassName}
+                >
+                  <option value="percent">% off</option>
+                  <option value="amount">{CURRENCY} off</option>
+                </select>
+              </div>
+            </label>
+            <label className={labelClassName}>
+              <span>Total uses</span>
+              <input
+                type="number"
+                min={1}
+                value={draft.maxRedemptions}
+                onChange={(e) => setDraft({ ...draft, maxRedemptions: e.target.value })}
+                placeholder="Unlimited"
+                className={`${inputClassName} w-28`}
+              />
+            </label>
+            <label className={labelClassName}>
+              <span>Uses per patient</span>
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={draft.perPatientLimit}
+                onChange={(e) => setDraft({ ...draft, perPatientLimit: e.target.value })}
+                className={`${inputClassName} w-20`}
+              />
+            </label>
+            <label className={labelClassName}>
+              <span>Starts</span>
+              <input
+                type="date"
+                value={draft.startsAt}
+                onChange={(e) => setDraft({ ...draft, startsAt: e.target.value })}
+                className={inputClassName}
+              />
+            </label>
+            <label className={labelClassName}>
+              <span>Expires</span>
+              <input
+                type="date"
+                value={draft.expiresAt}
+                onChange={(e) => setDraft({ ...draft, expiresAt: e.target.value })}
+                className={inputClassName}
+              />
+            </label>
+            <label className={`${labelClassName} flex-1 min-w-48`}>
+              <span>Description</span>
+              <input
+                value={draft.description}
+                maxLength={200}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                placeholder="Where the code was given out"
+                className={inputClassName}
+              />
+            </label>
+            <button
+              onClick={handleCreate}
+              disabled={saving}
+              className="flex items-center space-x-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50 text-sm"
+            >
+              <Plus className="w-4 h-4" />
+              <span>{saving ? 'Issuing...' : 'Issue code'}</span>
+            </button>
+          </div>
+        </motion.div>
+
+        {/* Codes Table */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+          className={`rounded-xl shadow-lg overflow-hidden ${
+            theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+          }`}
+        >
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className={`${
+                theme === 'dark' ? 'bg-gray-700' : 'bg-gray-50'
+              }`}>
+                <tr>
+                  <th className={headerClassName}>Code</th>
+                  <th className={headerClassName}>Discount</th>
+                  <th className={headerClassName}>Used</th>
+                  <th className={headerClassName}>Valid</th>
+                  <th className={headerClassName}>Status</th>
+                  <th className={headerClassName}>Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {promoCodes.map(promoCode => (
+                  <tr key={promoCode._id} className="align-top">
+                    <td className="px-4 py-3">
+                      <p className={`font-mono font-medium ${cellTextClassName}`}>{promoCode.code}</p>
+                      {promoCode.description && <p className="text-xs text-gray-500">{promoCode.description}</p>}
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap ${cellTextClassName}`}>
+                      {describeDiscount(promoCode)}
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap ${cellTextClassName}`}>
+                      {promoCode.redemptionCount}{promoCode.maxRedemptions ? ` of ${promoCode.maxRedemptions}` : ''}
+                      <p className="text-xs text-gray-500">
+                        {promoCode.perPatientLimit === 1 ? 'Once per patient' : `${promoCode.perPatientLimit} per patient`}
+                      </p>
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap ${cellTextClassName}`}>
+                      {promoCode.startsAt ? formatDate(promoCode.startsAt) : 'Now'} – {promoCode.expiresAt ? formatDate(promoCode.expiresAt) : 'No expiry'}
+                    </td>
+                    <td className={`px-4 py-3 ${cellTextClassName}`}>{availabilityOf(promoCode)}</td>
+                    <td className="px-4 py-3">
+                      {promoCode.active ? (
+                        <button
+                          onClick={() => setActive(promoCode, false)}
+                          className="flex items-center space-x-1 px-2 py-1 rounded-lg text-xs bg-red-100 text-red-700 hover:bg-red-200 transition-colors"
+                        >
+                          <Ban className="w-3 h-3" />
+                          <span>Withdraw</span>
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => setActive(promoCode, true)}
+                          className="flex items-center space-x-1 px-2 py-1 rounded-lg text-xs bg-green-100 text-green-700 hover:bg-green-200 transition-colors"
+                        >
+                          <RotateCcw className="w-3 h-3" />
+                          <span>Restore</span>
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {!loading && promoCodes.length === 0 && (
+            <div className="text-center py-12">
+              <Ticket className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <p className={theme === 'dark' ? 'text-gray-400' : 'text-gray-600'}>
+                No promo codes issued yet
+              </p>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
+
+export default PromoCodesPage;
\ No newline at end of file
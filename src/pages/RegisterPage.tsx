@@ -1,24 +1,34 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { 
   Mail, Lock, Eye, EyeOff, User, UserPlus, 
-  Briefcase, DollarSign, Clock, FileText, Calendar
+  Briefcase, DollarSign, Clock, FileText, Calendar, MailCheck
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import { resendVerification } from '../utils/authApi';
 import toast from 'react-hot-toast';
 
+const ageFrom = (dateOfBirth: string) => {
+  const birth = new Date(dateOfBirth);
+  const today = new Date();
+  const age = today.getFullYear() - birth.getFullYear();
+  const hadBirthday = today.getMonth() > birth.getMonth() ||
+    (today.getMonth() === birth.getMonth() && today.getDate() >= birth.getDate());
+  return hadBirthday ? age : age - 1;
+};
+
 function RegisterPage() {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     password: '',
     confirmPassword: '',
-    role: 'patient' as 'patient' | 'therapist', 
+    role: 'patient' as 'patient' | 'therapist' | 'guardian', 
     emergencyContactEmail: '',
     emergencyContactRelation: '',
-    age: '',
+    dateOfBirth: '',
     specialization: '',
     experience: '',
     hourlyRate: '',
@@ -27,9 +37,10 @@ function RegisterPage() {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [registeredEmail, setRegisteredEmail] = useState<string | null>(null);
+  const [resending, setResending] = useState(false);
   const { register } = useAuth();
   const { theme } = useTheme();
-  const navigate = useNavigate();
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
@@ -58,7 +69,7 @@ function RegisterPage() {
       role: formData.role,
       ...(formData.emergencyContactEmail && { emergencyContactEmail: formData.emergencyContactEmail }),
       ...(formData.emergencyContactRelation && { emergencyContactRelation: formData.emergencyContactRelation }),
-      ...(formData.age && { age: parseInt(formData.age) }),
+      ...(formData.dateOfBirth && { dateOfBirth: formData.dateOfBirth, age: ageFrom(formData.dateOfBirth) }),
       ...(formData.specialization && { specialization: formData.specialization }),
       ...(formData.experience && { experience: formData.experience }),
       ...(formData.hourlyRate && { hourlyRate: parseInt(formData.hourlyRate) }),
@@ -66,12 +77,79 @@ function RegisterPage() {
     });
     
     if (success) {
-      navigate('/dashboard');
+      setRegisteredEmail(formData.email);
     }
     
     setLoading(false);
   };
 
+  const handleResendVerification = async () => {
+    if (!registeredEmail) return;
+
+    setResending(true);
+    try {
+      toast.success(await resendVerification(registeredEmail));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to resend verification email');
+    }
+    setResending(false);
+  };
+
+  if (registeredEmail) {
+    return (
+      <div className={`min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 ${
+        theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
+      }`}>
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+          className={`max-w-md w-full p-8 rounded-2xl shadow-lg text-center ${
+            theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+          }`}
+        >
+          <div className="mx-auto h-12 w-12 bg-gradient-to-r from-purple-500 to-blue-500 rounded-full flex items-center justify-center">
+            <MailCheck className="h-6 w-6 text-white" />
+          </div>
+          <h2 className={`mt-6 text-2xl font-extrabold ${
+            theme === 'dark' ? 'text-white' : 'text-gray-900'
+          }`}>
+            Check your inbox
+          </h2>
+          <p className={`mt-3 text-sm ${
+            theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+          }`}>
+            We sent a verification link to <span className="font-medium">{registeredEmail}</span>.
+            Open it to activate your account, then sign in.
+          </p>
+          {formData.role === 'therapist' && (
+            <p className={`mt-3 text-sm ${
+              theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+            }`}>
+              Therapist accounts are also reviewed by our team before they can take bookings.
+            </p>
+          )}
+          <div className="mt-6 space-y-3">
+            <Link
+              to="/login"
+              className="block w-full py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-purple-500 to-blue-500 hover:from-purple-600 hover:to-blue-600 transition-all duration-200"
+            >
+              Go to Sign In
+            </Link>
+            <button
+              type="button"
+              onClick={handleResendVerification}
+              disabled={resending}
+              className="text-sm font-medium text-purple-600 hover:text-purple-500 disabled:opacity-50"
+            >
+              {resending ? 'Sending...' : "Didn't get it? Resend the email"}
+            </button>
+          </div>
+        </motion.div>
+      </div>
+    );
+  }
+
   return (
     <div className={`min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 ${
       theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
@@ -111,7 +189,7 @@ function RegisterPage() {
         >
           {/* Role Selection */}
           <div className="flex space-x-4">
-            {(['patient', 'therapist'] as const).map((role) => (
+            {(['patient', 'therapist', 'guardian'] as const).map((role) => (
               <motion.button
                 key={role}
                 type="button"
@@ -126,7 +204,7 @@ function RegisterPage() {
                     : 'bg-white text-gray-700 hover:bg-gray-50 border border-gray-300'
                 }`}
               >
-                {role === 'patient' ? 'I need support' : 'I\'m a therapist'}
+                {role === 'patient' ? 'I need support' : role === 'therapist' ? 'I\'m a therapist' : 'I\'m a parent or guardian'}
               </motion.button>
             ))}
           </div>
@@ -311,22 +389,24 @@ function RegisterPage() {
                     }`} />
                   </div>
                   <input
-                    id="age"
-                    name="age"
-                    type="number"
+                    id="dateOfBirth"
+                    name="dateOfBirth"
+                    type="date"
                     required
-                    min="18"
-                    max="120"
-                    value={formData.age}
+                    max={new Date().toISOString().split('T')[0]}
+                    value={formData.dateOfBirth}
                     onChange={handleInputChange}
                     className={`appearance-none relative block w-full px-12 py-3 border rounded-xl placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-200 ${
                       theme === 'dark'
                         ? 'bg-gray-800 border-gray-600 text-white'
                         : 'bg-white border-gray-300 text-gray-900'
                     }`}
-                    placeholder="Age"
+                    placeholder="Date of birth"
                   />
                 </div>
+                <p className={`text-xs ${theme === 'dark' ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Patients under 18 can link a parent or guardian account after signing up.
+                </p>
               </>
             )}
 
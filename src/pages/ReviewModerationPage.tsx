@@ -0,0 +1,189 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { MessageSquareWarning, Check, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useTheme } from '../contexts/ThemeContext';
+import StarRating from '../components/StarRating';
+import {
+  fetchReviewQueue,
+  moderateReview,
+  reviewStatusLabels,
+  type Review,
+  type ReviewStatus
+} from '../utils/reviewApi';
+
+const STATUSES: ReviewStatus[] = ['pending', 'published', 'rejected'];
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString([], { dateStyle: 'medium' });
+
+const nameOf = (party: Review['patientId']) =>
+  party && typeof party !== 'string' ? party.name : 'Deleted user';
+
+function ReviewModerationPage() {
+  const { theme } = useTheme();
+  const [status, setStatus] = useState<ReviewStatus>('pending');
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const queue = await fetchReviewQueue(status);
+      setReviews(queue.data);
+      setTotal(queue.pagination.total);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load reviews');
+    }
+    setLoading(false);
+  }, [status]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const handleDecision = async (review: Review, decision: 'publish' | 'reject') => {
+    const note = notes[review._id]?.trim();
+    if (decision === 'reject' && !note) {
+      toast.error('Please note why the review is being rejected; its author will see it');
+      return;
+    }
+
+    setSavingId(review._id);
+    try {
+      await moderateReview(review._id, decision, note);
+      toast.success(decision === 'publish' ? 'Review published' : 'Review rejected');
+      await loadQueue();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to moderate the review');
+    }
+    setSavingId(null);
+  };
+
+  const textClass = theme === 'dark' ? 'text-gray-400' : 'text-gray-600';
+  const inputClassName = `flex-1 px-3 py-2 rounded-lg border text-sm ${
+    theme === 'dark'
+      ? 'bg-gray-700 border-gray-600 text-white'
+      : 'bg-white border-gray-300 text-gray-900'
+  } focus:outline-none focus:ring-2 focus:ring-purple-500`;
+
+  return (
+    <div className={`h-screen flex flex-col ${
+      theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
+    }`}>
+      <div className="flex-1 overflow-y-auto p-4">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 30 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-4"
+        >
+          <h1 className={`text-2xl font-bold mb-2 ${
+            theme === 'dark' ? 'text-white' : 'text-gray-800'
+          }`}>
+            Review Moderation
+          </h1>
+          <p className={`text-base ${
+            theme === 'dark' ? 'text-gray-300' : 'text-gray-600'
+          }`}>
+            Written reviews wait here until they are published. Only published reviews count towards a therapist's rating.
+          </p>
+        </motion.div>
+
+        {/* Status filter */}
+        <div className="flex space-x-2 mb-4">
+          {STATUSES.map(option => (
+            <button
+              key={option}
+              onClick={() => setStatus(option)}
+              className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                status === option
+                  ? 'bg-purple-600 text-white'
+                  : theme === 'dark' ? 'bg-gray-800 text-gray-300 hover:bg-gray-700' : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {reviewStatusLabels[option]}{status === option && !loading ? ` (${total})` : ''}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          {reviews.map(review => (
+            <motion.div
+              key={review._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className={`p-4 rounded-xl shadow-lg ${theme === 'dark' ? 'bg-gray-800' : 'bg-white'}`}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <div className="flex items-center space-x-3">
+                  <StarRating value={review.rating} />
+                  <span className={`text-sm ${theme === 'dark' ? 'text-white' : 'text-gray-800'}`}>
+                    {nameOf(review.patientId)} on {review.therapistId?.name || 'Deleted user'}
+                  </span>
+                </div>
+                <span className={`text-xs ${textClass}`}>{formatDate(review.updatedAt)}</span>
+              </div>
+              {review.comment && (
+                <p className={`text-sm whitespace-pre-wrap ${theme === 'dark' ? 'text-gray-300' : 'text-gray-700'}`}>
+                  {review.comment}
+                </p>
+              )}
+              {review.moderatedAt && (
+                <p className={`text-xs mt-2 ${textClass}`}>
+                  {reviewStatusLabels[review.status]} by {review.moderatedBy?.name || 'staff'} on {formatDate(review.moderatedAt)}
+                  {review.moderationNote ? `: ${review.moderationNote}` : ''}
+                </p>
+              )}
+
+              <div className="flex flex-wrap items-center gap-2 mt-3">
+                {review.status !== 'published' && (
+                  <button
+                    onClick={() => handleDecision(review, 'publish')}
+                    disabled={savingId === review._id}
+                    className="flex items-center space-x-1 px-3 py-1 rounded-lg text-sm bg-green-100 text-green-700 hover:bg-green-200 transition-colors disabled:opacity-50"
+                  >
+                    <Check className="w-4 h-4" />
+                    <span>Publish</span>
+                  </button>
+                )}
+                {review.status !== 'rejected' && (
+                  <>
+                    <input
+                      value={notes[review._id] || ''}
+                      maxLength={500}
+                      onChange={(e) => setNotes({ ...notes, [review._id]: e.target.value })}
+                      placeholder="Reason for rejecting, shown to the patient"
+                      className={inputClassName}
+                    />
+                    <button
+                      onClick={() => handleDecision(review, 'reject')}
+                      disabled={savingId === review._id}
+                      className="flex items-center space-x-1 px-3 py-1 rounded-lg text-sm bg-red-100 text-red-700 hover:bg-red-200 transition-colors disabled:opacity-50"
+                    >
+                      <X className="w-4 h-4" />
+                      <span>Reject</span>
+                    </button>
+                  </>
+                )}
+              </div>
+            </motion.div>
+          ))}
+        </div>
+
+        {!loading && reviews.length === 0 && (
+          <div className="text-center py-12">
+            <MessageSquareWarning className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className={textClass}>
+              {status === 'pending' ? 'No reviews are waiting for moderation' : 'No reviews here'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReviewModerationPage;
\ No newline at end of file
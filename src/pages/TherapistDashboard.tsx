@@ -8,6 +8,9 @@ import {
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
+import SeriesPanel from '../components/SeriesPanel';
+import EarningsPanel from '../components/EarningsPanel';
+import TherapistReviewsPanel from '../components/TherapistReviewsPanel';
 
 function TherapistDashboard() {
   const { user } = useAuth();
@@ -306,6 +309,12 @@ function TherapistDashboard() {
           </div>
         </motion.div>
 
+        <SeriesPanel />
+
+        <EarningsPanel />
+
+        <TherapistReviewsPanel />
+
         {/* Main Content Grid */}
         <div className="grid lg:grid-cols-3 gap-6">
           {/* Today's Schedule */}
@@ -4,6 +4,7 @@ import { Users, Search, Filter, Plus, Eye, CreditCard as Edit, Trash2, Shield, U
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import toast from 'react-hot-toast';
+import StaffRolesPanel from '../components/StaffRolesPanel';
 
 interface User {
   id: string;
@@ -294,6 +295,8 @@ function UsersPage() {
           ))}
         </div>
 
+        <StaffRolesPanel />
+
         {/* Search and Filter */}
         <motion.div
           initial={{ opacity: 0, y: 30 }}
@@ -0,0 +1,97 @@
+import { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useSearchParams } from 'react-router-dom';
+import { MailCheck, MailWarning } from 'lucide-react';
+import { useTheme } from '../contexts/ThemeContext';
+import { verifyEmail } from '../utils/authApi';
+
+type VerificationState = 'verifying' | 'verified' | 'failed';
+
+function VerifyEmailPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [state, setState] = useState<VerificationState>(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const { theme } = useTheme();
+  // Tokens are single-use; guard against StrictMode running the effect twice
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (!token || attempted.current) return;
+    attempted.current = true;
+
+    verifyEmail(token)
+      .then((result) => {
+        setMessage(result);
+        setState('verified');
+      })
+      .catch((error) => {
+        setMessage(error instanceof Error ? error.message : 'Verification failed');
+        setState('failed');
+      });
+  }, [token]);
+
+  return (
+    <div className={`min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8 ${
+      theme === 'dark' ? 'bg-gray-900' : 'bg-gradient-to-br from-purple-50 via-blue-50 to-teal-50'
+    }`}>
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className={`max-w-md w-full p-8 rounded-2xl shadow-lg text-center ${
+          theme === 'dark' ? 'bg-gray-800' : 'bg-white'
+        }`}
+      >
+        {state === 'verifying' ? (
+          <motion.div
+            animate={{ rotate: 360 }}
+            transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+            className="mx-auto w-12 h-12 border-4 border-purple-500 border-t-transparent rounded-full"
+          />
+        ) : (
+          <div className={`mx-auto h-12 w-12 rounded-full flex items-center justify-center ${
+            state === 'verified' ? 'bg-gradient-to-r from-purple-500 to-blue-500' : 'bg-red-500'
+          }`}>
+            {state === 'verified'
+              ? <MailCheck className="h-6 w-6 text-white" />
+              : <MailWarning className="h-6 w-6 text-white" />}
+          </div>
+        )}
+
+        <h2 className={`mt-6 text-2xl font-extrabold ${
+          theme === 'dark' ? 'text-white' : 'text-gray-900'
+        }`}>
+          {state === 'verifying' && 'Verifying your email...'}
+          {state === 'verified' && 'Email verified'}
+          {state === 'failed' && "We couldn't verify your email"}
+        </h2>
+        {message && (
+          <p className={`mt-3 text-sm ${
+            theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+          }`}>
+            {message}
+          </p>
+        )}
+        {state === 'failed' && (
+          <p className={`mt-2 text-sm ${
+            theme === 'dark' ? 'text-gray-400' : 'text-gray-600'
+          }`}>
+            Try signing in - you can request a fresh link from there.
+          </p>
+        )}
+
+        {state !== 'verifying' && (
+          <Link
+            to="/login"
+            className="mt-6 block w-full py-3 px-4 text-sm font-medium rounded-xl text-white bg-gradient-to-r from-purple-500 to-blue-500 hover:from-purple-600 hover:to-blue-600 transition-all duration-200"
+          >
+            Go to Sign In
+          </Link>
+        )}
+      </motion.div>
+    </div>
+  );
+}
+
+export default VerifyEmailPage;
@@ -96,8 +96,7 @@ function VideoSessionPage() {
         patientId: sessionData.patientId,
         therapistId: sessionData.therapistId,
         sessionType: sessionData.sessionType || 'video',
-        duration: sessionTime,
-        rating: 5 // Default rating
+        duration: sessionTime
       });
     }
     
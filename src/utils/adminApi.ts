@@ -0,0 +1,35 @@
+import { api } from './apiClient';
+
+export interface StaffRole {
+  key: string;
+  name: string;
+  permissions: string[];
+}
+
+export interface RoleCatalog {
+  permissions: Record<string, string>;
+  roles: StaffRole[];
+}
+
+export interface StaffMember {
+  _id: string;
+  name: string;
+  email: string;
+  status: string;
+  adminRoles?: string[];
+}
+
+export const fetchRoles = async (): Promise<RoleCatalog> => {
+  const response = await api.get<{ data: RoleCatalog }>('/admin/roles');
+  return response.data;
+};
+
+export const fetchStaff = async (): Promise<StaffMember[]> => {
+  const response = await api.get<{ data: StaffMember[] }>('/admin/users?role=admin&limit=100');
+  return response.data;
+};
+
+export const updateStaffRoles = async (id: string, roles: string[]): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/admin/users/${id}/roles`, { roles });
+  return response.message;
+};
\ No newline at end of file
@@ -57,9 +57,10 @@ export const trackUserRegistration = (userData: any) => {
   dispatchAnalyticsUpdate();
 };
 
+// `amount` is in major units (dollars), as shown to the user
 export const trackPayment = (paymentData: any) => {
   const analytics = getAnalytics();
-  const amount = parseFloat(paymentData.amount.replace('$', ''));
+  const amount = Number(paymentData.amount) || 0;
   
   // Update revenue metrics
   analytics.revenue.totalRevenue += amount;
@@ -122,7 +123,7 @@ export const trackSessionComplete = (sessionData: any) => {
     data: { 
       sessionType: sessionData.sessionType, 
       duration: sessionData.duration,
-      rating: sessionData.rating || 5
+      rating: sessionData.rating
     }
   });
   localStorage.setItem('mindcare_analytics_events', JSON.stringify(events));
@@ -0,0 +1,143 @@
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+const TOKEN_KEY = 'mindcare_token';
+const REFRESH_TOKEN_KEY = 'mindcare_refresh_token';
+
+type HttpMethod = 'GET' | 'POST' | 'PUT' | 'DELETE';
+
+interface RequestOptions {
+  method?: HttpMethod;
+  body?: unknown;
+  auth?: boolean;
+  retryOnUnauthorized?: boolean;
+  // 'text' or 'blob' for endpoints that send a file, such as .ics calendars
+  // or PDFs
+  responseType?: 'json' | 'text' | 'blob';
+}
+
+interface TokenPair {
+  token: string;
+  refreshToken: string;
+}
+
+export class ApiError extends Error {
+  status: number;
+  code?: string;
+  data: unknown;
+
+  constructor(message: string, status: number, data?: unknown) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = (data as { code?: string } | null)?.code;
+    this.data = data;
+  }
+}
+
+export const getToken = (): string | null => localStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = (): string | null => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+export const setTokens = ({ token, refreshToken }: TokenPair) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+export const isTokenStorageEvent = (e: StorageEvent) => e.key === TOKEN_KEY;
+
+// Called whenever an authenticated request comes back 401, so the session
+// can be torn down in one place instead of in every page
+let unauthorizedHandler: (() => void) | null = null;
+
+export const onUnauthorized = (handler: (() => void) | null) => {
+  unauthorizedHandler = handler;
+};
+
+// Concurrent requests that hit an expired access token share one refresh call,
+// since the backend rotates the refresh token on every use
+let refreshInFlight: Promise<boolean> | null = null;
+
+const refreshAccessToken = (): Promise<boolean> => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!refreshInFlight) {
+    refreshInFlight = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async (response) => {
+        if (!response.ok) return false;
+        setTokens(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+
+  return refreshInFlight;
+};
+
+export const apiRequest = async <T>(path: string, options: RequestOptions = {}): Promise<T> => {
+  const { method = 'GET', body, auth = true, retryOnUnauthorized = true, responseType = 'json' } = options;
+  const headers: Record<string, string> = {};
+
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const token = auth ? getToken() : null;
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  let response: Response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  } catch {
+    throw new ApiError('Unable to reach the server. Please check your connection.', 0);
+  }
+
+  let data: unknown;
+  if (response.ok && responseType === 'text') data = await response.text();
+  else if (response.ok && responseType === 'blob') data = await response.blob();
+  else data = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    if (response.status === 401 && token) {
+      if (retryOnUnauthorized && await refreshAccessToken()) {
+        return apiRequest<T>(path, { ...options, retryOnUnauthorized: false });
+      }
+
+      clearTokens();
+      unauthorizedHandler?.();
+    }
+
+    const message = (data as { message?: string } | null)?.message || 'Request failed';
+    throw new ApiError(message, response.status, data);
+  }
+
+  return data as T;
+};
+
+export const api = {
+  get: <T>(path: string, options?: Omit<RequestOptions, 'method' | 'body'>) =>
+    apiRequest<T>(path, { ...options, method: 'GET' }),
+  post: <T>(path: string, body?: unknown, options?: Omit<RequestOptions, 'method' | 'body'>) =>
+    apiRequest<T>(path, { ...options, method: 'POST', body }),
+  put: <T>(path: string, body?: unknown, options?: Omit<RequestOptions, 'method' | 'body'>) =>
+    apiRequest<T>(path, { ...options, method: 'PUT', body }),
+  delete: <T>(path: string, options?: Omit<RequestOptions, 'method' | 'body'>) =>
+    apiRequest<T>(path, { ...options, method: 'DELETE' })
+};
@@ -0,0 +1,169 @@
+import { api, ApiError } from './apiClient';
+
+export type RescheduleStatus = 'pending' | 'accepted' | 'declined' | 'withdrawn' | 'expired';
+export type RescheduleParty = 'patient' | 'guardian' | 'therapist' | 'staff';
+
+export interface RescheduleRequest {
+  status: RescheduleStatus;
+  proposedBy: string;
+  proposedAs: RescheduleParty;
+  date: string;
+  time: string;
+  startsAt: string;
+  endsAt: string;
+  expiresAt: string;
+  reason?: string;
+}
+
+export interface PastTime {
+  date: string;
+  time: string;
+  startsAt?: string;
+  movedAt: string;
+  reason?: string;
+}
+
+export interface ServerAppointment {
+  _id: string;
+  patientId: string | { _id: string; name: string };
+  therapistId: string | { _id: string; name: string };
+  date: string;
+  time: string;
+  duration: number;
+  startsAt?: string;
+  endsAt?: string;
+  sessionType: string;
+  status: string;
+  amount: number; // minor units of `currency`
+  currency: string;
+  paymentStatus: string;
+  pricing?: {
+    productName?: string;
+    listPrice?: number;
+    adjustments: { kind: string; label: string; amount: number }[];
+  };
+  rescheduleRequest?: RescheduleRequest;
+  rescheduleHistory?: PastTime[];
+}
+
+// Which side of the appointment a party is on; proposals are answered by the other side
+export const sideOf = (party: RescheduleParty): 'patient' | 'therapist' =>
+  party === 'patient' || party === 'guardian' ? 'patient' : 'therapist';
+
+// A pending request only counts until its hold runs out
+export const pendingReschedule = (appointment: ServerAppointment) => {
+  const request = appointment.rescheduleRequest;
+  return request?.status === 'pending' && new Date(request.expiresAt) > new Date() ? request : null;
+};
+
+export const fetchMyAppointments = async (role: 'patient' | 'therapist'): Promise<ServerAppointment[]> => {
+  const response = await api.get<{ data: ServerAppointment[] }>(`/appointments/${role}`);
+  return response.data;
+};
+
+export const bookAppointment = async (booking: {
+  therapistId: string;
+  startsAt: string;
+  sessionType?: string;
+  notes?: string;
+  productId?: string | null;
+  promoCode?: string;
+  packageId?: string;
+}): Promise<ServerAppointment> => {
+  const response = await api.post<{ appointment: ServerAppointment }>('/appointments', booking);
+  return response.appointment;
+};
+
+export const proposeReschedule = async (
+  appointmentId: string,
+  proposal: { startsAt: string; reason?: string }
+): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/appointments/${appointmentId}/reschedule`, proposal);
+  return response.message;
+};
+
+export const acceptReschedule = async (appointmentId: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/appointments/${appointmentId}/reschedule/accept`);
+  return response.message;
+};
+
+export const declineReschedule = async (appointmentId: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/appointments/${appointmentId}/reschedule/decline`);
+  return response.message;
+};
+
+export type SeriesFrequency = 'weekly' | 'biweekly' | 'monthly';
+
+export const frequencyLabels: Record<SeriesFrequency, string> = {
+  weekly: 'Every week',
+  biweekly: 'Every two weeks',
+  monthly: 'Every month'
+};
+
+export interface AppointmentSeries {
+  _id: string;
+  patientId: { _id: string; name: string; email: string };
+  therapistId: { _id: string; name: string; email: string };
+  frequency: SeriesFrequency;
+  timezone: string;
+  firstStartsAt: string;
+  occurrenceCount: number;
+  sessionType: string;
+  status: 'active' | 'ended' | 'cancelled';
+  appointments: (ServerAppointment & { occurrence: number })[];
+}
+
+export interface SeriesConflict {
+  startsAt: string;
+  message: string;
+}
+
+// The occurrences that blocked a series booking, from its error response
+export const seriesConflicts = (error: unknown): SeriesConflict[] =>
+  error instanceof ApiError ? (error.data as { conflicts?: SeriesConflict[] } | null)?.conflicts || [] : [];
+
+export const bookSeries = async (series: {
+  therapistId: string;
+  startsAt: string;
+  frequency: SeriesFrequency;
+  count?: number;
+  until?: string;
+  sessionType?: string;
+  productId?: string | null;
+}): Promise<string> => {
+  const response = await api.post<{ message: string }>('/appointments/series', series);
+  return response.message;
+};
+
+export const fetchSeries = async (): Promise<AppointmentSeries[]> => {
+  const response = await api.get<{ data: AppointmentSeries[] }>('/appointments/series');
+  return response.data;
+};
+
+// Save an appointment as an .ics file the user can open in their calendar app
+export const downloadAppointmentCalendar = async (appointmentId: string): Promise<void> => {
+  const ics = await api.get<string>(`/appointments/${appointmentId}/calendar.ics`, { responseType: 'text' });
+
+  const blob = new Blob([ics], { type: 'text/calendar' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'mindcare-session.ics';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const cancelAppointment = async (appointmentId: string, cancelReason?: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/appointments/${appointmentId}/status`, {
+    status: 'cancelled',
+    cancelReason
+  });
+  return response.message;
+};
+
+export const cancelFollowing = async (appointmentId: string, cancelReason?: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/appointments/${appointmentId}/cancel-following`, { cancelReason });
+  return response.message;
+};
\ No newline at end of file
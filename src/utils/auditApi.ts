@@ -0,0 +1,91 @@
+import { api } from './apiClient';
+import type { UserRole } from './authApi';
+
+export type AuditAction = 'read' | 'create' | 'update' | 'delete';
+export type AuditResourceType = 'progress' | 'progress_analytics' | 'appointment' | 'video_session' | 'shared_summary' | 'billing_document' | 'messages';
+
+interface AuditUser {
+  _id: string;
+  name: string;
+  email?: string;
+  role?: UserRole;
+}
+
+export interface AuditEvent {
+  _id: string;
+  // null when the account has since been deleted
+  actorId: AuditUser | null;
+  actorRole: UserRole;
+  patientId?: AuditUser | null;
+  action: AuditAction;
+  resourceType: AuditResourceType;
+  resourceId?: string;
+  route?: string;
+  ipAddress?: string;
+  userAgent?: string;
+  createdAt: string;
+}
+
+export interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+export interface AuditPage {
+  events: AuditEvent[];
+  pagination: Pagination;
+}
+
+export interface AuditFilters {
+  actorId?: string;
+  patientId?: string;
+  action?: AuditAction | '';
+  resourceType?: AuditResourceType | '';
+  startDate?: string;
+  endDate?: string;
+  page?: number;
+  limit?: number;
+}
+
+export const resourceLabels: Record<AuditResourceType, string> = {
+  progress: 'Progress records',
+  progress_analytics: 'Progress analytics',
+  appointment: 'Appointment details',
+  video_session: 'Video session',
+  shared_summary: 'Shared summary',
+  billing_document: 'Receipt or superbill',
+  messages: 'Messages'
+};
+
+export const actionLabels: Record<AuditAction, string> = {
+  read: 'Viewed',
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted'
+};
+
+const toQueryString = (params: object) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') query.set(key, String(value));
+  });
+  const result = query.toString();
+  return result ? `?${result}` : '';
+};
+
+interface AuditResponse {
+  data: AuditEvent[];
+  pagination: Pagination;
+}
+
+export const fetchAuditEvents = async (filters: AuditFilters = {}): Promise<AuditPage> => {
+  const response = await api.get<AuditResponse>(`/admin/audit${toQueryString(filters)}`);
+  return { events: response.data, pagination: response.pagination };
+};
+
+export const fetchMyRecordAccess = async (page = 1): Promise<AuditPage> => {
+  const response = await api.get<AuditResponse>(`/audit/me${toQueryString({ page })}`);
+  return { events: response.data, pagination: response.pagination };
+};
\ No newline at end of file
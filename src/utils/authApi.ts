@@ -0,0 +1,359 @@
+import { api, setTokens, clearTokens, getRefreshToken } from './apiClient';
+
+export type UserRole = 'patient' | 'therapist' | 'admin' | 'guardian';
+export type UserStatus = 'active' | 'inactive' | 'suspended' | 'pending';
+
+export interface User {
+  id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+  status?: UserStatus;
+  profilePicture?: string;
+  emergencyContactEmail?: string;
+  emergencyContactRelation?: string;
+  age?: number;
+  dateOfBirth?: string;
+  specialization?: string;
+  experience?: string;
+  location?: string;
+  hourlyRate?: number;
+  licenseNumber?: string;
+  verified?: boolean;
+  emailVerified?: boolean;
+  twoFactorEnabled?: boolean;
+  twoFactorRequired?: boolean;
+  erasureScheduledFor?: string;
+  adminRoles?: string[];
+  permissions?: string[];
+  phone?: string;
+  bio?: string;
+  languages?: string[];
+  availability?: string[];
+}
+
+export interface RegisterData {
+  name: string;
+  email: string;
+  password: string;
+  role: 'patient' | 'therapist' | 'guardian';
+  emergencyContactEmail?: string;
+  emergencyContactRelation?: string;
+  age?: number;
+  dateOfBirth?: string;
+  specialization?: string;
+  experience?: string;
+  location?: string;
+  hourlyRate?: number;
+  licenseNumber?: string;
+  phone?: string;
+  bio?: string;
+}
+
+export type ProfileUpdate = Partial<Omit<
+  User,
+  'id' | 'email' | 'role' | 'status' | 'verified' | 'emailVerified' | 'twoFactorEnabled' | 'twoFactorRequired'
+>>;
+
+export type LoginResponse =
+  | { kind: 'success'; user: User }
+  | { kind: 'two_factor'; challengeToken: string }
+  | { kind: 'two_factor_setup'; challengeToken: string };
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUri: string;
+}
+
+export interface SecondFactor {
+  code?: string;
+  recoveryCode?: string;
+}
+
+// Shape of `profileDetails` as stored on the backend User model
+interface BackendProfileDetails {
+  phone?: string;
+  age?: number;
+  dateOfBirth?: string;
+  location?: string;
+  bio?: string;
+  profilePicture?: string;
+  emergencyContactEmail?: string;
+  emergencyContactRelation?: string;
+  specialization?: string[];
+  licenseNumber?: string;
+  hourlyRate?: number;
+  experience?: string;
+  languages?: string[];
+  availability?: string[];
+  verified?: boolean;
+}
+
+interface BackendUser {
+  id?: string;
+  _id?: string;
+  name: string;
+  email: string;
+  role: UserRole;
+  status?: UserStatus;
+  profileDetails?: BackendProfileDetails;
+  verified?: boolean;
+  emailVerified?: boolean;
+  twoFactorEnabled?: boolean;
+  twoFactorRequired?: boolean;
+  erasureScheduledFor?: string;
+  adminRoles?: string[];
+  permissions?: string[];
+}
+
+interface AuthResponse {
+  message: string;
+  token: string;
+  refreshToken: string;
+  user: BackendUser;
+}
+
+interface LoginChallengeResponse {
+  message: string;
+  twoFactorRequired?: boolean;
+  twoFactorSetupRequired?: boolean;
+  challengeToken: string;
+}
+
+interface EnableTwoFactorResponse {
+  message: string;
+  recoveryCodes: string[];
+  token?: string;
+  refreshToken?: string;
+}
+
+interface SignupResponse {
+  message: string;
+  requiresEmailVerification: boolean;
+  user: BackendUser;
+}
+
+interface MessageResponse {
+  message: string;
+}
+
+interface UserResponse {
+  message?: string;
+  user: BackendUser;
+}
+
+export const mapBackendUser = (backendUser: BackendUser): User => {
+  const details = backendUser.profileDetails || {};
+
+  return {
+    id: backendUser.id || backendUser._id || '',
+    name: backendUser.name,
+    email: backendUser.email,
+    role: backendUser.role,
+    status: backendUser.status,
+    verified: backendUser.verified ?? details.verified ?? false,
+    emailVerified: backendUser.emailVerified,
+    twoFactorEnabled: backendUser.twoFactorEnabled,
+    twoFactorRequired: backendUser.twoFactorRequired,
+    erasureScheduledFor: backendUser.erasureScheduledFor,
+    adminRoles: backendUser.adminRoles,
+    permissions: backendUser.permissions,
+    phone: details.phone,
+    age: details.age,
+    dateOfBirth: details.dateOfBirth,
+    location: details.location,
+    bio: details.bio,
+    profilePicture: details.profilePicture,
+    emergencyContactEmail: details.emergencyContactEmail,
+    emergencyContactRelation: details.emergencyContactRelation,
+    specialization: details.specialization?.length ? details.specialization.join(', ') : undefined,
+    licenseNumber: details.licenseNumber,
+    hourlyRate: details.hourlyRate,
+    experience: details.experience,
+    languages: details.languages,
+    availability: details.availability
+  };
+};
+
+// Staff permission check for showing admin screens. The server enforces the
+// same rules; an admin session from before permissions existed has full access.
+export const hasPermission = (user: User | null, permission: string): boolean => {
+  if (!user || user.role !== 'admin') return false;
+  return user.permissions ? user.permissions.includes(permission) : true;
+};
+
+const toProfileDetails = (data: ProfileUpdate): BackendProfileDetails => {
+  const details: BackendProfileDetails = {};
+
+  if (data.phone !== undefined) details.phone = data.phone;
+  if (data.age !== undefined) details.age = data.age;
+  if (data.dateOfBirth !== undefined) details.dateOfBirth = data.dateOfBirth;
+  if (data.location !== undefined) details.location = data.location;
+  if (data.bio !== undefined) details.bio = data.bio;
+  if (data.profilePicture !== undefined) details.profilePicture = data.profilePicture;
+  if (data.emergencyContactEmail !== undefined) details.emergencyContactEmail = data.emergencyContactEmail;
+  if (data.emergencyContactRelation !== undefined) details.emergencyContactRelation = data.emergencyContactRelation;
+  if (data.specialization !== undefined) {
+    details.specialization = data.specialization
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+  }
+  if (data.licenseNumber !== undefined) details.licenseNumber = data.licenseNumber;
+  if (data.hourlyRate !== undefined) details.hourlyRate = data.hourlyRate;
+  if (data.experience !== undefined) details.experience = data.experience;
+  if (data.languages !== undefined) details.languages = data.languages;
+  if (data.availability !== undefined) details.availability = data.availability;
+
+  return details;
+};
+
+// Signing up does not sign the user in - they must verify their email first
+export const signup = async (data: RegisterData): Promise<User> => {
+  const { name, email, password, role, ...profile } = data;
+  const response = await api.post<SignupResponse>('/auth/signup', {
+    name,
+    email,
+    password,
+    role,
+    profileDetails: toProfileDetails(profile)
+  }, { auth: false });
+
+  return mapBackendUser(response.user);
+};
+
+// A correct password either signs the user in or, for accounts with (or
+// needing) 2FA, returns a short-lived challenge for the second step
+export const login = async (email: string, password: string, role?: string): Promise<LoginResponse> => {
+  const response = await api.post<AuthResponse | LoginChallengeResponse>(
+    '/auth/login',
+    { email, password, role },
+    { auth: false }
+  );
+
+  if ('challengeToken' in response) {
+    return {
+      kind: response.twoFactorSetupRequired ? 'two_factor_setup' : 'two_factor',
+      challengeToken: response.challengeToken
+    };
+  }
+
+  setTokens(response);
+  return { kind: 'success', user: mapBackendUser(response.user) };
+};
+
+export const verifyTwoFactorLogin = async (challengeToken: string, factor: SecondFactor): Promise<User> => {
+  const response = await api.post<AuthResponse>('/auth/2fa/verify', { challengeToken, ...factor }, { auth: false });
+
+  setTokens(response);
+  return mapBackendUser(response.user);
+};
+
+// Enrollment works either for a signed-in user or, with a challenge token,
+// part-way through a login that requires 2FA to be set up first
+export const setupTwoFactor = async (challengeToken?: string): Promise<TwoFactorSetup> => {
+  return api.post<TwoFactorSetup>('/auth/2fa/setup', { challengeToken }, { auth: !challengeToken });
+};
+
+export const enableTwoFactor = async (code: string, challengeToken?: string): Promise<string[]> => {
+  const response = await api.post<EnableTwoFactorResponse>(
+    '/auth/2fa/enable',
+    { code, challengeToken },
+    { auth: !challengeToken }
+  );
+
+  if (response.token && response.refreshToken) {
+    setTokens({ token: response.token, refreshToken: response.refreshToken });
+  }
+  return response.recoveryCodes;
+};
+
+export const regenerateRecoveryCodes = async (code: string): Promise<string[]> => {
+  const response = await api.post<{ recoveryCodes: string[] }>('/auth/2fa/recovery-codes', { code });
+  return response.recoveryCodes;
+};
+
+export const disableTwoFactor = async (password: string, code: string): Promise<User> => {
+  const response = await api.post<UserResponse>('/auth/2fa/disable', { password, code });
+  return mapBackendUser(response.user);
+};
+
+export const fetchCurrentUser = async (): Promise<User> => {
+  const response = await api.get<UserResponse>('/auth/me');
+  return mapBackendUser(response.user);
+};
+
+export const updateProfile = async (data: ProfileUpdate): Promise<User> => {
+  const { name, ...profile } = data;
+  const response = await api.put<UserResponse>('/auth/profile', {
+    name,
+    profileDetails: toProfileDetails(profile)
+  });
+
+  return mapBackendUser(response.user);
+};
+
+// Revoke the current session on the server; local tokens are cleared even if
+// the request fails so the user is never stuck signed in
+export const logout = async (): Promise<void> => {
+  try {
+    await api.post('/auth/logout', { refreshToken: getRefreshToken() }, { retryOnUnauthorized: false });
+  } catch {
+    // Ignore - the session will expire on its own
+  } finally {
+    clearTokens();
+  }
+};
+
+export const logoutAllDevices = async (): Promise<number> => {
+  const response = await api.post<{ revokedCount: number }>('/auth/logout-all');
+  clearTokens();
+  return response.revokedCount;
+};
+
+export const verifyEmail = async (token: string): Promise<string> => {
+  const response = await api.post<MessageResponse>('/auth/verify-email', { token }, { auth: false });
+  return response.message;
+};
+
+export const resendVerification = async (email: string): Promise<string> => {
+  const response = await api.post<MessageResponse>('/auth/resend-verification', { email }, { auth: false });
+  return response.message;
+};
+
+export const forgotPassword = async (email: string): Promise<string> => {
+  const response = await api.post<MessageResponse>('/auth/forgot-password', { email }, { auth: false });
+  return response.message;
+};
+
+export const resetPassword = async (token: string, password: string): Promise<string> => {
+  const response = await api.post<MessageResponse>('/auth/reset-password', { token, password }, { auth: false });
+  return response.message;
+};
+
+// Full machine-readable archive of the account, saved as a JSON download.
+// `deviceData` lets callers add data that only lives in this browser.
+export const downloadAccountExport = async (deviceData?: Record<string, unknown>): Promise<void> => {
+  const archive = await api.get<Record<string, unknown>>('/auth/me/export');
+  const contents = deviceData ? { ...archive, deviceData } : archive;
+
+  const blob = new Blob([JSON.stringify(contents, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `mindcare-export-${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const requestAccountDeletion = async (password: string): Promise<{ message: string; user: User }> => {
+  const response = await api.post<UserResponse>('/auth/me/erasure', { password });
+  return { message: response.message || '', user: mapBackendUser(response.user) };
+};
+
+export const cancelAccountDeletion = async (): Promise<User> => {
+  const response = await api.delete<UserResponse>('/auth/me/erasure');
+  return mapBackendUser(response.user);
+};
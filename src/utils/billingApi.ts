@@ -0,0 +1,58 @@
+import { api } from './apiClient';
+
+export type BillingDocumentType = 'receipt' | 'superbill' | 'statement';
+
+export interface BillingDocument {
+  _id: string;
+  type: BillingDocumentType;
+  number: string;
+  appointmentId?: string;
+  patientId?: { _id: string; name: string };
+  therapistId: { _id: string; name: string };
+  periodStart?: string;
+  periodEnd?: string;
+  createdAt: string;
+}
+
+export const documentLabels: Record<BillingDocumentType, string> = {
+  receipt: 'Receipt',
+  superbill: 'Superbill',
+  statement: 'Statement'
+};
+
+const savePdf = async (path: string, fileName: string): Promise<void> => {
+  const blob = await api.get<Blob>(path, { responseType: 'blob' });
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const fetchBillingDocuments = async (): Promise<BillingDocument[]> => {
+  const response = await api.get<{ data: BillingDocument[] }>('/billing/documents');
+  return response.data;
+};
+
+export const downloadBillingDocument = (billingDocument: BillingDocument) =>
+  savePdf(`/billing/documents/${billingDocument._id}.pdf`, `mindcare-${billingDocument.number}.pdf`);
+
+export const downloadReceipt = (appointmentId: string) =>
+  savePdf(`/billing/appointments/${appointmentId}/receipt.pdf`, `mindcare-receipt-${appointmentId}.pdf`);
+
+// `from` and `to` are 'YYYY-MM-DD', both included. Patients pick the
+// therapist, therapists the patient.
+export const downloadSuperbill = (period: { from: string; to: string; patientId?: string; therapistId?: string }) => {
+  const query = new URLSearchParams(
+    Object.entries(period).filter((entry): entry is [string, string] => Boolean(entry[1]))
+  );
+  return savePdf(`/billing/superbill.pdf?${query}`, `mindcare-superbill-${period.from}-${period.to}.pdf`);
+};
+
+// `month` is 'YYYY-MM'
+export const downloadStatement = (month: string) =>
+  savePdf(`/billing/statements/${month}.pdf`, `mindcare-statement-${month}.pdf`);
\ No newline at end of file
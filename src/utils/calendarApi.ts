@@ -0,0 +1,21 @@
+import { api } from './apiClient';
+
+export interface CalendarFeedStatus {
+  active: boolean;
+  createdAt: string | null;
+}
+
+export const fetchCalendarFeed = async (): Promise<CalendarFeedStatus> => {
+  const response = await api.get<{ data: CalendarFeedStatus }>('/calendar/feed');
+  return response.data;
+};
+
+// The URL is only shown once; creating a new one turns off the old one
+export const createCalendarFeed = async (): Promise<{ message: string; url: string }> => {
+  return api.post<{ message: string; url: string }>('/calendar/feed');
+};
+
+export const revokeCalendarFeed = async (): Promise<string> => {
+  const response = await api.delete<{ message: string }>('/calendar/feed');
+  return response.message;
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { api } from './apiClient';
+
+export type CareStatus = 'active' | 'ended' | 'transferred';
+export type CareScope = 'messaging' | 'progress' | 'video';
+
+interface CareParty {
+  _id: string;
+  name: string;
+  email: string;
+}
+
+export interface CareRelationship {
+  _id: string;
+  patientId: CareParty;
+  therapistId: CareParty;
+  status: CareStatus;
+  scopes: CareScope[];
+  startDate: string;
+  endDate?: string;
+  endReason?: string;
+  transferredTo?: string;
+  transferredFrom?: string;
+}
+
+export interface TransferTarget {
+  id: string;
+  name: string;
+  specialization: string[];
+}
+
+export const fetchCareRelationships = async (status?: CareStatus): Promise<CareRelationship[]> => {
+  const response = await api.get<{ data: CareRelationship[] }>(`/care${status ? `?status=${status}` : ''}`);
+  return response.data;
+};
+
+export const endCare = async (id: string, reason: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/care/${id}/end`, { reason });
+  return response.message;
+};
+
+export const transferCare = async (id: string, therapistId: string, reason: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/care/${id}/transfer`, { therapistId, reason });
+  return response.message;
+};
+
+export const fetchTransferTargets = async (): Promise<TransferTarget[]> => {
+  const response = await api.get<{ data: TransferTarget[] }>('/therapists', { auth: false });
+  return response.data;
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+import { api } from './apiClient';
+
+export type GuardianConsent = 'view_appointments' | 'book_appointments' | 'cancel_appointments' | 'reminders' | 'summaries';
+export type GuardianRelation = 'parent' | 'legal_guardian' | 'caregiver' | 'other';
+export type GuardianLinkStatus = 'pending' | 'active' | 'revoked' | 'expired';
+
+export const consentLabels: Record<GuardianConsent, string> = {
+  view_appointments: 'See appointments',
+  book_appointments: 'Book appointments',
+  cancel_appointments: 'Cancel appointments',
+  reminders: 'Receive appointment reminders',
+  summaries: 'Read summaries the therapist shares'
+};
+
+export const relationLabels: Record<GuardianRelation, string> = {
+  parent: 'Parent',
+  legal_guardian: 'Legal guardian',
+  caregiver: 'Caregiver',
+  other: 'Other'
+};
+
+interface LinkParty {
+  _id: string;
+  name: string;
+  email: string;
+}
+
+export interface GuardianLink {
+  _id: string;
+  guardianId: LinkParty;
+  patientId: LinkParty;
+  relation: GuardianRelation;
+  status: GuardianLinkStatus;
+  consents: GuardianConsent[];
+  expiresAt: string;
+  approvedAt?: string;
+  createdAt: string;
+}
+
+export interface MinorAppointment {
+  _id: string;
+  therapistId: { _id: string; name: string };
+  date: string;
+  time: string;
+  sessionType: string;
+  status: string;
+}
+
+export interface SharedSummary {
+  _id: string;
+  therapistId: { _id: string; name: string };
+  title: string;
+  content: string;
+  createdAt: string;
+}
+
+export const fetchGuardianLinks = async (patientId?: string): Promise<GuardianLink[]> => {
+  const response = await api.get<{ data: GuardianLink[] }>(`/guardians/links${patientId ? `?patientId=${patientId}` : ''}`);
+  return response.data;
+};
+
+export const requestGuardianLink = async (patientEmail: string, relation: GuardianRelation): Promise<string> => {
+  const response = await api.post<{ message: string }>('/guardians/links', { patientEmail, relation });
+  return response.message;
+};
+
+export const approveGuardianLink = async (id: string, consents: GuardianConsent[]): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/guardians/links/${id}/approve`, { consents });
+  return response.message;
+};
+
+export const revokeGuardianLink = async (id: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/guardians/links/${id}/revoke`);
+  return response.message;
+};
+
+export const fetchMinorAppointments = async (patientId: string): Promise<MinorAppointment[]> => {
+  const response = await api.get<{ data: MinorAppointment[] }>(`/guardians/patients/${patientId}/appointments`);
+  return response.data;
+};
+
+export const bookForMinor = async (
+  patientId: string,
+  booking: { therapistId: string; date: string; time: string; sessionType: string }
+): Promise<string> => {
+  const response = await api.post<{ message: string }>('/appointments', { ...booking, patientId });
+  return response.message;
+};
+
+export const cancelMinorAppointment = async (appointmentId: string, cancelReason: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/appointments/${appointmentId}/status`, {
+    status: 'cancelled',
+    cancelReason
+  });
+  return response.message;
+};
+
+export const fetchSharedSummaries = async (patientId: string): Promise<SharedSummary[]> => {
+  const response = await api.get<{ data: SharedSummary[] }>(`/guardians/patients/${patientId}/summaries`);
+  return response.data;
+};
+
+export const shareSummary = async (patientId: string, title: string, content: string): Promise<string> => {
+  const response = await api.post<{ message: string }>(`/guardians/patients/${patientId}/summaries`, { title, content });
+  return response.message;
+};
+
+export const fetchBookableTherapists = async (): Promise<{ id: string; name: string; hourlyRate: number }[]> => {
+  const response = await api.get<{ data: { id: string; name: string; hourlyRate: number }[] }>('/therapists', { auth: false });
+  return response.data;
+};
\ No newline at end of file
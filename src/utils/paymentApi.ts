@@ -0,0 +1,80 @@
+import { api } from './apiClient';
+
+export type PaymentStatus = 'requires_payment_method' | 'authorized' | 'captured' | 'cancelled' | 'failed';
+
+export interface PaymentIntent {
+  paymentId: string;
+  amount: number; // minor units, e.g. cents
+  currency: string;
+  purpose: 'session' | 'cancellation_fee' | 'package';
+  provider: string;
+  clientSecret?: string;
+}
+
+export interface LedgerEntry {
+  _id: string;
+  type: 'charge' | 'refund';
+  amount: number;
+  currency: string;
+  status: 'pending' | 'succeeded' | 'failed';
+  reason?: string;
+  createdAt: string;
+}
+
+export interface Payment {
+  _id: string;
+  appointmentId?: string;
+  packageId?: string;
+  purpose: 'session' | 'cancellation_fee' | 'package';
+  amount: number;
+  currency: string;
+  status: PaymentStatus;
+  amountCaptured: number;
+  amountRefunded: number;
+  failureMessage?: string;
+  createdAt: string;
+  transactions: LedgerEntry[];
+}
+
+// Card tokens the development (fake) payment provider accepts
+export const TEST_PAYMENT_METHODS = [
+  { id: 'pm_card_visa', label: 'Test Visa (approved)' },
+  { id: 'pm_card_mastercard', label: 'Test Mastercard (approved)' },
+  { id: 'pm_card_declined', label: 'Test card (declined)' },
+  { id: 'pm_card_insufficient_funds', label: 'Test card (insufficient funds)' }
+];
+
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP', 'ISK', 'UGX', 'XAF', 'XOF'];
+
+// Amounts from the server are in minor units: 12000 USD -> '$120.00'
+export const fromMinorUnits = (amount: number, currency: string) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+
+// What a user typed in major units, for sending to the server: '120' -> 12000 USD
+export const toMinorUnits = (amount: number, currency: string) =>
+  Math.round(ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount * 100);
+
+export const formatMoney = (amount: number, currency: string) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(fromMinorUnits(amount, currency));
+
+export const startPayment = async (appointmentId: string): Promise<PaymentIntent> => {
+  const response = await api.post<{ data: PaymentIntent }>('/payments/intents', { appointmentId });
+  return response.data;
+};
+
+export const confirmPayment = async (
+  paymentId: string,
+  paymentMethod: string
+): Promise<{ message: string; status: PaymentStatus }> => {
+  const response = await api.post<{ message: string; data: { status: PaymentStatus } }>(
+    `/payments/${paymentId}/confirm`,
+    { paymentMethod }
+  );
+  return { message: response.message, status: response.data.status };
+};
+
+export const fetchPayments = async (appointmentId?: string): Promise<Payment[]> => {
+  const query = appointmentId ? `?appointmentId=${encodeURIComponent(appointmentId)}` : '';
+  const response = await api.get<{ data: Payment[] }>(`/payments${query}`);
+  return response.data;
+};
\ No newline at end of file
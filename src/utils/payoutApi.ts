@@ -0,0 +1,149 @@
+import { api } from './apiClient';
+
+export type PayoutStatus = 'pending_approval' | 'approved' | 'rejected' | 'paid';
+export type PayoutSchedule = 'weekly' | 'monthly';
+export type PayoutLineKind = 'session' | 'cancellation_fee' | 'package' | 'refund';
+
+// Amounts are in minor units of the payout's currency; refunds are negative
+export interface PayoutLine {
+  transactionId: string;
+  appointmentId?: string;
+  packageId?: string;
+  patientId: { _id: string; name: string } | null;
+  kind: PayoutLineKind;
+  occurredAt: string;
+  amount: number;
+  commissionPercent: number;
+  commission: number;
+  net: number;
+}
+
+export type PayoutBreakdown = Partial<Record<PayoutLineKind, {
+  count: number;
+  amount: number;
+  commission: number;
+  net: number;
+}>>;
+
+export interface Payout {
+  _id: string;
+  therapistId: { _id: string; name: string; email?: string } | string;
+  currency: string;
+  schedule: PayoutSchedule;
+  periodStart: string;
+  periodEnd: string; // exclusive
+  lines?: PayoutLine[];
+  breakdown?: PayoutBreakdown;
+  grossAmount: number;
+  commissionAmount: number;
+  netAmount: number;
+  status: PayoutStatus;
+  reviewedBy?: { _id: string; name: string };
+  reviewedAt?: string;
+  rejectionReason?: string;
+  paidAt?: string;
+  paymentReference?: string;
+  createdAt: string;
+}
+
+export interface PayoutTerms {
+  commissionPercent: number;
+  schedule: PayoutSchedule;
+}
+
+export interface PayoutSettingsOverride {
+  _id: string;
+  therapistId: { _id: string; name: string; email: string };
+  commissionPercent?: number;
+  schedule?: PayoutSchedule;
+}
+
+export interface Earnings {
+  terms: PayoutTerms;
+  nextPeriod: { start: string; end: string };
+  upcoming: {
+    currency: string;
+    lines: (PayoutLine & { currency: string })[];
+    grossAmount: number;
+    commissionAmount: number;
+    netAmount: number;
+    breakdown: PayoutBreakdown;
+  }[];
+  awaitingSessions: { currency: string; count: number; amount: number }[];
+  payouts: Payout[];
+}
+
+export const payoutStatusLabels: Record<PayoutStatus, string> = {
+  pending_approval: 'Awaiting approval',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  paid: 'Paid'
+};
+
+export const lineKindLabels: Record<PayoutLineKind, string> = {
+  session: 'Sessions',
+  cancellation_fee: 'Late-cancel and no-show fees',
+  package: 'Session packages',
+  refund: 'Refunds'
+};
+
+export const fetchPayouts = async (filters: { status?: PayoutStatus | ''; page?: number } = {}) => {
+  const query = new URLSearchParams({ page: String(filters.page || 1) });
+  if (filters.status) query.set('status', filters.status);
+  return api.get<{
+    data: Payout[];
+    pagination: { current: number; pages: number; total: number };
+  }>(`/admin/payouts?${query}`);
+};
+
+export const fetchPayout = async (id: string): Promise<Payout> => {
+  const response = await api.get<{ data: Payout }>(`/admin/payouts/${id}`);
+  return response.data;
+};
+
+export const generatePayouts = async (): Promise<string> => {
+  const response = await api.post<{ message: string }>('/admin/payouts/generate');
+  return response.message;
+};
+
+export const approvePayout = async (id: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/admin/payouts/${id}/approve`);
+  return response.message;
+};
+
+export const rejectPayout = async (id: string, reason: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/admin/payouts/${id}/reject`, { reason });
+  return response.message;
+};
+
+export const markPayoutPaid = async (id: string, reference: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/admin/payouts/${id}/paid`, { reference });
+  return response.message;
+};
+
+export const fetchPayoutSettings = async () => {
+  const response = await api.get<{
+    data: { defaults: PayoutTerms; overrides: PayoutSettingsOverride[] };
+  }>('/admin/payout-settings');
+  return response.data;
+};
+
+export const updatePlatformPayoutSettings = async (terms: Partial<PayoutTerms>): Promise<string> => {
+  const response = await api.put<{ message: string }>('/admin/payout-settings', terms);
+  return response.message;
+};
+
+export const updateTherapistPayoutSettings = async (therapistId: string, terms: Partial<PayoutTerms>): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/admin/payout-settings/${therapistId}`, terms);
+  return response.message;
+};
+
+export const resetTherapistPayoutSettings = async (therapistId: string): Promise<string> => {
+  const response = await api.delete<{ message: string }>(`/admin/payout-settings/${therapistId}`);
+  return response.message;
+};
+
+export const fetchEarnings = async (): Promise<Earnings> => {
+  const response = await api.get<{ data: Earnings }>('/therapists/earnings');
+  return response.data;
+};
\ No newline at end of file
@@ -0,0 +1,204 @@
+import { api } from './apiClient';
+import { formatMoney } from './paymentApi';
+
+// Prices are in minor units of `currency` throughout, e.g. cents
+
+export type SessionProductKind = 'standard' | 'intake' | 'couples';
+
+export const productKindLabels: Record<SessionProductKind, string> = {
+  standard: 'Standard session',
+  intake: 'Intake (new patients only)',
+  couples: 'Couples session'
+};
+
+export interface PackageOption {
+  sessions: number;
+  price: number;
+  validityDays: number;
+}
+
+export interface SessionProduct {
+  _id: string | null; // null for the hourly-rate session of therapists without products
+  name: string;
+  kind: SessionProductKind;
+  description?: string;
+  duration: number | null; // null: the therapist's usual session length
+  price: number;
+  currency: string;
+  packages: PackageOption[];
+}
+
+export type SessionProductInput = Pick<SessionProduct, 'name' | 'kind' | 'description' | 'price' | 'packages'> & {
+  duration: number;
+};
+
+export interface PriceAdjustment {
+  kind: 'sliding_scale' | 'promo_code' | 'package';
+  label: string;
+  amount: number; // negative
+}
+
+export interface PriceQuote {
+  productId: string | null;
+  productName: string;
+  duration: number | null;
+  listPrice: number;
+  adjustments: PriceAdjustment[];
+  amount: number;
+  currency: string;
+}
+
+export interface SlidingScaleRate {
+  _id: string;
+  patientId: { _id: string; name: string; email: string } | null;
+  discountPercent: number;
+  validUntil?: string;
+  note?: string;
+  approvedAt: string;
+}
+
+export interface SessionPackage {
+  _id: string;
+  patientId: { _id: string; name: string } | null;
+  therapistId: { _id: string; name: string } | null;
+  productId: string;
+  productName: string;
+  sessionsTotal: number;
+  sessionsUsed: number;
+  price: number;
+  currency: string;
+  status: 'pending_payment' | 'active' | 'refunded';
+  activatedAt?: string;
+  expiresAt?: string;
+}
+
+export interface PromoCode {
+  _id: string;
+  code: string;
+  description?: string;
+  percentOff?: number;
+  amountOff?: number;
+  currency?: string;
+  maxRedemptions?: number;
+  redemptionCount: number;
+  perPatientLimit: number;
+  startsAt?: string;
+  expiresAt?: string;
+  active: boolean;
+  createdBy?: { _id: string; name: string };
+  createdAt: string;
+}
+
+export type PromoCodeInput = Partial<Pick<PromoCode,
+  'code' | 'description' | 'percentOff' | 'amountOff' | 'maxRedemptions' | 'perPatientLimit' | 'startsAt' | 'expiresAt' | 'active'
+>>;
+
+// Credits a package still has, if it can be used today
+export const creditsLeft = (sessionPackage: SessionPackage) =>
+  sessionPackage.status === 'active' && (!sessionPackage.expiresAt || new Date(sessionPackage.expiresAt) > new Date())
+    ? sessionPackage.sessionsTotal - sessionPackage.sessionsUsed
+    : 0;
+
+// --- Session products ---
+
+export const fetchTherapistProducts = async (therapistId: string): Promise<SessionProduct[]> => {
+  const response = await api.get<{ data: SessionProduct[] }>(`/pricing/therapists/${therapistId}/products`, { auth: false });
+  return response.data;
+};
+
+export const fetchMyProducts = async (): Promise<SessionProduct[]> => {
+  const response = await api.get<{ data: SessionProduct[] }>('/pricing/products');
+  return response.data;
+};
+
+export const createProduct = async (product: SessionProductInput): Promise<SessionProduct> => {
+  const response = await api.post<{ data: SessionProduct }>('/pricing/products', product);
+  return response.data;
+};
+
+export const updateProduct = async (productId: string, product: Partial<SessionProductInput>): Promise<SessionProduct> => {
+  const response = await api.put<{ data: SessionProduct }>(`/pricing/products/${productId}`, product);
+  return response.data;
+};
+
+export const archiveProduct = async (productId: string): Promise<string> => {
+  const response = await api.delete<{ message: string }>(`/pricing/products/${productId}`);
+  return response.message;
+};
+
+// --- Booking ---
+
+export const fetchQuote = async (request: {
+  therapistId: string;
+  productId?: string | null;
+  promoCode?: string;
+  packageId?: string;
+  patientId?: string;
+}): Promise<PriceQuote> => {
+  const response = await api.post<{ data: PriceQuote }>('/pricing/quote', request);
+  return response.data;
+};
+
+// --- Sliding scale ---
+
+export const fetchSlidingScaleRates = async (): Promise<SlidingScaleRate[]> => {
+  const response = await api.get<{ data: SlidingScaleRate[] }>('/pricing/sliding-scale');
+  return response.data;
+};
+
+export const saveSlidingScaleRate = async (
+  patientId: string,
+  rate: { discountPercent: number; validUntil?: string; note?: string }
+): Promise<SlidingScaleRate> => {
+  const response = await api.put<{ data: SlidingScaleRate }>(`/pricing/sliding-scale/${patientId}`, rate);
+  return response.data;
+};
+
+export const removeSlidingScaleRate = async (patientId: string): Promise<string> => {
+  const response = await api.delete<{ message: string }>(`/pricing/sliding-scale/${patientId}`);
+  return response.message;
+};
+
+// --- Packages ---
+
+export const fetchPackages = async (filters: { therapistId?: string; patientId?: string } = {}): Promise<SessionPackage[]> => {
+  const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value) as [string, string][]);
+  const response = await api.get<{ data: SessionPackage[] }>(`/pricing/packages?${params}`);
+  return response.data;
+};
+
+// Reserves the package; it's paid for with confirmPayment(paymentId, ...)
+export const purchasePackage = async (purchase: {
+  therapistId: string;
+  productId: string;
+  packageIndex: number;
+  patientId?: string;
+}): Promise<{ package: SessionPackage; paymentId: string; amount: number; currency: string }> => {
+  const response = await api.post<{ data: { package: SessionPackage; paymentId: string; amount: number; currency: string } }>(
+    '/pricing/packages',
+    purchase
+  );
+  return response.data;
+};
+
+// --- Promo codes (staff) ---
+
+export const fetchPromoCodes = async (): Promise<PromoCode[]> => {
+  const response = await api.get<{ data: PromoCode[] }>('/admin/promo-codes');
+  return response.data;
+};
+
+export const createPromoCode = async (promoCode: PromoCodeInput): Promise<PromoCode> => {
+  const response = await api.post<{ data: PromoCode }>('/admin/promo-codes', promoCode);
+  return response.data;
+};
+
+export const updatePromoCode = async (promoCodeId: string, changes: PromoCodeInput): Promise<PromoCode> => {
+  const response = await api.put<{ data: PromoCode }>(`/admin/promo-codes/${promoCodeId}`, changes);
+  return response.data;
+};
+
+export const describeDiscount = (promoCode: PromoCode) =>
+  promoCode.percentOff
+    ? `${promoCode.percentOff}% off`
+    : `${formatMoney(promoCode.amountOff || 0, promoCode.currency || 'USD')} off`;
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { api } from './apiClient';
+
+export type ReviewStatus = 'pending' | 'published' | 'rejected';
+
+export interface ReviewResponse {
+  text: string;
+  respondedAt: string;
+}
+
+// A published review as anyone can see it; reviewers are anonymous
+export interface PublicReview {
+  _id: string;
+  rating: number;
+  comment?: string;
+  response?: ReviewResponse;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface Review extends PublicReview {
+  therapistId: { _id: string; name: string; email?: string } | null;
+  patientId: { _id: string; name: string; email?: string } | string | null;
+  appointmentId: string;
+  status: ReviewStatus;
+  moderatedBy?: { _id: string; name: string } | null;
+  moderatedAt?: string;
+  moderationNote?: string;
+}
+
+export interface RatingSummary {
+  rating: number | null; // null until the therapist has a published review
+  reviewCount: number;
+}
+
+export interface ReviewPage extends RatingSummary {
+  data: PublicReview[];
+  pagination: { current: number; pages: number; total: number };
+}
+
+export const reviewStatusLabels: Record<ReviewStatus, string> = {
+  pending: 'Waiting for approval',
+  published: 'Published',
+  rejected: 'Not published'
+};
+
+export const formatRating = ({ rating, reviewCount }: RatingSummary) =>
+  rating === null ? 'New' : `${rating.toFixed(1)} (${reviewCount} ${reviewCount === 1 ? 'review' : 'reviews'})`;
+
+export const fetchTherapistReviews = async (therapistId: string, page = 1): Promise<ReviewPage> =>
+  api.get<ReviewPage>(`/reviews/therapists/${therapistId}?page=${page}`, { auth: false });
+
+// --- Patients ---
+
+export const fetchMyReviews = async (): Promise<{ reviews: Review[]; reviewable: { _id: string; name: string }[] }> => {
+  const response = await api.get<{ data: Review[]; reviewable: { _id: string; name: string }[] }>('/reviews/mine');
+  return { reviews: response.data, reviewable: response.reviewable };
+};
+
+export const submitReview = async (review: {
+  therapistId: string;
+  rating: number;
+  comment?: string;
+}): Promise<{ message: string; review: Review }> => {
+  const response = await api.post<{ message: string; data: Review }>('/reviews', review);
+  return { message: response.message, review: response.data };
+};
+
+export const deleteReview = async (reviewId: string): Promise<string> => {
+  const response = await api.delete<{ message: string }>(`/reviews/${reviewId}`);
+  return response.message;
+};
+
+// --- Therapists ---
+
+export const fetchReceivedReviews = async (page = 1): Promise<ReviewPage> =>
+  api.get<ReviewPage>(`/reviews/received?page=${page}`);
+
+// An empty text removes the response
+export const respondToReview = async (reviewId: string, text: string): Promise<PublicReview> => {
+  const response = await api.put<{ data: PublicReview }>(`/reviews/${reviewId}/response`, { text });
+  return response.data;
+};
+
+// --- Moderation (staff) ---
+
+export interface ReviewQueuePage {
+  data: Review[];
+  pagination: { current: number; pages: number; total: number };
+}
+
+export const fetchReviewQueue = async (status: ReviewStatus = 'pending', page = 1): Promise<ReviewQueuePage> =>
+  api.get<ReviewQueuePage>(`/admin/reviews?status=${status}&page=${page}`);
+
+export const moderateReview = async (
+  reviewId: string,
+  decision: 'publish' | 'reject',
+  note?: string
+): Promise<Review> => {
+  const response = await api.put<{ data: Review }>(`/admin/reviews/${reviewId}/moderate`, { decision, note });
+  return response.data;
+};
\ No newline at end of file
@@ -0,0 +1,185 @@
+import { api } from './apiClient';
+
+export interface TimeWindow {
+  start: string; // 'HH:mm'
+  end: string;
+}
+
+export interface WeeklyRule extends TimeWindow {
+  dayOfWeek: number; // 0 = Sunday
+}
+
+export interface AvailabilityException {
+  date: string; // 'YYYY-MM-DD'
+  windows: TimeWindow[];
+  note?: string;
+}
+
+export interface Vacation {
+  startDate: string;
+  endDate: string;
+  note?: string;
+}
+
+export interface AvailabilitySettings {
+  timezone: string;
+  sessionLength: number;
+  bufferMinutes: number;
+  weeklyRules: WeeklyRule[];
+  exceptions: AvailabilityException[];
+  vacations: Vacation[];
+  // Imported from the therapist's own calendar; read-only here
+  busyTimes?: { start: string; end: string }[];
+  busyTimesImportedAt?: string;
+}
+
+export interface BookableSlot {
+  start: string;
+  end: string;
+  date: string; // in the requested timezone
+  time: string;
+}
+
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Therapists listed from the API have MongoDB ids; older locally stored
+// listings do not and have no server-side availability
+export const isServerTherapistId = (id: string) => /^[a-f\d]{24}$/i.test(id);
+
+// A therapist as listed in the directory. Prices are in minor units of
+// `currency`; `hourlyRate` is the profile rate, in major units.
+export interface TherapistListing {
+  id: string;
+  name: string;
+  specialization: string[];
+  experience: string;
+  hourlyRate: number;
+  priceFrom: number;
+  currency: string;
+  bio: string;
+  languages: string[];
+  availability: string[];
+  verified: boolean;
+  profilePicture: string;
+  rating: number | null;
+  reviewCount: number;
+  totalSessions: number;
+  totalPatients: number;
+  location: string;
+  nextAvailable?: string; // first free slot, with an availableWithin filter
+}
+
+export type TherapistSort = 'relevance' | 'rating' | 'price' | 'price_desc' | 'newest';
+
+export interface TherapistSearch {
+  q?: string;
+  specialization?: string;
+  language?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  minRating?: number;
+  sessionType?: 'standard' | 'intake' | 'couples';
+  availableWithin?: number; // days
+  sort?: TherapistSort;
+  limit?: number;
+  cursor?: string;
+}
+
+export const therapistSortLabels: Record<TherapistSort, string> = {
+  relevance: 'Best match',
+  rating: 'Highest rated',
+  price: 'Price: low to high',
+  price_desc: 'Price: high to low',
+  newest: 'Newest'
+};
+
+// One page of the directory; pass nextCursor back as `cursor` for the next
+export const searchTherapists = async (
+  search: TherapistSearch
+): Promise<{ therapists: TherapistListing[]; nextCursor: string | null }> => {
+  const params = new URLSearchParams();
+  Object.entries(search).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') params.set(key, String(value));
+  });
+  const response = await api.get<{ data: TherapistListing[]; pagination: { nextCursor: string | null } }>(
+    `/therapists/search?${params}`,
+    { auth: false }
+  );
+  return { therapists: response.data, nextCursor: response.pagination.nextCursor };
+};
+
+export const fetchMyAvailability = async (): Promise<AvailabilitySettings | null> => {
+  const response = await api.get<{ data: AvailabilitySettings | null }>('/therapists/availability');
+  return response.data;
+};
+
+export const saveAvailability = async (settings: AvailabilitySettings): Promise<string> => {
+  const response = await api.put<{ message: string }>('/therapists/availability', settings);
+  return response.message;
+};
+
+export const importBusyTimes = async (ics: string): Promise<{ message: string; availability: AvailabilitySettings }> => {
+  return api.put<{ message: string; availability: AvailabilitySettings }>('/therapists/availability/busy-times', { ics });
+};
+
+export const clearBusyTimes = async (): Promise<{ message: string; availability: AvailabilitySettings }> => {
+  return api.delete<{ message: string; availability: AvailabilitySettings }>('/therapists/availability/busy-times');
+};
+
+export interface CancellationPolicy {
+  freeCancellationHours: number;
+  lateCancelFeePercent: number; // share of the session fee kept
+  noShowFeePercent: number;
+  allowedExceptions: number; // waived per patient each year
+}
+
+export const fetchMyCancellationPolicy = async (): Promise<CancellationPolicy | null> => {
+  const response = await api.get<{ data: CancellationPolicy | null }>('/therapists/cancellation-policy');
+  return response.data;
+};
+
+export const saveCancellationPolicy = async (policy: CancellationPolicy): Promise<string> => {
+  const response = await api.put<{ message: string }>('/therapists/cancellation-policy', policy);
+  return response.message;
+};
+
+export const fetchTherapistCancellationPolicy = async (therapistId: string): Promise<CancellationPolicy> => {
+  const response = await api.get<{ data: CancellationPolicy }>(`/therapists/${therapistId}/cancellation-policy`, { auth: false });
+  return response.data;
+};
+
+// The policy in plain sentences, as a patient reads it before booking
+export const describeCancellationPolicy = (policy: CancellationPolicy): string[] => {
+  const lines: string[] = [];
+
+  if (policy.lateCancelFeePercent === 0) {
+    lines.push('Free cancellation at any time before the session.');
+  } else if (policy.freeCancellationHours === 0) {
+    lines.push(`Cancelling costs ${policy.lateCancelFeePercent}% of the session fee.`);
+  } else {
+    lines.push(`Free cancellation up to ${policy.freeCancellationHours} hours before the session; after that ${policy.lateCancelFeePercent}% of the fee is charged.`);
+  }
+
+  if (policy.noShowFeePercent > 0) {
+    lines.push(`Missing a session without cancelling costs ${policy.noShowFeePercent}% of the fee.`);
+  }
+
+  if (policy.allowedExceptions > 0 && (policy.lateCancelFeePercent > 0 || policy.noShowFeePercent > 0)) {
+    lines.push(`The fee is waived for your first ${policy.allowedExceptions === 1 ? 'late cancellation or missed session' : `${policy.allowedExceptions} late cancellations or missed sessions`} each year.`);
+  }
+
+  return lines;
+};
+
+export const fetchTherapistSlots = async (
+  therapistId: string,
+  from: string,
+  to: string,
+  timezone = browserTimeZone(),
+  productId?: string | null
+): Promise<BookableSlot[]> => {
+  const params = new URLSearchParams({ from, to, timezone });
+  if (productId) params.set('productId', productId);
+  const response = await api.get<{ data: BookableSlot[] }>(`/therapists/${therapistId}/slots?${params}`, { auth: false });
+  return response.data;
+};
\ No newline at end of file
@@ -0,0 +1,66 @@
+import { api } from './apiClient';
+import { browserTimeZone } from './therapistApi';
+
+export interface PreferredWindow {
+  dayOfWeek: number; // 0 = Sunday
+  start: string; // 'HH:mm'
+  end: string;
+}
+
+export interface WaitlistOffer {
+  startsAt: string;
+  endsAt: string;
+  expiresAt: string;
+}
+
+export interface WaitlistEntry {
+  _id: string;
+  therapistId: { _id: string; name: string; email: string };
+  patientId: { _id: string; name: string; email: string };
+  position: number;
+  preferences: PreferredWindow[];
+  timezone: string;
+  notes?: string;
+  status: 'waiting' | 'offered';
+  offer?: WaitlistOffer;
+  createdAt: string;
+}
+
+export const joinWaitlist = async (
+  therapistId: string,
+  preferences: PreferredWindow[],
+  notes?: string
+): Promise<string> => {
+  const response = await api.post<{ message: string }>('/waitlist', {
+    therapistId,
+    preferences,
+    timezone: browserTimeZone(),
+    notes
+  });
+  return response.message;
+};
+
+export const fetchWaitlist = async (): Promise<WaitlistEntry[]> => {
+  const response = await api.get<{ data: WaitlistEntry[] }>('/waitlist');
+  return response.data;
+};
+
+export const reorderWaitlist = async (order: string[]): Promise<string> => {
+  const response = await api.put<{ message: string }>('/waitlist/reorder', { order });
+  return response.message;
+};
+
+export const acceptWaitlistOffer = async (id: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/waitlist/${id}/accept`);
+  return response.message;
+};
+
+export const declineWaitlistOffer = async (id: string): Promise<string> => {
+  const response = await api.put<{ message: string }>(`/waitlist/${id}/decline`);
+  return response.message;
+};
+
+export const leaveWaitlist = async (id: string): Promise<string> => {
+  const response = await api.delete<{ message: string }>(`/waitlist/${id}`);
+  return response.message;
+};
\ No newline at end of file